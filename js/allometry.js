@@ -0,0 +1,238 @@
+// ============================================================
+// ALLOMETRY
+// Woody biomass from stem size: aboveground biomass as a
+// function of DBH, height and wood density, split into stem
+// and branches, with roots from a root:shoot ratio
+// ============================================================
+
+/**
+ * Allometric parameters of a species, with CONFIG defaults for missing fields
+ * @param {Object} species - TREE_SPECIES entry
+ * @returns {{density: number, a: number, b: number, branchFraction: number, rootShoot: number,
+ *   maxHeight: number, hdRate: number, hdShape: number}}
+ *   density in g/cm³, coefficient a and exponent b of the AGB equation,
+ *   rootShoot of a grown tree, and the height–diameter curve: asymptotic
+ *   height (m), rate per cm of DBH and shape
+ */
+function getAllometryParams(species) {
+  const pick = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+  return {
+    density: pick(species.woodDensity, CONFIG.BIOMASS_WOOD_DENSITY) / 1000,
+    a: pick(species.agbCoefficient, CONFIG.BIOMASS_AGB_COEFFICIENT),
+    b: pick(species.agbExponent, CONFIG.BIOMASS_AGB_EXPONENT),
+    branchFraction: pick(species.branchFraction, CONFIG.BIOMASS_BRANCH_FRACTION),
+    rootShoot: pick(species.rootShootRatio, CONFIG.BIOMASS_ROOT_SHOOT_RATIO),
+    maxHeight: pick(species.maxHeight, CONFIG.TREE_MAX_HEIGHT),
+    hdRate: pick(species.hdRate, CONFIG.BIOMASS_HD_RATE),
+    hdShape: pick(species.hdShape, CONFIG.BIOMASS_HD_SHAPE)
+  };
+}
+
+/**
+ * Height of a stem of the given DBH on the species' height–diameter curve
+ * (Chapman–Richards): H = maxHeight × (1 − e^(−hdRate × D))^hdShape, D in cm
+ * @param {Object} species - TREE_SPECIES entry
+ * @param {number} dbh - Diameter at breast height (m)
+ * @returns {number} Height (m)
+ */
+function getCurveHeight(species, dbh) {
+  const p = getAllometryParams(species);
+  return p.maxHeight * Math.pow(1 - Math.exp(-p.hdRate * Math.max(0, dbh) * 100), p.hdShape);
+}
+
+/**
+ * DBH of a stem of the given height on the species' height–diameter curve
+ * (the curve solved for DBH)
+ * @param {Object} species - TREE_SPECIES entry
+ * @param {number} height - Height (m), below the species' maxHeight
+ * @returns {number} DBH (m)
+ */
+function getCurveDiameter(species, height) {
+  const p = getAllometryParams(species);
+  const share = clamp(height / p.maxHeight, 0, 0.999);
+  return -Math.log(1 - Math.pow(share, 1 / p.hdShape)) / p.hdRate / 100;
+}
+
+/**
+ * Woody aboveground biomass (stem and branches):
+ * AGB = a × (ρ × D² × H)^b, with ρ in g/cm³, D in cm and H in m
+ * @param {Object} species - TREE_SPECIES entry
+ * @param {number} dbh - Diameter at breast height (m)
+ * @param {number} height - Height (m)
+ * @returns {number} Dry kg
+ */
+function getAbovegroundBiomass(species, dbh, height) {
+  const p = getAllometryParams(species);
+  const d = dbh * 100;
+  return p.a * Math.pow(p.density * d * d * height, p.b);
+}
+
+/**
+ * Stem size index ρ × D² × H that carries a given woody aboveground biomass
+ * (the AGB equation solved for its argument)
+ * @param {Object} species - TREE_SPECIES entry
+ * @param {number} aboveground - Woody aboveground biomass (dry kg)
+ * @returns {number} ρ·D²·H (g/cm³ · cm² · m)
+ */
+function getStemSizeIndex(species, aboveground) {
+  const p = getAllometryParams(species);
+  return Math.pow(Math.max(0, aboveground) / p.a, 1 / p.b);
+}
+
+/**
+ * DBH at which a stem of the given height holds the given woody biomass
+ * @param {Object} species - TREE_SPECIES entry
+ * @param {number} aboveground - Woody aboveground biomass (dry kg)
+ * @param {number} height - Height (m)
+ * @returns {number} DBH (m)
+ */
+function getAllometricDiameter(species, aboveground, height) {
+  const p = getAllometryParams(species);
+  return Math.sqrt(getStemSizeIndex(species, aboveground) / (p.density * Math.max(0.01, height))) / 100;
+}
+
+/**
+ * Height at which a stem of the given DBH holds the given woody biomass
+ * @param {Object} species - TREE_SPECIES entry
+ * @param {number} aboveground - Woody aboveground biomass (dry kg)
+ * @param {number} dbh - Diameter at breast height (m)
+ * @returns {number} Height (m)
+ */
+function getAllometricHeight(species, aboveground, dbh) {
+  const p = getAllometryParams(species);
+  const d = Math.max(0.0001, dbh) * 100;
+  return getStemSizeIndex(species, aboveground) / (p.density * d * d);
+}
+
+/**
+ * Size on the species' height–diameter curve at which the stem holds the
+ * given woody aboveground biomass. ρ·D²·H(D) rises with D, so it is solved
+ * by bisection.
+ * @param {Object} species - TREE_SPECIES entry
+ * @param {number} aboveground - Woody aboveground biomass (dry kg)
+ * @returns {{dbh: number, height: number}} DBH and height (m)
+ */
+function getAllometricSize(species, aboveground) {
+  const p = getAllometryParams(species);
+  const index = getStemSizeIndex(species, aboveground);
+  const sizeIndex = dbh => p.density * dbh * dbh * 1e4 * getCurveHeight(species, dbh);
+
+  let low = 0;
+  let high = 0.01;
+  while (sizeIndex(high) < index && high < 100) high *= 2;
+  for (let i = 0; i < 40; i++) {
+    const mid = (low + high) / 2;
+    if (sizeIndex(mid) < index) low = mid; else high = mid;
+  }
+  return { dbh: high, height: getCurveHeight(species, high) };
+}
+
+/**
+ * Root:shoot ratio of a tree with the given woody aboveground biomass.
+ * Seedlings and saplings have relatively more roots: below
+ * BIOMASS_ROOT_SHOOT_REF_MASS the ratio rises as a power law of shoot mass
+ * (BIOMASS_ROOT_SHOOT_EXPONENT) from the species' rootShootRatio.
+ * @param {Object} species - TREE_SPECIES entry
+ * @param {number} aboveground - Woody aboveground biomass (dry kg)
+ * @returns {number} kg roots per kg woody aboveground biomass
+ */
+function getRootShootRatio(species, aboveground) {
+  const p = getAllometryParams(species);
+  const relative = Math.max(1e-6, aboveground) / CONFIG.BIOMASS_ROOT_SHOOT_REF_MASS;
+  return p.rootShoot * Math.max(1, Math.pow(relative, -CONFIG.BIOMASS_ROOT_SHOOT_EXPONENT));
+}
+
+/**
+ * Woody biomass pools of a tree of the given size
+ * @param {Object} species - TREE_SPECIES entry
+ * @param {number} dbh - Diameter at breast height (m)
+ * @param {number} height - Height (m)
+ * @returns {{trunk: number, branches: number, roots: number}} Dry kg
+ */
+function getAllometricBiomass(species, dbh, height) {
+  const p = getAllometryParams(species);
+  const aboveground = getAbovegroundBiomass(species, dbh, height);
+  return {
+    trunk: aboveground * (1 - p.branchFraction),
+    branches: aboveground * p.branchFraction,
+    roots: aboveground * getRootShootRatio(species, aboveground)
+  };
+}
+
+/**
+ * Biomass pools of the current tree built from its size: wood and roots from
+ * the allometric equations, leaves from the canopy (see js/carbon.js), no
+ * heartwood yet
+ * @param {Object} species - TREE_SPECIES entry
+ * @returns {Object} tree.biomass (dry kg)
+ */
+function createSizedBiomass(species) {
+  const wood = getAllometricBiomass(species, tree.dbh, tree.height);
+  const leaves = getLeafBiomassTarget();
+  return {
+    total: wood.trunk + wood.branches + leaves + wood.roots,
+    trunk: wood.trunk,
+    branches: wood.branches,
+    leaves,
+    roots: wood.roots,
+    heartwood: 0,
+    sapwood: wood.trunk
+  };
+}
+
+/**
+ * Add new structural biomass to a tree and resize its stem to match.
+ *
+ * Roots get the share that keeps them at the root:shoot ratio for the
+ * tree's size (none while they are above it). The branches take what brings
+ * them up to branchFraction of the wood, less the share of the crown not yet
+ * regrown after a disturbance, and the stem the rest; wood already in either
+ * pool stays where it is. DBH and height follow from the woody aboveground biomass along
+ * the species' height–diameter curve (getAllometricSize()). Neither shrinks:
+ * a stem that has lost wood, or starts off the curve, keeps its size until
+ * the wood catches up.
+ *
+ * @param {number} dryMass - New wood and roots (dry kg)
+ */
+function growAllometricBiomass(dryMass) {
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  const p = getAllometryParams(species);
+  const b = tree.biomass;
+
+  let aboveground = b.trunk + b.branches;
+  if (dryMass > 0) {
+    const ratio = getRootShootRatio(species, aboveground + dryMass);
+    const rootShare = clamp((ratio * (aboveground + dryMass) - b.roots) / (dryMass * (1 + ratio)), 0, 1);
+    const wood = dryMass * (1 - rootShare);
+    b.roots += dryMass * rootShare;
+    aboveground += wood;
+
+    // Branches grow towards their share of the wood, held back by the crown
+    // still missing after a disturbance (tree.disturbance.crownLoss regrows
+    // over DISTURBANCE_CROWN_REGROWTH_DAYS); the stem gets the rest
+    const crownLoss = tree.disturbance ? tree.disturbance.crownLoss : 0;
+    const branchTarget = aboveground * p.branchFraction * (1 - crownLoss);
+    const branchGrowth = clamp(branchTarget - b.branches, 0, wood);
+    b.branches += branchGrowth;
+    b.trunk += wood - branchGrowth;
+  }
+
+  const size = getAllometricSize(species, aboveground);
+  tree.dbh = Math.max(tree.dbh, size.dbh);
+  if (size.height > tree.height) {
+    tree.growthThisYear += size.height - tree.height;
+    tree.height = size.height;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.getAbovegroundBiomass = getAbovegroundBiomass;
+  window.getAllometricDiameter = getAllometricDiameter;
+  window.getAllometricHeight = getAllometricHeight;
+  window.getCurveHeight = getCurveHeight;
+  window.getCurveDiameter = getCurveDiameter;
+  window.getAllometricSize = getAllometricSize;
+  window.getAllometricBiomass = getAllometricBiomass;
+  window.createSizedBiomass = createSizedBiomass;
+  window.growAllometricBiomass = growAllometricBiomass;
+}
@@ -0,0 +1,601 @@
+// ============================================================
+// ANALYSIS PANELS
+// Monte Carlo batches and parameter sweeps, run in a Web Worker
+// (js/batch-worker.js) so the live simulation keeps animating
+// ============================================================
+
+const analysisState = {
+  worker: null,
+  job: null,       // 'run' | 'sweep' while a worker is active
+  summary: null,   // last Monte Carlo summary
+  sweep: null      // last sweep result
+};
+
+/** DOM ids of the controls belonging to each worker job */
+const ANALYSIS_PANELS = {
+  run: { runBtn: 'batchRun', cancelBtn: 'batchCancel', status: 'batchStatus' },
+  sweep: { runBtn: 'sweepRun', cancelBtn: 'sweepCancel', status: 'sweepStatus' }
+};
+
+/**
+ * Wire the Monte Carlo and sweep panels
+ */
+function initAnalysisUI() {
+  const handlers = {
+    batchRun: startMonteCarloBatch,
+    batchCancel: cancelAnalysisJob,
+    batchExportSurvival: () => exportBatchSummary('survival'),
+    batchExportRuns: () => exportBatchSummary('runs'),
+    batchExportJSON: () => exportBatchSummary('json'),
+    sweepRun: startParameterSweep,
+    sweepCancel: cancelAnalysisJob,
+    sweepExportCSV: () => exportSweepResult('csv'),
+    sweepExportJSON: () => exportSweepResult('json')
+  };
+  Object.entries(handlers).forEach(([id, handler]) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('click', handler);
+  });
+
+  initSweepControls();
+  drawSurvivalGraph();
+  drawSweepHeatmap();
+}
+
+/**
+ * Current site, mortality and CONFIG settings, in the form the engine accepts
+ */
+function getCurrentRunSettings() {
+  const config = {};
+  Object.keys(CONFIG).forEach(key => {
+    if (!key.startsWith('CANVAS_')) config[key] = CONFIG[key];
+  });
+
+  return {
+    species: tree.species,
+    environment: {
+      sunlight: environment.site.sunlight,
+      water: environment.site.water,
+      temperature: environment.site.temperature,
+      soilQuality: environment.soilQuality,
+      windSpeed: environment.site.windSpeed,
+      humidity: environment.site.humidity,
+      co2: environment.co2,
+      disease: environment.disease,
+      pests: environment.pests,
+      storm: environment.storm,
+      pollution: environment.pollution
+    },
+    mortality: JSON.parse(JSON.stringify(tree.mortality)),
+    config
+  };
+}
+
+// === WORKER JOBS ===
+
+/**
+ * Start a worker job; only one job runs at a time
+ * @param {string} type - 'run' (Monte Carlo) or 'sweep'
+ * @param {Object} options - Job options posted to the worker
+ * @param {number} total - Expected number of runs, for the status line
+ * @param {Function} onDone - Called with the job result
+ */
+function startAnalysisJob(type, options, total, onDone) {
+  if (analysisState.worker) return;
+  if (typeof Worker === 'undefined') {
+    showToast('❌ Web Workers are not available');
+    return;
+  }
+
+  let worker;
+  try {
+    worker = new Worker('js/batch-worker.js');
+  } catch (e) {
+    showToast('❌ Could not start worker (serve the app over http)');
+    return;
+  }
+
+  analysisState.worker = worker;
+  analysisState.job = type;
+  setAnalysisRunning(true);
+  setAnalysisStatus(type, `Running 0 / ${total}…`);
+
+  worker.onmessage = function(event) {
+    const message = event.data;
+    if (message.type === 'progress') {
+      setAnalysisStatus(type, `Running ${message.done} / ${message.total}…`);
+    } else if (message.type === 'done') {
+      finishAnalysisJob();
+      onDone(message.summary);
+    } else if (message.type === 'error') {
+      finishAnalysisJob();
+      setAnalysisStatus(type, '');
+      showToast('❌ Analysis failed: ' + message.message);
+    }
+  };
+  worker.onerror = function(event) {
+    finishAnalysisJob();
+    setAnalysisStatus(type, '');
+    showToast('❌ Analysis failed: ' + (event.message || 'worker error'));
+  };
+
+  worker.postMessage({ type, options });
+}
+
+/**
+ * Stop the running job
+ */
+function cancelAnalysisJob() {
+  const job = analysisState.job;
+  if (!job) return;
+  finishAnalysisJob();
+  setAnalysisStatus(job, 'Cancelled');
+}
+
+/**
+ * Stop the worker (if any) and re-enable the Run buttons
+ */
+function finishAnalysisJob() {
+  if (analysisState.worker) {
+    analysisState.worker.terminate();
+    analysisState.worker = null;
+  }
+  analysisState.job = null;
+  setAnalysisRunning(false);
+}
+
+/**
+ * Toggle Run/Cancel buttons of both panels
+ */
+function setAnalysisRunning(running) {
+  Object.entries(ANALYSIS_PANELS).forEach(([type, ids]) => {
+    const runBtn = document.getElementById(ids.runBtn);
+    const cancelBtn = document.getElementById(ids.cancelBtn);
+    if (runBtn) runBtn.disabled = running;
+    if (cancelBtn) cancelBtn.disabled = !(running && analysisState.job === type);
+  });
+}
+
+/**
+ * Set the progress/status line of a panel
+ */
+function setAnalysisStatus(type, text) {
+  const statusEl = document.getElementById(ANALYSIS_PANELS[type].status);
+  if (statusEl) statusEl.textContent = text;
+}
+
+/**
+ * Enable a panel's export buttons
+ */
+function enableButtons(ids) {
+  ids.forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.disabled = false;
+  });
+}
+
+/**
+ * Build readout-style label/value rows
+ * @param {HTMLElement} container - Element to fill
+ * @param {Array<[string, string]>} rows - Label/value pairs
+ */
+function renderResultRows(container, rows) {
+  container.innerHTML = '';
+  rows.forEach(([label, value]) => {
+    const row = document.createElement('div');
+    row.className = 'flex justify-between items-center py-[0.3125rem] px-1 border-b border-white/[0.05] last:border-b-0';
+    const labelEl = document.createElement('span');
+    labelEl.className = 'text-white/60 text-[0.6875rem]';
+    labelEl.textContent = label;
+    const valueEl = document.createElement('span');
+    valueEl.className = 'readout-value';
+    valueEl.textContent = value;
+    row.appendChild(labelEl);
+    row.appendChild(valueEl);
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Fill a graph canvas background (same look as the health/biomass graphs)
+ */
+function clearAnalysisCanvas(ctx, w, h) {
+  const bgGrad = ctx.createLinearGradient(0, 0, 0, h);
+  bgGrad.addColorStop(0, 'rgba(20, 24, 41, 0.8)');
+  bgGrad.addColorStop(1, 'rgba(10, 12, 20, 0.9)');
+  ctx.fillStyle = bgGrad;
+  ctx.fillRect(0, 0, w, h);
+}
+
+/**
+ * Centered placeholder text for an empty graph
+ */
+function drawAnalysisPlaceholder(ctx, w, h, text) {
+  ctx.fillStyle = 'rgba(156, 163, 175, 0.6)';
+  ctx.font = '11px system-ui';
+  ctx.textAlign = 'center';
+  ctx.fillText(text, w / 2, h / 2);
+}
+
+// === MONTE CARLO ===
+
+/**
+ * Start a batch of the current configuration
+ */
+function startMonteCarloBatch() {
+  const runs = clamp(parseInt(document.getElementById('batchRuns')?.value) || 50, 1, 1000);
+  const years = clamp(parseFloat(document.getElementById('batchYears')?.value) || 100, 1, 1000);
+  const options = Object.assign(getCurrentRunSettings(), {
+    runs,
+    years,
+    baseSeed: getPRNGSeed()
+  });
+
+  startAnalysisJob('run', options, runs, summary => {
+    analysisState.summary = summary;
+    const meta = summary.meta;
+    setAnalysisStatus('run', `${meta.runs} runs of ${TREE_SPECIES[meta.species].name}, seeds ${meta.baseSeed}–${meta.baseSeed + meta.runs - 1}`);
+    renderBatchSummary();
+  });
+}
+
+/**
+ * Format a proportion with its 95% CI, e.g. "62% (52–71%)"
+ */
+function formatProportionCI(value, low, high) {
+  const pct = x => Math.round(x * 100);
+  return `${pct(value)}% (${pct(low)}–${pct(high)}%)`;
+}
+
+/**
+ * Show median lifespan, survival at the horizon and causes of death
+ */
+function renderBatchSummary() {
+  const summary = analysisState.summary;
+  const resultsEl = document.getElementById('batchResults');
+  if (!summary || !resultsEl) return;
+
+  const horizon = summary.meta.years;
+  const years = value => (value === null ? `>${horizon}` : value.toFixed(1));
+  const median = summary.medianLifespan;
+  const rows = [
+    ['Median lifespan', `${years(median.value)} y (95% CI ${years(median.low)}–${years(median.high)})`],
+    [`Survival at ${horizon} y`, formatProportionCI(summary.survivalAtHorizon.value, summary.survivalAtHorizon.low, summary.survivalAtHorizon.high)]
+  ];
+  summary.causes.forEach(c => {
+    rows.push([c.cause, `${c.count} · ${formatProportionCI(c.fraction, c.low, c.high)}`]);
+  });
+
+  renderResultRows(resultsEl, rows);
+  enableButtons(['batchExportSurvival', 'batchExportRuns', 'batchExportJSON']);
+  drawSurvivalGraph();
+}
+
+/**
+ * Draw the survival curve with its 95% confidence band
+ */
+function drawSurvivalGraph() {
+  const canvas = document.getElementById('batchSurvivalGraph');
+  if (!canvas) return;
+
+  const ctx = canvas.getContext('2d');
+  const rect = canvas.getBoundingClientRect();
+  const w = rect.width;
+  const h = rect.height;
+  clearAnalysisCanvas(ctx, w, h);
+
+  const summary = analysisState.summary;
+  if (!summary) {
+    drawAnalysisPlaceholder(ctx, w, h, '📈 Run a batch to see survival');
+    return;
+  }
+
+  const points = summary.survival;
+  const horizon = summary.meta.years;
+  const x = year => (year / horizon) * w;
+  const y = value => h - value * (h - 4) - 2;
+
+  // Confidence band
+  ctx.beginPath();
+  points.forEach((p, i) => (i === 0 ? ctx.moveTo(x(p.year), y(p.high)) : ctx.lineTo(x(p.year), y(p.high))));
+  for (let i = points.length - 1; i >= 0; i--) ctx.lineTo(x(points[i].year), y(points[i].low));
+  ctx.closePath();
+  ctx.fillStyle = 'rgba(34, 197, 94, 0.18)';
+  ctx.fill();
+
+  // Survival step curve
+  ctx.beginPath();
+  points.forEach((p, i) => {
+    if (i === 0) {
+      ctx.moveTo(x(p.year), y(p.survival));
+    } else {
+      ctx.lineTo(x(p.year), y(points[i - 1].survival));
+      ctx.lineTo(x(p.year), y(p.survival));
+    }
+  });
+  ctx.strokeStyle = 'rgba(34, 197, 94, 0.95)';
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+
+  // Median line
+  ctx.setLineDash([3, 3]);
+  ctx.strokeStyle = 'rgba(156, 163, 175, 0.4)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(0, y(0.5));
+  ctx.lineTo(w, y(0.5));
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.fillStyle = 'rgba(156, 163, 175, 0.7)';
+  ctx.font = '8px system-ui';
+  ctx.textAlign = 'left';
+  ctx.fillText('0 y', 3, h - 4);
+  ctx.textAlign = 'right';
+  ctx.fillText(`${horizon} y`, w - 3, h - 4);
+}
+
+/**
+ * Download the last batch summary
+ * @param {string} format - 'survival' | 'runs' (CSV) or 'json'
+ */
+function exportBatchSummary(format) {
+  const summary = analysisState.summary;
+  if (!summary) {
+    showToast('ℹ️ Run a batch first');
+    return;
+  }
+
+  const name = `tree_montecarlo_${summary.meta.species}_${summary.meta.runs}runs_${Date.now()}`;
+  if (format === 'json') {
+    downloadFile(JSON.stringify(summary, null, 2), `${name}.json`, 'application/json');
+  } else if (format === 'runs') {
+    downloadFile(batchRunsToCSV(summary), `${name}_runs.csv`, 'text/csv');
+  } else {
+    downloadFile(batchSurvivalToCSV(summary), `${name}_survival.csv`, 'text/csv');
+  }
+  showToast('📥 Batch results exported');
+}
+
+// === PARAMETER SWEEP ===
+
+/**
+ * Fill the parameter pickers from SWEEP_PRESETS and keep path/min/max in sync
+ */
+function initSweepControls() {
+  [1, 2].forEach(axis => {
+    const select = document.getElementById(`sweepPreset${axis}`);
+    if (!select) return;
+
+    if (axis === 2) select.appendChild(new Option('— none —', ''));
+    SWEEP_PRESETS.forEach(preset => select.appendChild(new Option(preset.label, preset.path)));
+    select.appendChild(new Option('Custom path…', 'custom'));
+
+    select.addEventListener('change', () => applySweepPreset(axis));
+    applySweepPreset(axis);
+  });
+
+  const metricSelect = document.getElementById('sweepMetric');
+  if (metricSelect) {
+    Object.entries(SWEEP_METRICS).forEach(([key, metric]) => metricSelect.appendChild(new Option(metric.label, key)));
+    metricSelect.addEventListener('change', renderSweepResult);
+  }
+}
+
+/**
+ * Copy the chosen preset into the path/min/max inputs of one axis
+ */
+function applySweepPreset(axis) {
+  const select = document.getElementById(`sweepPreset${axis}`);
+  const pathInput = document.getElementById(`sweepPath${axis}`);
+  const minInput = document.getElementById(`sweepMin${axis}`);
+  const maxInput = document.getElementById(`sweepMax${axis}`);
+  if (!select || !pathInput) return;
+
+  const preset = SWEEP_PRESETS.find(p => p.path === select.value);
+  if (preset) {
+    pathInput.value = preset.path;
+    if (minInput) minInput.value = preset.min;
+    if (maxInput) maxInput.value = preset.max;
+  } else if (select.value === '') {
+    pathInput.value = '';
+  }
+  pathInput.readOnly = select.value !== 'custom';
+
+  const row = document.getElementById(`sweepAxis${axis}`);
+  if (row) row.classList.toggle('hidden', select.value === '');
+}
+
+/**
+ * Read one axis from the form
+ * @returns {{path: string, label: string, values: number[]}|null} Axis, or null if unused
+ */
+function readSweepAxis(axis) {
+  const path = (document.getElementById(`sweepPath${axis}`)?.value || '').trim();
+  if (!path) return null;
+
+  const min = parseFloat(document.getElementById(`sweepMin${axis}`)?.value);
+  const max = parseFloat(document.getElementById(`sweepMax${axis}`)?.value);
+  const steps = clamp(parseInt(document.getElementById(`sweepSteps${axis}`)?.value) || 5, 1, 20);
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return null;
+
+  const preset = SWEEP_PRESETS.find(p => p.path === path);
+  return {
+    path,
+    label: preset ? preset.label : path,
+    values: sweepRange(min, max, steps)
+  };
+}
+
+/**
+ * Start a sweep of the current configuration over the chosen grid
+ */
+function startParameterSweep() {
+  const axes = [readSweepAxis(1), readSweepAxis(2)].filter(Boolean);
+  if (axes.length === 0) {
+    showToast('ℹ️ Choose a parameter and a range');
+    return;
+  }
+
+  const seeds = clamp(parseInt(document.getElementById('sweepSeeds')?.value) || 3, 1, 100);
+  const years = clamp(parseFloat(document.getElementById('sweepYears')?.value) || 50, 1, 1000);
+  const options = Object.assign(getCurrentRunSettings(), {
+    axes,
+    seeds,
+    years,
+    baseSeed: getPRNGSeed()
+  });
+  const total = axes.reduce((n, axis) => n * axis.values.length, seeds);
+
+  startAnalysisJob('sweep', options, total, result => {
+    analysisState.sweep = result;
+    setAnalysisStatus('sweep', `${result.cells.length} cells × ${result.meta.seeds} seeds, ${result.meta.years} y`);
+    renderSweepResult();
+  });
+}
+
+/**
+ * Format a grid value for labels
+ */
+function formatSweepValue(value) {
+  return Number(value.toPrecision(3)).toString();
+}
+
+/**
+ * Currently selected heatmap metric
+ */
+function getSweepMetric() {
+  const select = document.getElementById('sweepMetric');
+  return (select && SWEEP_METRICS[select.value]) ? select.value : 'lifespan';
+}
+
+/**
+ * Show the sweep table and heatmap for the selected metric
+ */
+function renderSweepResult() {
+  const result = analysisState.sweep;
+  const tableEl = document.getElementById('sweepTable');
+  if (!result || !tableEl) {
+    drawSweepHeatmap();
+    return;
+  }
+
+  const metric = getSweepMetric();
+  const format = (stat, key) => `${stat.mean.toFixed(key === 'height' ? 2 : 1)} ± ${stat.sd.toFixed(1)}`;
+  const table = document.createElement('table');
+  table.className = 'w-full text-[0.6875rem] tabular-nums border-collapse';
+  const addRow = (cells, isHeader) => {
+    const tr = document.createElement('tr');
+    cells.forEach((text, k) => {
+      const headerCell = isHeader || k === 0;
+      const td = document.createElement(headerCell ? 'th' : 'td');
+      td.className = (headerCell ? 'text-white/60 font-normal' : 'text-white/90') + ' py-1 px-1 text-right border-b border-white/[0.05]';
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  };
+
+  if (result.axes.length === 1) {
+    // One row per value, every metric as a column
+    addRow([result.axes[0].label].concat(Object.values(SWEEP_METRICS).map(m => `${m.label} (${m.unit})`)), true);
+    result.cells.forEach(cell => {
+      addRow([formatSweepValue(cell.values[0])].concat(Object.keys(SWEEP_METRICS).map(key => format(cell[key], key))));
+    });
+  } else {
+    // Matrix of the selected metric: rows = second axis, columns = first axis
+    const [first, second] = result.axes;
+    addRow([`${second.label} / ${first.label}`].concat(first.values.map(formatSweepValue)), true);
+    second.values.forEach((value, j) => {
+      const row = result.cells.filter(cell => cell.j === j).sort((a, b) => a.i - b.i);
+      addRow([formatSweepValue(value)].concat(row.map(cell => format(cell[metric], metric))));
+    });
+  }
+
+  tableEl.innerHTML = '';
+  tableEl.appendChild(table);
+  enableButtons(['sweepExportCSV', 'sweepExportJSON']);
+  drawSweepHeatmap();
+}
+
+/**
+ * Draw the selected metric as a heatmap (one row for a single-parameter sweep)
+ */
+function drawSweepHeatmap() {
+  const canvas = document.getElementById('sweepHeatmap');
+  if (!canvas) return;
+
+  const ctx = canvas.getContext('2d');
+  const rect = canvas.getBoundingClientRect();
+  const w = rect.width;
+  const h = rect.height;
+  clearAnalysisCanvas(ctx, w, h);
+
+  const result = analysisState.sweep;
+  if (!result) {
+    drawAnalysisPlaceholder(ctx, w, h, '🗺️ Run a sweep to see the heatmap');
+    return;
+  }
+
+  const metric = getSweepMetric();
+  const cols = result.axes[0].values.length;
+  const rows = result.axes[1] ? result.axes[1].values.length : 1;
+  const means = result.cells.map(cell => cell[metric].mean);
+  const min = Math.min(...means);
+  const max = Math.max(...means);
+
+  const margin = { left: result.axes[1] ? 28 : 4, bottom: 12, top: 4, right: 4 };
+  const cellW = (w - margin.left - margin.right) / cols;
+  const cellH = (h - margin.top - margin.bottom) / rows;
+
+  ctx.font = '8px system-ui';
+  ctx.textBaseline = 'middle';
+  result.cells.forEach(cell => {
+    // Red (lowest) to green (highest)
+    const t = max > min ? (cell[metric].mean - min) / (max - min) : 0.5;
+    const x = margin.left + cell.i * cellW;
+    const y = margin.top + (rows - 1 - cell.j) * cellH; // first value of the second axis at the bottom
+    ctx.fillStyle = `hsl(${Math.round(t * 120)}, 65%, ${30 + t * 12}%)`;
+    ctx.fillRect(x + 0.5, y + 0.5, cellW - 1, cellH - 1);
+
+    if (cellW > 22 && cellH > 10) {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+      ctx.textAlign = 'center';
+      ctx.fillText(formatSweepValue(cell[metric].mean), x + cellW / 2, y + cellH / 2);
+    }
+  });
+
+  // Axis labels: first and last value of each axis
+  ctx.fillStyle = 'rgba(156, 163, 175, 0.7)';
+  const firstAxis = result.axes[0].values;
+  ctx.textAlign = 'left';
+  ctx.fillText(formatSweepValue(firstAxis[0]), margin.left, h - 5);
+  ctx.textAlign = 'right';
+  ctx.fillText(formatSweepValue(firstAxis[firstAxis.length - 1]), w - margin.right, h - 5);
+  if (result.axes[1]) {
+    const secondAxis = result.axes[1].values;
+    ctx.fillText(formatSweepValue(secondAxis[0]), margin.left - 3, margin.top + (rows - 0.5) * cellH);
+    ctx.fillText(formatSweepValue(secondAxis[secondAxis.length - 1]), margin.left - 3, margin.top + cellH / 2);
+  }
+  ctx.textBaseline = 'alphabetic';
+}
+
+/**
+ * Download the last sweep result
+ * @param {string} format - 'csv' or 'json'
+ */
+function exportSweepResult(format) {
+  const result = analysisState.sweep;
+  if (!result) {
+    showToast('ℹ️ Run a sweep first');
+    return;
+  }
+
+  const name = `tree_sweep_${result.meta.species}_${result.axes.map(a => a.path.split('.').pop()).join('_x_')}_${Date.now()}`;
+  if (format === 'json') {
+    downloadFile(JSON.stringify(result, null, 2), `${name}.json`, 'application/json');
+  } else {
+    downloadFile(sweepToCSV(result), `${name}.csv`, 'text/csv');
+  }
+  showToast('📥 Sweep results exported');
+}
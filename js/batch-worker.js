@@ -0,0 +1,58 @@
+// ============================================================
+// ANALYSIS WORKER
+// Runs Monte Carlo batches and parameter sweeps off the main thread
+// so the live simulation keeps animating
+// ============================================================
+
+importScripts(
+  'config.js',
+  'prng.js',
+  'environment.js',
+  'soil.js',
+  'phenology.js',
+  'reproduction.js',
+  'carbon.js',
+  'light.js',
+  'photosynthesis.js',
+  'allometry.js',
+  'rings.js',
+  'pathogens.js',
+  'insects.js',
+  'disturbance.js',
+  'fire.js',
+  'wind.js',
+  'tree.js',
+  'simulation.js',
+  'snapshot.js',
+  'engine.js',
+  'batch.js',
+  'sweep.js'
+);
+
+const WORKER_JOBS = {
+  run: runMonteCarloBatch,
+  sweep: runParameterSweep
+};
+
+/**
+ * Messages in:  { type: 'run', options }     (see runMonteCarloBatch())
+ *               { type: 'sweep', options }   (see runParameterSweep())
+ * Messages out: { type: 'progress', done, total }
+ *               { type: 'done', summary }
+ *               { type: 'error', message }
+ */
+self.onmessage = function(event) {
+  const message = event.data || {};
+  const job = WORKER_JOBS[message.type];
+  if (!job) return;
+
+  try {
+    const options = Object.assign({}, message.options, {
+      onProgress: (done, total) => self.postMessage({ type: 'progress', done, total })
+    });
+    const summary = job(options);
+    self.postMessage({ type: 'done', summary });
+  } catch (e) {
+    self.postMessage({ type: 'error', message: e.message });
+  }
+};
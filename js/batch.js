@@ -0,0 +1,191 @@
+// ============================================================
+// MONTE CARLO BATCH RUNNER
+// Runs many seeds of one configuration through the headless engine
+// and summarizes the distribution of mortality outcomes
+// ============================================================
+
+/** z-score for 95% confidence intervals */
+const BATCH_Z_95 = 1.959964;
+
+/** Cause reported when health collapses without a mortality event */
+const BATCH_DECLINE_CAUSE = 'Health decline';
+
+/**
+ * Wilson score interval for a binomial proportion
+ * @param {number} successes - Number of positive outcomes
+ * @param {number} n - Number of trials
+ * @param {number} [z] - z-score (default: 95%)
+ * @returns {{low: number, high: number}} Interval bounds in [0, 1]
+ */
+function wilsonInterval(successes, n, z = BATCH_Z_95) {
+  if (n <= 0) return { low: 0, high: 1 };
+
+  const p = successes / n;
+  const z2 = z * z;
+  const denominator = 1 + z2 / n;
+  const center = (p + z2 / (2 * n)) / denominator;
+  const margin = (z * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n))) / denominator;
+  return {
+    low: clamp(center - margin, 0, 1),
+    high: clamp(center + margin, 0, 1)
+  };
+}
+
+/**
+ * Run N seeds of the same species/environment to a horizon.
+ * Seeds are baseSeed, baseSeed + 1, ... so a batch is reproducible.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.species='OAK'] - Key into TREE_SPECIES
+ * @param {number} [options.runs=100] - Number of seeds
+ * @param {number} [options.years=100] - Horizon in years
+ * @param {number} [options.baseSeed=1] - First seed
+ * @param {number} [options.dt] - Substep in days (default: CONFIG.BATCH_DT_DAYS)
+ * @param {Object} [options.environment] - Site conditions, see applyEnvironmentSettings()
+ * @param {Object} [options.mortality] - Overrides merged into tree.mortality (always enabled)
+ * @param {Object} [options.config] - CONFIG overrides
+ * @param {Function} [options.onProgress] - Called with (completedRuns, totalRuns)
+ * @returns {Object} Summary, see summarizeBatch()
+ */
+function runMonteCarloBatch(options = {}) {
+  const species = options.species || 'OAK';
+  const runs = Math.max(1, Math.floor(options.runs || 100));
+  const years = options.years !== undefined ? options.years : 100;
+  const baseSeed = options.baseSeed !== undefined ? options.baseSeed : 1;
+  const dt = options.dt || CONFIG.BATCH_DT_DAYS;
+  if (!(years > 0)) {
+    throw new Error('Horizon must be a positive number of years');
+  }
+
+  const results = [];
+  for (let i = 0; i < runs; i++) {
+    const seed = baseSeed + i;
+    const run = runHeadlessSimulation({
+      species,
+      seed,
+      years,
+      dt,
+      environment: options.environment,
+      config: options.config,
+      mortality: Object.assign({}, options.mortality, { enabled: true }),
+      stopOnDeath: true
+    });
+
+    const died = run.tree.health <= 0;
+    results.push({
+      seed,
+      died,
+      lifespan: died ? run.tree.age : null,
+      cause: died ? (run.tree.deathCause || BATCH_DECLINE_CAUSE) : null,
+      height: run.tree.height,
+      dbh: run.tree.dbh
+    });
+
+    if (options.onProgress) options.onProgress(i + 1, runs);
+  }
+
+  return summarizeBatch(results, { species, runs, years, baseSeed, dt });
+}
+
+/**
+ * Turn per-run outcomes into survival statistics.
+ * Runs alive at the horizon are censored there; no other censoring occurs,
+ * so survival at time t is the plain fraction of runs with lifespan > t.
+ *
+ * @param {Array<Object>} results - Per-run records from runMonteCarloBatch()
+ * @param {Object} meta - Batch settings echoed into the summary
+ * @returns {{meta: Object, runs: Array, survival: Array, survivalAtHorizon: Object,
+ *            medianLifespan: Object, causes: Array}}
+ */
+function summarizeBatch(results, meta) {
+  const n = results.length;
+
+  // Survival curve at whole years (plus the horizon if fractional)
+  const times = [];
+  for (let t = 0; t <= meta.years; t++) times.push(t);
+  if (times[times.length - 1] < meta.years) times.push(meta.years);
+
+  let previousAlive = n;
+  const survival = times.map(t => {
+    const alive = results.filter(r => !r.died || r.lifespan > t).length;
+    const ci = wilsonInterval(alive, n);
+    const point = { year: t, alive, deaths: previousAlive - alive, survival: alive / n, low: ci.low, high: ci.high };
+    previousAlive = alive;
+    return point;
+  });
+
+  // Median lifespan with a distribution-free CI from order statistics.
+  // Survivors sort last (their lifespan exceeds the horizon), so any
+  // bound that lands on one is reported as null ("beyond horizon").
+  const lifespans = results
+    .map(r => (r.died ? r.lifespan : Infinity))
+    .sort((a, b) => a - b);
+  const finiteOrNull = value => (Number.isFinite(value) ? value : null);
+  const rankValue = rank => finiteOrNull(lifespans[clamp(rank, 1, n) - 1]);
+  const medianValue = n % 2 === 1
+    ? lifespans[(n - 1) / 2]
+    : (lifespans[n / 2 - 1] + lifespans[n / 2]) / 2;
+  const halfWidth = BATCH_Z_95 * Math.sqrt(n) / 2;
+  const medianLifespan = {
+    value: finiteOrNull(medianValue),
+    low: rankValue(Math.floor(n / 2 - halfWidth)),
+    high: rankValue(Math.ceil(1 + n / 2 + halfWidth))
+  };
+
+  // Cause-of-death frequencies (fraction of all runs)
+  const counts = {};
+  results.forEach(r => {
+    const key = r.died ? r.cause : 'Survived';
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  const causes = Object.keys(counts)
+    .sort((a, b) => counts[b] - counts[a])
+    .map(cause => {
+      const ci = wilsonInterval(counts[cause], n);
+      return { cause, count: counts[cause], fraction: counts[cause] / n, low: ci.low, high: ci.high };
+    });
+
+  const last = survival[survival.length - 1];
+  return {
+    meta: Object.assign({}, meta, { runs: n }),
+    runs: results,
+    survival,
+    survivalAtHorizon: { value: last.survival, low: last.low, high: last.high },
+    medianLifespan,
+    causes
+  };
+}
+
+/**
+ * Survival curve as CSV (one row per year)
+ * @param {Object} summary - Result of runMonteCarloBatch()
+ * @returns {string} CSV text
+ */
+function batchSurvivalToCSV(summary) {
+  let csv = 'Year,Alive,Deaths,Survival,CI95_Low,CI95_High\n';
+  summary.survival.forEach(p => {
+    csv += `${p.year},${p.alive},${p.deaths},${p.survival.toFixed(4)},${p.low.toFixed(4)},${p.high.toFixed(4)}\n`;
+  });
+  return csv;
+}
+
+/**
+ * Per-run outcomes as CSV (one row per seed)
+ * @param {Object} summary - Result of runMonteCarloBatch()
+ * @returns {string} CSV text
+ */
+function batchRunsToCSV(summary) {
+  let csv = 'Seed,Died,Lifespan_Years,Cause,Height_m,DBH_cm\n';
+  summary.runs.forEach(r => {
+    const lifespan = r.died ? r.lifespan.toFixed(3) : '';
+    csv += `${r.seed},${r.died ? 1 : 0},${lifespan},${r.cause || ''},${r.height.toFixed(3)},${(r.dbh * 100).toFixed(2)}\n`;
+  });
+  return csv;
+}
+
+if (typeof window !== 'undefined') {
+  window.runMonteCarloBatch = runMonteCarloBatch;
+  window.summarizeBatch = summarizeBatch;
+  window.batchSurvivalToCSV = batchSurvivalToCSV;
+  window.batchRunsToCSV = batchRunsToCSV;
+}
@@ -0,0 +1,240 @@
+// ============================================================
+// CARBON BUDGET
+// Mass-balanced carbon accounting in kg C: gross assimilation,
+// maintenance and growth respiration, a non-structural
+// carbohydrate (NSC) reserve, growth, litter and starvation
+// ============================================================
+
+/**
+ * Carbon flows of one day (or running totals), all in kg C
+ * @returns {Object} Zeroed flows
+ */
+function createCarbonFlows() {
+  return {
+    gpp: 0,                 // gross assimilation
+    maintenance: 0,         // maintenance respiration (leaves + wood + roots)
+    maintenanceLeaves: 0,
+    maintenanceWood: 0,
+    maintenanceRoots: 0,
+    growthRespiration: 0,   // construction cost of new tissue
+    growth: 0,              // built into leaves, wood and roots
+    fruit: 0,               // built into fruit (see js/reproduction.js)
+    litter: 0               // shed leaves, dead roots and fallen fruit
+  };
+}
+
+/**
+ * Carbon state of a tree: the reserve, the last substep's flows per day and
+ * lifetime totals. The seedling starts with its reserve at the target.
+ * @param {Object} [biomass] - tree.biomass to size the starting reserve
+ * @returns {Object} Carbon state
+ */
+function createCarbonState(biomass) {
+  return {
+    nsc: biomass ? getReserveTarget(biomass) : 0,  // non-structural carbohydrate reserve (kg C)
+    starvation: 0,                                 // share of maintenance the tree could not pay (0-1)
+    daily: createCarbonFlows(),                    // last substep, per day
+    totals: createCarbonFlows()                    // lifetime
+  };
+}
+
+/**
+ * Carbon in wood and roots, which sets the size of the reserve
+ * @param {Object} biomass - tree.biomass (dry kg)
+ * @returns {number} kg C
+ */
+function getStructuralCarbon(biomass) {
+  return (biomass.trunk + biomass.branches + biomass.roots) * CONFIG.CARBON_FRACTION;
+}
+
+/**
+ * Reserve the tree fills towards (CARBON_NSC_TARGET of its structural carbon)
+ * @param {Object} biomass - tree.biomass (dry kg)
+ * @returns {number} kg C
+ */
+function getReserveTarget(biomass) {
+  return CONFIG.CARBON_NSC_TARGET * getStructuralCarbon(biomass);
+}
+
+/**
+ * How well the reserve can fund growth: 0 at CARBON_NSC_GROWTH_FLOOR of the
+ * target, 1 at the target or above
+ * @returns {number} 0-1
+ */
+function getCarbonSupply() {
+  const target = getReserveTarget(tree.biomass);
+  if (target <= 0) return 0;
+  const floor = CONFIG.CARBON_NSC_GROWTH_FLOOR * target;
+  return clamp((tree.carbon.nsc - floor) / Math.max(1e-9, target - floor), 0, 1);
+}
+
+/**
+ * Leaf area the crown carries at its current foliage density:
+ * crown area × CARBON_LEAF_AREA_INDEX × foliageOpacity
+ * @returns {number} m²
+ */
+function getCanopyLeafArea() {
+  return Math.PI * tree.crownRadius * tree.crownRadius * CONFIG.CARBON_LEAF_AREA_INDEX * tree.foliageOpacity;
+}
+
+/**
+ * Leaf area that is there to photosynthesize: the canopy's, as far as the
+ * leaf biomass has been built
+ * @returns {number} m²
+ */
+function getActiveLeafArea() {
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  return Math.min(getCanopyLeafArea(), tree.biomass.leaves * (species.specificLeafArea || 15));
+}
+
+/**
+ * Leaf biomass the canopy needs (dry kg), from the species' specific leaf
+ * area (m² per kg)
+ * @returns {number} Dry kg
+ */
+function getLeafBiomassTarget() {
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  return getCanopyLeafArea() / (species.specificLeafArea || 15);
+}
+
+/**
+ * Add dry biomass that left the tree to the lifetime litter total
+ * @param {number} dryMass - Dry kg shed
+ */
+function addCarbonLitter(dryMass) {
+  if (dryMass > 0) tree.carbon.totals.litter += dryMass * CONFIG.CARBON_FRACTION;
+}
+
+/**
+ * Spend reserve carbon on new tissue, paying CARBON_GROWTH_RESPIRATION on top
+ * @param {number} spend - kg C taken from the reserve
+ * @returns {number} kg C built into tissue
+ */
+function spendOnGrowth(spend) {
+  const c = tree.carbon;
+  c.nsc -= spend;
+  const built = spend / (1 + CONFIG.CARBON_GROWTH_RESPIRATION);
+  const respired = spend - built;
+  c.daily.growthRespiration += respired;
+  c.totals.growthRespiration += respired;
+  return built;
+}
+
+/**
+ * Advance the carbon budget by one substep.
+ *
+ * 1. Leaves fix `photoRate × CARBON_MAX_ASSIMILATION` kg C per m² and day,
+ *    for the leaf area that has biomass behind it, into the reserve.
+ * 2. Maintenance respiration of leaves (per m²), living wood (sapwood and
+ *    branches) and roots (per kg C), at 20 °C times CARBON_Q10 per 10 °C, is
+ *    paid from the reserve. What it cannot pay is tree.carbon.starvation.
+ * 3. Leaves above the canopy's need, dead roots (CARBON_ROOT_TURNOVER) and
+ *    old needles (CARBON_NEEDLE_LIFESPAN) are shed as litter; shed leaves
+ *    become surface fuel.
+ * 4. Missing leaves are built first, down to an empty reserve (spring
+ *    leaf-out runs on last year's reserve).
+ * 5. Wood, roots and fruit grow from the reserve above
+ *    CARBON_NSC_GROWTH_FLOOR of the target, up to CARBON_MAX_GROWTH_RATE of
+ *    the structural carbon per day at growth factor 1. A reserve above
+ *    CARBON_NSC_MAX times the target overflows into growth.
+ *
+ * @param {number} dt - Delta time in days
+ * @param {number} photoRate - Relative photosynthesis rate (0-1)
+ * @param {number} growthFactor - Net growth factor (0 while dormant)
+ * @param {number} fruitShare - Share of growth going to fruit (see updateReproduction)
+ */
+function updateCarbonBudget(dt, photoRate, growthFactor, fruitShare) {
+  const c = tree.carbon;
+  const b = tree.biomass;
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  const sla = species.specificLeafArea || 15;
+  const cf = CONFIG.CARBON_FRACTION;
+  const day = createCarbonFlows();
+  c.daily = day;
+
+  // 1. Gross assimilation
+  const leafArea = getActiveLeafArea();
+  day.gpp = Math.max(0, photoRate) * leafArea * CONFIG.CARBON_MAX_ASSIMILATION;
+  c.nsc += day.gpp * dt;
+
+  // 2. Maintenance respiration
+  const tempFactor = Math.pow(CONFIG.CARBON_Q10, (environment.temperature - 20) / 10);
+  day.maintenanceLeaves = b.leaves * sla * CONFIG.CARBON_MAINT_LEAF * tempFactor;
+  day.maintenanceWood = (b.sapwood + b.branches) * cf * CONFIG.CARBON_MAINT_SAPWOOD * tempFactor;
+  day.maintenanceRoots = b.roots * cf * CONFIG.CARBON_MAINT_ROOT * tempFactor;
+  const demand = (day.maintenanceLeaves + day.maintenanceWood + day.maintenanceRoots) * dt;
+  const paid = Math.min(demand, c.nsc);
+  c.nsc -= paid;
+  c.starvation = demand > 0 ? (demand - paid) / demand : 0;
+  const paidShare = demand > 0 ? paid / demand : 1;
+  day.maintenanceLeaves *= paidShare;
+  day.maintenanceWood *= paidShare;
+  day.maintenanceRoots *= paidShare;
+  day.maintenance = day.maintenanceLeaves + day.maintenanceWood + day.maintenanceRoots;
+
+  // 3. Turnover
+  const leafTarget = getLeafBiomassTarget();
+  let shed = Math.max(0, b.leaves - leafTarget);
+  if (species.evergreen) {
+    shed += (b.leaves - shed) * dt / (CONFIG.CARBON_NEEDLE_LIFESPAN * CONFIG.DAYS_PER_YEAR);
+  }
+  const deadRoots = b.roots * CONFIG.CARBON_ROOT_TURNOVER * dt / CONFIG.DAYS_PER_YEAR;
+  b.leaves -= shed;
+  b.roots -= deadRoots;
+
+  // 4. Leaf construction
+  if (b.leaves < leafTarget && c.nsc > 0) {
+    const need = (leafTarget - b.leaves) * cf * (1 + CONFIG.CARBON_GROWTH_RESPIRATION);
+    const built = spendOnGrowth(Math.min(need, c.nsc));
+    b.leaves += built / cf;
+    day.growth += built;
+  }
+
+  // 5. Wood, root and fruit growth
+  const target = getReserveTarget(b);
+  const available = Math.max(0, c.nsc - CONFIG.CARBON_NSC_GROWTH_FLOOR * target);
+  const growthDemand = CONFIG.CARBON_MAX_GROWTH_RATE * Math.max(0, growthFactor) * getStructuralCarbon(b) * dt;
+  const overflow = Math.max(0, c.nsc - CONFIG.CARBON_NSC_MAX * target);
+  const spend = Math.min(available, Math.max(growthDemand, overflow));
+  if (spend > 0) {
+    const built = spendOnGrowth(spend);
+    const fruit = built * clamp(fruitShare || 0, 0, 1);
+    tree.reproduction.fruitBiomass += fruit / cf;
+    day.fruit += fruit;
+    day.growth += built - fruit;
+    updateBiomass(dt, (built - fruit) / cf);
+  } else {
+    updateBiomass(dt, 0);
+  }
+
+  // Flows per day for the readout; totals for the accounting
+  addCarbonLitter(shed + deadRoots);
+  addSurfaceFuel(shed);
+  day.litter = (shed + deadRoots) * cf / dt;
+  day.growthRespiration /= dt;
+  day.growth /= dt;
+  day.fruit /= dt;
+  ['gpp', 'maintenance', 'maintenanceLeaves', 'maintenanceWood', 'maintenanceRoots'].forEach(key => {
+    c.totals[key] += day[key] * dt;
+  });
+  c.totals.growth += day.growth * dt;
+  c.totals.fruit += day.fruit * dt;
+}
+
+/**
+ * Carbon the tree holds now: biomass, ripening fruit and the reserve
+ * @returns {number} kg C
+ */
+function getTreeCarbon() {
+  return (tree.biomass.total + tree.reproduction.fruitBiomass) * CONFIG.CARBON_FRACTION + tree.carbon.nsc;
+}
+
+if (typeof window !== 'undefined') {
+  window.createCarbonState = createCarbonState;
+  window.getCarbonSupply = getCarbonSupply;
+  window.getReserveTarget = getReserveTarget;
+  window.getActiveLeafArea = getActiveLeafArea;
+  window.addCarbonLitter = addCarbonLitter;
+  window.updateCarbonBudget = updateCarbonBudget;
+  window.getTreeCarbon = getTreeCarbon;
+}
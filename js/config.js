@@ -7,7 +7,7 @@ const CONFIG = {
   // === CANVAS - ULTRA HIGH RESOLUTION ===
   CANVAS_WIDTH: 1920,
   CANVAS_HEIGHT: 1200,
-  CANVAS_DPI: window.devicePixelRatio || 2,
+  CANVAS_DPI: (typeof window !== 'undefined' && window.devicePixelRatio) || 2,
   
   // === HDR & ADVANCED RENDERING ===
   HDR_EXPOSURE: 1.15,
@@ -24,10 +24,16 @@ const CONFIG = {
   MAX_HISTORY: 600,
   PHYSICS_SUBSTEPS: 3,
   TARGET_FPS: 60,
+  SIM_MAX_SUBSTEPS_PER_FRAME: 60,  // substep budget per animation frame
+  SIM_MAX_FRAME_GAP_MS: 1000,      // longer gaps between frames count as a pause
+  SIM_CATCHUP_POLICY: 'catch-up',  // 'catch-up': keep unsimulated time and work it off later; 'drop': discard lag beyond SIM_MAX_LAG_DAYS
+  SIM_MAX_LAG_DAYS: 5,             // lag kept under the 'drop' policy (days)
+  SIM_LAG_REPORT_DAYS: 0.5,        // lag shown in the UI once it exceeds this (days)
+  HEALTH_SAMPLE_SUBSTEPS: 5,       // health history sampled every N substeps
+  BATCH_DT_DAYS: 0.25,             // Monte Carlo step; coarser than the live 1/60 day for speed
   
   // === TREE BIOLOGY - REALISTIC PARAMETERS ===
   TREE_INIT_HEIGHT: 0.25,        // meters (tiny sapling)
-  TREE_INIT_DBH: 0.008,          // 8mm diameter
   TREE_MAX_HEIGHT: 40,           // meters (mature oak)
   TREE_MAX_AGE: 600,             // years
   TREE_MAX_DBH: 2.5,             // meters
@@ -35,8 +41,6 @@ const CONFIG = {
   
   // === GROWTH RATES (realistic annual) ===
   GROWTH_RATE_OPTIMAL: 1.0,
-  HEIGHT_GROWTH_FACTOR: 0.9,
-  DBH_GROWTH_FACTOR: 0.18,
   ROOT_GROWTH_FACTOR: 1.3,
   CROWN_GROWTH_FACTOR: 0.7,
   
@@ -54,7 +58,7 @@ const CONFIG = {
   STRESS_TEMP_EXTREME_COLD: -20,
   STRESS_TEMP_HEAT: 35,
   STRESS_TEMP_EXTREME_HEAT: 45,
-  STRESS_WATER_DROUGHT: 18,
+  STRESS_WATER_DROUGHT: 40,
   STRESS_WATER_FLOOD: 88,
   STRESS_LIGHT_MIN: 12,
   
@@ -80,14 +84,29 @@ const CONFIG = {
   LEAF_WIND_RESPONSE: 0.85,
   LEAF_LIGHT_SCATTER: 0.3,
   LEAF_CLUSTER_COUNT: 12,
+  LEAF_SPRITE_RESOLUTION: 48,        // px along a cached leaf sprite (see LEAF_SHAPES)
+  LEAF_SPRITE_CACHE_SIZE: 64,        // sprites kept before the cache starts over
+  BARK_TILE_WIDTH: 64,               // px, cached bark pattern tile (see BARK_TEXTURES)
+  BARK_TILE_HEIGHT: 128,             // px
   
   // === BRANCH ARCHITECTURE ===
   BRANCH_RECURSION: 6,
   BRANCH_ANGLE_BASE: 0.45,
   BRANCH_ANGLE_VARIANCE: 0.35,
   BRANCH_LENGTH_DECAY: 0.68,
-  BRANCH_THICKNESS_DECAY: 0.65,
   BRANCH_TWIST: 0.15,
+  SHOOT_LATERAL_GROWTH: 1.5,         // m a first-order lateral grows per m of leader growth, in full light
+  SHOOT_NODE_LENGTH: 0.3,            // share of crownRadius a module grows before it sets a node
+  SHOOT_BRANCHING: 0.35,             // yearly chance a lateral's bud breaks, in full light
+  SHOOT_MAX_ORDER: 3,                // highest branching order
+  SHOOT_MAX_COUNT: 300,              // shoot modules; past it apices only lengthen
+  SHOOT_SHADOW_WIDTH: 0.03,          // share of crownRadius shaded just below an apex
+  SHOOT_SHADOW_SPREAD: 0.25,         // m the shadow widens per m further down
+  SHOOT_SHADOW_EXTINCTION: 0.1,      // light lost per shadow an apex is in (exponential)
+  SHOOT_PRUNE_LIGHT: 0.2,            // light below which an apex is shaded
+  SHOOT_PRUNE_YEARS: 3,              // years shaded (or below the crown base) before an apex dies
+  SHOOT_SHED_YEARS: 4,               // years dead wood stays on the tree
+  SHOOT_TIP_THICKNESS: 2,            // pipe of one live apex (branch thickness units), see growShoots()
   
   // === ROOT SYSTEM ===
   ROOT_SEGMENTS: 18,
@@ -95,15 +114,18 @@ const CONFIG = {
   ROOT_SPREAD_RATIO: 1.6,
   ROOT_BRANCHING: 4,
   
-  // === BIOMASS CALCULATION ===
-  BIOMASS_HEIGHT_RATIO: 0.85,
-  BIOMASS_DBH_RATIO: 2.2,
-  BIOMASS_HEALTH_RATIO: 0.55,
-  BIOMASS_WOOD_DENSITY: 650,     // kg/m³
+  // === BIOMASS ALLOMETRY (defaults for species without their own values) ===
+  BIOMASS_WOOD_DENSITY: 650,         // kg/m³
+  BIOMASS_AGB_COEFFICIENT: 0.0673,   // a in AGB = a × (ρ D² H)^b (kg; ρ g/cm³, D cm, H m)
+  BIOMASS_AGB_EXPONENT: 0.976,       // b in the same equation
+  BIOMASS_BRANCH_FRACTION: 0.25,     // share of woody aboveground biomass in branches
+  BIOMASS_ROOT_SHOOT_RATIO: 0.25,    // root biomass per kg of woody aboveground biomass
+  BIOMASS_ROOT_SHOOT_REF_MASS: 1,    // kg woody aboveground biomass from which the species' ratio holds
+  BIOMASS_ROOT_SHOOT_EXPONENT: 0.25, // how steeply smaller trees' root:shoot ratio rises
+  BIOMASS_HD_RATE: 0.04,             // height–diameter curve H = maxHeight × (1 − e^(−rate × D cm))^shape
+  BIOMASS_HD_SHAPE: 1.3,             // (species' hdRate and hdShape override these)
   
   // === CARBON CYCLE ===
-  CO2_ABSORPTION_RATE: 0.018,    // kg per health point per year
-  O2_PRODUCTION_RATE: 0.024,     // kg per health point per year
   WATER_TRANSPIRATION: 0.5,      // liters per day per health
   
   // === PARTICLE SYSTEMS ===
@@ -115,6 +137,8 @@ const CONFIG = {
   PARTICLE_FALLING_LEAVES: 60,
   PARTICLE_BIRDS: 8,
   PARTICLE_INSECTS: 15,
+  PARTICLE_FRUIT: 40,
+  PARTICLE_DIEBACK: 30,
   
   // === ATMOSPHERIC EFFECTS ===
   ATMOSPHERE_SCATTER_R: 0.28,
@@ -151,26 +175,225 @@ const CONFIG = {
   GROUND_TEXTURE_DETAIL: 3,
   SOIL_LAYERS: 4,
 
-  // === DISTURBANCE THRESHOLDS ===
-  FIRE_DROUGHT_THRESHOLD: 0.2,
-  FIRE_HEAT_THRESHOLD: 30,
-  WINDTHROW_WIND_THRESHOLD: 60,
-  WINDTHROW_WIND_RANGE: 40,
+  // === WEATHER ===
+  WEATHER_ENABLED: true,           // daily stochastic weather from WEATHER_TYPES (Markov chain per season)
+  WEATHER_PERSISTENCE: 0.55,       // chance a day keeps yesterday's weather instead of redrawing
+  WEATHER_WET_DAY_SCALE: 0.5,      // wet-day probability per unit of SEASONS.*.rainfall / 100
+  WEATHER_STORM_SHARE: 0.12,       // share of wet days that are storms in warm seasons
+  WEATHER_STORM_MIN_TEMP: 10,      // seasons with ambientTemp below this get no storms (°C)
+  WEATHER_SNOW_MAX_TEMP: 1,        // precipitation falls as snow at or below this temperature (°C)
+  WEATHER_CLOUD_LIGHT_LOSS: 0.4,   // fraction of sunlight removed at full cloud cover
+
+  // === CLIMATE ===
+  CLIMATE_MODE: 'manual',              // 'manual': sliders set temperature/humidity; 'auto': seasonal curves from SEASONS, sliders are offsets
+  CLIMATE_REFERENCE_TEMP: 20,          // temperature slider position meaning "no offset" in auto mode (°C)
+  CLIMATE_REFERENCE_HUMIDITY: 60,      // humidity slider position meaning "no offset" in auto mode (%)
+  CLIMATE_REFERENCE_DAY_LENGTH: 12,    // day length in manual mode (hours)
+  CLIMATE_DIURNAL_TEMP_RANGE: 8,       // warmest (15:00) minus coldest (03:00) temperature of the day (°C)
+  CLIMATE_DIURNAL_HUMIDITY_RANGE: 20,  // humidity swing over the day, lowest in the afternoon (%)
+
+  // === CANOPY LIGHT ===
+  LIGHT_LATITUDE: 45,                  // site latitude (°N), sets the sun's elevation
+  LIGHT_SOLAR_CONSTANT: 1.367,         // sunlight at the top of the atmosphere (kW/m²)
+  LIGHT_CLEAR_SKY_TRANSMISSION: 0.75,  // share of it reaching the ground under a clear sky
+  LIGHT_PAR_PER_MJ: 2.07,              // mol PAR photons per MJ of sunlight (45% PAR at 4.6 mol/MJ)
+  LIGHT_LEAF_ANGLE_G: 0.5,             // leaf area projected toward the sun per m² of leaf (random leaf angles)
+  LIGHT_DIFFUSE_EXTINCTION: 0.7,       // Beer–Lambert extinction coefficient for diffuse skylight
+  LIGHT_CLEAR_DIFFUSE: 0.15,           // diffuse share of the light under a clear sky (all of it at full cloud)
+  LIGHT_LEAF_ABSORPTANCE: 0.85,        // share of the intercepted PAR the leaves absorb
+  LIGHT_SATURATION: 8,                 // absorbed PAR that brings a leaf to 63% of its maximum assimilation (mol/m²/day)
+
+  // === LEAF PHOTOSYNTHESIS (see LEAF_KINETICS below and js/photosynthesis.js) ===
+  PHOTOSYNTHESIS_MODEL: 'simple',      // 'simple': saturating light × water × soil; 'farquhar': leaf biochemistry with CO₂ and stomata
+  FARQUHAR_VCMAX25: 55,                // maximum carboxylation rate at 25 °C for species without their own (µmol/m²/s)
+  FARQUHAR_JMAX_RATIO: 1.67,           // maximum electron transport rate per unit of Vcmax
+  FARQUHAR_QUANTUM_YIELD: 0.3,         // electrons transported per absorbed photon at low light
+  FARQUHAR_CURVATURE: 0.7,             // curvature of the light response of electron transport (0-1)
+  FARQUHAR_OXYGEN: 210,                // O₂ in the leaf (mmol/mol)
+  FARQUHAR_STOMATAL_G1: 4,             // Medlyn stomatal slope for species without their own (kPa^0.5)
+  FARQUHAR_MIN_VPD: 0.05,              // vapor pressure deficit floor for the stomatal model (kPa)
+  FARQUHAR_CANOPY_LAYERS: 5,           // leaf layers the crown is split into
+
+  // === SOIL PROFILE ===
+  SOIL_ROOT_BETA: 0.96,                // root density decay per cm of depth (cumulative fraction 1 - beta^cm)
+  SOIL_PH_OPTIMUM_MIN: 5.5,            // nutrients fully available between these pH values
+  SOIL_PH_OPTIMUM_MAX: 7.5,
+  SOIL_PH_TOLERANCE: 3,                // pH units outside the optimum at which availability reaches zero
+
+  // === PHENOLOGY ===
+  PHENOLOGY_BASE_TEMP: 5,              // growing degree-days count temperature above this (°C)
+  PHENOLOGY_CHILL_MIN_TEMP: 0,         // chilling hours count temperatures above this ...
+  PHENOLOGY_CHILL_MAX_TEMP: 7.2,       // ... and up to this (°C)
+  PHENOLOGY_CHILL_SHORTFALL: 1,        // extra forcing needed without any chilling, as a multiple of the species' budBurstGDD
+  PHENOLOGY_FLOWERING_GDD: 30,         // degree-days after bud burst when flowering starts
+  PHENOLOGY_FLOWERING_SPAN_GDD: 80,    // degree-days flowering lasts
+  PHENOLOGY_FULL_LEAF_GDD: 150,        // degree-days after bud burst to full leaf
+  PHENOLOGY_SENESCENCE_TEMP: 14,       // after midsummer, cooling below this counts towards senescence (°C)
+  PHENOLOGY_SENESCENCE_CDD: 20,        // cold degree-days below the above that start senescence
+  PHENOLOGY_SENESCENCE_DAYS: 30,       // leaf coloring and fall before dormancy, at autumnLeafDrop 0.5 (days)
+  PHENOLOGY_LEAF_FROST_TEMP: -2,       // new leaves are damaged below this (°C)
+  PHENOLOGY_FROST_DAMAGE_RATE: 0.1,    // share of new foliage lost per °C below the above per day (mature leaves: half)
+  PHENOLOGY_FROST_RECOVERY_DAYS: 30,   // time to regrow frost-damaged foliage (days)
+
+  // === REPRODUCTION ===
+  REPRODUCTION_ENABLED: false,         // flowers and seed crops (variables.JSON: config_overrides.enable_reproduction)
+  REPRODUCTION_MIN_HEALTH: 60,         // mature trees below this health skip the year's crop
+  REPRODUCTION_ALLOCATION: 0.3,        // share of growth that goes to fruit while ripening a full (mast) crop
+  REPRODUCTION_MAST_PROBABILITY: 0.5,  // chance of a mast year once the species' mastInterval has passed
+  REPRODUCTION_LIGHT_CROP: 0.15,       // crop size in years between masts, relative to a mast
+
+  // === CARBON BUDGET ===
+  CARBON_FRACTION: 0.5,                // kg C per kg of dry biomass
+  CARBON_MAX_ASSIMILATION: 0.006,      // gross assimilation at photosynthesis rate 1 (kg C per m² of leaf per day)
+  CARBON_LEAF_AREA_INDEX: 3,           // m² of leaves per m² of crown in full leaf
+  CARBON_Q10: 2,                       // maintenance respiration increase per 10 °C
+  CARBON_MAINT_LEAF: 0.001,            // leaf maintenance respiration at 20 °C (kg C per m² of leaf per day)
+  CARBON_MAINT_SAPWOOD: 0.0005,        // maintenance respiration at 20 °C (kg C per kg C per day): sapwood and branches (heartwood respires nothing)
+  CARBON_MAINT_ROOT: 0.002,            // ... roots (fine and coarse)
+  CARBON_GROWTH_RESPIRATION: 0.25,     // construction cost, kg C respired per kg C built into new tissue
+  CARBON_MAX_GROWTH_RATE: 0.01,        // wood, root and fruit growth at growth factor 1 (share of structural carbon per day)
+  CARBON_NSC_TARGET: 0.08,             // reserve the tree fills towards, as a share of its structural carbon
+  CARBON_NSC_GROWTH_FLOOR: 0.5,        // wood and root growth stop below this share of the target; leaves may use it all
+  CARBON_NSC_MAX: 2,                   // reserve above this multiple of the target overflows into growth
+  CARBON_ROOT_TURNOVER: 0.1,           // share of root biomass that dies per year
+  CARBON_NEEDLE_LIFESPAN: 3,           // evergreen foliage is renewed over this many years
+  CARBON_STARVATION_DAMAGE: 20,        // health lost per day while no maintenance respiration can be paid
+
+  // === GROWTH RINGS ===
+  RINGS_EARLYWOOD_DAYS: 45,            // wood of the first days of a ring's growth is earlywood
+  RINGS_EARLYWOOD_DENSITY: 0.8,        // earlywood density as a multiple of the species' woodDensity
+  RINGS_LATEWOOD_DENSITY: 1.4,         // latewood density, same
+  RINGS_DROUGHT_WATER: 40,             // root-zone water (%) below which a growing-season day counts as dry (water stress starts here)
+  RINGS_DROUGHT_DAYS: 20,              // dry days that make a drought year
+
+  // === PATHOGENS (see PATHOGENS below) ===
+  PATHOGEN_EXPOSURE_RATE: 0.02,        // chance per day that inoculum reaches the tree while Disease is on
+  PATHOGEN_MOISTURE_RANGE: 25,         // moisture (%) above a pathogen's minMoisture at which it thrives
+  PATHOGEN_WOUND_EXPOSURE: 4,          // extra exposure at full wounding, times the pathogen's woundEntry
+  PATHOGEN_INOCULUM_DECAY: 0.05,       // establishment lost per incubation period by inoculum that finds no foothold
+  PATHOGEN_INITIAL_INFECTION: 0.01,    // infected share of the tissue when an infection establishes
+  PATHOGEN_SPREAD_INFECTION: 0.05,     // infected share from which the pathogen is spreading through the tissue
+  PATHOGEN_DECLINE_INFECTION: 0.4,     // infected share from which the tree is in decline
+  PATHOGEN_CLEARED_INFECTION: 0.002,   // below this the tree has walled the infection off
+  PATHOGEN_TREND_DAYS: 30,             // an infection that has shrunk over about this long is receding
+  PATHOGEN_DEFENSE_RATE: 0.05,         // share of the infection a healthy, vigorous tree of resistance 1 walls off per day
+  PATHOGEN_STRESS: 0.3,                // stress at full infection by a pathogen of virulence 1
+  PATHOGEN_RESISTANT_DAYS: 365,        // a tree that has cleared an infection is not re-infected for this long
+  PATHOGEN_STORM_WOUND_WIND: 50,       // storm wind (%) above which twigs break and bark is wounded
+  PATHOGEN_STORM_WOUND_RATE: 0.2,      // wounded share of the tree added per day at full storm wind
+  PATHOGEN_WOUND_HEAL_DAYS: 60,        // wounds close over this time
+  PATHOGEN_DIEBACK_DAYS: 14,           // the crown dies back behind the infection with this lag
+  PATHOGEN_DIEBACK_REGROWTH_DAYS: 180, // dead crown regrows over this time once the infection recedes
+
+  // === INSECT PESTS (see PESTS below; densities relative to outbreak level) ===
+  INSECT_IMMIGRATION: 0.01,            // density arriving per generation while Pests is on
+  INSECT_DISPERSAL_DAYS: 30,           // with Pests off the resident insects leave over this time
+  INSECT_MAX_DENSITY: 5,               // cap on a population's density
+  INSECT_OUTBREAK_DENSITY: 1,          // density from which a population is in outbreak (until it falls below half)
+  INSECT_PREDATION: 0.9,               // share of a sparse population eaten by birds and small mammals
+  INSECT_PREDATION_HALF_DENSITY: 0.1,  // density at which predators are saturated to half that share
+  INSECT_ENEMY_EFFECT: 1.5,            // survival lost per unit of parasitoid and virus density (exponential)
+  INSECT_ENEMY_RESPONSE: 0.4,          // share of the gap to the pest density its enemies close per generation
+  INSECT_WEATHER_NOISE: 0.4,           // spread (log) of a generation's survival from year-to-year weather
+  INSECT_ACTIVITY_RANGE: 10,           // degrees above a pest's baseTemp at which it is fully active
+  INSECT_COLD_KILL_RATE: 0.2,          // share of the overwintering stage killed per day and °C below its coldLimit
+  INSECT_MASS_ATTACK_DENSITY: 1,       // bark beetle density at which a mass attack leaves the tree 1/e of its defense
+  INSECT_REFOLIATION_DAYS: 45,         // a defoliated broadleaf regrows its leaves over this time
+  INSECT_NEEDLE_REGROWTH_DAYS: 365,    // a defoliated conifer regrows its needles over this time
+  INSECT_PHLOEM_HEAL_DAYS: 365,        // phloem killed by borers is walled off and regrown over this time
+  INSECT_DEFOLIATION_STRESS: 0.15,     // stress of a fully defoliated crown
+  INSECT_GIRDLING_STRESS: 0.5,         // stress of a fully girdled stem
+  INSECT_AMBIENT_ACTIVITY: 0.3,        // share of PARTICLE_INSECTS drawn for harmless insects at the season's insectActivity
+
+  // === DISTURBANCE DAMAGE (fire, wind, lightning; see js/disturbance.js) ===
+  DISTURBANCE_SCORCH_BRANCH_KILL: 0.5, // share of the scorched crown whose branches die (the rest refoliates from buds)
+  DISTURBANCE_STORM_CROWN_LOSS: 0.4,   // crown share that breaks off when the branches' wind load is at their strength
+  DISTURBANCE_LIGHTNING_RATE: 0.002,   // strikes per storm day on a tree DISTURBANCE_LIGHTNING_HEIGHT tall
+  DISTURBANCE_LIGHTNING_HEIGHT: 30,    // trees this tall (m) or taller draw the most strikes
+  DISTURBANCE_LIGHTNING_LETHAL: 0.9,   // strikes above this intensity kill the stem
+  DISTURBANCE_LIGHTNING_CROWN_LOSS: 0.2, // crown share a strike of intensity 1 blasts off the top
+  DISTURBANCE_LIGHTNING_STRIP: 0.15,   // stem circumference a strike of intensity 1 strips of bark
+  DISTURBANCE_LETHAL_CROWN_LOSS: 0.9,  // a crown with this share lost or scorched is dead
+  DISTURBANCE_LETHAL_BARK_DAMAGE: 0.9, // a stem with this share of its circumference killed is girdled
+  DISTURBANCE_SCORCH_REGROWTH_DAYS: 60, // scorched foliage refoliates from surviving buds over this time
+  DISTURBANCE_CROWN_REGROWTH_DAYS: 730, // lost crown regrows over this time (faster with sprouting)
+  DISTURBANCE_BARK_HEAL_DAYS: 1095,    // callus closes over dead bark in this time (the scar remains)
+  DISTURBANCE_SPROUT_DAYS: 730,        // epicormic and basal sprouts thin out over this time
+  DISTURBANCE_RESPROUT_HEIGHT: 1,      // height (m) of the sprouts a top-killed tree regrows from its roots
+  DISTURBANCE_BARK_STRESS: 0.5,        // stress of a fully girdled stem
+  DISTURBANCE_MAX_SCARS: 12,           // wounds kept on the stem (older ones have grown over)
+  DISTURBANCE_LOG_LENGTH: 20,          // events kept in tree.disturbance.events
+
+  // === FIRE (surface fuel, fuel moisture, fire weather, ignition; see js/fire.js) ===
+  FIRE_INITIAL_FUEL: 1,                // surface fuel (kg/m²) at the start
+  FIRE_FUEL_INPUT: 0.4,                // litter (kg/m² a year) the surrounding vegetation drops around the tree
+  FIRE_FUEL_DECAY: 0.3,                // share of the surface fuel decomposed a year at 15 °C on moist ground
+  FIRE_MIN_FUEL: 0.1,                  // below this load (kg/m²) a fire does not carry
+  FIRE_FUEL_SATURATION: 35,            // moisture (%) of fuel soaked by rain or under snow
+  FIRE_FUEL_TIMELAG_DAYS: 1,           // fuel moisture closes 63% of the gap to the air's equilibrium in this time
+  FIRE_FUEL_WETTING_DAYS: 0.25,        // rain soaks the fuel in this time
+  FIRE_WETTING_RAIN: 5,                // rain (mm/day) that soaks the fuel to FIRE_FUEL_SATURATION
+  FIRE_MOISTURE_OF_EXTINCTION: 30,     // fuel this wet (%) does not burn
+  FIRE_WIND_KMH: 0.5,                  // wind at flame height (km/h) per % of wind speed
+  FIRE_IGNITION_RATE: 0.0005,          // fires people start per day at fire weather index 100
+  FIRE_LIGHTNING_IGNITION_RATE: 0.05,  // ground strikes per storm day that ignite bone-dry fuel
+  FIRE_HEAT_CONTENT: 18000,            // heat of combustion of the fuel (kJ/kg)
+  FIRE_CONSUMPTION: 0.8,               // share of bone-dry fuel a fire consumes
+  FIRE_SPREAD_RATE: 0.005,             // spread (m/s) through bone-dry fuel in calm air
+  FIRE_WIND_SPREAD: 0.06,              // spread rate grows by exp(this × wind in km/h)
+  FIRE_RESIDENCE_MINUTES: 3,           // minutes flames stay at the stem base per kg/m² consumed
+  FIRE_BURN_DAYS: 1,                   // a fire burns on the ground (and the canvas) this long
+  FIRE_LOG_LENGTH: 20,                 // fires kept in environment.fire.history
+
+  // === WIND LOADING (drag, stem strength, anchorage; see js/wind.js) ===
+  WIND_SPEED_SCALE: 0.2,               // mean wind (m/s) per % of wind speed
+  WIND_REFERENCE_HEIGHT: 10,           // height (m) the wind speed is measured at
+  WIND_ROUGHNESS: 0.1,                 // surface roughness length (m) of the wind profile
+  WIND_GUST_FACTOR: 1.7,               // peak gust / mean wind
+  WIND_STORM_GUST_FACTOR: 2,           // peak gust / mean wind in a storm
+  WIND_AIR_DENSITY: 1.226,             // kg/m³
+  WIND_CROWN_DRAG: 0.3,                // drag coefficient of a crown in full leaf (streamlined by the wind)
+  WIND_LEAFLESS_DRAG: 0.35,            // share of that drag a bare crown keeps
+  WIND_RECONFIGURATION_SPEED: 10,      // gust (m/s) above which the crown streamlines further ...
+  WIND_VOGEL_EXPONENT: -1.0,           // ... so its drag grows as speed^(2 + this) instead of speed²
+  WIND_MOR_PER_DENSITY: 80000,         // modulus of rupture of green wood (Pa) per kg/m³ of woodDensity
+  WIND_MOE_PER_DENSITY: 1.4e7,         // modulus of elasticity of green wood (Pa) per kg/m³ of woodDensity
+  WIND_GREEN_WOOD_FACTOR: 1.6,         // green wood mass / dry woodDensity (for the sway frequency)
+  WIND_ANCHORAGE_PER_MASS: 300,        // critical turning moment of the root plate (N·m) per kg of dry trunk
+  WIND_WET_ANCHORAGE_LOSS: 0.5,        // anchorage lost in saturated soil
+  WIND_BRANCH_BREAK_GUST: 25,          // gust (m/s) at the crown that breaks branches of a crown in full leaf
+  WIND_FAILURE_ONSET: 0.7,             // share of the strength from which defects give way
+  WIND_FAILURE_RATE: 0.5,              // failures per day at full strength
+
+  // === SOIL WATER BALANCE ===
+  SOIL_RAIN_MM: 16,                    // rain (mm/day) at precipitation intensity 1 with the water slider at SOIL_WATER_REFERENCE
+  SOIL_WATER_REFERENCE: 60,            // water slider value that gives the climate's normal rainfall
+  SOIL_PET_SCALE: 8,                   // potential evapotranspiration (mm/day) per unit of calculateEvapotranspiration()
+  SOIL_EVAPORATION_DEPTH: 0.1,         // bare-soil evaporation draws from this top layer (m)
+  SOIL_TRANSPIRATION_COEFF: 1.0,       // transpiration per m² of leaf area as a multiple of PET
+  SOIL_ROOT_ZONE_RADIUS: 2,            // radius of the soil the tree draws water from, in crown radii
+  SOIL_CAPILLARY_RATE: 0.1,            // share per day of the available-water difference to a drier horizon above that rises into it
+  SOIL_SNOWMELT_RATE: 3,               // snowmelt (mm/day) per °C above freezing
+  SOIL_TOPSOIL_DEPTH: 0.3,             // depth reported as environment.water (m)
+  SOIL_STEP_DAYS: 0.25,                // water balance step (days); the weather of shorter substeps is summed over it
 };
 
 // ============================================================
 // HDR GLOBAL (renderer reads HDR.* at script parse time)
 // ============================================================
 
-window.HDR = window.HDR || {
-  exposure: CONFIG.HDR_EXPOSURE,
-  gamma: CONFIG.HDR_GAMMA,
-  saturation: CONFIG.HDR_SATURATION,
-  contrast: 1.0,
-  bloomEnabled: true,
-  bloomIntensity: CONFIG.HDR_BLOOM_INTENSITY,
-  bloomRadius: CONFIG.HDR_BLOOM_RADIUS
-};
+// Skipped when running headless (Node/Worker), where no renderer exists.
+if (typeof window !== 'undefined') {
+  window.HDR = window.HDR || {
+    exposure: CONFIG.HDR_EXPOSURE,
+    gamma: CONFIG.HDR_GAMMA,
+    saturation: CONFIG.HDR_SATURATION,
+    contrast: 1.0,
+    bloomEnabled: true,
+    bloomIntensity: CONFIG.HDR_BLOOM_INTENSITY,
+    bloomRadius: CONFIG.HDR_BLOOM_RADIUS
+  };
+}
 
 // ============================================================
 // ENHANCED SEASON DEFINITIONS
@@ -290,13 +513,32 @@ const TREE_SPECIES = {
     barkTexture: 'deeply_furrowed',
     barkColor: '#4a3728',
     woodDensity: 720,
+    agbCoefficient: 0.0620,
+    agbExponent: 0.976,
+    branchFraction: 0.3,
+    rootShootRatio: 0.28,
+    hdRate: 0.024,
     autumnColors: ['#d4a017', '#c85a17', '#8b4513', '#a0522d'],
     crownShape: 'rounded',
     droughtTolerance: 0.7,
     frostTolerance: 0.8,
     fireResistance: 0.6,
+    barkThickness: 0.045,
     windthrowResistance: 0.7,
-    springLeafOut: 0.3,
+    resprouting: 0.7,
+    diseaseResistance: 0.3,
+    pathogens: ['OAK_WILT', 'ROOT_ROT'],
+    insectResistance: 0.8,
+    pests: ['SPONGY_MOTH', 'TWOLINED_CHESTNUT_BORER'],
+    chillHours: 1000,
+    budBurstGDD: 140,
+    reproductionAge: 40,
+    mastInterval: 4,
+    seedMass: 3.5,
+    fruitColor: '#7a5a24',
+    specificLeafArea: 15,
+    vcmax25: 60,
+    stomatalG1: 4.0,
     autumnLeafDrop: 0.5
   },
   MAPLE: {
@@ -310,13 +552,32 @@ const TREE_SPECIES = {
     barkTexture: 'plated',
     barkColor: '#5c4033',
     woodDensity: 680,
+    agbCoefficient: 0.0580,
+    agbExponent: 0.976,
+    branchFraction: 0.25,
+    rootShootRatio: 0.25,
+    hdRate: 0.028,
     autumnColors: ['#ff4500', '#dc143c', '#ff6347', '#ffd700'],
     crownShape: 'oval',
     droughtTolerance: 0.5,
     frostTolerance: 0.9,
     fireResistance: 0.4,
+    barkThickness: 0.027,
     windthrowResistance: 0.6,
-    springLeafOut: 0.25,
+    resprouting: 0.6,
+    diseaseResistance: 0.35,
+    pathogens: ['VERTICILLIUM_WILT', 'ROOT_ROT'],
+    insectResistance: 0.8,
+    pests: ['FOREST_TENT_CATERPILLAR'],
+    chillHours: 1200,
+    budBurstGDD: 110,
+    reproductionAge: 30,
+    mastInterval: 3,
+    seedMass: 0.07,
+    fruitColor: '#b5a24a',
+    specificLeafArea: 20,
+    vcmax25: 50,
+    stomatalG1: 4.5,
     autumnLeafDrop: 0.4
   },
   PINE: {
@@ -330,14 +591,33 @@ const TREE_SPECIES = {
     barkTexture: 'scaly',
     barkColor: '#b8733e',
     woodDensity: 510,
+    agbCoefficient: 0.0460,
+    agbExponent: 0.98,
+    branchFraction: 0.15,
+    rootShootRatio: 0.24,
+    hdRate: 0.021,
     autumnColors: ['#228b22'],
     crownShape: 'conical',
     droughtTolerance: 0.8,
     frostTolerance: 0.95,
     evergreen: true,
     fireResistance: 0.3,
+    barkThickness: 0.063,
     windthrowResistance: 0.5,
-    springLeafOut: 0.1,
+    resprouting: 0,
+    diseaseResistance: 0.35,
+    pathogens: ['NEEDLE_BLIGHT', 'ROOT_ROT'],
+    insectResistance: 0.85,
+    pests: ['PINE_SAWFLY', 'MOUNTAIN_PINE_BEETLE'],
+    chillHours: 600,
+    budBurstGDD: 160,
+    reproductionAge: 15,
+    mastInterval: 3,
+    seedMass: 0.008,
+    fruitColor: '#6b4a2b',
+    specificLeafArea: 5,
+    vcmax25: 45,
+    stomatalG1: 2.3,
     autumnLeafDrop: 0.9
   },
   BIRCH: {
@@ -351,13 +631,32 @@ const TREE_SPECIES = {
     barkTexture: 'papery',
     barkColor: '#f5f5f5',
     woodDensity: 640,
+    agbCoefficient: 0.0550,
+    agbExponent: 0.976,
+    branchFraction: 0.2,
+    rootShootRatio: 0.22,
+    hdRate: 0.034,
     autumnColors: ['#ffd700', '#ffcc00', '#daa520'],
     crownShape: 'weeping',
     droughtTolerance: 0.4,
     frostTolerance: 0.95,
     fireResistance: 0.2,
+    barkThickness: 0.027,
     windthrowResistance: 0.4,
-    springLeafOut: 0.2,
+    resprouting: 0.5,
+    diseaseResistance: 0.25,
+    pathogens: ['LEAF_RUST', 'ROOT_ROT'],
+    insectResistance: 0.7,
+    pests: ['AUTUMNAL_MOTH', 'BRONZE_BIRCH_BORER'],
+    chillHours: 800,
+    budBurstGDD: 60,
+    reproductionAge: 15,
+    mastInterval: 2,
+    seedMass: 0.0003,
+    fruitColor: '#8c7a4f',
+    specificLeafArea: 18,
+    vcmax25: 65,
+    stomatalG1: 4.7,
     autumnLeafDrop: 0.35
   },
   WILLOW: {
@@ -371,13 +670,32 @@ const TREE_SPECIES = {
     barkTexture: 'ridged',
     barkColor: '#6b5b4a',
     woodDensity: 450,
+    agbCoefficient: 0.0600,
+    agbExponent: 0.97,
+    branchFraction: 0.3,
+    rootShootRatio: 0.3,
+    hdRate: 0.044,
     autumnColors: ['#d4c85a', '#c8b84a', '#b8a040'],
     crownShape: 'weeping',
     droughtTolerance: 0.3,
     frostTolerance: 0.6,
     fireResistance: 0.2,
+    barkThickness: 0.041,
     windthrowResistance: 0.5,
-    springLeafOut: 0.15,
+    resprouting: 0.9,
+    diseaseResistance: 0.2,
+    pathogens: ['WATERMARK', 'LEAF_RUST'],
+    insectResistance: 0.7,
+    pests: ['SPONGY_MOTH'],
+    chillHours: 400,
+    budBurstGDD: 50,
+    reproductionAge: 10,
+    mastInterval: 1,
+    seedMass: 0.0001,
+    fruitColor: '#efe9d2',
+    specificLeafArea: 16,
+    vcmax25: 70,
+    stomatalG1: 5.0,
     autumnLeafDrop: 0.55
   },
   REDWOOD: {
@@ -391,18 +709,92 @@ const TREE_SPECIES = {
     barkTexture: 'deeply_furrowed',
     barkColor: '#8b3a2a',
     woodDensity: 450,
+    agbCoefficient: 0.0420,
+    agbExponent: 0.985,
+    branchFraction: 0.1,
+    rootShootRatio: 0.2,
+    hdRate: 0.011,
     autumnColors: ['#2d5a27'],
     crownShape: 'conical',
     droughtTolerance: 0.6,
     frostTolerance: 0.7,
     evergreen: true,
     fireResistance: 0.9,
+    barkThickness: 0.081,
     windthrowResistance: 0.8,
-    springLeafOut: 0.1,
+    resprouting: 0.9,
+    diseaseResistance: 0.7,
+    pathogens: ['ROOT_ROT'],
+    insectResistance: 0.95,
+    pests: [],
+    chillHours: 300,
+    budBurstGDD: 120,
+    reproductionAge: 20,
+    mastInterval: 2,
+    seedMass: 0.005,
+    fruitColor: '#7b5236',
+    specificLeafArea: 6,
+    vcmax25: 40,
+    stomatalG1: 2.5,
     autumnLeafDrop: 0.95
   }
 };
 
+// ============================================================
+// CROWN ARCHITECTURE
+// ============================================================
+
+/**
+ * Crown forms, by TREE_SPECIES.*.crownShape. depth scales the crown's
+ * depth (0.5 × height; its radius is 0.4 × height for all forms) and profile
+ * is the envelope's outline from the crown base to the top ('ellipsoid',
+ * 'cone', or 'dome': widest at the base with a rounded top). In the branch
+ * generator apicalDominance is the share of the crown depth the leader
+ * grows through before it forks, whorled sets laterals in opposite pairs
+ * instead of alternating, branchAngle (rad) is the laterals' angle from
+ * their axis and droop (0-1) how far their tips bend down.
+ */
+const CROWN_SHAPES = {
+  rounded: { name: 'Rounded', depth: 1, profile: 'ellipsoid', apicalDominance: 0.25, whorled: false, branchAngle: 0.75, droop: 0 },
+  oval: { name: 'Oval', depth: 1.3, profile: 'ellipsoid', apicalDominance: 0.5, whorled: false, branchAngle: 0.45, droop: 0 },
+  conical: { name: 'Conical', depth: 1.5, profile: 'cone', apicalDominance: 1, whorled: true, branchAngle: 1.25, droop: 0.15 },
+  weeping: { name: 'Weeping', depth: 1.4, profile: 'dome', apicalDominance: 0.35, whorled: false, branchAngle: 0.8, droop: 0.8 }
+};
+
+// ============================================================
+// LEAF SPRITES & BARK PATTERNS
+// ============================================================
+
+/**
+ * Leaf sprites, by TREE_SPECIES.*.leafShape. length and width are the drawn
+ * leaf's size in multiples of a leaf particle's size (px). lobes is the number
+ * of lobes on each side (lobed), of the blade's lobes (palmate) or of needles
+ * in a bundle; serration is how deeply the margin is toothed (0-1).
+ */
+const LEAF_SHAPES = {
+  lobed: { name: 'Lobed', length: 6, width: 3.6, lobes: 4, serration: 0 },
+  palmate: { name: 'Palmate', length: 5.5, width: 5.5, lobes: 5, serration: 0.4 },
+  needle: { name: 'Needle bundle', length: 12, width: 2.4, lobes: 2, serration: 0 },
+  triangular: { name: 'Triangular', length: 5, width: 3.6, lobes: 0, serration: 0.5 },
+  lanceolate: { name: 'Lanceolate', length: 8, width: 1.6, lobes: 0, serration: 0.2 }
+};
+
+/**
+ * Bark patterns, by TREE_SPECIES.*.barkTexture, drawn in light and shade over
+ * the species' barkColor: 'furrows' (vertical fissures between ridges),
+ * 'plates' (blocks split by cracks), 'scales' (flaking scales), 'papery'
+ * (smooth bark with horizontal lenticels and peeling strips) or 'diamonds'
+ * (interlacing ridges). count is the features per tile across its width,
+ * depth how dark the fissures are (0-1).
+ */
+const BARK_TEXTURES = {
+  deeply_furrowed: { name: 'Deeply furrowed', pattern: 'furrows', count: 4, depth: 0.6 },
+  plated: { name: 'Plated', pattern: 'plates', count: 3, depth: 0.45 },
+  scaly: { name: 'Scaly', pattern: 'scales', count: 3, depth: 0.5 },
+  papery: { name: 'Papery', pattern: 'papery', count: 9, depth: 0.7 },
+  ridged: { name: 'Ridged', pattern: 'diamonds', count: 3, depth: 0.45 }
+};
+
 // ============================================================
 // WEATHER PATTERNS
 // ============================================================
@@ -417,5 +809,167 @@ const WEATHER_TYPES = {
   FOG: { name: 'Fog', cloudCover: 0.3, precipitation: 0.05, windMult: 0.3 }
 };
 
+// ============================================================
+// INSECT PESTS
+// ============================================================
+
+/**
+ * Insect pests, one generation per maxGenerations a year. guild is
+ * 'defoliator' (larvae eat the leaves, at most maxDefoliation of the crown)
+ * or 'barkBeetle' (adults bore into the bark and kill the phloem). The life
+ * cycle runs on degree-days above baseTemp (°C) from the start of the year:
+ * each generation is active (larvae feeding, beetles flying) from hatchGDD
+ * for activeGDD and completes after generationGDD. growthRate is the
+ * offspring per insect in ideal conditions; feedingRate and attackRate the
+ * crown eaten or phloem killed per day at outbreak density. The overwintering
+ * stage dies below coldLimit (°C). Species list theirs in
+ * TREE_SPECIES.*.pests.
+ */
+const PESTS = {
+  SPONGY_MOTH: {
+    name: 'Spongy moth', agent: 'Lymantria dispar', guild: 'defoliator',
+    baseTemp: 5, hatchGDD: 200, activeGDD: 450, generationGDD: 900, maxGenerations: 1,
+    growthRate: 4, feedingRate: 0.035, maxDefoliation: 1, coldLimit: -25
+  },
+  FOREST_TENT_CATERPILLAR: {
+    name: 'Forest tent caterpillar', agent: 'Malacosoma disstria', guild: 'defoliator',
+    baseTemp: 5, hatchGDD: 150, activeGDD: 400, generationGDD: 800, maxGenerations: 1,
+    growthRate: 4, feedingRate: 0.035, maxDefoliation: 1, coldLimit: -40
+  },
+  AUTUMNAL_MOTH: {
+    name: 'Autumnal moth', agent: 'Epirrita autumnata', guild: 'defoliator',
+    baseTemp: 5, hatchGDD: 100, activeGDD: 350, generationGDD: 700, maxGenerations: 1,
+    growthRate: 4, feedingRate: 0.035, maxDefoliation: 1, coldLimit: -36
+  },
+  PINE_SAWFLY: {
+    name: 'European pine sawfly', agent: 'Neodiprion sertifer', guild: 'defoliator',
+    baseTemp: 5, hatchGDD: 150, activeGDD: 300, generationGDD: 800, maxGenerations: 1,
+    growthRate: 3.5, feedingRate: 0.025, maxDefoliation: 0.6, coldLimit: -36
+  },
+  MOUNTAIN_PINE_BEETLE: {
+    name: 'Mountain pine beetle', agent: 'Dendroctonus ponderosae', guild: 'barkBeetle',
+    baseTemp: 5.5, hatchGDD: 600, activeGDD: 200, generationGDD: 850, maxGenerations: 2,
+    growthRate: 6, attackRate: 0.03, coldLimit: -35
+  },
+  TWOLINED_CHESTNUT_BORER: {
+    name: 'Twolined chestnut borer', agent: 'Agrilus bilineatus', guild: 'barkBeetle',
+    baseTemp: 10, hatchGDD: 500, activeGDD: 250, generationGDD: 1400, maxGenerations: 1,
+    growthRate: 5, attackRate: 0.02, coldLimit: -30
+  },
+  BRONZE_BIRCH_BORER: {
+    name: 'Bronze birch borer', agent: 'Agrilus anxius', guild: 'barkBeetle',
+    baseTemp: 10, hatchGDD: 450, activeGDD: 250, generationGDD: 1300, maxGenerations: 1,
+    growthRate: 5, attackRate: 0.02, coldLimit: -35
+  }
+};
+
+// ============================================================
+// PATHOGENS
+// ============================================================
+
+/**
+ * Tree pathogens. tissue is what the pathogen colonizes: 'vascular' wilts
+ * block the xylem, 'roots' rots kill the roots, 'foliage' blights and rusts
+ * kill the leaves. Infection develops between minTemp and maxTemp (fastest
+ * at optTemp, °C) while air humidity, or topsoil water for moisture 'soil',
+ * is above minMoisture (%, see PATHOGEN_MOISTURE_RANGE). woundEntry (0-1) is
+ * how much fresh wounds raise exposure and establishment; incubationDays the
+ * time to establish in ideal conditions; spreadRate the growth of the
+ * infected share per day. virulence scales the stress of an infection; waterLoss, dieback and
+ * anchorageLoss are the share of water transport, crown and root anchorage
+ * lost at full infection. Species list theirs in TREE_SPECIES.*.pathogens.
+ */
+const PATHOGENS = {
+  OAK_WILT: {
+    name: 'Oak wilt', agent: 'Bretziella fagacearum', tissue: 'vascular', moisture: 'air',
+    minTemp: 8, optTemp: 24, maxTemp: 33, minMoisture: 40, woundEntry: 1,
+    incubationDays: 20, spreadRate: 0.08, virulence: 1, waterLoss: 0.9, dieback: 1, anchorageLoss: 0
+  },
+  VERTICILLIUM_WILT: {
+    name: 'Verticillium wilt', agent: 'Verticillium dahliae', tissue: 'vascular', moisture: 'soil',
+    minTemp: 10, optTemp: 24, maxTemp: 32, minMoisture: 30, woundEntry: 0.4,
+    incubationDays: 30, spreadRate: 0.05, virulence: 0.7, waterLoss: 0.7, dieback: 0.8, anchorageLoss: 0
+  },
+  WATERMARK: {
+    name: 'Watermark disease', agent: 'Brenneria salicis', tissue: 'vascular', moisture: 'air',
+    minTemp: 10, optTemp: 25, maxTemp: 35, minMoisture: 40, woundEntry: 0.6,
+    incubationDays: 25, spreadRate: 0.06, virulence: 0.8, waterLoss: 0.8, dieback: 0.9, anchorageLoss: 0
+  },
+  ROOT_ROT: {
+    name: 'Armillaria root rot', agent: 'Armillaria mellea', tissue: 'roots', moisture: 'soil',
+    minTemp: 5, optTemp: 20, maxTemp: 28, minMoisture: 45, woundEntry: 0.2,
+    incubationDays: 60, spreadRate: 0.03, virulence: 0.6, waterLoss: 0.5, dieback: 0.6, anchorageLoss: 1
+  },
+  NEEDLE_BLIGHT: {
+    name: 'Dothistroma needle blight', agent: 'Dothistroma septosporum', tissue: 'foliage', moisture: 'air',
+    minTemp: 5, optTemp: 18, maxTemp: 28, minMoisture: 40, woundEntry: 0,
+    incubationDays: 25, spreadRate: 0.05, virulence: 0.3, waterLoss: 0, dieback: 0.8, anchorageLoss: 0
+  },
+  LEAF_RUST: {
+    name: 'Leaf rust', agent: 'Melampsoridium betulinum', tissue: 'foliage', moisture: 'air',
+    minTemp: 8, optTemp: 20, maxTemp: 30, minMoisture: 40, woundEntry: 0,
+    incubationDays: 12, spreadRate: 0.06, virulence: 0.25, waterLoss: 0, dieback: 0.7, anchorageLoss: 0
+  }
+};
+
+// ============================================================
+// SOIL
+// ============================================================
+
+/**
+ * Soil textures: volumetric water content (m³/m³) at saturation, field
+ * capacity and wilting point, infiltration capacity (mm/day), the share of
+ * water above field capacity that drains per day, and the display color
+ * (HSL) of the horizon
+ */
+const SOIL_TEXTURES = {
+  organic: { name: 'Organic', saturation: 0.80, fieldCapacity: 0.50, wiltingPoint: 0.20, infiltration: 300, drainage: 2.0, color: [25, 45, 14] },
+  sand: { name: 'Sand', saturation: 0.38, fieldCapacity: 0.10, wiltingPoint: 0.05, infiltration: 500, drainage: 3.0, color: [40, 45, 55] },
+  sandy_loam: { name: 'Sandy loam', saturation: 0.41, fieldCapacity: 0.18, wiltingPoint: 0.08, infiltration: 250, drainage: 2.0, color: [35, 40, 42] },
+  loam: { name: 'Loam', saturation: 0.45, fieldCapacity: 0.27, wiltingPoint: 0.12, infiltration: 120, drainage: 1.2, color: [28, 40, 28] },
+  silt_loam: { name: 'Silt loam', saturation: 0.48, fieldCapacity: 0.33, wiltingPoint: 0.13, infiltration: 60, drainage: 0.8, color: [30, 30, 34] },
+  clay_loam: { name: 'Clay loam', saturation: 0.50, fieldCapacity: 0.36, wiltingPoint: 0.20, infiltration: 40, drainage: 0.6, color: [20, 45, 32] },
+  clay: { name: 'Clay', saturation: 0.52, fieldCapacity: 0.42, wiltingPoint: 0.27, infiltration: 20, drainage: 0.4, color: [15, 45, 36] }
+};
+
+/** Plant-available nutrient levels (mg/kg) at which a horizon fully supplies the tree */
+const SOIL_NUTRIENT_OPTIMA = {
+  nitrogen: 20,
+  phosphorus: 15,
+  potassium: 120
+};
+
+/**
+ * Default soil profile, top to bottom. Depths in meters; nitrogen/phosphorus/
+ * potassium in mg/kg; organicMatter in %; moisture is volumetric water
+ * content (null = start at the site water level). Override per horizon via
+ * the `soil_profile` section of variables.JSON.
+ */
+const SOIL_PROFILE = [
+  { name: 'O', top: 0, bottom: 0.05, texture: 'organic', moisture: null, nitrogen: 40, phosphorus: 25, potassium: 180, pH: 5.6, organicMatter: 45 },
+  { name: 'A', top: 0.05, bottom: 0.3, texture: 'loam', moisture: null, nitrogen: 22, phosphorus: 16, potassium: 140, pH: 6.2, organicMatter: 4 },
+  { name: 'B', top: 0.3, bottom: 1.0, texture: 'clay_loam', moisture: null, nitrogen: 12, phosphorus: 10, potassium: 110, pH: 6.6, organicMatter: 1 },
+  { name: 'C', top: 1.0, bottom: 2.0, texture: 'sandy_loam', moisture: null, nitrogen: 2, phosphorus: 4, potassium: 80, pH: 7.2, organicMatter: 0.2 }
+];
+
+// ============================================================
+// LEAF PHOTOSYNTHESIS
+// ============================================================
+
+/**
+ * Rubisco kinetics and their temperature responses for the Farquhar leaf
+ * model (Bernacchi et al. 2001): values at 25 °C (kc, gammaStar in µmol/mol,
+ * ko in mmol/mol), activation energies (J/mol) and, for the leaf's
+ * capacities, the deactivation energy (J/mol) and entropy term (J/mol/K) of
+ * the decline above the optimum
+ */
+const LEAF_KINETICS = {
+  kc: { at25: 404.9, activation: 79430 },
+  ko: { at25: 278.4, activation: 36380 },
+  gammaStar: { at25: 42.75, activation: 37830 },
+  vcmax: { activation: 65330, deactivation: 200000, entropy: 650 },
+  jmax: { activation: 43540, deactivation: 200000, entropy: 640 }
+};
+
 // Alias for compatibility
 const SEASON_DEFINITIONS = SEASONS;
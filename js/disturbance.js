@@ -0,0 +1,428 @@
+// ============================================================
+// DISTURBANCE
+// Fire, wind and lightning: crown scorch, snapped stems,
+// broken branches and charred or stripped bark the tree can
+// survive, the scars they leave and the regrowth that follows
+// ============================================================
+
+/** Disturbance types; name is the cause of death recorded when one kills the tree */
+const DISTURBANCE_TYPES = {
+  fire: { name: 'Fire', emoji: '🔥' },
+  storm: { name: 'Storm damage', emoji: '💨' },
+  lightning: { name: 'Lightning', emoji: '⚡' },
+  stemSnap: { name: 'Stem snap', emoji: '🪵' },
+  windthrow: { name: 'Windthrow', emoji: '🌪️' }
+};
+
+/**
+ * Disturbance state of an undamaged tree
+ * @returns {Object} Disturbance state
+ */
+function createDisturbanceState() {
+  return {
+    crownLoss: 0,        // share of the crown broken off or killed and not yet regrown (0-1)
+    scorch: 0,           // share of the foliage scorched by fire and not yet regrown (0-1)
+    barkDamage: 0,       // share of the stem circumference with dead bark and cambium (0-1)
+    sprouts: 0,          // epicormic and basal sprouts, as a share of full sprouting (0-1)
+    scars: [],           // wounds on the stem: { type, height (0 base - 1 top), side (-1 - 1), size (0-1), year }
+    events: [],          // the last DISTURBANCE_LOG_LENGTH events: { year, day, type, intensity, outcome }
+    topKills: 0          // times the stem was killed and the tree resprouted from its roots
+  };
+}
+
+/**
+ * Record an event in tree.disturbance.events
+ * @param {string} type - DISTURBANCE_TYPES key
+ * @param {number} intensity - 0-1 (for fire: the scorched crown or killed bark share, whichever is larger)
+ * @param {string} outcome - 'damaged', 'resprouted' or 'killed'
+ */
+function logDisturbance(type, intensity, outcome) {
+  const events = tree.disturbance.events;
+  events.push({
+    year: environment.year,
+    day: Math.floor(environment.dayOfYear),
+    type,
+    intensity,
+    outcome
+  });
+  if (events.length > CONFIG.DISTURBANCE_LOG_LENGTH) events.shift();
+}
+
+/**
+ * Leave a wound on the stem for the renderer; the oldest beyond
+ * DISTURBANCE_MAX_SCARS have grown over
+ * @param {string} type - DISTURBANCE_TYPES key
+ * @param {number} height - Where on the stem (0 base - 1 top)
+ * @param {number} size - 0-1
+ */
+function addStemScar(type, height, size) {
+  const scars = tree.disturbance.scars;
+  scars.push({ type, height, side: random(-1, 1), size, year: environment.year });
+  if (scars.length > CONFIG.DISTURBANCE_MAX_SCARS) scars.shift();
+}
+
+/**
+ * Break branches off tree.branches until about the given share of the
+ * crown's wood (length × thickness, trunk excluded) is gone. Each broken
+ * branch is cut back to a stub (flagged broken, it no longer grows and is
+ * shed as dead wood by growShoots()) and everything it carried is removed
+ * (removeBranches()); leaves that grew on lost wood are detached.
+ * @param {number} share - Share of the crown (0-1)
+ * @param {string} order - 'low' (fire: lowest branches first), 'top'
+ *   (lightning: highest first) or 'random' (storm)
+ */
+function breakBranches(share, order) {
+  const branches = tree.branches;
+  const weight = branch => branch.length * branch.thickness;
+  const total = branches.reduce((sum, branch) => (branch.parentIndex >= 0 ? sum + weight(branch) : sum), 0);
+  if (share <= 0 || total <= 0) return;
+
+  // Canvas y grows downward from the top of the crown
+  const keys = branches.map(branch => (order === 'low' ? -branch.y2 : order === 'top' ? branch.y2 : random()));
+  const candidates = branches
+    .map((branch, i) => i)
+    .filter(i => branches[i].parentIndex >= 0 && !branches[i].broken)
+    .sort((a, b) => keys[a] - keys[b]);
+
+  const removed = new Set();
+  let lost = 0;
+  for (const i of candidates) {
+    if (lost >= share * total) break;
+    if (removed.has(i)) continue;
+
+    // Children follow their parent in tree.branches
+    for (let j = i + 1; j < branches.length; j++) {
+      if (!removed.has(j) && (branches[j].parentIndex === i || removed.has(branches[j].parentIndex))) {
+        removed.add(j);
+        lost += weight(branches[j]);
+      }
+    }
+
+    // A stub of 30% of the branch stays on the tree
+    const branch = branches[i];
+    lost += weight(branch) * 0.7;
+    branch.length *= 0.3;
+    branch.x2 = branch.x1 + Math.cos(branch.angle) * branch.length;
+    branch.y2 = branch.y1 + Math.sin(branch.angle) * branch.length;
+    branch.broken = true;
+    branch.hasLeaves = false;
+    branch.apex = false;
+  }
+
+  removeBranches(removed);
+  tree.leaves.forEach(leaf => {
+    const branch = tree.branches[leaf.branchIndex];
+    if (branch && branch.broken) {
+      leaf.attached = false;
+      leaf.branchIndex = -1;
+    }
+  });
+}
+
+/**
+ * Remove a share of the crown: its branch wood goes to litter and the
+ * surface fuel (the stem keeps its size and wood, and new branches grow as
+ * the crown regrows, see growAllometricBiomass()), its leaves are lost at once and shed as litter
+ * by the carbon budget, and the branches break off tree.branches. Species
+ * that can sprout put out epicormic shoots that speed up the regrowth.
+ * @param {number} share - Share of the crown lost (0-1)
+ * @param {string} order - Which branches go first, see breakBranches()
+ */
+function removeCrown(share, order) {
+  if (share <= 0) return;
+  const d = tree.disturbance;
+  const b = tree.biomass;
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+
+  const lost = b.branches * share;
+  b.branches -= lost;
+  addCarbonLitter(lost);
+  addSurfaceFuel(lost);
+
+  tree.leafArea *= 1 - share;
+  tree.foliageOpacity *= 1 - share;
+  d.crownLoss = 1 - (1 - d.crownLoss) * (1 - share);
+  d.sprouts = Math.max(d.sprouts, Math.min(1, 2 * d.crownLoss) * (species.resprouting || 0));
+  breakBranches(share, order);
+}
+
+/**
+ * A top-killed tree of a sprouting species regrows from its root collar:
+ * the dead stem and crown go to litter (the fallen crown to the surface
+ * fuel, the stem stays standing as a snag) with the fruit on it, and this
+ * year's crop is lost. The roots and their carbon reserve carry a sprout
+ * DISTURBANCE_RESPROUT_HEIGHT tall. The sprout's wood is taken from the
+ * roots (as much of it as they hold). The old stem's scars go with it.
+ */
+function resproutFromRoots() {
+  const d = tree.disturbance;
+  const b = tree.biomass;
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+
+  addCarbonLitter(b.trunk + b.branches + b.leaves);
+  addSurfaceFuel(b.branches + b.leaves);
+
+  // The fruit falls with the stem and the sprout bears no crop this year
+  const r = tree.reproduction;
+  addCarbonLitter(r.fruitBiomass);
+  r.fruitBiomass = 0;
+  r.cropSize = 0;
+  r.mast = false;
+  r.frostLost = false;
+
+  tree.height = Math.min(tree.height, CONFIG.DISTURBANCE_RESPROUT_HEIGHT);
+  tree.dbh = Math.min(tree.dbh, getCurveDiameter(species, tree.height));
+  const wood = getAllometricBiomass(species, tree.dbh, tree.height);
+  const sprout = Math.min(1, b.roots / Math.max(1e-9, wood.trunk + wood.branches));
+  b.roots -= (wood.trunk + wood.branches) * sprout;
+  b.trunk = wood.trunk * sprout;
+  b.branches = wood.branches * sprout;
+  b.leaves = 0;
+  b.heartwood = 0;
+  b.sapwood = b.trunk;
+  b.total = b.trunk + b.branches + b.roots;
+
+  tree.crownRadius = tree.height * 0.4;
+  tree.crownHeight = tree.height * 0.5 * getCrownShape().depth;
+  tree.leafArea = 0;
+  tree.foliageOpacity = 0;
+  tree.currentRing = createGrowthRing(tree.dbh);
+
+  d.crownLoss = 0;
+  d.scorch = 0;
+  d.barkDamage = 0;
+  d.sprouts = 1;
+  d.scars = [];
+  d.topKills++;
+
+  generateBranchArchitecture(1);
+  generateLeafClusters();
+  generateIndividualLeaves();
+}
+
+/**
+ * Damage that kills the stem: species that can resprout survive with
+ * probability resprouting, the rest die
+ * @param {string} type - DISTURBANCE_TYPES key
+ * @param {number} intensity - 0-1
+ * @returns {string|null} Cause of death, or null when the tree resprouted
+ */
+function killStem(type, intensity) {
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  if (random() < (species.resprouting || 0)) {
+    resproutFromRoots();
+    logDisturbance(type, intensity, 'resprouted');
+    return null;
+  }
+  logDisturbance(type, intensity, 'killed');
+  return DISTURBANCE_TYPES[type].name;
+}
+
+/**
+ * A surface fire (see getFireBehavior()). The crown is scorched from its
+ * base up to the fire's scorch height, which buds of fire-resistant species
+ * survive better, so small trees lose all of it;
+ * DISTURBANCE_SCORCH_BRANCH_KILL of the scorched crown dies back from the
+ * lowest branches, the rest refoliates from its buds. At the stem base the
+ * cambium dies where the flames stay longer than the bark protects it
+ * (2.9 min × bark thickness² in cm, bark barkThickness × DBH thick),
+ * leaving a fire scar in the ring and the bark.
+ * @param {{intensity: number, scorchHeight: number, residenceTime: number}} behavior - Fire behavior
+ * @returns {string|null} Cause of death, or null when the tree survives
+ */
+function applyFire(behavior) {
+  const d = tree.disturbance;
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  const resistance = species.fireResistance !== undefined ? species.fireResistance : 0.5;
+
+  const crownBase = tree.height - tree.crownHeight;
+  const scorchHeight = behavior.scorchHeight * (1 - 0.5 * resistance);
+  const scorched = clamp((scorchHeight - crownBase) / Math.max(0.1, tree.crownHeight), 0, 1);
+
+  const barkThickness = (species.barkThickness || 0.04) * tree.dbh * 100;
+  const criticalTime = 2.9 * barkThickness * barkThickness;
+  const charred = behavior.residenceTime > criticalTime ? 1 - criticalTime / behavior.residenceTime : 0;
+  const severity = Math.max(scorched, charred);
+
+  const crownLeft = (1 - d.crownLoss) * (1 - d.scorch) * (1 - scorched);
+  const barkDamage = 1 - (1 - d.barkDamage) * (1 - charred);
+  if (1 - crownLeft >= CONFIG.DISTURBANCE_LETHAL_CROWN_LOSS || barkDamage >= CONFIG.DISTURBANCE_LETHAL_BARK_DAMAGE) {
+    return killStem('fire', severity);
+  }
+
+  const killed = scorched * CONFIG.DISTURBANCE_SCORCH_BRANCH_KILL;
+  removeCrown(killed, 'low');
+  const browned = (scorched - killed) / (1 - killed);
+  d.scorch = 1 - (1 - d.scorch) * (1 - browned);
+  tree.leafArea *= 1 - browned;
+  tree.foliageOpacity *= 1 - browned;
+
+  d.barkDamage = barkDamage;
+  if (charred > 0.05) {
+    addStemScar('fire', 0, charred);
+    markGrowthRing('fireScar');
+  }
+  woundTree(charred + killed);
+  logDisturbance('fire', severity, 'damaged');
+  return null;
+}
+
+/**
+ * Branch failure in the wind: a crown share of intensity ×
+ * DISTURBANCE_STORM_CROWN_LOSS breaks off (how far the gusts' load on the
+ * branches exceeds the point where they start to fail, see getWindLoad()).
+ * A big limb leaves a wound on the stem.
+ * @param {number} intensity - 0-1
+ * @returns {string|null} Cause of death, or null when the tree survives
+ */
+function applyStormBreakage(intensity) {
+  const d = tree.disturbance;
+  const broken = clamp(intensity * CONFIG.DISTURBANCE_STORM_CROWN_LOSS, 0, 1);
+  if (1 - (1 - d.crownLoss) * (1 - broken) >= CONFIG.DISTURBANCE_LETHAL_CROWN_LOSS) {
+    return killStem('storm', intensity);
+  }
+
+  removeCrown(broken, 'random');
+  if (broken > 0.1) addStemScar('storm', random(0.6, 1), broken);
+  woundTree(broken);
+  logDisturbance('storm', intensity, 'damaged');
+  return null;
+}
+
+/**
+ * A lightning strike: above DISTURBANCE_LIGHTNING_LETHAL it shatters the
+ * stem; otherwise it blasts intensity × DISTURBANCE_LIGHTNING_CROWN_LOSS off
+ * the top of the crown and strips a spiral of bark
+ * (intensity × DISTURBANCE_LIGHTNING_STRIP of the circumference) down the stem.
+ * @param {number} intensity - 0-1
+ * @returns {string|null} Cause of death, or null when the tree survives
+ */
+function applyLightning(intensity) {
+  const d = tree.disturbance;
+  if (intensity > CONFIG.DISTURBANCE_LIGHTNING_LETHAL) return killStem('lightning', intensity);
+
+  const blasted = intensity * CONFIG.DISTURBANCE_LIGHTNING_CROWN_LOSS;
+  const stripped = intensity * CONFIG.DISTURBANCE_LIGHTNING_STRIP;
+  removeCrown(blasted, 'top');
+  d.barkDamage = 1 - (1 - d.barkDamage) * (1 - stripped);
+  addStemScar('lightning', 1, intensity);
+  woundTree(blasted + stripped);
+  logDisturbance('lightning', intensity, 'damaged');
+  return null;
+}
+
+/**
+ * Draw this substep's disturbances (from applyMortalityModel(), so only
+ * with the mortality model on):
+ *
+ * - Fire, when people or lightning ignite the surface fuel (rollIgnition(),
+ *   burnSurfaceFire()).
+ * - Wind failures (see getWindLoad()): above WIND_FAILURE_ONSET of their
+ *   strength, defects give way at up to WIND_FAILURE_RATE per day, and a
+ *   root plate or stem loaded past its strength fails at once. The root
+ *   plate fails first (windthrow: the tree is uprooted), then the stem (a
+ *   snapped stem may resprout), then the branches (applyStormBreakage()).
+ * - Lightning on storm days, more often on tall trees (applyLightning());
+ *   the strike may set the fuel at the stem base alight.
+ *
+ * @param {number} dtDays - Delta time in days
+ * @returns {string|null} Cause of death when a disturbance killed the tree
+ */
+function rollDisturbances(dtDays) {
+  const happens = ratePerDay => random() < 1 - Math.exp(-ratePerDay * dtDays);
+  const onset = CONFIG.WIND_FAILURE_ONSET;
+  const excess = load => clamp((load - onset) / (1 - onset), 0, 1);
+  const yields = load => load > onset && happens(CONFIG.WIND_FAILURE_RATE * excess(load) * excess(load));
+
+  // The fuel around the tree catches fire (see js/fire.js)
+  const ignition = rollIgnition(dtDays);
+  if (ignition) {
+    const cause = burnSurfaceFire(ignition);
+    if (cause) return cause;
+  }
+
+  const wind = getWindLoad();
+  if (wind.rootLoad >= 1 || yields(wind.rootLoad)) {
+    logDisturbance('windthrow', Math.min(1, wind.rootLoad), 'killed');
+    return DISTURBANCE_TYPES.windthrow.name;
+  }
+  if (wind.stemLoad >= 1 || yields(wind.stemLoad)) {
+    const cause = killStem('stemSnap', Math.min(1, wind.stemLoad));
+    if (cause) return cause;
+  } else if (yields(wind.branchLoad)) {
+    const cause = applyStormBreakage(excess(wind.branchLoad));
+    if (cause) return cause;
+  }
+
+  if (isStormy()) {
+    const exposure = clamp(tree.height / CONFIG.DISTURBANCE_LIGHTNING_HEIGHT, 0, 1);
+    if (happens(CONFIG.DISTURBANCE_LIGHTNING_RATE * exposure)) {
+      const cause = applyLightning(random()) ||
+        (random() < getIgnitionChance() ? burnSurfaceFire('lightning') : null);
+      if (cause) return cause;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Advance the recovery by one substep: scorched foliage refoliates over
+ * DISTURBANCE_SCORCH_REGROWTH_DAYS, the lost crown regrows over
+ * DISTURBANCE_CROWN_REGROWTH_DAYS (up to twice as fast with sprouts, slower
+ * on a short carbon reserve), both only in the growing season; callus closes
+ * over dead bark in DISTURBANCE_BARK_HEAL_DAYS and sprouts thin out over
+ * DISTURBANCE_SPROUT_DAYS. A deciduous tree's next leaves come out unscorched.
+ * @param {number} dt - Delta time in days
+ */
+function updateDisturbances(dt) {
+  const d = tree.disturbance;
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  const dormant = tree.phenology.phase === 'dormant';
+
+  if (!dormant) {
+    d.scorch -= d.scorch * Math.min(1, dt / CONFIG.DISTURBANCE_SCORCH_REGROWTH_DAYS);
+    const regrowth = (1 + d.sprouts) * (0.5 + 0.5 * getCarbonSupply()) * dt / CONFIG.DISTURBANCE_CROWN_REGROWTH_DAYS;
+    d.crownLoss -= d.crownLoss * Math.min(1, regrowth);
+  } else if (!species.evergreen) {
+    d.scorch = 0;
+  }
+  d.barkDamage -= d.barkDamage * Math.min(1, dt / CONFIG.DISTURBANCE_BARK_HEAL_DAYS);
+  d.sprouts -= d.sprouts * Math.min(1, dt / CONFIG.DISTURBANCE_SPROUT_DAYS);
+
+  // Leaves detached with broken branches come back once the crown has regrown
+  if (d.crownLoss < 0.02 && tree.leaves.some(leaf => !leaf.attached)) {
+    tree.leaves.forEach(leaf => { leaf.attached = true; });
+  }
+}
+
+/**
+ * Stress of dead bark and cambium (see calculateTotalStress())
+ * @returns {number} Stress points
+ */
+function getDisturbanceStress() {
+  return tree.disturbance.barkDamage * CONFIG.DISTURBANCE_BARK_STRESS;
+}
+
+/**
+ * Cause of death to report for a tree that dies with severe disturbance
+ * damage, or while it regrows from a top-kill: the last disturbance
+ * @returns {string|null} DISTURBANCE_TYPES name, or null when the damage is not to blame
+ */
+function getDisturbanceDeathCause() {
+  const d = tree.disturbance;
+  const last = d.events[d.events.length - 1];
+  if (!last) return null;
+  const resprouting = last.outcome === 'resprouted' && d.sprouts >= 0.5;
+  if (!resprouting && d.barkDamage < 0.3 && d.crownLoss + d.scorch < 0.5) return null;
+  return DISTURBANCE_TYPES[last.type].name;
+}
+
+if (typeof window !== 'undefined') {
+  window.DISTURBANCE_TYPES = DISTURBANCE_TYPES;
+  window.createDisturbanceState = createDisturbanceState;
+  window.rollDisturbances = rollDisturbances;
+  window.updateDisturbances = updateDisturbances;
+  window.getDisturbanceStress = getDisturbanceStress;
+  window.getDisturbanceDeathCause = getDisturbanceDeathCause;
+}
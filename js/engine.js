@@ -0,0 +1,93 @@
+// ============================================================
+// HEADLESS SIMULATION ENGINE
+// Runs the tree physiology without DOM, canvas or animation loop
+// (Node batch jobs, CI, Web Workers)
+// ============================================================
+
+/**
+ * Pristine copies taken at load time. Every run starts from this baseline,
+ * so variables.JSON overrides or a previous run never leak into the next one.
+ */
+const engineDefaults = {
+  config: Object.assign({}, CONFIG),
+  environment: JSON.parse(JSON.stringify(environment)),
+  mortality: JSON.parse(JSON.stringify(tree.mortality))
+};
+
+/**
+ * Restore CONFIG, environment and mortality settings to their load-time values
+ * and rewind the simulation clock
+ */
+function resetEngineState() {
+  Object.assign(CONFIG, engineDefaults.config);
+  Object.assign(environment, JSON.parse(JSON.stringify(engineDefaults.environment)));
+  tree.mortality = JSON.parse(JSON.stringify(engineDefaults.mortality));
+  resetSimulationClock();
+}
+
+/**
+ * Run a single tree lifetime headlessly.
+ *
+ * The same `stepSimulation` used by the animation loop is called with a
+ * fixed substep, so a given species/seed/environment/duration always
+ * produces the same result.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.species='OAK'] - Key into TREE_SPECIES
+ * @param {number} [options.seed=12345] - PRNG seed
+ * @param {Object} [options.environment] - Site conditions, see applyEnvironmentSettings()
+ * @param {Object} [options.config] - CONFIG overrides (e.g. from variables.JSON) applied after the reset
+ * @param {Object} [options.variables] - variables.JSON-shaped overrides, applied last via applyVariablesConfigFromObject()
+ * @param {Object} [options.mortality] - Overrides merged into tree.mortality
+ * @param {number} [options.days] - Duration in simulated days
+ * @param {number} [options.years=1] - Duration in years (used when `days` is omitted)
+ * @param {number} [options.dt] - Substep length in days (default: simulationState.substepTime)
+ * @param {boolean} [options.stopOnDeath=true] - End the run as soon as the tree dies
+ * @returns {{tree: Object, environment: Object, days: number, substeps: number}} Final state (copies)
+ */
+function runHeadlessSimulation(options = {}) {
+  const speciesKey = options.species || 'OAK';
+  if (!TREE_SPECIES[speciesKey]) {
+    throw new Error(`Unknown species: ${speciesKey}`);
+  }
+
+  const dt = options.dt || simulationState.substepTime;
+  const totalDays = options.days !== undefined
+    ? options.days
+    : (options.years !== undefined ? options.years : 1) * CONFIG.DAYS_PER_YEAR;
+  if (!(dt > 0) || !(totalDays >= 0)) {
+    throw new Error('Duration and dt must be positive numbers');
+  }
+  const stopOnDeath = options.stopOnDeath !== false;
+
+  resetEngineState();
+  Object.assign(CONFIG, options.config || {});
+  initPRNG(options.seed !== undefined ? options.seed : 12345);
+
+  tree.species = speciesKey;
+  initializeTree();
+  Object.assign(tree.mortality, options.mortality || {});
+
+  applyEnvironmentSettings(options.environment);
+  applyVariablesConfigFromObject(options.variables);
+  updateEnvironmentTime(0);
+
+  const totalSubsteps = Math.round(totalDays / dt);
+  let substeps = 0;
+  while (substeps < totalSubsteps) {
+    stepSimulation(dt);
+    substeps++;
+    if (stopOnDeath && tree.health <= 0) break;
+  }
+
+  return {
+    tree: JSON.parse(JSON.stringify(tree)),
+    environment: JSON.parse(JSON.stringify(environment)),
+    days: substeps * dt,
+    substeps
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.runHeadlessSimulation = runHeadlessSimulation;
+}
@@ -18,6 +18,7 @@ const environment = {
   soilQuality: 70,
   windSpeed: 30,
   humidity: 60,
+  co2: 420,                   // atmospheric CO₂ (ppm)
   
   // Stress factors
   totalStress: 0,
@@ -27,16 +28,63 @@ const environment = {
   disease: false,
   pests: false,
   storm: false,
-  pollution: false
+  pollution: false,
+  
+  // Site conditions as set by the sliders/settings, before climate and weather.
+  // The values above are derived from these every substep (see updateClimate, updateWeather).
+  site: {
+    sunlight: 70,
+    water: 60,
+    windSpeed: 30,
+    temperature: 20,
+    humidity: 60
+  },
+  
+  // Seasonal climate (see updateClimate)
+  seasonalTemperature: 20,    // normal temperature for the season and hour, which the tree is acclimated to (°C)
+  dayLength: 12,              // photoperiod (hours)
+  
+  // Daily weather (see updateWeather)
+  weatherType: null,          // key into WEATHER_TYPES
+  weatherDay: -1,             // day index the weather was drawn for
+  cloudCover: 0,              // 0-1
+  precipitation: 0            // 0-1 intensity (the soil water balance turns it into mm)
 };
 
 // Make environment globally accessible
-window.environment = environment;
+if (typeof window !== 'undefined') window.environment = environment;
+
+/**
+ * Apply site conditions and stressor flags to the environment.
+ * Shared by the UI sliders and the headless engine; keys that are
+ * missing (or not numeric) leave the current value untouched.
+ * @param {Object} settings - Partial environment values (sunlight, water, disease, ...)
+ */
+function applyEnvironmentSettings(settings) {
+  if (!settings) return;
+  
+  const numericKeys = ['sunlight', 'water', 'temperature', 'soilQuality', 'windSpeed', 'humidity', 'co2'];
+  const flagKeys = ['disease', 'pests', 'storm', 'pollution'];
+  
+  numericKeys.forEach(key => {
+    if (settings[key] === undefined) return;
+    const value = Number(settings[key]);
+    if (!Number.isFinite(value)) return;
+    environment[key] = value;
+    if (key in environment.site) environment.site[key] = value;
+  });
+  
+  flagKeys.forEach(key => {
+    if (settings[key] !== undefined) environment[key] = !!settings[key];
+  });
+}
 
 /**
  * Update environment from UI slider values
  */
 function updateEnvironmentFromUI() {
+  if (typeof document === 'undefined') return;
+  
   // Get slider values
   const sunSlider = document.getElementById('sun');
   const waterSlider = document.getElementById('water');
@@ -44,13 +92,7 @@ function updateEnvironmentFromUI() {
   const soilSlider = document.getElementById('soil');
   const windSlider = document.getElementById('wind');
   const humiditySlider = document.getElementById('humidity');
-  
-  if (sunSlider) environment.sunlight = parseFloat(sunSlider.value);
-  if (waterSlider) environment.water = parseFloat(waterSlider.value);
-  if (tempSlider) environment.temperature = parseFloat(tempSlider.value);
-  if (soilSlider) environment.soilQuality = parseFloat(soilSlider.value);
-  if (windSlider) environment.windSpeed = parseFloat(windSlider.value);
-  if (humiditySlider) environment.humidity = parseFloat(humiditySlider.value);
+  const co2Slider = document.getElementById('co2');
   
   // Get stressor checkboxes
   const diseaseCheckbox = document.getElementById('disease');
@@ -58,15 +100,21 @@ function updateEnvironmentFromUI() {
   const stormCheckbox = document.getElementById('storm');
   const pollutionCheckbox = document.getElementById('pollution');
   
-  if (diseaseCheckbox) environment.disease = diseaseCheckbox.checked;
-  if (pestsCheckbox) environment.pests = pestsCheckbox.checked;
-  if (stormCheckbox) environment.storm = stormCheckbox.checked;
-  if (pollutionCheckbox) environment.pollution = pollutionCheckbox.checked;
+  applyEnvironmentSettings({
+    sunlight: sunSlider ? parseFloat(sunSlider.value) : undefined,
+    water: waterSlider ? parseFloat(waterSlider.value) : undefined,
+    temperature: tempSlider ? parseFloat(tempSlider.value) : undefined,
+    soilQuality: soilSlider ? parseFloat(soilSlider.value) : undefined,
+    windSpeed: windSlider ? parseFloat(windSlider.value) : undefined,
+    humidity: humiditySlider ? parseFloat(humiditySlider.value) : undefined,
+    co2: co2Slider ? parseFloat(co2Slider.value) : undefined,
+    disease: diseaseCheckbox ? diseaseCheckbox.checked : undefined,
+    pests: pestsCheckbox ? pestsCheckbox.checked : undefined,
+    storm: stormCheckbox ? stormCheckbox.checked : undefined,
+    pollution: pollutionCheckbox ? pollutionCheckbox.checked : undefined
+  });
 }
 
-// Make function globally accessible
-window.updateEnvironmentFromUI = updateEnvironmentFromUI;
-
 /**
  * Update environment time progression
  * @param {number} dt - Delta time in days
@@ -94,6 +142,212 @@ function updateEnvironmentTime(dt) {
   environment.hour = (environment.dayOfYear % 1) * 24;
 }
 
+// === WEATHER ===
+
+/**
+ * Long-run probability of each weather type for a season.
+ * Wet days scale with SEASONS.*.rainfall, fog and overcast with
+ * SEASONS.*.humidity; precipitation falls as snow at or below
+ * CONFIG.WEATHER_SNOW_MAX_TEMP.
+ *
+ * @param {Object} season - Entry of SEASONS
+ * @param {number} temperature - Current air temperature (°C)
+ * @returns {Object} Probabilities keyed by WEATHER_TYPES key (sum to 1)
+ */
+function getWeatherClimatology(season, temperature) {
+  const wet = clamp(season.rainfall / 100 * CONFIG.WEATHER_WET_DAY_SCALE, 0, 0.9);
+  const dry = 1 - wet;
+  const stormShare = season.ambientTemp >= CONFIG.WEATHER_STORM_MIN_TEMP ? CONFIG.WEATHER_STORM_SHARE : 0;
+  const fog = dry * clamp((season.humidity - 50) / 100, 0, 0.5);
+  const cloudy = dry * clamp(season.humidity / 200, 0, 0.5);
+  const broken = dry - fog - cloudy;
+  
+  const snowing = temperature <= CONFIG.WEATHER_SNOW_MAX_TEMP;
+  return {
+    CLEAR: broken * 0.55,
+    PARTLY_CLOUDY: broken * 0.45,
+    CLOUDY: cloudy,
+    FOG: fog,
+    RAIN: snowing ? 0 : wet * (1 - stormShare),
+    STORM: snowing ? 0 : wet * stormShare,
+    SNOW: snowing ? wet : 0
+  };
+}
+
+/**
+ * Draw the next day's weather. The chain keeps yesterday's weather with
+ * probability CONFIG.WEATHER_PERSISTENCE and otherwise redraws from the
+ * season's climatology, i.e. P = p·I + (1 - p)·climatology, so spells of
+ * rain or clear days last a few days while the long-run mix matches the season.
+ *
+ * @param {string|null} current - Yesterday's WEATHER_TYPES key
+ * @param {Object} season - Entry of SEASONS
+ * @param {number} temperature - Current air temperature (°C)
+ * @returns {string} WEATHER_TYPES key
+ */
+function nextWeatherType(current, season, temperature) {
+  const climatology = getWeatherClimatology(season, temperature);
+  
+  // Both draws are always made so the weather stream advances one step pair per day
+  const keep = weatherRandom() < CONFIG.WEATHER_PERSISTENCE;
+  const pick = weatherRandom();
+  if (keep && climatology[current] > 0) return current;
+  
+  let cumulative = 0;
+  const keys = Object.keys(climatology);
+  for (const key of keys) {
+    cumulative += climatology[key];
+    if (pick < cumulative) return key;
+  }
+  return keys.find(key => climatology[key] > 0);
+}
+
+/**
+ * Advance the weather and apply it to the environment:
+ * a new weather type each simulated day, cloud cover dims sunlight,
+ * windMult scales wind. Precipitation is passed on to the soil water
+ * balance (updateSoil); with weather disabled it is the season's mean.
+ * Effective values are always derived from environment.site, so calling
+ * this every substep never compounds.
+ *
+ * @param {number} dt - Delta time in days
+ */
+function updateWeather(dt) {
+  const site = environment.site;
+  
+  if (!CONFIG.WEATHER_ENABLED || !environment.season) {
+    environment.weatherType = null;
+    environment.cloudCover = 0;
+    environment.precipitation = environment.season
+      ? getExpectedPrecipitation(environment.season, environment.temperature)
+      : 0;
+    environment.sunlight = site.sunlight;
+    environment.windSpeed = site.windSpeed;
+    return;
+  }
+  
+  const day = environment.year * CONFIG.DAYS_PER_YEAR + Math.floor(environment.dayOfYear);
+  if (day !== environment.weatherDay || !WEATHER_TYPES[environment.weatherType]) {
+    environment.weatherType = nextWeatherType(environment.weatherType, environment.season, environment.temperature);
+    environment.weatherDay = day;
+  }
+  
+  const weather = WEATHER_TYPES[environment.weatherType];
+  environment.cloudCover = weather.cloudCover;
+  environment.precipitation = weather.precipitation;
+  
+  environment.sunlight = site.sunlight * (1 - CONFIG.WEATHER_CLOUD_LIGHT_LOSS * weather.cloudCover);
+  environment.windSpeed = clamp(site.windSpeed * weather.windMult, 0, 100);
+}
+
+/**
+ * Mean precipitation intensity the season's weather brings
+ * @param {Object} season - SEASONS entry
+ * @param {number} temperature - Current temperature (°C)
+ * @returns {number} Expected WEATHER_TYPES precipitation, 0-1
+ */
+function getExpectedPrecipitation(season, temperature) {
+  const climatology = getWeatherClimatology(season, temperature);
+  return Object.keys(climatology)
+    .reduce((sum, key) => sum + climatology[key] * WEATHER_TYPES[key].precipitation, 0);
+}
+
+/**
+ * Clear the weather state (the next update draws a new day)
+ */
+function resetWeather() {
+  environment.weatherType = null;
+  environment.weatherDay = -1;
+  environment.cloudCover = 0;
+  environment.precipitation = 0;
+}
+
+// === CLIMATE ===
+
+/**
+ * Day of year at the middle of each season, in SEASON_ORDER
+ * @returns {number[]} Midpoints (days)
+ */
+function getSeasonMidpoints() {
+  return SEASON_ORDER.map(season => (season.dayStart + season.dayEnd) / 2);
+}
+
+/**
+ * Smooth annual curve through a SEASONS field. Each season's value sits at
+ * its midpoint; in between, a periodic Catmull-Rom spline interpolates so
+ * there are no steps at season boundaries.
+ *
+ * @param {string} field - SEASONS field, e.g. 'ambientTemp', 'humidity', 'dayLength'
+ * @param {number} dayOfYear - Day of year (0-365)
+ * @returns {number} Interpolated value
+ */
+function getSeasonalCurveValue(field, dayOfYear) {
+  const mids = getSeasonMidpoints();
+  const n = SEASON_ORDER.length;
+  const year = CONFIG.DAYS_PER_YEAR;
+  
+  // Segment [mids[i], mids[i + 1]] containing the day, wrapping across the new year
+  let i = n - 1;
+  for (let k = 0; k < n; k++) {
+    if (dayOfYear >= mids[k]) i = k;
+  }
+  if (dayOfYear < mids[0]) i = n - 1;
+  const start = mids[i];
+  const end = i + 1 < n ? mids[i + 1] : mids[0] + year;
+  const day = dayOfYear < start ? dayOfYear + year : dayOfYear;
+  const t = (day - start) / (end - start);
+  
+  const value = k => SEASON_ORDER[((k % n) + n) % n][field];
+  const p0 = value(i - 1);
+  const p1 = value(i);
+  const p2 = value(i + 1);
+  const p3 = value(i + 2);
+  return 0.5 * (
+    2 * p1 +
+    (p2 - p0) * t +
+    (2 * p0 - 5 * p1 + 4 * p2 - p3) * t * t +
+    (3 * p1 - p0 - 3 * p2 + p3) * t * t * t
+  );
+}
+
+/**
+ * Set temperature, humidity and photoperiod for the current moment.
+ * Manual mode passes the site (slider) values through with a fixed day length.
+ * Auto mode follows the seasonal curves of SEASONS.*.ambientTemp / humidity /
+ * dayLength plus a diurnal cycle from environment.hour, shifted by the sliders'
+ * distance from CLIMATE_REFERENCE_TEMP / CLIMATE_REFERENCE_HUMIDITY.
+ */
+function updateClimate() {
+  const site = environment.site;
+  
+  if (CONFIG.CLIMATE_MODE !== 'auto') {
+    environment.temperature = site.temperature;
+    environment.humidity = site.humidity;
+    environment.seasonalTemperature = CONFIG.CLIMATE_REFERENCE_TEMP;
+    environment.dayLength = CONFIG.CLIMATE_REFERENCE_DAY_LENGTH;
+    return;
+  }
+  
+  const day = environment.dayOfYear;
+  // 1 at 15:00 (warmest, driest), -1 at 03:00
+  const diurnal = Math.cos((environment.hour - 15) / 24 * Math.PI * 2);
+  
+  environment.seasonalTemperature = getSeasonalCurveValue('ambientTemp', day) +
+    diurnal * CONFIG.CLIMATE_DIURNAL_TEMP_RANGE / 2;
+  environment.temperature = environment.seasonalTemperature +
+    (site.temperature - CONFIG.CLIMATE_REFERENCE_TEMP);
+  
+  environment.humidity = clamp(
+    getSeasonalCurveValue('humidity', day) +
+      (site.humidity - CONFIG.CLIMATE_REFERENCE_HUMIDITY) -
+      diurnal * CONFIG.CLIMATE_DIURNAL_HUMIDITY_RANGE / 2,
+    0,
+    100
+  );
+  
+  environment.dayLength = getSeasonalCurveValue('dayLength', day);
+}
+
 /**
  * Get current season as display string
  * @returns {string} Season name
@@ -135,7 +389,17 @@ function getSeasonalGrowthMultiplier(season) {
 }
 
 // Make functions globally accessible
-window.updateEnvironmentTime = updateEnvironmentTime;
-window.getSeasonDisplay = getSeasonDisplay;
-window.getSeasonProgress = getSeasonProgress;
-window.getSeasonalGrowthMultiplier = getSeasonalGrowthMultiplier;
+if (typeof window !== 'undefined') {
+  window.updateEnvironmentFromUI = updateEnvironmentFromUI;
+  window.applyEnvironmentSettings = applyEnvironmentSettings;
+  window.updateEnvironmentTime = updateEnvironmentTime;
+  window.updateWeather = updateWeather;
+  window.updateClimate = updateClimate;
+  window.getSeasonalCurveValue = getSeasonalCurveValue;
+  window.resetWeather = resetWeather;
+  window.getWeatherClimatology = getWeatherClimatology;
+  window.getExpectedPrecipitation = getExpectedPrecipitation;
+  window.getSeasonDisplay = getSeasonDisplay;
+  window.getSeasonProgress = getSeasonProgress;
+  window.getSeasonalGrowthMultiplier = getSeasonalGrowthMultiplier;
+}
@@ -0,0 +1,240 @@
+// ============================================================
+// FIRE
+// Surface fuel on the ground around the tree, its moisture,
+// the fire weather, ignition by lightning and people, and the
+// behavior of the fires that burn through it
+// ============================================================
+
+/** How fires start */
+const FIRE_IGNITIONS = {
+  lightning: { name: 'Lightning', emoji: '⚡' },
+  human: { name: 'Human', emoji: '🔥' }
+};
+
+/**
+ * Fuel and fire state of the site at the start. Fuel load and moisture are
+ * filled in on the first update (FIRE_INITIAL_FUEL, soaked), so CONFIG
+ * overrides apply.
+ * @returns {Object} Fire state
+ */
+function createFireState() {
+  return {
+    fuel: null,        // dead leaves, twigs and branches on the ground (kg/m²)
+    fuelMoisture: null, // moisture of the fuel (% of its dry mass)
+    weatherIndex: 0,   // fire weather index (0-100)
+    burning: null,     // the fire on the ground: { ignition, intensity, flameLength, scorchHeight, daysLeft }
+    fires: 0,          // fires so far
+    history: []        // the last FIRE_LOG_LENGTH fires: { year, day, ignition, intensity, flameLength, fuel, outcome }
+  };
+}
+
+environment.fire = createFireState();
+
+/**
+ * Let the fuel restart at FIRE_INITIAL_FUEL, soaked and without fires, on
+ * the next update
+ */
+function resetFireState() {
+  environment.fire = createFireState();
+}
+
+/**
+ * Drop dead biomass on the ground under the crown, where it becomes fuel
+ * @param {number} dryMass - Dry kg
+ */
+function addSurfaceFuel(dryMass) {
+  if (!(dryMass > 0) || !Number.isFinite(environment.fire.fuel)) return;
+  const radius = Math.max(tree.crownRadius, 0.5);
+  environment.fire.fuel += dryMass / (Math.PI * radius * radius);
+}
+
+/**
+ * Moisture dead fuel settles at in air of the given temperature and
+ * relative humidity (Simard's equilibrium moisture content)
+ * @param {number} temperature - °C
+ * @param {number} humidity - Relative humidity (%)
+ * @returns {number} Fuel moisture (% of dry mass)
+ */
+function getEquilibriumFuelMoisture(temperature, humidity) {
+  const h = clamp(humidity, 0, 100);
+  const f = temperature * 9 / 5 + 32;
+  if (h < 10) return 0.03229 + 0.281073 * h - 0.000578 * h * f;
+  if (h < 50) return 2.22749 + 0.160107 * h - 0.01478 * f;
+  return 21.0606 + 0.005565 * h * h - 0.00035 * h * f - 0.483199 * h;
+}
+
+/**
+ * Wind at flame height, from environment.windSpeed
+ * @returns {number} km/h
+ */
+function getFireWindSpeed() {
+  return environment.windSpeed * CONFIG.FIRE_WIND_KMH;
+}
+
+/**
+ * How far the fuel is from too wet to burn: 1 for bone-dry fuel, 0 at
+ * FIRE_MOISTURE_OF_EXTINCTION, following the moisture damping of Fosberg's
+ * fire weather index
+ * @returns {number} 0-1
+ */
+function getFuelDryness() {
+  const m = clamp(environment.fire.fuelMoisture / CONFIG.FIRE_MOISTURE_OF_EXTINCTION, 0, 1);
+  return 1 - 2 * m + 1.5 * m * m - 0.5 * m * m * m;
+}
+
+/**
+ * Advance the surface fuel by one substep.
+ *
+ * 1. The surrounding vegetation adds FIRE_FUEL_INPUT a year (the tree's own
+ *    shed leaves and broken branches come in through addSurfaceFuel()), and
+ *    FIRE_FUEL_DECAY of it decomposes a year, faster on warm, moist ground.
+ * 2. The fuel's moisture follows the air's equilibrium moisture over
+ *    FIRE_FUEL_TIMELAG_DAYS. Rain wets it towards FIRE_FUEL_SATURATION
+ *    (all the way from FIRE_WETTING_RAIN a day, or under snow) within
+ *    FIRE_FUEL_WETTING_DAYS.
+ * 3. The fire weather index is Fosberg's: fuel dryness times wind, 0-100.
+ * 4. A fire on the ground burns out after FIRE_BURN_DAYS.
+ *
+ * @param {number} dt - Delta time in days
+ */
+function updateFuel(dt) {
+  const fire = environment.fire;
+  const dtYears = dt / CONFIG.DAYS_PER_YEAR;
+  if (!Number.isFinite(fire.fuel)) fire.fuel = CONFIG.FIRE_INITIAL_FUEL;
+  if (!Number.isFinite(fire.fuelMoisture)) fire.fuelMoisture = CONFIG.FIRE_FUEL_SATURATION;
+
+  // 1. Fuel load
+  const decomposition = CONFIG.FIRE_FUEL_DECAY * clamp(environment.temperature / 15, 0, 2) *
+    (0.3 + 0.7 * clamp(environment.water / 100, 0, 1));
+  fire.fuel += CONFIG.FIRE_FUEL_INPUT * dtYears;
+  fire.fuel -= fire.fuel * Math.min(1, decomposition * dtYears);
+
+  // 2. Fuel moisture
+  const soil = environment.soil;
+  const wetting = soil.snowpack >= 1 ? 1 : clamp(soil.balance.rain / CONFIG.FIRE_WETTING_RAIN, 0, 1);
+  const equilibrium = getEquilibriumFuelMoisture(environment.temperature, environment.humidity);
+  const target = equilibrium + (CONFIG.FIRE_FUEL_SATURATION - equilibrium) * wetting;
+  const timelag = wetting > 0 ? CONFIG.FIRE_FUEL_WETTING_DAYS : CONFIG.FIRE_FUEL_TIMELAG_DAYS;
+  fire.fuelMoisture += (target - fire.fuelMoisture) * (1 - Math.exp(-dt / timelag));
+
+  // 3. Fire weather (wind in mph)
+  const wind = getFireWindSpeed() / 1.609;
+  fire.weatherIndex = clamp(getFuelDryness() * Math.sqrt(1 + wind * wind) / 0.3002, 0, 100);
+
+  // 4. Burnout
+  if (fire.burning) {
+    fire.burning.daysLeft -= dt;
+    if (fire.burning.daysLeft <= 0) fire.burning = null;
+  }
+}
+
+/**
+ * Chance that a spark or a lightning strike sets the fuel alight: the
+ * fuel dryness, nothing below FIRE_MIN_FUEL
+ * @returns {number} 0-1
+ */
+function getIgnitionChance() {
+  if (environment.fire.fuel < CONFIG.FIRE_MIN_FUEL || environment.fire.burning) return 0;
+  return getFuelDryness();
+}
+
+/**
+ * Draw this substep's ignitions: people start fires at FIRE_IGNITION_RATE
+ * per day scaled by the fire weather index, and on storm days lightning
+ * strikes the ground nearby FIRE_LIGHTNING_IGNITION_RATE times a day; a
+ * strike sets the fuel alight with getIgnitionChance().
+ * @param {number} dtDays - Delta time in days
+ * @returns {string|null} FIRE_IGNITIONS key of a fire that started, or null
+ */
+function rollIgnition(dtDays) {
+  const happens = ratePerDay => random() < 1 - Math.exp(-ratePerDay * dtDays);
+  const chance = getIgnitionChance();
+  if (chance <= 0) return null;
+
+  if (happens(CONFIG.FIRE_IGNITION_RATE * environment.fire.weatherIndex / 100)) return 'human';
+
+  if (isStormy() && happens(CONFIG.FIRE_LIGHTNING_IGNITION_RATE * chance)) return 'lightning';
+  return null;
+}
+
+/**
+ * Behavior of a surface fire in the present fuel and weather. The fire
+ * consumes FIRE_CONSUMPTION × dryness of the fuel and spreads at
+ * FIRE_SPREAD_RATE × dryness, faster with the wind (FIRE_WIND_SPREAD);
+ * Byram's fireline intensity and flame length follow, the crown scorch
+ * height is Van Wagner's and flames stay at the stem base for
+ * FIRE_RESIDENCE_MINUTES per kg/m² consumed.
+ * @returns {{intensity: number, flameLength: number, scorchHeight: number, residenceTime: number, consumed: number}}
+ *   kW/m, m, m, minutes, kg/m²
+ */
+function getFireBehavior() {
+  const fire = environment.fire;
+  const dryness = getFuelDryness();
+  const wind = getFireWindSpeed();
+
+  const consumed = fire.fuel * CONFIG.FIRE_CONSUMPTION * dryness;
+  const spread = CONFIG.FIRE_SPREAD_RATE * dryness * Math.exp(CONFIG.FIRE_WIND_SPREAD * wind);
+  const intensity = CONFIG.FIRE_HEAT_CONTENT * consumed * spread;
+
+  const windMs = wind / 3.6;
+  const heat = Math.max(5, 60 - environment.temperature);
+  const scorchHeight = intensity > 0
+    ? 4.4713 * Math.pow(intensity, 7 / 6) / (Math.sqrt(0.107 * intensity + windMs * windMs * windMs) * heat)
+    : 0;
+
+  return {
+    intensity,
+    flameLength: 0.0775 * Math.pow(intensity, 0.46),
+    scorchHeight,
+    residenceTime: CONFIG.FIRE_RESIDENCE_MINUTES * consumed,
+    consumed
+  };
+}
+
+/**
+ * Burn the fuel around the tree: the fire's behavior decides the damage
+ * (applyFire()), it consumes its fuel, burns on the ground for
+ * FIRE_BURN_DAYS and is logged with its intensity.
+ * @param {string} ignition - FIRE_IGNITIONS key
+ * @returns {string|null} Cause of death, or null when the tree survives
+ */
+function burnSurfaceFire(ignition) {
+  const fire = environment.fire;
+  const behavior = getFireBehavior();
+  const cause = applyFire(behavior);
+
+  fire.fuel -= behavior.consumed;
+  fire.fires++;
+  fire.burning = {
+    ignition,
+    intensity: behavior.intensity,
+    flameLength: behavior.flameLength,
+    scorchHeight: behavior.scorchHeight,
+    daysLeft: CONFIG.FIRE_BURN_DAYS
+  };
+
+  const events = tree.disturbance.events;
+  fire.history.push({
+    year: environment.year,
+    day: Math.floor(environment.dayOfYear),
+    ignition,
+    intensity: behavior.intensity,
+    flameLength: behavior.flameLength,
+    fuel: behavior.consumed,
+    outcome: events.length ? events[events.length - 1].outcome : 'damaged'
+  });
+  if (fire.history.length > CONFIG.FIRE_LOG_LENGTH) fire.history.shift();
+  return cause;
+}
+
+if (typeof window !== 'undefined') {
+  window.FIRE_IGNITIONS = FIRE_IGNITIONS;
+  window.createFireState = createFireState;
+  window.resetFireState = resetFireState;
+  window.addSurfaceFuel = addSurfaceFuel;
+  window.updateFuel = updateFuel;
+  window.getIgnitionChance = getIgnitionChance;
+  window.rollIgnition = rollIgnition;
+  window.getFireBehavior = getFireBehavior;
+  window.burnSurfaceFire = burnSurfaceFire;
+}
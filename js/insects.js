@@ -0,0 +1,316 @@
+// ============================================================
+// INSECT PESTS
+// Populations of the species' defoliators and bark beetles:
+// degree-day life cycles, generation-to-generation growth held
+// in check by predators and natural enemies, outbreaks that
+// build over years, defoliation and phloem girdling
+// ============================================================
+
+/** Life stages of a pest population over the year */
+const PEST_STAGES = {
+  overwintering: { name: 'Overwintering', emoji: '❄️' },
+  active: { name: 'Active', emoji: '🐛' },
+  developing: { name: 'Developing', emoji: '🥚' }
+};
+
+/** Pest guilds: what the active stage does to the tree */
+const PEST_GUILDS = {
+  defoliator: { name: 'Defoliator', active: 'Larvae feeding', developing: 'Pupae', emoji: '🐛' },
+  barkBeetle: { name: 'Bark beetle', active: 'Beetles attacking', developing: 'Brood under the bark', emoji: '🪲' }
+};
+
+/**
+ * Pest state of a tree without insects
+ * @returns {Object} Pest state
+ */
+function createPestState() {
+  return {
+    populations: {},     // PESTS key → population (createPestPopulation())
+    defoliation: 0,      // share of the crown eaten and not yet regrown (0-1)
+    girdled: 0,          // share of the phloem killed by borers and not yet regrown (0-1)
+    outbreaks: 0         // outbreaks over the lifetime
+  };
+}
+
+/**
+ * A population that has not arrived yet
+ * @returns {Object} Population
+ */
+function createPestPopulation() {
+  return {
+    density: 0,          // relative to outbreak level (INSECT_OUTBREAK_DENSITY)
+    enemies: 0,          // parasitoids and virus, in the same units
+    stage: 'overwintering',
+    year: environment.year,  // calendar year the degree-days count from
+    gdd: 0,              // degree-days above the pest's baseTemp this year
+    generation: 0,       // generations completed this year
+    success: 0,          // summed food (defoliators) or brood success (bark beetles) of the active stage
+    activeDays: 0,       // days the current generation has been active
+    outbreak: false      // in outbreak: reached INSECT_OUTBREAK_DENSITY, not yet below half of it
+  };
+}
+
+/**
+ * How active a pest is at the current temperature: none at its baseTemp,
+ * full INSECT_ACTIVITY_RANGE degrees above
+ * @param {Object} pest - PESTS entry
+ * @returns {number} 0-1
+ */
+function getPestTemperatureActivity(pest) {
+  return clamp((environment.temperature - pest.baseTemp) / CONFIG.INSECT_ACTIVITY_RANGE, 0, 1);
+}
+
+/**
+ * The tree's defense against bark beetles: the species' insectResistance
+ * (resin, wound periderm), which a tree short of water or carbon cannot
+ * mount, overwhelmed by a mass attack (INSECT_MASS_ATTACK_DENSITY)
+ * @param {number} density - Attacking beetle density
+ * @returns {number} 0-1
+ */
+function getBarkDefense(density) {
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  const resistance = species.insectResistance !== undefined ? species.insectResistance : 0.5;
+  const waterFactor = clamp(environment.waterAvailability / 50, 0, 1);
+  const vigor = waterFactor * (0.5 + 0.5 * getCarbonSupply());
+  return resistance * vigor * Math.exp(-density / CONFIG.INSECT_MASS_ATTACK_DENSITY);
+}
+
+/**
+ * End of a generation: the next one's density from this one's.
+ *
+ * Offspring = growthRate × the active stage's success (food left for
+ * defoliators, brood success for bark beetles) × what escapes predators
+ * (INSECT_PREDATION, saturated at INSECT_PREDATION_HALF_DENSITY) × what
+ * escapes parasitoids and virus (e^(−INSECT_ENEMY_EFFECT × enemies)) ×
+ * weather noise. The enemies follow the pest density with a lag
+ * (INSECT_ENEMY_RESPONSE), so a population that escapes predation builds up
+ * over several generations until its enemies catch up and it crashes.
+ *
+ * @param {Object} pest - PESTS entry
+ * @param {Object} pop - Population
+ */
+function completePestGeneration(pest, pop) {
+  const success = pop.activeDays > 0 ? pop.success / pop.activeDays : 0;
+  const predation = CONFIG.INSECT_PREDATION * CONFIG.INSECT_PREDATION_HALF_DENSITY /
+    (CONFIG.INSECT_PREDATION_HALF_DENSITY + pop.density);
+  const enemies = Math.exp(-CONFIG.INSECT_ENEMY_EFFECT * pop.enemies);
+  const weather = Math.exp(randomGaussian(0, CONFIG.INSECT_WEATHER_NOISE));
+  const offspring = pop.density * pest.growthRate * success * (1 - predation) * enemies * weather;
+
+  pop.enemies += (pop.density - pop.enemies) * CONFIG.INSECT_ENEMY_RESPONSE;
+  pop.density = Math.min(CONFIG.INSECT_MAX_DENSITY, offspring + (environment.pests ? CONFIG.INSECT_IMMIGRATION : 0));
+
+  if (pop.density >= CONFIG.INSECT_OUTBREAK_DENSITY) {
+    if (!pop.outbreak) tree.pests.outbreaks++;
+    pop.outbreak = true;
+  } else if (pop.density < CONFIG.INSECT_OUTBREAK_DENSITY / 2) {
+    pop.outbreak = false;
+  }
+
+  pop.generation++;
+  pop.success = 0;
+  pop.activeDays = 0;
+}
+
+/**
+ * Advance one population's life cycle by one substep
+ * @param {Object} pest - PESTS entry
+ * @param {Object} pop - Population
+ * @param {number} dt - Delta time in days
+ * @returns {number} Activity of the active stage (0 while not active)
+ */
+function updatePestPopulation(pest, pop, dt) {
+  if (pop.year !== environment.year) {
+    pop.year = environment.year;
+    pop.gdd = 0;
+    pop.generation = 0;
+    pop.success = 0;
+    pop.activeDays = 0;
+  }
+  pop.gdd += Math.max(0, environment.temperature - pest.baseTemp) * dt;
+
+  if (!environment.pests) {
+    pop.density -= pop.density * Math.min(1, dt / CONFIG.INSECT_DISPERSAL_DAYS);
+  }
+
+  if (pop.generation >= pest.maxGenerations) {
+    pop.stage = 'overwintering';
+    if (environment.temperature < pest.coldLimit) {
+      const kill = CONFIG.INSECT_COLD_KILL_RATE * (pest.coldLimit - environment.temperature) * dt;
+      pop.density *= Math.max(0, 1 - kill);
+    }
+    return 0;
+  }
+
+  const start = pest.hatchGDD + pop.generation * pest.generationGDD;
+  if (pop.gdd < start) {
+    pop.stage = pop.generation === 0 ? 'overwintering' : 'developing';
+    return 0;
+  }
+  if (pop.gdd >= start + pest.generationGDD) {
+    completePestGeneration(pest, pop);
+    return 0;
+  }
+  if (pop.gdd >= start + pest.activeGDD) {
+    pop.stage = 'developing';
+    return 0;
+  }
+
+  pop.stage = 'active';
+  pop.activeDays += dt;
+  if (pest.guild === 'defoliator') {
+    // Larvae that hatch before leaf-out, or on a stripped crown, starve
+    pop.success += clamp(tree.foliageOpacity, 0, 1) * dt;
+  } else {
+    // Beetles breed in a tree that cannot defend itself
+    pop.success += (1 - getBarkDefense(pop.density)) * dt;
+  }
+  return getPestTemperatureActivity(pest);
+}
+
+/**
+ * Advance the pest model by one substep.
+ *
+ * While Pests is on, the species' pests (TREE_SPECIES.*.pests) arrive at
+ * INSECT_IMMIGRATION per generation; with Pests off they leave. Each
+ * population runs through its degree-day life cycle
+ * (updatePestPopulation()). While defoliators feed, the crown loses
+ * feedingRate × density of its leaves per day (tree.leafArea and
+ * foliageOpacity drop at once, updateFoliage() keeps them down) until it
+ * regrows over INSECT_REFOLIATION_DAYS (needles: INSECT_NEEDLE_REGROWTH_DAYS).
+ * Attacking bark beetles kill attackRate × density of the phloem per day,
+ * less the tree's defense (getBarkDefense()); the galleries wound the bark
+ * (woundTree()) and heal over INSECT_PHLOEM_HEAL_DAYS.
+ *
+ * @param {number} dt - Delta time in days
+ */
+function updatePests(dt) {
+  const p = tree.pests;
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  const keys = (species.pests || []).filter(key => PESTS[key]);
+
+  let feeding = 0;
+  let maxDefoliation = 0;
+  let attack = 0;
+  for (const key of keys) {
+    if (!p.populations[key]) {
+      if (!environment.pests) continue;
+      p.populations[key] = createPestPopulation();
+    }
+    const pest = PESTS[key];
+    const pop = p.populations[key];
+    const activity = updatePestPopulation(pest, pop, dt);
+    if (activity <= 0) continue;
+
+    if (pest.guild === 'defoliator') {
+      feeding += pest.feedingRate * pop.density * activity;
+      maxDefoliation = Math.max(maxDefoliation, pest.maxDefoliation);
+    } else {
+      attack += pest.attackRate * pop.density * activity * (1 - getBarkDefense(pop.density));
+    }
+  }
+
+  // Defoliation
+  const before = p.defoliation;
+  if (feeding > 0 && p.defoliation < maxDefoliation) {
+    p.defoliation += feeding * (maxDefoliation - p.defoliation) * dt;
+  } else if (feeding <= 0) {
+    const regrowthDays = species.evergreen ? CONFIG.INSECT_NEEDLE_REGROWTH_DAYS : CONFIG.INSECT_REFOLIATION_DAYS;
+    p.defoliation -= p.defoliation * Math.min(1, dt / regrowthDays);
+  }
+  if (!species.evergreen && tree.phenology.phase === 'dormant') {
+    p.defoliation = 0;  // next spring's leaves come out whole
+  }
+  if (p.defoliation > before) {
+    const remaining = (1 - p.defoliation) / (1 - before);
+    tree.leafArea *= remaining;
+    tree.foliageOpacity *= remaining;
+  }
+
+  // Girdling
+  if (attack > 0) {
+    const killed = attack * (1 - p.girdled) * dt;
+    p.girdled += killed;
+    woundTree(killed);
+  }
+  p.girdled -= p.girdled * Math.min(1, dt / CONFIG.INSECT_PHLOEM_HEAL_DAYS);
+}
+
+/**
+ * Stress of the defoliated crown and girdled stem (see calculateTotalStress())
+ * @returns {number} Stress points
+ */
+function getPestStress() {
+  const p = tree.pests;
+  return p.defoliation * CONFIG.INSECT_DEFOLIATION_STRESS + p.girdled * CONFIG.INSECT_GIRDLING_STRESS;
+}
+
+/**
+ * Share of the root zone's water the tree can still move up a stem whose
+ * phloem and outer sapwood the borers (and the fungi they carry) have killed
+ * @returns {number} 0-1
+ */
+function getPestWaterFactor() {
+  return 1 - tree.pests.girdled;
+}
+
+/**
+ * The species' most abundant pest population
+ * @param {string} [guild] - Only pests of this guild
+ * @returns {{key: string, pest: Object, pop: Object}|null}
+ */
+function getDominantPest(guild) {
+  let dominant = null;
+  for (const [key, pop] of Object.entries(tree.pests.populations)) {
+    const pest = PESTS[key];
+    if (!pest || (guild && pest.guild !== guild)) continue;
+    if (!dominant || pop.density > dominant.pop.density) dominant = { key, pest, pop };
+  }
+  return dominant;
+}
+
+/**
+ * Cause of death to report for a tree the insects have badly damaged
+ * @returns {string|null} Pest name, or null when the insects are not to blame
+ */
+function getPestDeathCause() {
+  const p = tree.pests;
+  const guild = p.girdled >= 0.3 ? 'barkBeetle' : p.defoliation >= 0.5 ? 'defoliator' : null;
+  if (!guild) return null;
+  const dominant = getDominantPest(guild);
+  return dominant ? dominant.pest.name : null;
+}
+
+/**
+ * Insects to draw: harmless ones at the season's insectActivity
+ * (INSECT_AMBIENT_ACTIVITY of CONFIG.PARTICLE_INSECTS) plus the active
+ * pests, in proportion to their density
+ * @returns {{ambient: number, defoliators: number, barkBeetles: number}} Particle counts
+ */
+function getVisibleInsects() {
+  const season = environment.season || SEASONS.SPRING;
+  const counts = { ambient: 0, defoliators: 0, barkBeetles: 0 };
+  counts.ambient = Math.round(CONFIG.PARTICLE_INSECTS * CONFIG.INSECT_AMBIENT_ACTIVITY * (season.insectActivity || 0));
+  for (const [key, pop] of Object.entries(tree.pests.populations)) {
+    const pest = PESTS[key];
+    if (!pest || pop.stage !== 'active') continue;
+    const n = CONFIG.PARTICLE_INSECTS * Math.min(1, pop.density) * getPestTemperatureActivity(pest);
+    if (pest.guild === 'defoliator') counts.defoliators += n;
+    else counts.barkBeetles += n;
+  }
+  counts.defoliators = Math.min(CONFIG.PARTICLE_INSECTS, Math.round(counts.defoliators));
+  counts.barkBeetles = Math.min(CONFIG.PARTICLE_INSECTS, Math.round(counts.barkBeetles));
+  return counts;
+}
+
+if (typeof window !== 'undefined') {
+  window.PEST_STAGES = PEST_STAGES;
+  window.PEST_GUILDS = PEST_GUILDS;
+  window.createPestState = createPestState;
+  window.updatePests = updatePests;
+  window.getPestStress = getPestStress;
+  window.getPestWaterFactor = getPestWaterFactor;
+  window.getDominantPest = getDominantPest;
+  window.getPestDeathCause = getPestDeathCause;
+  window.getVisibleInsects = getVisibleInsects;
+}
@@ -0,0 +1,96 @@
+// ============================================================
+// CANOPY LIGHT
+// The sun's elevation, the day's PAR above the crown and the
+// share of it the leaves absorb (Beer–Lambert extinction
+// through the leaf area)
+// ============================================================
+
+/**
+ * Solar declination. Day 0 of the simulated year is the spring equinox.
+ * @param {number} dayOfYear - Day of the simulated year
+ * @returns {number} Degrees
+ */
+function getSolarDeclination(dayOfYear) {
+  return 23.44 * Math.sin(dayOfYear / 365 * Math.PI * 2);
+}
+
+/**
+ * Elevation of the noon sun at LIGHT_LATITUDE. In manual climate mode,
+ * which keeps a fixed day length, the sun stays at its equinox height.
+ * @param {number} [dayOfYear] - Day of the simulated year (today by default)
+ * @returns {number} Degrees above the horizon
+ */
+function getNoonSunElevation(dayOfYear = environment.dayOfYear) {
+  const declination = CONFIG.CLIMATE_MODE === 'auto' ? getSolarDeclination(dayOfYear) : 0;
+  return clamp(90 - CONFIG.LIGHT_LATITUDE + declination, 0, 90);
+}
+
+/**
+ * PAR reaching the top of the crown over the day. The sun's height
+ * (sine of its elevation) follows a half sine from sunrise to sunset over
+ * environment.dayLength; a clear sky lets LIGHT_CLEAR_SKY_TRANSMISSION of
+ * LIGHT_SOLAR_CONSTANT through, and the site's light with today's cloud
+ * loss (environment.sunlight) scales it.
+ * @returns {number} mol of PAR photons per m² of ground per day
+ */
+function getIncidentPAR() {
+  const sinNoon = Math.sin(getNoonSunElevation() * Math.PI / 180);
+  const seconds = environment.dayLength * 3600;
+  const clearSky = CONFIG.LIGHT_SOLAR_CONSTANT * CONFIG.LIGHT_CLEAR_SKY_TRANSMISSION * sinNoon * 2 / Math.PI * seconds / 1000;
+  return clearSky * CONFIG.LIGHT_PAR_PER_MJ * environment.sunlight / 100;
+}
+
+/**
+ * Share of the incident light a leaf layer intercepts (Beer–Lambert).
+ * Direct sun is extinguished with k = LIGHT_LEAF_ANGLE_G / sin(elevation),
+ * more steeply the lower the sun, diffuse skylight with
+ * LIGHT_DIFFUSE_EXTINCTION.
+ * @param {number} lai - Leaf area index
+ * @param {number} sinSun - Sine of the sun's (light-weighted) elevation
+ * @param {number} diffuse - Diffuse share of the light (0-1)
+ * @returns {number} 0-1
+ */
+function getLightInterception(lai, sinSun, diffuse) {
+  const direct = 1 - Math.exp(-CONFIG.LIGHT_LEAF_ANGLE_G / sinSun * lai);
+  const sky = 1 - Math.exp(-CONFIG.LIGHT_DIFFUSE_EXTINCTION * lai);
+  return (1 - diffuse) * direct + diffuse * sky;
+}
+
+/**
+ * Light the crown absorbs today. The leaf area index (calculateLAI())
+ * intercepts the incident PAR by Beer–Lambert under the day's
+ * light-weighted sun elevation (π/4 of the noon sine for a half-sine day).
+ * Cloud cover turns the light diffuse, from LIGHT_CLEAR_DIFFUSE under a
+ * clear sky to all of it under full cloud. The leaves absorb
+ * LIGHT_LEAF_ABSORPTANCE of what they intercept. Every added layer of leaves
+ * intercepts less than the one above it, so the light per m² of leaf falls
+ * as the crown gets denser.
+ *
+ * @returns {{incident: number, absorbed: number, perLeaf: number, interception: number,
+ *   lai: number, elevation: number, sinSun: number, diffuse: number}} mol PAR per m² of
+ *   crown (incident, absorbed) and per m² of leaf (perLeaf) per day, share intercepted,
+ *   LAI, noon elevation (degrees), light-weighted sine of the elevation, diffuse share
+ */
+function getCanopyLight() {
+  const lai = calculateLAI();
+  const elevation = getNoonSunElevation();
+  const sinSun = Math.max(0.05, Math.PI / 4 * Math.sin(elevation * Math.PI / 180));
+  const diffuse = CONFIG.LIGHT_CLEAR_DIFFUSE + (1 - CONFIG.LIGHT_CLEAR_DIFFUSE) * environment.cloudCover;
+  const incident = getIncidentPAR();
+  const interception = getLightInterception(lai, sinSun, diffuse);
+  const absorbed = incident * interception * CONFIG.LIGHT_LEAF_ABSORPTANCE;
+
+  // A bare or thin crown: the light of its first leaves
+  const layer = Math.max(lai, 0.01);
+  const perLeaf = incident * getLightInterception(layer, sinSun, diffuse) * CONFIG.LIGHT_LEAF_ABSORPTANCE / layer;
+
+  return { incident, absorbed, perLeaf, interception, lai, elevation, sinSun, diffuse };
+}
+
+if (typeof window !== 'undefined') {
+  window.getSolarDeclination = getSolarDeclination;
+  window.getNoonSunElevation = getNoonSunElevation;
+  window.getIncidentPAR = getIncidentPAR;
+  window.getLightInterception = getLightInterception;
+  window.getCanopyLight = getCanopyLight;
+}
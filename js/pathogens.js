@@ -0,0 +1,276 @@
+// ============================================================
+// PATHOGENS
+// Staged infection by the species' pathogens: exposure,
+// infection, spread through the tissue, decline and recovery,
+// driven by temperature, moisture, storm wounds and host vigor
+// ============================================================
+
+/** Infection stages, in the order a severe infection goes through them */
+const PATHOGEN_STAGES = {
+  healthy: { name: 'Healthy', emoji: '🌿' },
+  exposed: { name: 'Exposed', emoji: '🧫' },
+  infected: { name: 'Infected', emoji: '🦠' },
+  spreading: { name: 'Spreading', emoji: '🦠' },
+  decline: { name: 'Decline', emoji: '🥀' },
+  recovering: { name: 'Recovering', emoji: '🩹' }
+};
+
+/**
+ * Pathogen state of an uninfected, unwounded tree
+ * @returns {Object} Pathogen state
+ */
+function createPathogenState() {
+  return {
+    stage: 'healthy',
+    key: null,           // key into PATHOGENS of the current exposure or infection
+    establishment: 0,    // while exposed: progress towards infection (0 = fought off, 1 = infected)
+    infected: 0,         // infected share of the pathogen's tissue (0-1)
+    trend: 0,            // recent relative growth of the infection (per day)
+    dieback: 0,          // dead share of the crown (0-1)
+    wounds: 0,           // fresh wounds, as a share of the tree (0-1)
+    resistantDays: 0,    // days left in which a cleared tree is not re-infected
+    infections: 0        // infections over the lifetime
+  };
+}
+
+/**
+ * The pathogen the tree is exposed to or infected with
+ * @returns {Object|null} PATHOGENS entry
+ */
+function getPathogen() {
+  return PATHOGENS[tree.pathogen.key] || null;
+}
+
+/**
+ * How favorable the weather is for a pathogen: a triangular temperature
+ * response between minTemp, optTemp and maxTemp times the moisture above
+ * minMoisture (full at PATHOGEN_MOISTURE_RANGE above it). Foliage pathogens
+ * find nothing to infect on a leafless tree.
+ * @param {Object} pathogen - PATHOGENS entry
+ * @returns {number} 0-1
+ */
+function getPathogenFavorability(pathogen) {
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  if (pathogen.tissue === 'foliage' && !species.evergreen && tree.phenology.phase === 'dormant') return 0;
+
+  const t = environment.temperature;
+  let tempFactor = 0;
+  if (t > pathogen.minTemp && t <= pathogen.optTemp) {
+    tempFactor = (t - pathogen.minTemp) / (pathogen.optTemp - pathogen.minTemp);
+  } else if (t > pathogen.optTemp && t < pathogen.maxTemp) {
+    tempFactor = (pathogen.maxTemp - t) / (pathogen.maxTemp - pathogen.optTemp);
+  }
+
+  const moisture = pathogen.moisture === 'soil' ? environment.water : environment.humidity;
+  const moistureFactor = clamp((moisture - pathogen.minMoisture) / CONFIG.PATHOGEN_MOISTURE_RANGE, 0, 1);
+  return tempFactor * moistureFactor;
+}
+
+/**
+ * How strongly the tree fights an infection: the species' diseaseResistance,
+ * halved for a tree without health or without the carbon reserve a vigorous
+ * tree spends on defense (see getCarbonSupply())
+ * @returns {number} 0-1
+ */
+function getHostDefense() {
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  const resistance = species.diseaseResistance !== undefined ? species.diseaseResistance : 0.5;
+  return resistance * (0.5 * clamp(tree.health / 100, 0, 1) + 0.5 * getCarbonSupply());
+}
+
+/**
+ * Wound the tree (storm breakage, fire, browsing): fresh wounds let
+ * wound-borne pathogens in until they heal
+ * @param {number} amount - Wounded share of the tree added (0-1)
+ */
+function woundTree(amount) {
+  tree.pathogen.wounds = clamp(tree.pathogen.wounds + amount, 0, 1);
+}
+
+/**
+ * End the current exposure or infection
+ * @param {boolean} resistant - The tree walled the pathogen off and resists it for PATHOGEN_RESISTANT_DAYS
+ */
+function clearInfection(resistant) {
+  const p = tree.pathogen;
+  p.stage = 'healthy';
+  p.key = null;
+  p.establishment = 0;
+  p.infected = 0;
+  p.trend = 0;
+  if (resistant) p.resistantDays = CONFIG.PATHOGEN_RESISTANT_DAYS;
+}
+
+/**
+ * Whether the tree carries an established infection
+ * @returns {boolean}
+ */
+function isTreeInfected() {
+  const stage = tree.pathogen.stage;
+  return stage !== 'healthy' && stage !== 'exposed';
+}
+
+/**
+ * Inoculum reaches the tree: each of the species' pathogens arrives with
+ * PATHOGEN_EXPOSURE_RATE per day, raised by fresh wounds for pathogens that
+ * enter through them
+ * @param {number} dt - Delta time in days
+ */
+function updatePathogenExposure(dt) {
+  const p = tree.pathogen;
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  const keys = (species.pathogens || []).filter(key => PATHOGENS[key]);
+  for (const key of keys) {
+    const woundFactor = 1 + p.wounds * PATHOGENS[key].woundEntry * CONFIG.PATHOGEN_WOUND_EXPOSURE;
+    if (random() < CONFIG.PATHOGEN_EXPOSURE_RATE * woundFactor * dt) {
+      p.stage = 'exposed';
+      p.key = key;
+      p.establishment = 0.5;
+      return;
+    }
+  }
+}
+
+/**
+ * Advance the pathogen model by one substep.
+ *
+ * 1. Storms wound the tree; wounds heal over PATHOGEN_WOUND_HEAL_DAYS.
+ * 2. While Disease is on, a healthy tree is exposed to one of its species'
+ *    pathogens now and then (updatePathogenExposure()).
+ * 3. An exposure establishes when favorable weather and wounds outpace
+ *    the host's defense and PATHOGEN_INOCULUM_DECAY over the pathogen's
+ *    incubationDays, or is fought off.
+ * 4. The infected share grows logistically with the weather's favorability
+ *    and is walled off at PATHOGEN_DEFENSE_RATE × host defense. Above
+ *    PATHOGEN_SPREAD_INFECTION it is spreading, above
+ *    PATHOGEN_DECLINE_INFECTION the tree is in decline. A spreading
+ *    infection that has shrunk over the last PATHOGEN_TREND_DAYS is
+ *    recovering; below PATHOGEN_CLEARED_INFECTION the tree is healthy (and
+ *    resistant for a while). Infected leaves of a deciduous tree fall with
+ *    the rest.
+ * 5. The crown dies back behind the infection and regrows after it.
+ *
+ * @param {number} dt - Delta time in days
+ */
+function updatePathogens(dt) {
+  const p = tree.pathogen;
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+
+  // 1. Wounds
+  if (isStormy() && environment.windSpeed > CONFIG.PATHOGEN_STORM_WOUND_WIND) {
+    const severity = (environment.windSpeed - CONFIG.PATHOGEN_STORM_WOUND_WIND) / (100 - CONFIG.PATHOGEN_STORM_WOUND_WIND);
+    woundTree(CONFIG.PATHOGEN_STORM_WOUND_RATE * severity * dt);
+  }
+  p.wounds = Math.max(0, p.wounds - p.wounds * dt / CONFIG.PATHOGEN_WOUND_HEAL_DAYS);
+  p.resistantDays = Math.max(0, p.resistantDays - dt);
+
+  // 2. Exposure
+  if (p.stage === 'healthy' && environment.disease && p.resistantDays <= 0) {
+    updatePathogenExposure(dt);
+  }
+
+  const pathogen = getPathogen();
+  if (pathogen) {
+    const favor = getPathogenFavorability(pathogen);
+    const defense = getHostDefense();
+
+    if (p.stage === 'exposed') {
+      // 3. Establishment
+      const pressure = favor * (1 + p.wounds * pathogen.woundEntry);
+      p.establishment += (pressure - defense - CONFIG.PATHOGEN_INOCULUM_DECAY) * dt / pathogen.incubationDays;
+      if (p.establishment >= 1) {
+        p.stage = 'infected';
+        p.infected = CONFIG.PATHOGEN_INITIAL_INFECTION;
+        p.infections++;
+      } else if (p.establishment <= 0) {
+        clearInfection(false);
+      }
+    } else if (pathogen.tissue === 'foliage' && !species.evergreen && tree.phenology.phase === 'dormant') {
+      // Infected leaves were shed; the next infection starts from the litter
+      clearInfection(false);
+    } else {
+      // 4. Spread within the tissue against the host's defense
+      const walledOff = CONFIG.PATHOGEN_DEFENSE_RATE * defense;
+      const growth = pathogen.spreadRate * favor * (1 - p.infected) - walledOff;
+      p.infected = clamp(p.infected + growth * p.infected * dt, 0, 1);
+      p.trend += (growth - p.trend) * Math.min(1, dt / CONFIG.PATHOGEN_TREND_DAYS);
+
+      if (p.infected < CONFIG.PATHOGEN_CLEARED_INFECTION) {
+        clearInfection(true);
+      } else if (p.trend < 0 && p.stage !== 'infected') {
+        p.stage = 'recovering';
+      } else if (p.infected >= CONFIG.PATHOGEN_DECLINE_INFECTION) {
+        p.stage = 'decline';
+      } else if (p.infected >= CONFIG.PATHOGEN_SPREAD_INFECTION) {
+        p.stage = 'spreading';
+      } else {
+        p.stage = 'infected';
+      }
+    }
+  }
+
+  // 5. Crown dieback
+  const diebackTarget = isTreeInfected() ? p.infected * getPathogen().dieback : 0;
+  const diebackDays = diebackTarget > p.dieback ? CONFIG.PATHOGEN_DIEBACK_DAYS : CONFIG.PATHOGEN_DIEBACK_REGROWTH_DAYS;
+  p.dieback += (diebackTarget - p.dieback) * Math.min(1, dt / diebackDays);
+  if (!species.evergreen && tree.phenology.phase === 'dormant' && p.stage === 'healthy') {
+    p.dieback = 0;  // next spring's leaves come out on a healthy tree
+  }
+
+  tree.diseaseLoad = p.infected * 100;
+}
+
+/**
+ * Stress the infection puts on the tree (see calculateTotalStress())
+ * @returns {number} Stress points
+ */
+function getPathogenStress() {
+  const pathogen = getPathogen();
+  if (!pathogen || !isTreeInfected()) return 0;
+  return tree.pathogen.infected * pathogen.virulence * CONFIG.PATHOGEN_STRESS;
+}
+
+/**
+ * Share of the root zone's water the tree can still move through its
+ * infected xylem and roots
+ * @returns {number} 0-1
+ */
+function getPathogenWaterFactor() {
+  const pathogen = getPathogen();
+  if (!pathogen || !isTreeInfected()) return 1;
+  return 1 - tree.pathogen.infected * pathogen.waterLoss;
+}
+
+/**
+ * Share of root anchorage lost to root rot
+ * @returns {number} 0-1
+ */
+function getPathogenAnchorageLoss() {
+  const pathogen = getPathogen();
+  if (!pathogen || !isTreeInfected()) return 0;
+  return tree.pathogen.infected * pathogen.anchorageLoss;
+}
+
+/**
+ * Cause of death to report for a tree that dies while the pathogen spreads
+ * or in decline
+ * @returns {string|null} Pathogen name, or null when the infection is not to blame
+ */
+function getPathogenDeathCause() {
+  const stage = tree.pathogen.stage;
+  if (stage !== 'spreading' && stage !== 'decline') return null;
+  return getPathogen().name;
+}
+
+if (typeof window !== 'undefined') {
+  window.PATHOGEN_STAGES = PATHOGEN_STAGES;
+  window.createPathogenState = createPathogenState;
+  window.getPathogen = getPathogen;
+  window.woundTree = woundTree;
+  window.isTreeInfected = isTreeInfected;
+  window.updatePathogens = updatePathogens;
+  window.getPathogenStress = getPathogenStress;
+  window.getPathogenWaterFactor = getPathogenWaterFactor;
+  window.getPathogenAnchorageLoss = getPathogenAnchorageLoss;
+  window.getPathogenDeathCause = getPathogenDeathCause;
+}
@@ -0,0 +1,215 @@
+// ============================================================
+// PHENOLOGY
+// Thermal-time model: chilling hours release winter dormancy,
+// growing degree-days drive bud burst, flowering and leaf-out,
+// cooling after midsummer starts senescence
+// ============================================================
+
+/** Phenological phases, in yearly order */
+const PHENOLOGY_PHASES = {
+  dormant: { name: 'Dormant', emoji: '😴' },
+  budburst: { name: 'Bud burst', emoji: '🌱' },
+  leafed: { name: 'Full leaf', emoji: '🌳' },
+  senescence: { name: 'Senescence', emoji: '🍂' }
+};
+
+/**
+ * Phenology state of a tree that has just wintered: dormant with its
+ * chilling requirement met, waiting for spring warmth
+ * @param {string} [speciesKey] - Key into TREE_SPECIES
+ * @returns {Object} Phenology state
+ */
+function createPhenologyState(speciesKey) {
+  const species = TREE_SPECIES[speciesKey] || TREE_SPECIES.OAK;
+  return {
+    phase: 'dormant',
+    chillHours: species.chillHours || 0,  // hours between PHENOLOGY_CHILL_MIN_TEMP and _MAX_TEMP this winter
+    forcing: 0,                           // degree-days towards bud burst
+    leafGDD: 0,                           // degree-days since bud burst
+    coldDays: 0,                          // cold degree-days towards senescence
+    senescence: 0,                        // 0-1 progress of leaf coloring and fall
+    frostDamage: 0,                       // share of the foliage lost to frost (0-1)
+    flowersLost: false,                   // frost killed this year's flowers
+    events: {                             // day of year each phase last started
+      budBurst: null,
+      fullLeaf: null,
+      senescence: null,
+      dormancy: null
+    }
+  };
+}
+
+/**
+ * Temperature the phenology integrates. In automatic climate mode this is
+ * the air temperature. In manual mode the temperature is constant, so the
+ * seasonal curve is used, shifted by the slider's departure from
+ * CLIMATE_REFERENCE_TEMP (a warmer site still leafs out earlier).
+ * @returns {number} Temperature (°C)
+ */
+function getPhenologyTemperature() {
+  if (CONFIG.CLIMATE_MODE === 'auto') return environment.temperature;
+  return getSeasonalCurveValue('ambientTemp', environment.dayOfYear) +
+    environment.temperature - CONFIG.CLIMATE_REFERENCE_TEMP;
+}
+
+/**
+ * Whether days are getting longer (between the middle of winter and the
+ * middle of summer)
+ * @param {number} dayOfYear - Day of year (0-365)
+ * @returns {boolean}
+ */
+function isDayLengthening(dayOfYear) {
+  const mids = getSeasonMidpoints();
+  const midsummer = mids[SEASON_ORDER.indexOf(SEASONS.SUMMER)];
+  const midwinter = mids[SEASON_ORDER.indexOf(SEASONS.WINTER)];
+  return dayOfYear >= midwinter || dayOfYear < midsummer;
+}
+
+/**
+ * Degree-days needed for bud burst. Trees that did not get their chilling
+ * need up to (1 + PHENOLOGY_CHILL_SHORTFALL) times the species' budBurstGDD.
+ * @param {Object} species - TREE_SPECIES entry
+ * @param {number} chillHours - Chilling accumulated this winter
+ * @returns {number} Degree-days
+ */
+function getBudBurstRequirement(species, chillHours) {
+  const required = species.chillHours || 0;
+  const chilled = required > 0 ? Math.min(1, chillHours / required) : 1;
+  return (species.budBurstGDD || 100) * (1 + CONFIG.PHENOLOGY_CHILL_SHORTFALL * (1 - chilled));
+}
+
+/**
+ * Leaf expansion after bud burst
+ * @returns {number} 0 at bud burst, 1 at full leaf
+ */
+function getLeafExpansion() {
+  const p = tree.phenology;
+  if (p.phase === 'dormant') return 0;
+  return clamp(p.leafGDD / CONFIG.PHENOLOGY_FULL_LEAF_GDD, 0, 1);
+}
+
+/**
+ * Enter a phase and record the day it started
+ * @param {string} phase - Key of PHENOLOGY_PHASES
+ * @param {string} [event] - Key of phenology.events to stamp
+ */
+function setPhenologyPhase(phase, event) {
+  tree.phenology.phase = phase;
+  if (event) tree.phenology.events[event] = Math.floor(environment.dayOfYear);
+}
+
+/**
+ * Advance the phenology by one substep and set tree.budBurst,
+ * tree.flowering and tree.leafSenescence.
+ *
+ * - Dormant: chilling hours accumulate; once the species' chillHours are
+ *   reached, or from midwinter on, degree-days above PHENOLOGY_BASE_TEMP
+ *   count towards bud burst (getBudBurstRequirement()).
+ * - Bud burst: leaves expand over PHENOLOGY_FULL_LEAF_GDD degree-days;
+ *   flowering runs from PHENOLOGY_FLOWERING_GDD for PHENOLOGY_FLOWERING_SPAN_GDD.
+ * - Full leaf: after midsummer, cooling below PHENOLOGY_SENESCENCE_TEMP adds
+ *   up to PHENOLOGY_SENESCENCE_CDD (or winter arrives) and senescence starts.
+ * - Senescence: leaves color and fall over PHENOLOGY_SENESCENCE_DAYS (scaled
+ *   by autumnLeafDrop), then the tree goes dormant and chilling starts over.
+ *
+ * Air temperature below PHENOLOGY_LEAF_FROST_TEMP damages leaves that are out,
+ * new ones most (evergreens only lose new shoots), and kills the flowers.
+ *
+ * @param {number} dt - Delta time in days
+ */
+function updatePhenology(dt) {
+  const p = tree.phenology;
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  const temperature = getPhenologyTemperature();
+  const degreeDays = Math.max(0, temperature - CONFIG.PHENOLOGY_BASE_TEMP) * dt;
+  const day = environment.dayOfYear;
+
+  switch (p.phase) {
+    case 'dormant':
+      if (temperature > CONFIG.PHENOLOGY_CHILL_MIN_TEMP && temperature <= CONFIG.PHENOLOGY_CHILL_MAX_TEMP) {
+        p.chillHours += 24 * dt;
+      }
+      if (p.chillHours >= (species.chillHours || 0) || isDayLengthening(day)) {
+        p.forcing += degreeDays;
+      }
+      if (p.forcing >= getBudBurstRequirement(species, p.chillHours)) {
+        p.leafGDD = 0;
+        p.flowersLost = false;
+        setPhenologyPhase('budburst', 'budBurst');
+      }
+      break;
+
+    case 'budburst':
+      p.leafGDD += degreeDays;
+      if (p.leafGDD >= CONFIG.PHENOLOGY_FULL_LEAF_GDD) {
+        setPhenologyPhase('leafed', 'fullLeaf');
+      }
+      break;
+
+    case 'leafed':
+      p.leafGDD += degreeDays;
+      if (!isDayLengthening(day)) {
+        p.coldDays += Math.max(0, CONFIG.PHENOLOGY_SENESCENCE_TEMP - temperature) * dt;
+        if (p.coldDays >= CONFIG.PHENOLOGY_SENESCENCE_CDD || environment.season === SEASONS.WINTER) {
+          p.senescence = 0;
+          setPhenologyPhase('senescence', 'senescence');
+        }
+      }
+      break;
+
+    case 'senescence': {
+      const days = CONFIG.PHENOLOGY_SENESCENCE_DAYS * (0.5 + (species.autumnLeafDrop !== undefined ? species.autumnLeafDrop : 0.5));
+      p.senescence = Math.min(1, p.senescence + dt / days);
+      if (p.senescence >= 1) {
+        p.chillHours = 0;
+        p.forcing = 0;
+        p.coldDays = 0;
+        p.frostDamage = 0;
+        setPhenologyPhase('dormant', 'dormancy');
+      }
+      break;
+    }
+  }
+
+  // Late frost on leaves (and flowers) that are already out
+  const exposed = p.phase === 'budburst' || (p.phase === 'leafed' && !species.evergreen);
+  if (exposed && environment.temperature < CONFIG.PHENOLOGY_LEAF_FROST_TEMP) {
+    const sensitivity = p.phase === 'budburst' ? 1 : 0.5;
+    const frost = CONFIG.PHENOLOGY_LEAF_FROST_TEMP - environment.temperature;
+    p.frostDamage = Math.min(1, p.frostDamage + CONFIG.PHENOLOGY_FROST_DAMAGE_RATE * frost * sensitivity * dt);
+    p.flowersLost = true;
+  } else if (p.phase !== 'dormant') {
+    p.frostDamage = Math.max(0, p.frostDamage - dt / CONFIG.PHENOLOGY_FROST_RECOVERY_DAYS);
+  }
+
+  const flowerStart = CONFIG.PHENOLOGY_FLOWERING_GDD;
+  tree.budBurst = p.phase === 'budburst';
+  tree.flowering = (p.phase === 'budburst' || p.phase === 'leafed') && !p.flowersLost &&
+    p.leafGDD >= flowerStart && p.leafGDD < flowerStart + CONFIG.PHENOLOGY_FLOWERING_SPAN_GDD;
+  tree.leafSenescence = p.phase === 'senescence';
+}
+
+/**
+ * Phenology state for a tree restored from a save without one, guessed
+ * from the calendar season
+ * @param {string} speciesKey - Key into TREE_SPECIES
+ * @returns {Object} Phenology state
+ */
+function getCalendarPhenology(speciesKey) {
+  const state = createPhenologyState(speciesKey);
+  if (environment.season === SEASONS.SUMMER) {
+    state.phase = 'leafed';
+    state.leafGDD = CONFIG.PHENOLOGY_FULL_LEAF_GDD + CONFIG.PHENOLOGY_FLOWERING_GDD + CONFIG.PHENOLOGY_FLOWERING_SPAN_GDD;
+  } else if (environment.season === SEASONS.AUTUMN) {
+    state.phase = 'senescence';
+  }
+  return state;
+}
+
+if (typeof window !== 'undefined') {
+  window.PHENOLOGY_PHASES = PHENOLOGY_PHASES;
+  window.createPhenologyState = createPhenologyState;
+  window.updatePhenology = updatePhenology;
+  window.getLeafExpansion = getLeafExpansion;
+  window.getCalendarPhenology = getCalendarPhenology;
+}
@@ -0,0 +1,162 @@
+// ============================================================
+// LEAF PHOTOSYNTHESIS
+// Farquhar–von Caemmerer–Berry leaf biochemistry with Medlyn
+// stomatal conductance, scaled to the crown through its leaf
+// layers and over the day (CONFIG.PHOTOSYNTHESIS_MODEL 'farquhar')
+// ============================================================
+
+const GAS_CONSTANT = 8.314;      // J/mol/K
+const AIR_PRESSURE = 101.325;    // kPa
+
+/**
+ * Temperature factor of a kinetic parameter relative to 25 °C (Arrhenius),
+ * with the decline above the optimum for parameters that have a
+ * deactivation energy.
+ * @param {{activation: number, deactivation?: number, entropy?: number}} params - See LEAF_KINETICS
+ * @param {number} temperature - Leaf temperature (°C)
+ * @returns {number} Multiplier of the 25 °C value
+ */
+function getKineticTemperatureFactor(params, temperature) {
+  const tk = temperature + 273.15;
+  const ref = 298.15;
+  let factor = Math.exp(params.activation * (tk - ref) / (ref * GAS_CONSTANT * tk));
+  if (params.deactivation) {
+    factor *= (1 + Math.exp((ref * params.entropy - params.deactivation) / (ref * GAS_CONSTANT))) /
+              (1 + Math.exp((tk * params.entropy - params.deactivation) / (tk * GAS_CONSTANT)));
+  }
+  return factor;
+}
+
+/**
+ * Vapor pressure deficit of the air
+ * @param {number} temperature - Air temperature (°C)
+ * @param {number} humidity - Relative humidity (%)
+ * @returns {number} kPa
+ */
+function getVaporPressureDeficit(temperature, humidity) {
+  const saturation = 0.6108 * Math.exp(17.27 * temperature / (temperature + 237.3));
+  return Math.max(0, saturation * (1 - humidity / 100));
+}
+
+/**
+ * The leaf's biochemical capacity at the given temperature. The species'
+ * vcmax25 is scaled by the leaf's nutrients and, as drought down-regulates
+ * it, by the water factor.
+ * @param {Object} species - TREE_SPECIES entry
+ * @param {number} temperature - Leaf temperature (°C)
+ * @param {number} capacityFactor - Nutrient and water factor (0-1)
+ * @returns {{vcmax: number, jmax: number, km: number, gammaStar: number}} Vcmax and Jmax
+ *   (µmol/m²/s), effective Michaelis constant and CO₂ compensation point (µmol/mol)
+ */
+function getLeafBiochemistry(species, temperature, capacityFactor) {
+  const vcmax25 = (species.vcmax25 !== undefined ? species.vcmax25 : CONFIG.FARQUHAR_VCMAX25) * capacityFactor;
+  const kc = LEAF_KINETICS.kc.at25 * getKineticTemperatureFactor(LEAF_KINETICS.kc, temperature);
+  const ko = LEAF_KINETICS.ko.at25 * getKineticTemperatureFactor(LEAF_KINETICS.ko, temperature);
+  return {
+    vcmax: vcmax25 * getKineticTemperatureFactor(LEAF_KINETICS.vcmax, temperature),
+    jmax: vcmax25 * CONFIG.FARQUHAR_JMAX_RATIO * getKineticTemperatureFactor(LEAF_KINETICS.jmax, temperature),
+    km: kc * (1 + CONFIG.FARQUHAR_OXYGEN / ko),
+    gammaStar: LEAF_KINETICS.gammaStar.at25 * getKineticTemperatureFactor(LEAF_KINETICS.gammaStar, temperature)
+  };
+}
+
+/**
+ * Leaf assimilation as the lesser of the Rubisco-limited and the
+ * light-limited (electron transport) rate. Photorespiration is taken off;
+ * dark respiration is not, the carbon budget pays it.
+ * @param {number} ci - CO₂ in the leaf (µmol/mol)
+ * @param {number} absorbedPAR - PAR absorbed by the leaf (µmol/m²/s)
+ * @param {Object} leaf - See getLeafBiochemistry()
+ * @returns {{rubisco: number, light: number, gross: number}} µmol CO₂/m²/s
+ */
+function getLeafAssimilation(ci, absorbedPAR, leaf) {
+  const alphaI = CONFIG.FARQUHAR_QUANTUM_YIELD * absorbedPAR;
+  const theta = CONFIG.FARQUHAR_CURVATURE;
+  const sum = alphaI + leaf.jmax;
+  const electronTransport = (sum - Math.sqrt(sum * sum - 4 * theta * alphaI * leaf.jmax)) / (2 * theta);
+
+  const rubisco = leaf.vcmax * (ci - leaf.gammaStar) / (ci + leaf.km);
+  const light = electronTransport / 4 * (ci - leaf.gammaStar) / (ci + 2 * leaf.gammaStar);
+  return { rubisco, light, gross: Math.max(0, Math.min(rubisco, light)) };
+}
+
+/**
+ * Photosynthesis of the crown today with the Farquhar leaf model.
+ *
+ * The stomata set the leaf's CO₂ by the Medlyn optimality model:
+ * ci = ca × g1 / (g1 + √VPD), so dry air and, through g1, dry soil close
+ * them. The crown is split into CONFIG.FARQUHAR_CANOPY_LAYERS layers of
+ * equal leaf area; each absorbs its share of the day's PAR (Beer–Lambert,
+ * see getCanopyLight()) and its assimilation is integrated over a half-sine
+ * day, so sunlit top leaves saturate while shaded ones stay light-limited.
+ *
+ * @param {number} water - Water availability to the leaves (0-100)
+ * @param {number} nutrientLevel - Tree nutrient level (0-100)
+ * @returns {{rate: number, assimilation: number, ci: number, conductance: number,
+ *   transpiration: number, wue: number, lightLimited: number, vpd: number, co2: number}}
+ *   Rate on the scale of calculatePhotosynthesis() (1 = CARBON_MAX_ASSIMILATION);
+ *   mean daytime assimilation (µmol CO₂/m² leaf/s), leaf CO₂ (µmol/mol), stomatal
+ *   conductance to water (mol/m²/s), transpiration (mol H₂O/m²/s), water-use
+ *   efficiency (mmol CO₂/mol H₂O), share of the leaves limited by light,
+ *   VPD (kPa), atmospheric CO₂ (ppm)
+ */
+function getCanopyPhotosynthesis(water, nutrientLevel) {
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  const waterFactor = clamp(water / 50, 0, 1);
+  const co2 = environment.co2;
+  const vpd = Math.max(CONFIG.FARQUHAR_MIN_VPD, getVaporPressureDeficit(environment.temperature, environment.humidity));
+
+  const g1 = (species.stomatalG1 !== undefined ? species.stomatalG1 : CONFIG.FARQUHAR_STOMATAL_G1) * waterFactor;
+  const ci = co2 * g1 / (g1 + Math.sqrt(vpd));
+  const leaf = getLeafBiochemistry(species, environment.temperature, nutrientLevel / 100 * waterFactor);
+
+  const light = getCanopyLight();
+  const daySeconds = environment.dayLength * 3600;
+  const layers = CONFIG.FARQUHAR_CANOPY_LAYERS;
+  const lai = Math.max(light.lai, 0.01);
+  // Three-point Gauss–Legendre over the day, sunrise 0 to sunset 1
+  const dayPoints = [[0.5 - 0.5 * Math.sqrt(0.6), 5 / 18], [0.5, 8 / 18], [0.5 + 0.5 * Math.sqrt(0.6), 5 / 18]];
+
+  let assimilation = 0;
+  let lightLimited = 0;
+  if (daySeconds > 0 && light.incident > 0) {
+    for (let i = 0; i < layers; i++) {
+      const top = lai * i / layers;
+      const bottom = lai * (i + 1) / layers;
+      const caught = getLightInterception(bottom, light.sinSun, light.diffuse) -
+                     getLightInterception(top, light.sinSun, light.diffuse);
+      const perLeaf = light.incident * caught * CONFIG.LIGHT_LEAF_ABSORPTANCE / (bottom - top);
+      const meanPAR = perLeaf * 1e6 / daySeconds;
+
+      dayPoints.forEach(([x, weight]) => {
+        const rates = getLeafAssimilation(ci, meanPAR * Math.PI / 2 * Math.sin(Math.PI * x), leaf);
+        assimilation += rates.gross * weight / layers;
+        if (rates.light < rates.rubisco) lightLimited += weight / layers;
+      });
+    }
+  }
+
+  const dailyCarbon = assimilation * daySeconds * 12e-9; // µmol CO₂ → kg C
+  const conductance = co2 > ci ? 1.6 * assimilation / (co2 - ci) : 0;
+  const transpiration = conductance * vpd / AIR_PRESSURE;
+
+  return {
+    rate: dailyCarbon / CONFIG.CARBON_MAX_ASSIMILATION,
+    assimilation,
+    ci,
+    conductance,
+    transpiration,
+    wue: transpiration > 0 ? assimilation / transpiration / 1000 : 0,
+    lightLimited,
+    vpd,
+    co2
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.getKineticTemperatureFactor = getKineticTemperatureFactor;
+  window.getVaporPressureDeficit = getVaporPressureDeficit;
+  window.getLeafBiochemistry = getLeafBiochemistry;
+  window.getLeafAssimilation = getLeafAssimilation;
+  window.getCanopyPhotosynthesis = getCanopyPhotosynthesis;
+}
@@ -1,31 +1,73 @@
 /**
  * Pseudo-Random Number Generator (PRNG)
- * Provides seeded random number generation for reproducible simulations
+ * Provides seeded random number generation for reproducible simulations.
+ *
+ * Randomness is split into independent named streams so that consumers
+ * which run at frame rate (the renderer) cannot shift the sequence that
+ * drives biology (germination, mortality, health noise):
+ * - simulation: physiology and tree geometry (the default `random()`)
+ * - visuals: per-frame rendering jitter and visual-only particles
+ * - weather: stochastic weather generation
  */
 
+const PRNG_STREAMS = ['simulation', 'visuals', 'weather'];
+
 let prngState = {
   seed: 12345,
-  state: 12345
+  streams: {
+    simulation: 12345,
+    visuals: deriveStreamSeed(12345, 'visuals'),
+    weather: deriveStreamSeed(12345, 'weather')
+  }
 };
 
 /**
- * Initialize PRNG with a seed
+ * Derive the starting state of a named stream from the master seed.
+ * The simulation stream uses the seed unchanged so existing seeds keep
+ * producing the same biological outcome.
+ * @param {number} seed - Master seed
+ * @param {string} name - Stream name
+ * @returns {number} Unsigned 32-bit stream state
+ */
+function deriveStreamSeed(seed, name) {
+  if (name === 'simulation') return seed >>> 0;
+  
+  // FNV-1a hash of the stream name, mixed with the seed
+  let hash = 2166136261;
+  for (let i = 0; i < name.length; i++) {
+    hash ^= name.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  hash ^= seed >>> 0;
+  hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+  hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Initialize PRNG with a seed (re-seeds every stream)
  * @param {number} seed - The seed value for reproducibility
  */
 function initPRNG(seed) {
   prngState.seed = seed;
-  prngState.state = seed;
+  PRNG_STREAMS.forEach(name => {
+    prngState.streams[name] = deriveStreamSeed(seed, name);
+  });
 }
 
 /**
- * Generate next random number using linear congruential generator
- * @returns {number} Random number between 0 and 1
+ * Generate next number from a named stream using a linear congruential generator
+ * @param {string} name - Stream name (see PRNG_STREAMS)
+ * @param {number} [min] - Minimum (or maximum if max is omitted)
+ * @param {number} [max] - Maximum (exclusive)
+ * @returns {number} Random number in [0, 1), [0, min) or [min, max)
  */
-function random(min, max) {
+function streamRandom(name, min, max) {
   // Linear congruential generator (LCG)
   // Using parameters from Numerical Recipes
-  prngState.state = (prngState.state * 1664525 + 1013904223) % 4294967296;
-  const r = prngState.state / 4294967296;
+  const state = (prngState.streams[name] * 1664525 + 1013904223) % 4294967296;
+  prngState.streams[name] = state;
+  const r = state / 4294967296;
 
   // Backwards-compatible overload:
   // - random() -> [0, 1)
@@ -36,6 +78,31 @@ function random(min, max) {
   return r * (max - min) + min;
 }
 
+/**
+ * Generate next random number from the simulation stream
+ * @returns {number} Random number between 0 and 1 (or in the given range)
+ */
+function random(min, max) {
+  return streamRandom('simulation', min, max);
+}
+
+/**
+ * Generate next random number from the visuals stream.
+ * Use for anything drawn per frame so rendering never advances the simulation stream.
+ * @returns {number} Random number between 0 and 1 (or in the given range)
+ */
+function visualRandom(min, max) {
+  return streamRandom('visuals', min, max);
+}
+
+/**
+ * Generate next random number from the weather stream
+ * @returns {number} Random number between 0 and 1 (or in the given range)
+ */
+function weatherRandom(min, max) {
+  return streamRandom('weather', min, max);
+}
+
 /**
  * Generate random integer in range [min, max]
  * @param {number} min - Minimum value (inclusive)
@@ -156,8 +223,12 @@ function lerp(a, b, t) {
 }
 
 // Make functions globally accessible
-window.perlin2D = perlin2D;
-window.fbm = fbm;
-window.randomGaussian = randomGaussian;
-window.clamp = clamp;
-window.lerp = lerp;
+if (typeof window !== 'undefined') {
+  window.visualRandom = visualRandom;
+  window.weatherRandom = weatherRandom;
+  window.perlin2D = perlin2D;
+  window.fbm = fbm;
+  window.randomGaussian = randomGaussian;
+  window.clamp = clamp;
+  window.lerp = lerp;
+}
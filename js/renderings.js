@@ -26,10 +26,17 @@ const renderer = {
   deltaTime: 0,
   lastFrame: 0,
   
+  // Fires (environment.fire.fires) whose lightning strike has been drawn
+  fireStrikeDrawn: 0,
+  
   // Cached gradients
   skyGradient: null,
   groundGradient: null,
   
+  // Cached species textures: leaf sprites by shape and color, bark patterns by texture
+  leafSprites: new Map(),
+  barkPatterns: new Map(),
+  
   // Offscreen buffers for effects
   bloomBuffer: null,
   bloomCtx: null
@@ -84,13 +91,12 @@ function initRenderer() {
  */
 function calculateSunPosition(dayOfYear) {
   const dayProgress = (dayOfYear % 1);
-  const yearProgress = dayOfYear / 365;
   
-  // Sun arc changes with seasons
-  const seasonalTilt = Math.sin(yearProgress * Math.PI * 2) * 0.2;
+  // Sun arc rises and sinks with the noon elevation the canopy light uses
+  const seasonalTilt = (getNoonSunElevation(dayOfYear) - (90 - CONFIG.LIGHT_LATITUDE)) / 23.44 * 0.2;
   
   renderer.sunPosition.x = 100 + dayProgress * (renderer.width - 200);
-  renderer.sunPosition.y = 150 + Math.sin(dayProgress * Math.PI) * -120 + seasonalTilt * 50;
+  renderer.sunPosition.y = 150 + Math.sin(dayProgress * Math.PI) * -120 - seasonalTilt * 50;
   renderer.sunIntensity = Math.max(0, Math.sin(dayProgress * Math.PI));
 }
 
@@ -120,7 +126,8 @@ function renderScene(dayOfYear, seasonProgress) {
   }
   
   // === VOLUMETRIC CLOUDS ===
-  if (environment.storm) {
+  const weather = environment.weatherType;
+  if (environment.storm || weather === 'STORM') {
     drawStormSystem(seasonProgress);
   } else {
     drawVolumetricClouds(seasonProgress, season);
@@ -146,17 +153,20 @@ function renderScene(dayOfYear, seasonProgress) {
   // === MAIN TREE ===
   drawHyperrealisticTree(season, seasonProgress);
   
+  // === SURFACE FIRE ===
+  if (environment.fire.burning) drawSurfaceFire();
+  
   // === WEATHER EFFECTS ===
-  if (environment.storm) {
+  if (environment.storm || weather === 'STORM' || weather === 'RAIN') {
     drawRealisticRain(seasonProgress);
-    if (random() < 0.002) drawLightning();
+    if ((environment.storm || weather === 'STORM') && visualRandom() < 0.002) drawLightning();
   }
-  if (season === SEASONS.WINTER && environment.temperature < 2) {
+  if (weather === 'SNOW') {
     drawSnowfall(seasonProgress);
   }
   
   // === ATMOSPHERIC PARTICLES ===
-  if (environment.humidity > 60) drawMistLayers();
+  if (environment.humidity > 60 || weather === 'FOG') drawMistLayers();
   drawDustMotes(seasonProgress);
   
   // === LEAF PARTICLES ===
@@ -398,7 +408,8 @@ function drawGodRays(dayOfYear) {
 function drawVolumetricClouds(seasonProgress, season) {
   const w = renderer.width;
   
-  const cloudCount = 6;
+  // More clouds under heavier cover (6 at the old fixed density, ~0.5)
+  const cloudCount = environment.weatherType ? Math.round(1 + environment.cloudCover * 10) : 6;
   const baseY = 80;
   
   for (let i = 0; i < cloudCount; i++) {
@@ -467,12 +478,15 @@ function drawStormSystem(seasonProgress) {
   }
 }
 
-function drawLightning() {
+// A bolt from the storm clouds; given a target it strikes the ground there
+function drawLightning(targetX) {
   const ctx = renderer.ctx;
   const w = renderer.width;
+  const strikes = targetX !== undefined;
   
-  const startX = random(100, w - 100);
+  const startX = strikes ? targetX + visualRandom(-150, 150) : visualRandom(100, w - 100);
   const startY = 50;
+  const endY = strikes ? getGroundY() : 400;
   
   ctx.strokeStyle = 'rgba(200, 220, 255, 0.9)';
   ctx.lineWidth = 3;
@@ -485,15 +499,16 @@ function drawLightning() {
   let x = startX;
   let y = startY;
   
-  while (y < 400) {
-    x += random(-30, 30);
-    y += random(20, 50);
+  while (y < endY) {
+    x += visualRandom(-30, 30);
+    if (strikes) x += (targetX - x) * 0.25;
+    y = Math.min(endY, y + visualRandom(20, 50));
     ctx.lineTo(x, y);
     
     // Branch
-    if (random() < 0.3) {
-      const branchX = x + random(-50, 50);
-      const branchY = y + random(30, 60);
+    if (visualRandom() < 0.3) {
+      const branchX = x + visualRandom(-50, 50);
+      const branchY = y + visualRandom(30, 60);
       ctx.lineTo(branchX, branchY);
       ctx.moveTo(x, y);
     }
@@ -615,14 +630,14 @@ function drawGrassBlades(groundY, season) {
     for (let x = 0; x < w; x += layerSpacing) {
       // Vary density - less grass near tree trunk (shade)
       const distFromCenter = Math.abs(x - centerX);
-      if (distFromCenter < 60 && random() > 0.4) continue;
+      if (distFromCenter < 60 && visualRandom() > 0.4) continue;
       
       const noise = perlin2D(x * 0.05, renderer.time * 0.5 + layer);
-      const height = layerHeight + random(0, 12);
+      const height = layerHeight + visualRandom(0, 12);
       const sway = noise * 6 + environment.windSpeed * 0.4 * (layer + 1);
       
       // Pick varied grass color
-      const colorIdx = Math.floor(random(0, grassColors.length));
+      const colorIdx = Math.floor(visualRandom(0, grassColors.length));
       ctx.strokeStyle = grassColors[colorIdx];
       ctx.lineWidth = 0.8 + layer * 0.3;
       ctx.globalAlpha = layerAlpha;
@@ -631,7 +646,7 @@ function drawGrassBlades(groundY, season) {
       ctx.moveTo(x, groundY);
       
       // More natural curve with slight random tilt
-      const tilt = random(-2, 2);
+      const tilt = visualRandom(-2, 2);
       ctx.bezierCurveTo(
         x + tilt, groundY - height * 0.33,
         x + sway * 0.5 + tilt, groundY - height * 0.66,
@@ -659,14 +674,14 @@ function drawLeafLitter(ctx, centerX, groundY, season) {
   
   for (let i = 0; i < numLeaves; i++) {
     // Cluster leaves around tree base
-    const angle = random(0, Math.PI * 2);
-    const dist = random(25, 120);
+    const angle = visualRandom(0, Math.PI * 2);
+    const dist = visualRandom(25, 120);
     const x = centerX + Math.cos(angle) * dist;
-    const y = groundY + random(2, 18);
+    const y = groundY + visualRandom(2, 18);
     
-    const leafSize = random(4, 10);
-    const leafColor = leafColors[Math.floor(random(0, leafColors.length))];
-    const rotation = random(0, Math.PI * 2);
+    const leafSize = visualRandom(4, 10);
+    const leafColor = leafColors[Math.floor(visualRandom(0, leafColors.length))];
+    const rotation = visualRandom(0, Math.PI * 2);
     
     ctx.save();
     ctx.translate(x, y);
@@ -675,7 +690,7 @@ function drawLeafLitter(ctx, centerX, groundY, season) {
     
     // Simple leaf shape
     ctx.fillStyle = leafColor;
-    ctx.globalAlpha = random(0.4, 0.8);
+    ctx.globalAlpha = visualRandom(0.4, 0.8);
     ctx.beginPath();
     ctx.ellipse(0, 0, leafSize, leafSize * 0.5, 0, 0, Math.PI * 2);
     ctx.fill();
@@ -712,7 +727,7 @@ function drawSoilTexture(startY, endY) {
   
   // Soil layers (stratigraphy)
   for (let y = startY + 40; y < endY; y += 60) {
-    ctx.fillStyle = `rgba(60, 45, 30, ${0.05 + random(0, 0.05)})`;
+    ctx.fillStyle = `rgba(60, 45, 30, ${0.05 + visualRandom(0, 0.05)})`;
     ctx.fillRect(0, y, w, 3);
   }
 }
@@ -729,8 +744,8 @@ function drawWetGround(groundY) {
   for (let i = 0; i < 5; i++) {
     const x = 200 + i * 250;
     const y = groundY + 25;
-    const rx = 30 + random(0, 20);
-    const ry = 8 + random(0, 5);
+    const rx = 30 + visualRandom(0, 20);
+    const ry = 8 + visualRandom(0, 5);
     
     ctx.fillStyle = 'rgba(100, 140, 180, 0.2)';
     ctx.beginPath();
@@ -758,16 +773,16 @@ function drawDryGround(groundY) {
   ctx.lineWidth = 1.5;
   
   for (let i = 0; i < 30; i++) {
-    const x = random(0, w);
-    const y = groundY + random(5, 45);
+    const x = visualRandom(0, w);
+    const y = groundY + visualRandom(5, 45);
     
     ctx.beginPath();
     ctx.moveTo(x, y);
     
     let cx = x, cy = y;
     for (let j = 0; j < 4; j++) {
-      cx += random(-20, 20);
-      cy += random(5, 15);
+      cx += visualRandom(-20, 20);
+      cy += visualRandom(5, 15);
       ctx.lineTo(cx, cy);
     }
     ctx.stroke();
@@ -785,8 +800,11 @@ function drawDetailedRoots() {
   
   const isAlive = tree.health > 0;
   
+  // === SOIL HORIZONS (behind the roots) ===
+  drawSoilHorizons(ctx, groundY);
+  
   // Root colors - warm earthy browns with variation
-  const rootHue = isAlive ? 22 + random(-4, 4) : 0;
+  const rootHue = isAlive ? 22 + visualRandom(-4, 4) : 0;
   const rootSat = isAlive ? 55 : 0;
   const rootLight = isAlive ? 22 : 45;
   
@@ -798,7 +816,7 @@ function drawDetailedRoots() {
     const tapRoot = tree.rootMesh.find(r => r.type === 'tap');
     if (tapRoot) {
       const rootDepth = tapRoot.depth * 120;
-      drawMajorRoot(ctx, centerX, groundY + 25, centerX + random(-8, 8), groundY + 25 + rootDepth, 
+      drawMajorRoot(ctx, centerX, groundY + 25, centerX + visualRandom(-8, 8), groundY + 25 + rootDepth, 
                     tapRoot.thickness * 1.3, rootHue, rootSat, rootLight, 'tap');
     }
   }
@@ -828,10 +846,10 @@ function drawDetailedRoots() {
         const t = 0.3 + (i / numSecondary) * 0.5;
         const branchX = lerp(emergeX, endX, t);
         const branchY = lerp(emergeY, endY, t);
-        const branchAngle = angle + random(-0.6, 0.6);
-        const branchLen = random(25, 50);
+        const branchAngle = angle + visualRandom(-0.6, 0.6);
+        const branchLen = visualRandom(25, 50);
         const branchEndX = branchX + Math.cos(branchAngle) * branchLen;
-        const branchEndY = branchY + random(15, 35);
+        const branchEndY = branchY + visualRandom(15, 35);
         
         drawSecondaryRoot(ctx, branchX, branchY, branchEndX, branchEndY, root.thickness * 0.4, rootHue, rootSat, rootLight);
       }
@@ -842,6 +860,54 @@ function drawDetailedRoots() {
   }
 }
 
+// Soil profile bands (O/A/B/C) on the same depth scale as the tap root
+function drawSoilHorizons(ctx, groundY) {
+  const pxPerMeter = 120;
+  const originY = groundY + 25;
+  const w = renderer.width;
+  const weights = getRootDistribution(tree.rootDepth);
+  let labelY = -Infinity;
+  
+  ctx.save();
+  ctx.font = '9px system-ui';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'alphabetic';
+  
+  environment.soil.horizons.forEach((horizon, i) => {
+    const texture = SOIL_TEXTURES[horizon.texture] || SOIL_TEXTURES.loam;
+    const top = originY + horizon.top * pxPerMeter;
+    const bottom = Math.min(renderer.height, originY + horizon.bottom * pxPerMeter);
+    if (top >= renderer.height) return;
+    
+    // Darker with organic matter and moisture
+    const wetness = Number.isFinite(horizon.moisture)
+      ? clamp((horizon.moisture - texture.wiltingPoint) / (texture.fieldCapacity - texture.wiltingPoint), 0, 1)
+      : 0.5;
+    const [hue, sat, light] = texture.color;
+    const shade = light - Math.min(horizon.organicMatter, 20) * 0.4 - wetness * 6;
+    ctx.fillStyle = `hsla(${hue}, ${sat}%, ${Math.max(6, shade)}%, 0.45)`;
+    ctx.fillRect(0, top, w, bottom - top);
+    
+    // Horizon boundary
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, top);
+    ctx.lineTo(w, top);
+    ctx.stroke();
+    
+    // Label; horizons the roots reach are highlighted
+    const y = Math.max(top + 10, labelY + 11);
+    if (y < renderer.height - 2) {
+      ctx.fillStyle = weights[i] > 0 ? 'rgba(255, 240, 210, 0.8)' : 'rgba(255, 240, 210, 0.4)';
+      ctx.fillText(`${horizon.name} · ${texture.name} · pH ${horizon.pH.toFixed(1)}`, 8, y);
+      labelY = y;
+    }
+  });
+  
+  ctx.restore();
+}
+
 // Surface roots that are partially visible above ground
 function drawSurfaceRoots(ctx, centerX, groundY, hue, sat, light) {
   // Calculate trunk width same as in drawHyperrealisticTree
@@ -850,26 +916,26 @@ function drawSurfaceRoots(ctx, centerX, groundY, hue, sat, light) {
   ctx.save();
   
   // Major visible surface roots (buttress-style)
-  const numSurface = 4 + Math.floor(random(0, 3));
+  const numSurface = 4 + Math.floor(visualRandom(0, 3));
   for (let i = 0; i < numSurface; i++) {
-    const angle = (i / numSurface) * Math.PI - Math.PI / 2 + random(-0.15, 0.15);
-    const rootLen = random(40, 80);
+    const angle = (i / numSurface) * Math.PI - Math.PI / 2 + visualRandom(-0.15, 0.15);
+    const rootLen = visualRandom(40, 80);
     
     const startX = centerX + Math.cos(angle) * trunkWidth * 0.4;
     const startY = groundY + 2;
     const endX = startX + Math.cos(angle) * rootLen;
-    const endY = groundY + random(8, 20);
+    const endY = groundY + visualRandom(8, 20);
     
     // Root thickness tapers
-    const startThick = random(6, 12);
-    const endThick = random(2, 4);
+    const startThick = visualRandom(6, 12);
+    const endThick = visualRandom(2, 4);
     
     // Create organic root shape
     ctx.beginPath();
     
     // Top edge of root
     const midX = (startX + endX) / 2;
-    const midY = groundY - random(2, 6); // Rises slightly above ground
+    const midY = groundY - visualRandom(2, 6); // Rises slightly above ground
     
     ctx.moveTo(startX, startY - startThick / 2);
     ctx.quadraticCurveTo(midX, midY - startThick / 3, endX, endY - endThick / 2);
@@ -898,7 +964,7 @@ function drawSurfaceRoots(ctx, centerX, groundY, hue, sat, light) {
       const ly = lerp(startY, endY, t);
       ctx.beginPath();
       ctx.moveTo(lx, ly - startThick * (1 - t) * 0.4);
-      ctx.lineTo(lx + random(-3, 3), ly + startThick * (1 - t) * 0.4);
+      ctx.lineTo(lx + visualRandom(-3, 3), ly + startThick * (1 - t) * 0.4);
       ctx.stroke();
     }
   }
@@ -974,7 +1040,7 @@ function drawMajorRoot(ctx, x1, y1, x2, y2, thickness, hue, sat, light, type, an
   for (let i = 2; i < points.length - 1; i += 2) {
     ctx.beginPath();
     ctx.moveTo(points[i].x - points[i].w * 0.8, points[i].y);
-    ctx.lineTo(points[i].x + points[i].w * 0.8, points[i].y + random(-1, 1));
+    ctx.lineTo(points[i].x + points[i].w * 0.8, points[i].y + visualRandom(-1, 1));
     ctx.stroke();
   }
   
@@ -988,10 +1054,10 @@ function drawSecondaryRoot(ctx, x1, y1, x2, y2, thickness, hue, sat, light) {
   const width = Math.max(1.5, thickness / 18);
   
   // Organic curve with control points
-  const cx1 = x1 + (x2 - x1) * 0.3 + random(-8, 8);
-  const cy1 = y1 + (y2 - y1) * 0.3 + random(-4, 4);
-  const cx2 = x1 + (x2 - x1) * 0.7 + random(-8, 8);
-  const cy2 = y1 + (y2 - y1) * 0.7 + random(-4, 4);
+  const cx1 = x1 + (x2 - x1) * 0.3 + visualRandom(-8, 8);
+  const cy1 = y1 + (y2 - y1) * 0.3 + visualRandom(-4, 4);
+  const cx2 = x1 + (x2 - x1) * 0.7 + visualRandom(-8, 8);
+  const cy2 = y1 + (y2 - y1) * 0.7 + visualRandom(-4, 4);
   
   // Draw as tapered stroke
   const gradient = ctx.createLinearGradient(x1, y1, x2, y2);
@@ -1024,36 +1090,36 @@ function drawSecondaryRoot(ctx, x1, y1, x2, y2, thickness, hue, sat, light) {
 function drawFineRoots(ctx, x, y, thickness, hue, sat, light, baseAngle) {
   ctx.save();
   
-  const numFine = 8 + Math.floor(random(0, 6));
+  const numFine = 8 + Math.floor(visualRandom(0, 6));
   
   ctx.lineCap = 'round';
   
   for (let i = 0; i < numFine; i++) {
-    const angle = baseAngle + random(-1.2, 1.2);
-    const len = random(12, 35);
+    const angle = baseAngle + visualRandom(-1.2, 1.2);
+    const len = visualRandom(12, 35);
     const endX = x + Math.cos(angle) * len;
-    const endY = y + Math.abs(Math.sin(angle)) * len * 0.6 + random(5, 15);
+    const endY = y + Math.abs(Math.sin(angle)) * len * 0.6 + visualRandom(5, 15);
     
     // Very thin, semi-transparent
-    ctx.strokeStyle = `hsla(${hue}, ${sat - 10}%, ${light + random(-5, 5)}%, ${random(0.2, 0.45)})`;
-    ctx.lineWidth = random(0.5, 1.5);
+    ctx.strokeStyle = `hsla(${hue}, ${sat - 10}%, ${light + visualRandom(-5, 5)}%, ${visualRandom(0.2, 0.45)})`;
+    ctx.lineWidth = visualRandom(0.5, 1.5);
     
     ctx.beginPath();
     ctx.moveTo(x, y);
     
     // Slight curve
-    const cx = (x + endX) / 2 + random(-5, 5);
-    const cy = (y + endY) / 2 + random(-3, 3);
+    const cx = (x + endX) / 2 + visualRandom(-5, 5);
+    const cy = (y + endY) / 2 + visualRandom(-3, 3);
     ctx.quadraticCurveTo(cx, cy, endX, endY);
     ctx.stroke();
     
     // Root hairs on fine roots
-    if (random() > 0.5) {
-      const hairT = random(0.4, 0.8);
+    if (visualRandom() > 0.5) {
+      const hairT = visualRandom(0.4, 0.8);
       const hairX = lerp(x, endX, hairT);
       const hairY = lerp(y, endY, hairT);
-      const hairLen = random(4, 10);
-      const hairAngle = angle + random(-0.8, 0.8);
+      const hairLen = visualRandom(4, 10);
+      const hairAngle = angle + visualRandom(-0.8, 0.8);
       
       ctx.strokeStyle = `hsla(${hue}, ${sat - 15}%, ${light}%, 0.2)`;
       ctx.lineWidth = 0.3;
@@ -1072,37 +1138,77 @@ function drawFineRoots(ctx, x, y, thickness, hue, sat, light, baseAngle) {
 // ============================================================
 
 function drawHyperrealisticTree(season, seasonProgress) {
+  const ctx = renderer.ctx;
   const centerX = renderer.width / 2;
   const groundY = getGroundY();
   
   const treePixelHeight = tree.height * 100;
   const treePixelDBH = tree.dbh * 500;
   
+  // === WIND SWAY (the whole tree leans about its base) ===
+  const sway = getTrunkSway();
+  ctx.save();
+  ctx.transform(1, 0, -sway, 1, sway * groundY, 0);
+  
   // === TRUNK WITH BARK TEXTURE ===
   drawRealisticTrunk(centerX, groundY, treePixelHeight, treePixelDBH);
   
   // === BRANCHES WITH NATURAL FORM ===
   drawRealisticBranches(centerX, groundY - treePixelHeight);
   
+  // === DISTURBANCE DAMAGE (scars, broken stubs, sprouts) ===
+  drawDisturbanceDamage(centerX, groundY, treePixelHeight, treePixelDBH);
+  
   // === FOLIAGE SYSTEM ===
   if (tree.foliageOpacity > 0.01) {
     drawLayeredFoliage(centerX, groundY - treePixelHeight, season, seasonProgress);
   }
   
+  // === PATHOGEN DIEBACK ===
+  if (tree.pathogen.dieback > 0.01) {
+    drawCanopyDieback(centerX, groundY - treePixelHeight);
+  }
+  
+  // === FLOWERS & FRUIT ===
+  if (CONFIG.REPRODUCTION_ENABLED && tree.health > 0) {
+    drawCanopyFruit(centerX, groundY - treePixelHeight);
+  }
+  
   // === INDIVIDUAL LEAVES ===
   if (tree.leaves && tree.leaves.length > 0) {
     drawIndividualLeaves(centerX, groundY - treePixelHeight, season, seasonProgress);
   }
+  
+  // === INSECTS ===
+  if (tree.health > 0) {
+    drawInsects(centerX, groundY, treePixelHeight, treePixelDBH);
+  }
+  
+  ctx.restore();
+}
+
+// Lean of the stem in the wind (px sideways per px up) from getWindLoad():
+// the mean wind's deflection, swinging out to the gusts' at the stem's natural
+// frequency (slowed to at most 3 Hz to stay visible), as a share of the crown
+// center's height.
+function getTrunkSway() {
+  const load = getWindLoad();
+  const crownCenter = Math.max(0.05, tree.height - tree.crownHeight / 2);
+  const frequency = clamp(load.frequency, 0.3, 3);
+  const swing = (Math.sin(renderer.time * Math.PI * 2 * frequency) + 1) / 2;
+  const deflection = load.meanDeflection + (load.deflection - load.meanDeflection) * swing;
+  return clamp(deflection / crownCenter, 0, 0.3);
 }
 
 function drawRealisticTrunk(x, groundY, height, width) {
   const ctx = renderer.ctx;
   const isAlive = tree.health > 0;
   
-  // Natural bark colors - warmer browns with subtle variation
-  const trunkHue = isAlive ? 22 + random(-3, 3) : 0;
-  const trunkSat = isAlive ? 45 + random(-5, 5) : 0;
-  const trunkLight = isAlive ? 18 + (tree.health / 100) * 8 : 35;
+  // The species' bark color with subtle variation, duller as health fails
+  const bark = hexToHsl((TREE_SPECIES[tree.species] || TREE_SPECIES.OAK).barkColor || '#4a3728');
+  const trunkHue = isAlive ? bark.h + visualRandom(-3, 3) : 0;
+  const trunkSat = isAlive ? bark.s + visualRandom(-5, 5) : 0;
+  const trunkLight = isAlive ? bark.l * (0.75 + tree.health / 400) : 35;
   
   // Create trunk shape with realistic taper (more pronounced at base)
   const topWidth = width * tree.trunkTaper * 0.4;
@@ -1200,98 +1306,26 @@ function drawRealisticTrunk(x, groundY, height, width) {
   ctx.restore();
 }
 
+// Bark over the trunk: the species' cached bark pattern (getBarkPattern())
+// filling the trunk outline, which is still the current path, anchored at
+// the stem base, then knots and fine stippling.
 function drawBarkTexture(ctx, x, groundY, height, width, hue, sat, light) {
   const topWidth = width * tree.trunkTaper * 0.4;
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
   
-  // === DEEP BARK FISSURES (major vertical cracks) ===
+  // === SPECIES BARK PATTERN ===
   ctx.save();
-  ctx.globalCompositeOperation = 'multiply';
-  
-  // Deep shadows in bark crevices
-  const numFissures = Math.floor(6 + tree.age * 0.3);
-  for (let i = 0; i < numFissures; i++) {
-    const xPos = (i / numFissures - 0.5) * width * 0.85;
-    const fissureDepth = random(0.3, 0.95);
-    const endY = groundY - height * fissureDepth;
-    
-    // Dark shadow line (depth)
-    ctx.strokeStyle = `hsla(${hue}, ${sat}%, ${light - 25}%, ${random(0.25, 0.45)})`;
-    ctx.lineWidth = random(2, 4);
-    ctx.beginPath();
-    ctx.moveTo(x + xPos, groundY);
-    
-    let cy = groundY;
-    while (cy > endY) {
-      const step = random(8, 18);
-      cy -= step;
-      // Natural meander using multi-octave noise
-      const wobble = fbm(cy * 0.02, i * 7, 2) * 6;
-      const drift = Math.sin(cy * 0.015 + i) * 3;
-      ctx.lineTo(x + xPos + wobble + drift, cy);
-    }
-    ctx.stroke();
-    
-    // Highlight edge (ridge catching light)
-    ctx.strokeStyle = `hsla(${hue}, ${sat - 5}%, ${light + 8}%, 0.15)`;
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.moveTo(x + xPos + 2, groundY);
-    cy = groundY;
-    while (cy > endY) {
-      const step = random(8, 18);
-      cy -= step;
-      const wobble = fbm(cy * 0.02, i * 7, 2) * 6 + 2;
-      const drift = Math.sin(cy * 0.015 + i) * 3;
-      ctx.lineTo(x + xPos + wobble + drift, cy);
-    }
-    ctx.stroke();
-  }
+  ctx.translate(x, groundY);
+  ctx.fillStyle = getBarkPattern(species.barkTexture);
+  ctx.fill();
   ctx.restore();
   
-  // === BARK PLATES (blocky patterns between fissures) ===
-  ctx.globalAlpha = 0.12;
-  for (let row = 0; row < 8; row++) {
-    const rowY = groundY - (height / 8) * row;
-    const t = row / 8;
-    const rowWidth = lerp(width, topWidth, t) * 0.42;
-    
-    for (let col = 0; col < 4 + Math.floor(random(0, 2)); col++) {
-      const plateX = x + (col / 4 - 0.5) * rowWidth * 2;
-      const plateW = random(8, 18);
-      const plateH = random(12, 25);
-      
-      // Subtle plate shading
-      const plateGrad = ctx.createLinearGradient(plateX - plateW/2, rowY, plateX + plateW/2, rowY);
-      plateGrad.addColorStop(0, `hsl(${hue}, ${sat}%, ${light - 8}%)`);
-      plateGrad.addColorStop(0.5, `hsl(${hue}, ${sat + 3}%, ${light + 3}%)`);
-      plateGrad.addColorStop(1, `hsl(${hue}, ${sat}%, ${light - 5}%)`);
-      
-      ctx.fillStyle = plateGrad;
-      ctx.fillRect(plateX - plateW/2 + random(-3, 3), rowY - plateH + random(-5, 5), plateW, plateH);
-    }
-  }
-  ctx.globalAlpha = 1;
-  
-  // === HORIZONTAL GROWTH RINGS / PEELING BARK ===
-  ctx.strokeStyle = `hsla(${hue}, ${sat - 5}%, ${light - 12}%, 0.18)`;
-  for (let y = groundY - 15; y > groundY - height * 0.9; y -= random(20, 40)) {
-    const t = (groundY - y) / height;
-    const w = lerp(width, topWidth, t) * 0.38;
-    
-    ctx.lineWidth = random(0.5, 1.5);
-    ctx.beginPath();
-    // Curved horizontal line following trunk contour
-    ctx.moveTo(x - w, y + random(-2, 2));
-    ctx.quadraticCurveTo(x, y + random(-4, 0), x + w, y + random(-2, 2));
-    ctx.stroke();
-  }
-  
   // === KNOTS AND BRANCH SCARS ===
   const numKnots = Math.min(2 + Math.floor(tree.age / 8), 5);
   for (let i = 0; i < numKnots; i++) {
-    const knotY = groundY - height * random(0.15, 0.75);
-    const knotX = x + random(-width * 0.25, width * 0.25);
-    const knotSize = random(6, 14);
+    const knotY = groundY - height * visualRandom(0.15, 0.75);
+    const knotX = x + visualRandom(-width * 0.25, width * 0.25);
+    const knotSize = visualRandom(6, 14);
     
     // Knot shadow (depth)
     const knotGrad = ctx.createRadialGradient(knotX, knotY, 0, knotX, knotY, knotSize);
@@ -1302,7 +1336,7 @@ function drawBarkTexture(ctx, x, groundY, height, width, hue, sat, light) {
     
     ctx.fillStyle = knotGrad;
     ctx.beginPath();
-    ctx.ellipse(knotX, knotY, knotSize, knotSize * 0.65, random(-0.3, 0.3), 0, Math.PI * 2);
+    ctx.ellipse(knotX, knotY, knotSize, knotSize * 0.65, visualRandom(-0.3, 0.3), 0, Math.PI * 2);
     ctx.fill();
     
     // Growth rings around knot
@@ -1310,7 +1344,7 @@ function drawBarkTexture(ctx, x, groundY, height, width, hue, sat, light) {
     ctx.lineWidth = 0.5;
     for (let ring = 1; ring <= 3; ring++) {
       ctx.beginPath();
-      ctx.ellipse(knotX, knotY, knotSize + ring * 3, (knotSize + ring * 3) * 0.65, random(-0.2, 0.2), 0, Math.PI * 2);
+      ctx.ellipse(knotX, knotY, knotSize + ring * 3, (knotSize + ring * 3) * 0.65, visualRandom(-0.2, 0.2), 0, Math.PI * 2);
       ctx.stroke();
     }
   }
@@ -1318,13 +1352,13 @@ function drawBarkTexture(ctx, x, groundY, height, width, hue, sat, light) {
   // === FINE TEXTURE (stippling for roughness) ===
   ctx.globalAlpha = 0.08;
   for (let i = 0; i < 120; i++) {
-    const dotY = groundY - random(0, height);
+    const dotY = groundY - visualRandom(0, height);
     const t = (groundY - dotY) / height;
     const w = lerp(width, topWidth, t) * 0.4;
-    const dotX = x + random(-w, w);
-    const dotSize = random(1, 2.5);
+    const dotX = x + visualRandom(-w, w);
+    const dotSize = visualRandom(1, 2.5);
     
-    ctx.fillStyle = random() > 0.5 
+    ctx.fillStyle = visualRandom() > 0.5 
       ? `hsl(${hue}, ${sat}%, ${light - 15}%)`
       : `hsl(${hue}, ${sat}%, ${light + 5}%)`;
     ctx.beginPath();
@@ -1341,10 +1375,10 @@ function drawTrunkMoss(ctx, x, groundY, height, width) {
   
   // Moss mainly on left/shaded side
   for (let i = 0; i < 25; i++) {
-    const mossY = groundY - height * random(0.1, 0.5);
-    const mossX = x - width * random(0.15, 0.35);
-    const mossW = random(8, 20);
-    const mossH = random(4, 10);
+    const mossY = groundY - height * visualRandom(0.1, 0.5);
+    const mossX = x - width * visualRandom(0.15, 0.35);
+    const mossW = visualRandom(8, 20);
+    const mossH = visualRandom(4, 10);
     
     const mossGrad = ctx.createRadialGradient(mossX, mossY, 0, mossX, mossY, mossW);
     mossGrad.addColorStop(0, `hsla(110, 35%, 28%, ${mossAlpha})`);
@@ -1353,7 +1387,7 @@ function drawTrunkMoss(ctx, x, groundY, height, width) {
     
     ctx.fillStyle = mossGrad;
     ctx.beginPath();
-    ctx.ellipse(mossX, mossY, mossW, mossH, random(-0.3, 0.3), 0, Math.PI * 2);
+    ctx.ellipse(mossX, mossY, mossW, mossH, visualRandom(-0.3, 0.3), 0, Math.PI * 2);
     ctx.fill();
   }
   ctx.restore();
@@ -1361,20 +1395,20 @@ function drawTrunkMoss(ctx, x, groundY, height, width) {
 
 function drawRealisticBranches(centerX, canopyY) {
   const ctx = renderer.ctx;
-  const isAlive = tree.health > 0;
   
   // Sort branches by depth (draw deeper/thicker branches first)
   const sortedBranches = [...tree.branches].sort((a, b) => a.depth - b.depth);
   
   for (const branch of sortedBranches) {
-    // Transform branch coordinates
-    const scale = 25;
+    // Transform branch coordinates (meters, drawn at 100 px/m like the trunk)
+    const scale = 100;
     const x1 = centerX + branch.x1 * scale;
     const y1 = canopyY + branch.y1 * scale;
     const x2 = centerX + branch.x2 * scale;
     const y2 = canopyY + branch.y2 * scale;
     
-    // Branch color based on depth and health - warmer wood tones
+    // Branch color based on depth and health - warmer wood tones, dead wood gray
+    const isAlive = tree.health > 0 && branch.healthy;
     const baseHue = isAlive ? 22 + branch.depth * 2 : 0;
     const baseSat = isAlive ? 45 - branch.depth * 3 : 0;
     const baseLight = isAlive ? (25 + branch.depth * 4) : (50 + branch.depth * 3);
@@ -1482,8 +1516,8 @@ function drawRealisticBranches(centerX, canopyY) {
       ctx.lineWidth = startThickness;
       ctx.lineCap = 'round';
       
-      const midX = (x1 + swayX2) / 2 + random(-4, 4);
-      const midY = (y1 + swayY2) / 2 + random(-4, 4);
+      const midX = (x1 + swayX2) / 2 + visualRandom(-4, 4);
+      const midY = (y1 + swayY2) / 2 + visualRandom(-4, 4);
       
       ctx.beginPath();
       ctx.moveTo(x1, y1);
@@ -1495,9 +1529,36 @@ function drawRealisticBranches(centerX, canopyY) {
   }
 }
 
+// The crown envelope on the canvas (100 px/m like the trunk, with a margin
+// for the leaf clusters): its top at canopyY and its outline from
+// getCrownWidthAt(). pointAt(angle, dist) maps a point of the unit disc
+// (dist 1 on its rim) into the envelope, on the outline at dist 1; on
+// drooping forms the lower crown hangs down like a curtain.
+function getCrownEnvelope(centerX, canopyY) {
+  const shape = getCrownShape();
+  const radius = tree.crownRadius * 100 + 15;
+  const depth = tree.crownHeight * 100 + 20;
+  const top = canopyY - 10;
+  const base = top + depth;
+  
+  const widthAt = t => radius * getCrownWidthAt(t, shape);
+  const hangAt = t => shape.droop * depth * 0.3 * Math.max(0, 1 - 2 * t);
+  
+  return {
+    shape, centerX, top, base, depth, radius, widthAt, hangAt,
+    middle: top + depth / 2,
+    pointAt(angle, dist) {
+      const s = clamp(Math.sin(angle) * dist, -0.99, 0.99);
+      const t = (1 - s) / 2;
+      const across = Math.cos(angle) * dist / Math.sqrt(1 - s * s);
+      return { x: centerX + across * widthAt(t), y: base - t * depth + hangAt(t) * dist };
+    }
+  };
+}
+
 function drawLayeredFoliage(centerX, canopyY, season, seasonProgress) {
   const ctx = renderer.ctx;
-  const canopyRadius = 60 + tree.height * 20;
+  const envelope = getCrownEnvelope(centerX, canopyY);
   
   // Get leaf colors for season
   const leafColors = getSeasonLeafColors(season, seasonProgress);
@@ -1506,39 +1567,336 @@ function drawLayeredFoliage(centerX, canopyY, season, seasonProgress) {
   ctx.globalAlpha = tree.foliageOpacity;
   
   // Back layer (darker, shadow) - with inner shadow
-  drawFoliageLayer(ctx, centerX, canopyY + 5, canopyRadius, leafColors.shadow, 0.72, -18);
+  drawFoliageLayer(ctx, envelope, leafColors.shadow, 1.0, -18, 8);
   
   // Middle layers - main mass
-  drawFoliageLayer(ctx, centerX, canopyY - 10, canopyRadius * 0.88, leafColors.mid, 0.88, 0);
+  drawFoliageLayer(ctx, envelope, leafColors.mid, 0.88, 0, 0);
   
   // Front layer (highlighted) - catches light
-  drawFoliageLayer(ctx, centerX, canopyY - 28, canopyRadius * 0.72, leafColors.highlight, 1.0, 12);
+  drawFoliageLayer(ctx, envelope, leafColors.highlight, 0.7, 12, -14);
   
   // Edge detail - small leaf clusters around perimeter for natural silhouette
   if (tree.foliageOpacity > 0.3 && season !== SEASONS.WINTER) {
-    drawFoliageEdgeDetail(ctx, centerX, canopyY - 10, canopyRadius * 0.9, leafColors);
+    drawFoliageEdgeDetail(ctx, envelope, leafColors);
   }
   
   // Dappled light effect
   if (renderer.sunIntensity > 0.3) {
-    drawDappledLight(ctx, centerX, canopyY, canopyRadius);
+    drawDappledLight(ctx, envelope);
+  }
+  
+  ctx.restore();
+}
+
+// Blossoms while a bearing tree flowers, then this year's fruit until it falls.
+// Up to CONFIG.PARTICLE_FRUIT for a mast crop; positions are fixed per index.
+function drawCanopyFruit(centerX, canopyY) {
+  const r = tree.reproduction;
+  if (r.cropSize <= 0) return;
+  
+  const ctx = renderer.ctx;
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  const envelope = getCrownEnvelope(centerX, canopyY);
+  const count = Math.max(1, Math.round(CONFIG.PARTICLE_FRUIT * r.cropSize));
+  const blossoming = tree.flowering && r.fruitBiomass < 0.01;
+  
+  ctx.save();
+  for (let i = 0; i < count; i++) {
+    const angle = fbm(i * 0.7, 20, 2) * Math.PI * 4 + i * 2.4;
+    const point = envelope.pointAt(angle, 0.2 + (i * 0.618 % 1) * 0.65);
+    const sway = Math.sin(renderer.time * 1.8 + i * 0.5) * environment.windSpeed * 3;
+    const x = point.x + sway;
+    const y = point.y;
+    
+    if (blossoming) {
+      ctx.fillStyle = 'rgba(255, 240, 245, 0.85)';
+      ctx.beginPath();
+      ctx.arc(x, y, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    } else {
+      ctx.fillStyle = species.fruitColor || '#7a5a24';
+      ctx.beginPath();
+      ctx.ellipse(x, y + 2, 2.2, 3, 0, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+  ctx.restore();
+}
+
+// Dead, browned patches of crown with bare twigs sticking out, up to
+// CONFIG.PARTICLE_DIEBACK for a crown that has died back completely.
+// Positions are fixed per index, so the patches grow in place.
+function drawCanopyDieback(centerX, canopyY) {
+  const ctx = renderer.ctx;
+  const envelope = getCrownEnvelope(centerX, canopyY);
+  const count = Math.round(CONFIG.PARTICLE_DIEBACK * tree.pathogen.dieback);
+  
+  ctx.save();
+  for (let i = 0; i < count; i++) {
+    const angle = fbm(i * 0.9, 40, 2) * Math.PI * 4 + i * 2.4;
+    const point = envelope.pointAt(angle, 0.35 + (i * 0.618 % 1) * 0.55);
+    const sway = Math.sin(renderer.time * 1.8 + i * 0.5) * environment.windSpeed * 2;
+    const x = point.x + sway;
+    const y = point.y;
+    const size = 10 + fbm(i, 45, 2) * 12;
+    
+    // Browned leaves that have not fallen yet
+    ctx.globalAlpha = 0.75 * tree.foliageOpacity;
+    const color = i % 3 === 0 ? '#7d705c' : '#8a5a2b';
+    drawOrganicBlob(ctx, x, y, size, size * 0.7, color, i * 13.7);
+    
+    // Bare twigs
+    ctx.globalAlpha = 0.8;
+    ctx.strokeStyle = '#4a3b2c';
+    ctx.lineWidth = 1.2;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    for (let t = 0; t < 3; t++) {
+      const twigAngle = angle + (t - 1) * 0.5;
+      ctx.moveTo(x, y);
+      ctx.lineTo(x + Math.cos(twigAngle) * size * 1.3, y + Math.sin(twigAngle) * size - size * 0.4);
+    }
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+// Insects from getVisibleInsects(): gnats drifting around the crown, larvae
+// on the leaves, bark beetles around the stem, and the beetles' entry holes
+// in the bark in proportion to the girdled phloem.
+function drawInsects(centerX, groundY, trunkHeight, trunkWidth) {
+  const ctx = renderer.ctx;
+  const counts = getVisibleInsects();
+  const envelope = getCrownEnvelope(centerX, groundY - trunkHeight);
+  
+  ctx.save();
+  
+  // Gnats and other harmless insects
+  ctx.fillStyle = 'rgba(40, 35, 25, 0.7)';
+  for (let i = 0; i < counts.ambient; i++) {
+    const angle = renderer.time * (0.4 + (i % 5) * 0.1) + i * 2.4;
+    const dist = 0.9 + fbm(i * 0.8, 60, 2) * 0.5;
+    const x = centerX + Math.cos(angle) * dist * envelope.radius + Math.sin(renderer.time * 7 + i) * 3;
+    const y = envelope.middle + Math.sin(angle * 1.3) * dist * envelope.depth / 2;
+    ctx.beginPath();
+    ctx.arc(x, y, 1.2, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  
+  // Caterpillars on the crown, fixed per index, wriggling
+  ctx.strokeStyle = '#5b4a2a';
+  ctx.lineWidth = 2.2;
+  ctx.lineCap = 'round';
+  for (let i = 0; i < counts.defoliators; i++) {
+    const angle = fbm(i * 1.1, 70, 2) * Math.PI * 4 + i * 2.4;
+    const { x, y } = envelope.pointAt(angle, 0.15 + (i * 0.618 % 1) * 0.7);
+    const wriggle = Math.sin(renderer.time * 3 + i) * 1.5;
+    ctx.beginPath();
+    ctx.moveTo(x - 3, y);
+    ctx.quadraticCurveTo(x, y - 2 + wriggle, x + 3, y);
+    ctx.stroke();
+  }
+  
+  // Bark beetles circling the stem
+  ctx.fillStyle = '#1f1812';
+  for (let i = 0; i < counts.barkBeetles; i++) {
+    const phase = renderer.time * (1.5 + (i % 3) * 0.4) + i * 1.7;
+    const x = centerX + Math.sin(phase) * (trunkWidth + 15 + (i % 4) * 6);
+    const y = groundY - trunkHeight * (0.15 + (i * 0.618 % 1) * 0.7) + Math.cos(phase * 1.7) * 6;
+    ctx.beginPath();
+    ctx.ellipse(x, y, 2, 1.3, phase, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  
+  // Entry holes and resin in the bark
+  const holes = Math.round(40 * tree.pests.girdled);
+  for (let i = 0; i < holes; i++) {
+    const x = centerX + (fbm(i * 0.9, 80, 2) - 0.5) * trunkWidth * 0.8;
+    const y = groundY - trunkHeight * (0.1 + (i * 0.618 % 1) * 0.75);
+    ctx.fillStyle = 'rgba(230, 215, 170, 0.6)';
+    ctx.beginPath();
+    ctx.arc(x, y, 1.8, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#120d08';
+    ctx.beginPath();
+    ctx.arc(x, y, 0.9, 0, Math.PI * 2);
+    ctx.fill();
   }
   
   ctx.restore();
 }
 
-// Adds small leaf clusters around the foliage edge for natural silhouette
-function drawFoliageEdgeDetail(ctx, x, y, radius, colors) {
+// Wounds from tree.disturbance: fire scars (a charred cat face at the base),
+// lightning strips down the stem and limb wounds on the bark, pale splintered
+// ends on broken branch stubs, and leafy sprouts along the stem.
+function drawDisturbanceDamage(centerX, groundY, trunkHeight, trunkWidth) {
+  const ctx = renderer.ctx;
+  const d = tree.disturbance;
+  const canopyY = groundY - trunkHeight;
+  const halfWidth = t => lerp(trunkWidth / 2, trunkWidth * tree.trunkTaper * 0.2, t);
+  
+  ctx.save();
+  
+  for (const scar of d.scars) {
+    const x = centerX + scar.side * halfWidth(scar.height) * 0.4;
+    if (scar.type === 'fire') {
+      // Charred wound open at the base, closing upwards, with a callus rim
+      const w = halfWidth(0) * (0.4 + scar.size);
+      const h = trunkHeight * (0.05 + scar.size * 0.2);
+      ctx.fillStyle = 'rgba(20, 14, 10, 0.85)';
+      ctx.strokeStyle = 'rgba(120, 90, 60, 0.7)';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x - w / 2, groundY);
+      ctx.quadraticCurveTo(x - w * 0.3, groundY - h * 0.6, x, groundY - h);
+      ctx.quadraticCurveTo(x + w * 0.3, groundY - h * 0.6, x + w / 2, groundY);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    } else if (scar.type === 'lightning') {
+      // Stripped bark spiralling down from the top, bare wood inside
+      const length = trunkHeight * (0.3 + scar.size * 0.6);
+      ctx.strokeStyle = 'rgba(215, 190, 150, 0.85)';
+      ctx.lineWidth = 2 + scar.size * 3;
+      ctx.lineCap = 'round';
+      ctx.beginPath();
+      for (let i = 0; i <= 12; i++) {
+        const t = i / 12;
+        const y = canopyY + length * t;
+        const px = centerX + Math.sin(scar.side * 3 + t * 4) * halfWidth(1 - length * t / trunkHeight) * 0.7;
+        if (i === 0) ctx.moveTo(px, y);
+        else ctx.lineTo(px, y);
+      }
+      ctx.stroke();
+    } else {
+      // Wound where a limb tore off
+      const y = groundY - trunkHeight * scar.height;
+      const r = 2 + scar.size * halfWidth(scar.height) * 0.5;
+      ctx.fillStyle = 'rgba(190, 160, 115, 0.8)';
+      ctx.strokeStyle = 'rgba(60, 40, 25, 0.8)';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.ellipse(x, y, r * 0.7, r, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+  }
+  
+  // Splintered ends of broken branches
+  ctx.fillStyle = 'rgba(220, 200, 160, 0.9)';
+  for (const branch of tree.branches) {
+    if (!branch.broken) continue;
+    const x = centerX + branch.x2 * 100;
+    const y = canopyY + branch.y2 * 100;
+    const r = Math.max(1.2, branch.thickness / 25);
+    ctx.beginPath();
+    ctx.moveTo(x - r, y);
+    ctx.lineTo(x + Math.cos(branch.angle) * r * 2, y + Math.sin(branch.angle) * r * 2);
+    ctx.lineTo(x + r, y);
+    ctx.closePath();
+    ctx.fill();
+  }
+  
+  // Epicormic sprouts along the stem (basal sprouts on a resprouting tree)
+  const sprouts = Math.round(16 * d.sprouts);
+  for (let i = 0; i < sprouts; i++) {
+    const t = d.topKills > 0 && tree.height <= CONFIG.DISTURBANCE_RESPROUT_HEIGHT * 2 ? 0.05 : 0.1 + (i * 0.618 % 1) * 0.8;
+    const side = i % 2 === 0 ? -1 : 1;
+    const x = centerX + side * halfWidth(t);
+    const y = groundY - trunkHeight * t;
+    const len = 6 + fbm(i * 0.7, 90, 2) * 6;
+    const sway = Math.sin(renderer.time * 2 + i) * environment.windSpeed * 0.03;
+    ctx.strokeStyle = '#6b8e23';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + side * len + sway, y - len * 0.8);
+    ctx.stroke();
+    ctx.fillStyle = 'rgba(110, 160, 60, 0.85)';
+    ctx.beginPath();
+    ctx.ellipse(x + side * len + sway, y - len * 0.8, 3, 2, side * 0.6, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  
+  ctx.restore();
+}
+
+// A surface fire from environment.fire.burning: blackened ground, a line of
+// flickering flames as tall as the fire's flame length (100 px/m, like the
+// trunk) and smoke drifting downwind, dying down as the fire burns out. A
+// fire started by lightning is shown with its strike.
+function drawSurfaceFire() {
+  const ctx = renderer.ctx;
+  const fire = environment.fire;
+  const burning = fire.burning;
+  const centerX = renderer.width / 2;
+  const groundY = getGroundY();
+  const strength = clamp(burning.daysLeft / CONFIG.FIRE_BURN_DAYS, 0, 1);
+  const halfWidth = Math.min(renderer.width / 2, 120 + Math.sqrt(burning.intensity) * 15);
+  const flameHeight = Math.max(8, burning.flameLength * 100) * (0.3 + 0.7 * strength);
+  const lean = environment.windSpeed * 0.004;
+  
+  if (fire.fires !== renderer.fireStrikeDrawn) {
+    renderer.fireStrikeDrawn = fire.fires;
+    if (burning.ignition === 'lightning') drawLightning(centerX + visualRandom(-halfWidth, halfWidth) * 0.5);
+  }
+  
+  ctx.save();
+  
+  // Scorched ground
+  const char = ctx.createRadialGradient(centerX, groundY, 0, centerX, groundY, halfWidth);
+  char.addColorStop(0, 'rgba(25, 18, 12, 0.75)');
+  char.addColorStop(0.8, 'rgba(40, 30, 20, 0.4)');
+  char.addColorStop(1, 'rgba(40, 30, 20, 0)');
+  ctx.fillStyle = char;
+  ctx.beginPath();
+  ctx.ellipse(centerX, groundY + 6, halfWidth, 14, 0, 0, Math.PI * 2);
+  ctx.fill();
+  
+  // Smoke
+  for (let i = 0; i < 10; i++) {
+    const rise = (renderer.time * 30 + i * 47) % 300;
+    const x = centerX + (i / 9 - 0.5) * halfWidth * 1.6 + rise * lean * 4;
+    const r = 15 + rise * 0.25;
+    ctx.fillStyle = `rgba(70, 65, 60, ${(0.25 * strength * (1 - rise / 300)).toFixed(3)})`;
+    ctx.beginPath();
+    ctx.arc(x, groundY - flameHeight - rise, r, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  
+  // Flames
+  ctx.globalCompositeOperation = 'lighter';
+  const tongues = Math.round(halfWidth / 6);
+  for (let i = 0; i < tongues; i++) {
+    const x = centerX + (i / (tongues - 1) - 0.5) * halfWidth * 2;
+    const edge = 1 - Math.abs(i / (tongues - 1) - 0.5) * 2;
+    const flicker = 0.6 + 0.4 * Math.sin(renderer.time * 12 + i * 1.7) * fbm(i * 0.3, renderer.time * 3, 2);
+    const h = flameHeight * (0.4 + 0.6 * edge) * flicker;
+    const grad = ctx.createLinearGradient(x, groundY, x, groundY - h);
+    grad.addColorStop(0, 'rgba(255, 200, 80, 0.7)');
+    grad.addColorStop(0.5, 'rgba(255, 110, 20, 0.5)');
+    grad.addColorStop(1, 'rgba(180, 40, 10, 0)');
+    ctx.fillStyle = grad;
+    ctx.beginPath();
+    ctx.moveTo(x - 5, groundY);
+    ctx.quadraticCurveTo(x - 4 + h * lean, groundY - h * 0.5, x + h * lean * 2, groundY - h);
+    ctx.quadraticCurveTo(x + 4 + h * lean, groundY - h * 0.5, x + 5, groundY);
+    ctx.closePath();
+    ctx.fill();
+  }
+  
+  ctx.restore();
+}
+
+// Adds small leaf clusters along the crown envelope's outline for natural silhouette
+function drawFoliageEdgeDetail(ctx, envelope, colors) {
   const numDetails = 28 + Math.floor(tree.height * 3);
   
   ctx.save();
   
   for (let i = 0; i < numDetails; i++) {
     const angle = (i / numDetails) * Math.PI * 2 + fbm(i * 0.5, 0, 2) * 0.3;
-    const dist = radius * (0.85 + fbm(i * 0.3, 10, 2) * 0.25);
-    
-    const cx = x + Math.cos(angle) * dist;
-    const cy = y + Math.sin(angle) * dist * 0.75; // Squash vertically
+    const { x: cx, y: cy } = envelope.pointAt(angle, 0.85 + fbm(i * 0.3, 10, 2) * 0.25);
     
     // Sway with wind
     const sway = Math.sin(renderer.time * 1.8 + i * 0.5) * environment.windSpeed * 3;
@@ -1571,32 +1929,36 @@ function drawFoliageEdgeDetail(ctx, x, y, radius, colors) {
   ctx.restore();
 }
 
-function drawFoliageLayer(ctx, x, y, radius, color, scale, offsetX) {
-  // More natural cluster arrangement - asymmetric and varied
-  const clusters = [
-    { ox: 0, oy: -0.1, s: 1.0, squash: 0.85 },
-    { ox: -0.45, oy: 0.15, s: 0.72, squash: 0.9 },
-    { ox: 0.42, oy: 0.18, s: 0.68, squash: 0.88 },
-    { ox: -0.22, oy: -0.38, s: 0.58, squash: 0.92 },
-    { ox: 0.25, oy: -0.4, s: 0.55, squash: 0.85 },
-    { ox: 0.05, oy: 0.42, s: 0.52, squash: 0.95 },
-    { ox: -0.5, oy: -0.15, s: 0.45, squash: 0.88 },
-    { ox: 0.52, oy: -0.12, s: 0.48, squash: 0.9 },
-    { ox: -0.15, oy: 0.48, s: 0.4, squash: 0.87 },
-    { ox: 0.18, oy: 0.45, s: 0.42, squash: 0.9 }
-  ];
-  
-  for (const cluster of clusters) {
-    const cx = x + offsetX + cluster.ox * radius * scale;
-    const cy = y + cluster.oy * radius * scale;
-    const cr = radius * cluster.s * scale;
-    
-    // Natural wind sway - different frequencies for organic movement
-    const swayX = Math.sin(renderer.time * 1.5 + cluster.ox * 4) * 4 * environment.windSpeed;
-    const swayY = Math.sin(renderer.time * 2.1 + cluster.oy * 3) * 2 * environment.windSpeed;
-    
-    // Draw organic blob instead of perfect circle
-    drawOrganicBlob(ctx, cx + swayX, cy + swayY, cr, cr * cluster.squash, color, cluster.ox);
+// One layer of foliage filling the crown envelope, shrunk to scale of its
+// width and shifted by offsetX/offsetY: rows of clusters as wide as the
+// envelope at their height, stretched down into a curtain where it hangs.
+function drawFoliageLayer(ctx, envelope, color, scale, offsetX, offsetY) {
+  const rows = 8;
+  const rowHeight = envelope.depth * scale / rows;
+  
+  for (let row = 0; row < rows; row++) {
+    const t = (row + 0.5) / rows;
+    const halfWidth = envelope.widthAt(t) * scale;
+    const size = Math.max(6, Math.min(rowHeight * 0.75, halfWidth));
+    const count = Math.max(1, Math.round(halfWidth / size));
+    const hang = envelope.hangAt(t);
+    const y = envelope.middle + (0.5 - t) * envelope.depth * scale + offsetY;
+    
+    for (let i = 0; i < count; i++) {
+      // Asymmetric and varied spacing
+      const seed = row * 7.3 + i * 1.9;
+      const across = count === 1 ? 0 : (i / (count - 1)) * 2 - 1;
+      const cx = envelope.centerX + offsetX + across * (halfWidth - size * 0.8) + fbm(seed, 3, 2) * size * 0.3;
+      const cr = size * (0.9 + fbm(seed, 7, 2) * 0.3);
+      const squash = 0.85 + fbm(seed, 11, 2) * 0.1;
+      
+      // Natural wind sway - different frequencies for organic movement
+      const swayX = Math.sin(renderer.time * 1.5 + seed) * 4 * environment.windSpeed;
+      const swayY = Math.sin(renderer.time * 2.1 + seed * 0.7) * 2 * environment.windSpeed;
+      
+      // Draw organic blob instead of perfect circle
+      drawOrganicBlob(ctx, cx + swayX, y + hang / 2 + swayY, cr, cr * squash + hang / 2, color, seed);
+    }
   }
 }
 
@@ -1695,15 +2057,13 @@ function getSeasonLeafColors(season, progress) {
   return colors;
 }
 
-function drawDappledLight(ctx, x, y, radius) {
+function drawDappledLight(ctx, envelope) {
   ctx.fillStyle = 'rgba(255, 255, 200, 0.08)';
   
   for (let i = 0; i < 20; i++) {
-    const angle = random(0, Math.PI * 2);
-    const dist = random(0, radius * 0.8);
-    const spotX = x + Math.cos(angle) * dist;
-    const spotY = y + Math.sin(angle) * dist * 0.6;
-    const spotSize = random(5, 15);
+    const angle = visualRandom(0, Math.PI * 2);
+    const { x: spotX, y: spotY } = envelope.pointAt(angle, visualRandom(0, 0.8));
+    const spotSize = visualRandom(5, 15);
     
     // Animate slightly
     const flicker = Math.sin(renderer.time * 3 + i) * 0.5 + 0.5;
@@ -1719,11 +2079,17 @@ function drawDappledLight(ctx, x, y, radius) {
 function drawIndividualLeaves(centerX, canopyY, season, seasonProgress) {
   const ctx = renderer.ctx;
   const leafColors = getSeasonLeafColors(season, seasonProgress);
-  
-  for (const leaf of tree.leaves) {
+  const deadLeaves = Math.round(tree.leaves.length * Math.max(tree.pathogen.dieback, tree.disturbance.scorch));
+  const shapeKey = (TREE_SPECIES[tree.species] || TREE_SPECIES.OAK).leafShape;
+  const shape = LEAF_SHAPES[shapeKey] || LEAF_SHAPES.lobed;
+  const liveSprite = getLeafSprite(shapeKey, leafColors.mid);
+  const deadSprite = getLeafSprite(shapeKey, '#8a5a2b');
+  
+  for (let i = 0; i < tree.leaves.length; i++) {
+    const leaf = tree.leaves[i];
     if (!leaf.attached) continue;
     
-    const scale = 25;
+    const scale = 100;
     const x = centerX + leaf.x * scale;
     const y = canopyY + leaf.y * scale;
     
@@ -1735,24 +2101,351 @@ function drawIndividualLeaves(centerX, canopyY, season, seasonProgress) {
     ctx.rotate(leaf.rotation + Math.sin(renderer.time + leaf.swayPhase) * 0.1);
     ctx.globalAlpha = leaf.opacity * tree.foliageOpacity;
     
-    // Leaf shape
-    ctx.fillStyle = leafColors.mid;
-    ctx.beginPath();
-    ctx.ellipse(0, 0, leaf.size * 3, leaf.size * 2, 0, 0, Math.PI * 2);
-    ctx.fill();
-    
-    // Leaf vein
-    ctx.strokeStyle = leafColors.shadow;
-    ctx.lineWidth = 0.5;
-    ctx.beginPath();
-    ctx.moveTo(-leaf.size * 2, 0);
-    ctx.lineTo(leaf.size * 2, 0);
-    ctx.stroke();
+    // The species' leaf (browned on the dead or scorched part of the crown)
+    const length = leaf.size * shape.length;
+    const width = leaf.size * shape.width;
+    ctx.drawImage(i < deadLeaves ? deadSprite : liveSprite, -length / 2, -width / 2, length, width);
     
     ctx.restore();
   }
 }
 
+// ============================================================
+// SPECIES TEXTURES - LEAF SPRITES & BARK PATTERNS
+// ============================================================
+
+// A leaf of a leafShape (LEAF_SHAPES) in one color, drawn once on an
+// offscreen canvas LEAF_SPRITE_RESOLUTION px long and cached. rgb() and
+// hsl() colors are rounded to steps of 8 so that the gradual seasonal
+// colors share sprites; the cache starts over when it holds
+// LEAF_SPRITE_CACHE_SIZE of them.
+function getLeafSprite(shapeKey, color) {
+  const key = LEAF_SHAPES[shapeKey] ? shapeKey : 'lobed';
+  const fill = color.startsWith('#') ? color : color.replace(/\d+(\.\d+)?/g, v => (v > 1 ? Math.round(v / 8) * 8 : v));
+  const cacheKey = key + '|' + fill;
+  
+  if (!renderer.leafSprites.has(cacheKey)) {
+    if (renderer.leafSprites.size >= CONFIG.LEAF_SPRITE_CACHE_SIZE) renderer.leafSprites.clear();
+    const shape = LEAF_SHAPES[key];
+    const sprite = document.createElement('canvas');
+    sprite.width = CONFIG.LEAF_SPRITE_RESOLUTION;
+    sprite.height = Math.max(4, Math.round(sprite.width * shape.width / shape.length));
+    drawLeafSprite(sprite.getContext('2d'), key, shape, fill, sprite.width, sprite.height);
+    renderer.leafSprites.set(cacheKey, sprite);
+  }
+  return renderer.leafSprites.get(cacheKey);
+}
+
+// Draws one leaf along the sprite's length, stalk on the left: a bundle of
+// needles in a sheath, a palmate blade with lobes radiating from the stalk,
+// or a blade whose outline follows the shape's width along it (oak lobes,
+// birch triangle, willow lance), toothed by its serration, with veins.
+function drawLeafSprite(ctx, shapeKey, shape, color, length, width) {
+  const mid = width / 2;
+  const halfWidth = mid * 0.95;
+  
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  
+  if (shapeKey === 'needle') {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = Math.max(1, width / 8);
+    for (let i = 0; i < shape.lobes; i++) {
+      const spread = shape.lobes > 1 ? (i / (shape.lobes - 1)) * 2 - 1 : 0;
+      ctx.beginPath();
+      ctx.moveTo(length * 0.08, mid);
+      ctx.quadraticCurveTo(length * 0.5, mid + spread * halfWidth * 0.3, length * 0.97, mid + spread * halfWidth * 0.8);
+      ctx.stroke();
+    }
+    ctx.fillStyle = 'rgba(90, 60, 30, 0.9)';
+    ctx.fillRect(0, mid - width / 10, length * 0.1, width / 5);
+    return;
+  }
+  
+  const tooth = k => 1 - shape.serration * 0.15 * (k % 2);
+  const veins = [];
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  
+  if (shapeKey === 'palmate') {
+    // Lobes radiating from the top of the stalk, the middle one longest
+    const cx = length * 0.42;
+    const radius = length * 0.56;
+    const polar = (angle, r) => [cx + Math.cos(angle) * r, mid + Math.sin(angle) * r];
+    const points = [polar(Math.PI, radius * 0.12)];
+    for (let k = 0; k < shape.lobes; k++) {
+      const rel = shape.lobes > 1 ? (k / (shape.lobes - 1)) * 2 - 1 : 0;
+      const angle = rel * 1.5;
+      const reach = radius * (1 - 0.45 * Math.pow(Math.abs(rel), 1.5));
+      points.push(polar(angle - 0.35, radius * 0.4));
+      points.push(polar(angle - 0.12, reach * (0.8 - shape.serration * 0.1)));
+      points.push(polar(angle, reach));
+      points.push(polar(angle + 0.12, reach * (0.8 - shape.serration * 0.1)));
+      veins.push([cx, mid, ...polar(angle, reach * 0.9)]);
+    }
+    points.push(polar(1.5 + 0.35, radius * 0.4));
+    points.forEach(([px, py], k) => (k === 0 ? ctx.moveTo(px, py) : ctx.lineTo(px, py)));
+  } else {
+    // Outline from the width along the blade (u from the stalk to the tip)
+    const widthAt = u => {
+      if (shapeKey === 'lobed') {
+        return Math.pow(Math.sin(Math.PI * Math.pow(u, 0.9)), 0.9) * (0.55 + 0.45 * Math.abs(Math.sin(shape.lobes * Math.PI * u)));
+      }
+      if (shapeKey === 'triangular') return u < 0.3 ? Math.sin(u / 0.3 * Math.PI / 2) : (1 - u) / 0.7;
+      return Math.pow(Math.sin(Math.PI * u), 0.8);
+    };
+    const steps = 40;
+    const edge = [];
+    for (let k = 0; k <= steps; k++) {
+      const u = k / steps;
+      edge.push([length * (0.1 + u * 0.88), halfWidth * widthAt(u) * (k > 0 && k < steps ? tooth(k) : 1)]);
+    }
+    edge.forEach(([px, w], k) => (k === 0 ? ctx.moveTo(px, mid - w) : ctx.lineTo(px, mid - w)));
+    for (let k = edge.length - 1; k >= 0; k--) ctx.lineTo(edge[k][0], mid + edge[k][1]);
+    
+    veins.push([length * 0.1, mid, length * 0.96, mid]);
+    for (let j = 1; j <= 4; j++) {
+      const u = j / 5;
+      const tip = Math.min(1, u + 0.12);
+      const w = halfWidth * widthAt(tip) * 0.8;
+      veins.push([length * (0.1 + u * 0.88), mid, length * (0.1 + tip * 0.88), mid - w]);
+      veins.push([length * (0.1 + u * 0.88), mid, length * (0.1 + tip * 0.88), mid + w]);
+    }
+  }
+  
+  ctx.closePath();
+  ctx.fill();
+  
+  // Stalk and veins
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.22)';
+  ctx.lineWidth = Math.max(0.6, length / 60);
+  ctx.beginPath();
+  ctx.moveTo(0, mid);
+  ctx.lineTo(length * 0.12, mid);
+  for (const [x1, y1, x2, y2] of veins) {
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+  }
+  ctx.stroke();
+}
+
+// The bark pattern of a barkTexture (BARK_TEXTURES), drawn once in light and
+// shade on a BARK_TILE_WIDTH × BARK_TILE_HEIGHT tile and cached as a
+// repeating pattern, so that one tile lays over any bark color.
+function getBarkPattern(textureKey) {
+  const key = BARK_TEXTURES[textureKey] ? textureKey : 'deeply_furrowed';
+  
+  if (!renderer.barkPatterns.has(key)) {
+    const tile = document.createElement('canvas');
+    tile.width = CONFIG.BARK_TILE_WIDTH;
+    tile.height = CONFIG.BARK_TILE_HEIGHT;
+    drawBarkTile(tile.getContext('2d'), BARK_TEXTURES[key], tile.width, tile.height);
+    renderer.barkPatterns.set(key, renderer.ctx.createPattern(tile, 'repeat'));
+  }
+  return renderer.barkPatterns.get(key);
+}
+
+// One tile of a bark pattern. Features are placed by a fixed hash, so the
+// tile is the same on every run, and drawn again one tile over on every side
+// so that the tiles join without seams.
+function drawBarkTile(ctx, texture, w, h) {
+  const n = texture.count;
+  const hash = (i, salt) => (perlin2D(i * 1.31 + 0.5, salt) + 1) / 2;
+  const dark = alpha => `rgba(0, 0, 0, ${(alpha * texture.depth).toFixed(3)})`;
+  const light = alpha => `rgba(255, 255, 255, ${alpha.toFixed(3)})`;
+  const wrapped = draw => {
+    for (const dx of [-w, 0, w]) {
+      for (const dy of [-h, 0, h]) {
+        ctx.save();
+        ctx.translate(dx, dy);
+        draw();
+        ctx.restore();
+      }
+    }
+  };
+  
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  
+  switch (texture.pattern) {
+    case 'furrows': {
+      // Wavy fissures between broad ridges (repeating along the tile), with diagonal cracks across the ridges
+      const fissureX = (i, y) => (i + 0.5) / n * w + Math.sin(y / h * Math.PI * 4 + hash(i, 1) * Math.PI * 2) * w / n * 0.2;
+      wrapped(() => {
+        for (let i = 0; i < n; i++) {
+          for (const [style, lineWidth, offset] of [[dark(0.9), 2 + hash(i, 2) * 3, 0], [light(0.12), 1.5, 3]]) {
+            ctx.strokeStyle = style;
+            ctx.lineWidth = lineWidth;
+            ctx.beginPath();
+            for (let y = 0; y <= h; y += 4) {
+              if (y === 0) ctx.moveTo(fissureX(i, y) + offset, y);
+              else ctx.lineTo(fissureX(i, y) + offset, y);
+            }
+            ctx.stroke();
+          }
+          ctx.strokeStyle = dark(0.6);
+          ctx.lineWidth = 1.5;
+          for (let k = 0; k < 2; k++) {
+            const y = hash(i, 3 + k) * h;
+            ctx.beginPath();
+            ctx.moveTo(fissureX(i, y), y);
+            ctx.lineTo(fissureX(i + 1, y + h / 10), y + h / 10);
+            ctx.stroke();
+          }
+        }
+      });
+      break;
+    }
+    
+    case 'plates': {
+      // Tall blocks split by cracks, each row cut at its own places
+      const rows = n;
+      const rowHeight = h / rows;
+      wrapped(() => {
+        for (let r = 0; r < rows; r++) {
+          const y = r * rowHeight;
+          const cuts = [];
+          for (let i = 0; i < n; i++) cuts.push((i + hash(r * n + i, 5) * 0.6) / n * w);
+          for (let i = 0; i < n; i++) {
+            const x = cuts[i];
+            const next = i + 1 < n ? cuts[i + 1] : cuts[0] + w;
+            const slant = (hash(r * n + i, 7) - 0.5) * 6;
+            ctx.fillStyle = i % 2 === 0 ? light(0.04 + hash(r * n + i, 6) * 0.1) : dark(0.1 + hash(r * n + i, 6) * 0.2);
+            ctx.beginPath();
+            ctx.moveTo(x + 1.5, y + 2);
+            ctx.lineTo(next - 1.5, y + 2);
+            ctx.lineTo(next - 1.5 + slant, y + rowHeight - 2);
+            ctx.lineTo(x + 1.5 + slant, y + rowHeight - 2);
+            ctx.closePath();
+            ctx.fill();
+            ctx.strokeStyle = dark(0.8);
+            ctx.lineWidth = 1.5 + hash(r * n + i, 8) * 1.5;
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.lineTo(x + slant, y + rowHeight);
+            ctx.stroke();
+          }
+          ctx.strokeStyle = dark(0.6);
+          ctx.lineWidth = 1.2;
+          ctx.beginPath();
+          ctx.moveTo(0, y);
+          ctx.quadraticCurveTo(w / 2, y + (hash(r, 9) - 0.5) * 6, w, y);
+          ctx.stroke();
+        }
+      });
+      break;
+    }
+    
+    case 'scales': {
+      // Staggered rows of irregular flaking scales, shadowed underneath
+      const rows = n * 2;
+      const rx = w / n * 0.46;
+      const ry = h / rows * 0.58;
+      wrapped(() => {
+        for (let r = 0; r < rows; r++) {
+          for (let i = 0; i < n; i++) {
+            const seed = r * n + i;
+            const cx = (i + 0.5 + (r % 2) * 0.5) / n * w;
+            const cy = (r + 0.5) / rows * h;
+            const point = k => {
+              const angle = k / 8 * Math.PI * 2;
+              const bulge = 1 + perlin2D(seed + k, 9) * 0.18;
+              return [cx + Math.cos(angle) * rx * bulge, cy + Math.sin(angle) * ry * bulge];
+            };
+            
+            ctx.fillStyle = light(0.03 + hash(seed, 10) * 0.1);
+            ctx.strokeStyle = dark(0.35);
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            for (let k = 0; k < 8; k++) {
+              if (k === 0) ctx.moveTo(...point(k));
+              else ctx.lineTo(...point(k));
+            }
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+            
+            // Deep shadow under the scale's lower edge
+            ctx.strokeStyle = dark(0.9);
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(...point(0));
+            for (let k = 1; k <= 4; k++) ctx.lineTo(...point(k));
+            ctx.stroke();
+          }
+        }
+      });
+      break;
+    }
+    
+    case 'papery': {
+      // Smooth bark with dark horizontal lenticels and light peeling strips
+      wrapped(() => {
+        ctx.strokeStyle = dark(0.15);
+        ctx.lineWidth = 0.8;
+        for (let k = 0; k < 4; k++) {
+          const y = (k + hash(k, 11)) / 4 * h;
+          ctx.beginPath();
+          ctx.moveTo(0, y);
+          ctx.lineTo(w, y);
+          ctx.stroke();
+        }
+        for (let k = 0; k < n; k++) {
+          const x = hash(k, 12) * w;
+          const y = hash(k, 13) * h;
+          ctx.strokeStyle = dark(0.9);
+          ctx.lineWidth = 1.5 + hash(k, 14);
+          ctx.beginPath();
+          ctx.moveTo(x, y);
+          ctx.lineTo(x + 4 + hash(k, 15) * 12, y);
+          ctx.stroke();
+        }
+        for (let k = 0; k < 3; k++) {
+          const x = hash(k, 16) * w;
+          const y = hash(k, 17) * h;
+          const length = 15 + hash(k, 18) * 20;
+          ctx.fillStyle = light(0.35);
+          ctx.fillRect(x, y, length, 3 + hash(k, 19) * 2);
+          ctx.strokeStyle = dark(0.3);
+          ctx.lineWidth = 0.8;
+          ctx.beginPath();
+          ctx.moveTo(x, y + 5);
+          ctx.quadraticCurveTo(x + length / 2, y + 6, x + length, y + 4);
+          ctx.stroke();
+        }
+      });
+      break;
+    }
+    
+    case 'diamonds': {
+      // Wavy fissures running diagonally both ways, one tile width per tile
+      // height, that cross into diamonds between the ridges
+      const steps = 16;
+      wrapped(() => {
+        for (let i = 0; i < n; i++) {
+          const x = i / n * w;
+          for (const direction of [1, -1]) {
+            for (const [style, lineWidth, offset] of [[dark(0.85), 1.5 + hash(i, 20) * 1.5, 0], [light(0.1), 1.2, 2.5]]) {
+              ctx.strokeStyle = style;
+              ctx.lineWidth = lineWidth;
+              ctx.beginPath();
+              for (let k = 0; k <= steps; k++) {
+                const t = k / steps;
+                const wave = Math.sin(t * Math.PI * 4 + hash(i, 21 + direction) * Math.PI * 2) * 2;
+                const px = x + direction * w * t + wave + offset;
+                if (k === 0) ctx.moveTo(px, h * (1 - t));
+                else ctx.lineTo(px, h * (1 - t));
+              }
+              ctx.stroke();
+            }
+          }
+        }
+      });
+      break;
+    }
+  }
+}
+
 // ============================================================
 // WEATHER EFFECTS - HYPERREALISTIC
 // ============================================================
@@ -1762,7 +2455,7 @@ function drawRealisticRain(seasonProgress) {
   const w = renderer.width;
   const h = renderer.height;
   
-  const rainIntensity = environment.storm ? 1.0 : 0.5;
+  const rainIntensity = environment.storm ? 1.0 : Math.max(0.5, environment.precipitation);
   const dropCount = Math.floor(300 * rainIntensity);
   
   for (let i = 0; i < dropCount; i++) {
@@ -1854,7 +2547,9 @@ function drawMistLayers() {
   const w = renderer.width;
   const groundY = getGroundY();
   
-  const mistIntensity = (environment.humidity - 60) / 40;
+  const mistIntensity = environment.weatherType === 'FOG'
+    ? 1
+    : (environment.humidity - 60) / 40;
   
   for (let layer = 0; layer < 4; layer++) {
     const layerY = groundY - 200 + layer * 80;
@@ -1917,6 +2612,8 @@ function drawAtmosphericPollution() {
 
 function drawEnhancedLeafDrops(season, seasonProgress) {
   const ctx = renderer.ctx;
+  const shapeKey = (TREE_SPECIES[tree.species] || TREE_SPECIES.OAK).leafShape;
+  const shape = LEAF_SHAPES[shapeKey] || LEAF_SHAPES.lobed;
   
   for (const leaf of tree.leafDrops) {
     ctx.save();
@@ -1924,35 +2621,10 @@ function drawEnhancedLeafDrops(season, seasonProgress) {
     ctx.rotate(leaf.rotation);
     ctx.globalAlpha = leaf.opacity;
     
-    // Leaf shape with gradient
-    const leafGrad = ctx.createRadialGradient(0, 0, 0, 0, 0, leaf.size * 1.5);
-    leafGrad.addColorStop(0, leaf.color);
-    leafGrad.addColorStop(1, adjustColor(leaf.color, -30));
-    
-    ctx.fillStyle = leafGrad;
-    
-    // More realistic leaf shape
-    ctx.beginPath();
-    ctx.moveTo(0, -leaf.size);
-    ctx.bezierCurveTo(
-      leaf.size * 0.8, -leaf.size * 0.5,
-      leaf.size * 0.8, leaf.size * 0.5,
-      0, leaf.size
-    );
-    ctx.bezierCurveTo(
-      -leaf.size * 0.8, leaf.size * 0.5,
-      -leaf.size * 0.8, -leaf.size * 0.5,
-      0, -leaf.size
-    );
-    ctx.fill();
-    
-    // Vein
-    ctx.strokeStyle = 'rgba(0, 0, 0, 0.15)';
-    ctx.lineWidth = 0.5;
-    ctx.beginPath();
-    ctx.moveTo(0, -leaf.size * 0.8);
-    ctx.lineTo(0, leaf.size * 0.8);
-    ctx.stroke();
+    // The species' leaf, a third of the size of those on the tree
+    const length = leaf.size * shape.length / 3;
+    const width = leaf.size * shape.width / 3;
+    ctx.drawImage(getLeafSprite(shapeKey, leaf.color), -length / 2, -width / 2, length, width);
     
     ctx.restore();
   }
@@ -2031,6 +2703,29 @@ function applyBloomEffect() {
 // UTILITIES
 // ============================================================
 
+/**
+ * Convert a #rrggbb color to HSL
+ * @param {string} hex
+ * @returns {{h: number, s: number, l: number}} Hue (°), saturation and lightness (%)
+ */
+function hexToHsl(hex) {
+  const r = parseInt(hex.slice(1, 3), 16) / 255;
+  const g = parseInt(hex.slice(3, 5), 16) / 255;
+  const b = parseInt(hex.slice(5, 7), 16) / 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+  if (d === 0) return { h: 0, s: 0, l: l * 100 };
+  
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === r) h = ((g - b) / d) % 6;
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return { h: (h * 60 + 360) % 360, s: s * 100, l: l * 100 };
+}
+
 function adjustColor(color, amount) {
   // Simple color adjustment
   if (color.startsWith('#')) {
@@ -0,0 +1,137 @@
+// ============================================================
+// REPRODUCTION
+// Flowering, fruit ripening and seed release of mature trees,
+// with mast years every few years and lighter crops between
+// ============================================================
+
+/**
+ * Reproduction state of a tree that has never borne seed
+ * @returns {Object} Reproduction state
+ */
+function createReproductionState() {
+  return {
+    cropDecided: false,   // this year's crop size has been set (at bud burst)
+    cropSize: 0,          // this year's crop relative to a mast (0-1)
+    mast: false,          // this year is a mast year
+    frostLost: false,     // a late frost killed this year's flowers
+    fruitBiomass: 0,      // ripening fruit on the tree (kg)
+    lastMastAge: null,    // tree age (years) of the last mast
+    seedsThisYear: 0,     // seeds released at the last senescence
+    seedsTotal: 0,        // seeds released over the lifetime
+    crops: []             // one entry per mature year: { age, seeds, mast, frost }
+  };
+}
+
+/**
+ * Whether the tree is old enough to flower
+ * @returns {boolean}
+ */
+function isReproductivelyMature() {
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  return tree.age >= (species.reproductionAge || 0);
+}
+
+/**
+ * Set this year's crop size at bud burst. A mast follows with
+ * REPRODUCTION_MAST_PROBABILITY once the species' mastInterval has passed
+ * since the last one (and always after twice that); other years bear
+ * REPRODUCTION_LIGHT_CROP. Weak trees bear nothing.
+ * @param {Object} species - TREE_SPECIES entry
+ */
+function decideSeedCrop(species) {
+  const r = tree.reproduction;
+  r.cropDecided = true;
+  r.cropSize = 0;
+  r.mast = false;
+  r.frostLost = false;
+  if (!isReproductivelyMature() || tree.health < CONFIG.REPRODUCTION_MIN_HEALTH) return;
+
+  const interval = species.mastInterval || 1;
+  const yearsSinceMast = r.lastMastAge === null ? Infinity : tree.age - r.lastMastAge;
+  if (yearsSinceMast >= 2 * interval ||
+      (yearsSinceMast >= interval && random() < CONFIG.REPRODUCTION_MAST_PROBABILITY)) {
+    r.mast = true;
+    r.cropSize = 1;
+    r.lastMastAge = tree.age;
+  } else {
+    r.cropSize = CONFIG.REPRODUCTION_LIGHT_CROP;
+  }
+}
+
+/**
+ * Shed the ripe fruit and count its seeds (species' seedMass in grams)
+ * @param {Object} species - TREE_SPECIES entry
+ */
+function releaseSeeds(species) {
+  const r = tree.reproduction;
+  const seeds = Math.floor(r.fruitBiomass * 1000 / (species.seedMass || 1));
+  r.seedsThisYear = seeds;
+  addCarbonLitter(r.fruitBiomass);
+  r.seedsTotal += seeds;
+  if (r.cropSize > 0 || r.frostLost) {
+    r.crops.push({
+      age: Math.floor(tree.age),
+      seeds,
+      mast: r.mast,
+      frost: r.frostLost
+    });
+  }
+  r.fruitBiomass = 0;
+  r.cropSize = 0;
+}
+
+/**
+ * Advance reproduction by one substep and return the share of the day's
+ * growth that goes into fruit (updateCarbonBudget() builds it).
+ *
+ * The crop is set at bud burst (decideSeedCrop()). From flowering until
+ * senescence, REPRODUCTION_ALLOCATION × crop size of the growth ripens fruit;
+ * a late frost that kills the flowers (phenology.flowersLost) cancels the
+ * crop and drops the fruit set so far as litter. At senescence the fruit
+ * falls and its seeds are counted.
+ *
+ * @param {number} growthFactor - Net growth factor of this substep
+ * @returns {number} Share of growth allocated to fruit (0-1)
+ */
+function updateReproduction(growthFactor) {
+  if (!CONFIG.REPRODUCTION_ENABLED) return 0;
+
+  const r = tree.reproduction;
+  const p = tree.phenology;
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+
+  switch (p.phase) {
+    case 'senescence':
+      if (r.cropDecided) {
+        releaseSeeds(species);
+        r.cropDecided = false;
+      }
+      return 0;
+
+    case 'budburst':
+    case 'leafed': {
+      if (!r.cropDecided) {
+        if (p.phase !== 'budburst') return 0;  // leafed out before we could flower (restored save)
+        decideSeedCrop(species);
+      }
+      if (p.flowersLost && r.cropSize > 0) {
+        addCarbonLitter(r.fruitBiomass);
+        r.cropSize = 0;
+        r.fruitBiomass = 0;
+        r.frostLost = true;
+      }
+      if (r.cropSize <= 0 || p.leafGDD < CONFIG.PHENOLOGY_FLOWERING_GDD || growthFactor <= 0) return 0;
+
+      return CONFIG.REPRODUCTION_ALLOCATION * r.cropSize;
+    }
+
+    default:
+      return 0;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.createReproductionState = createReproductionState;
+  window.isReproductivelyMature = isReproductivelyMature;
+  window.updateReproduction = updateReproduction;
+}
@@ -0,0 +1,133 @@
+// ============================================================
+// GROWTH RINGS
+// One ring per growing season: width from the DBH increment,
+// earlywood and latewood, wood density and the marks a hard
+// year leaves (drought, frost ring, fire scar)
+// ============================================================
+
+/** Ring markers, as stored on a ring record */
+const RING_MARKERS = {
+  drought: { name: 'Drought year', emoji: '🏜️' },
+  frost: { name: 'Frost ring', emoji: '❄️' },
+  fireScar: { name: 'Fire scar', emoji: '🔥' }
+};
+
+/**
+ * The ring the cambium is laying down, starting at the given DBH
+ * @param {number} dbh - Stem diameter where the ring starts (m)
+ * @returns {Object} Forming ring
+ */
+function createGrowthRing(dbh) {
+  return {
+    lastDbh: dbh,        // DBH at the last update (m)
+    earlywood: 0,        // radial growth early in the season (m)
+    latewood: 0,         // radial growth later on (m)
+    woodDays: 0,         // days since the first wood of the ring
+    droughtDays: 0,      // growing-season days with a dry root zone
+    frost: false,        // frost while the cambium was active
+    fireScar: false,     // fire damaged the cambium
+    active: false        // the cambium has been active (the tree left dormancy)
+  };
+}
+
+/**
+ * Flag the forming ring, e.g. with a fire scar after a fire the tree survived
+ * @param {string} marker - 'frost' or 'fireScar'
+ */
+function markGrowthRing(marker) {
+  tree.currentRing[marker] = true;
+}
+
+/**
+ * Close the forming ring, add it to tree.growthRings and start the next one.
+ * Earlywood is RINGS_EARLYWOOD_DENSITY and latewood RINGS_LATEWOOD_DENSITY
+ * times the species' wood density.
+ */
+function closeGrowthRing() {
+  const ring = tree.currentRing;
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  const woodDensity = species.woodDensity || CONFIG.BIOMASS_WOOD_DENSITY;
+  const width = ring.earlywood + ring.latewood;
+  const latewoodShare = width > 0 ? ring.latewood / width : 0;
+  const densityFactor = width > 0
+    ? CONFIG.RINGS_EARLYWOOD_DENSITY * (1 - latewoodShare) + CONFIG.RINGS_LATEWOOD_DENSITY * latewoodShare
+    : CONFIG.RINGS_LATEWOOD_DENSITY;
+
+  tree.growthRings.push({
+    ring: tree.growthRings.length + 1,   // counted from the pith
+    year: environment.year,
+    age: Math.floor(tree.age),
+    width: width * 1000,                 // mm
+    earlywood: ring.earlywood * 1000,    // mm
+    latewood: ring.latewood * 1000,      // mm
+    latewoodShare,
+    density: woodDensity * densityFactor, // kg/m³
+    dbh: tree.dbh * 100,                 // cm at the end of the ring
+    drought: ring.droughtDays >= CONFIG.RINGS_DROUGHT_DAYS,
+    frost: ring.frost,
+    fireScar: ring.fireScar
+  });
+  tree.ringsGrown = tree.growthRings.length;
+  tree.currentRing = createGrowthRing(tree.dbh);
+}
+
+/**
+ * Advance the forming ring by one substep (after the tree has grown).
+ *
+ * Wood laid down in the first RINGS_EARLYWOOD_DAYS after the ring's first
+ * DBH growth is earlywood, later wood is latewood. Days with the
+ * root zone below RINGS_DROUGHT_WATER add up to a drought year; air
+ * temperature below PHENOLOGY_LEAF_FROST_TEMP between bud burst and
+ * senescence leaves a frost ring. When the tree goes dormant the ring is closed.
+ *
+ * @param {number} dt - Delta time in days
+ */
+function updateGrowthRings(dt) {
+  const ring = tree.currentRing;
+  const phase = tree.phenology.phase;
+
+  const radial = Math.max(0, tree.dbh - ring.lastDbh) / 2;
+  if (phase !== 'dormant' && (radial > 0 || ring.woodDays > 0)) ring.woodDays += dt;
+  if (ring.woodDays <= CONFIG.RINGS_EARLYWOOD_DAYS) {
+    ring.earlywood += radial;
+  } else {
+    ring.latewood += radial;
+  }
+  ring.lastDbh = tree.dbh;
+
+  if (phase === 'dormant') {
+    if (ring.active) closeGrowthRing();
+    return;
+  }
+
+  ring.active = true;
+  if (environment.waterAvailability < CONFIG.RINGS_DROUGHT_WATER) {
+    ring.droughtDays += dt;
+  }
+  if (phase !== 'senescence' && environment.temperature < CONFIG.PHENOLOGY_LEAF_FROST_TEMP) {
+    markGrowthRing('frost');
+  }
+}
+
+/**
+ * Ring series as CSV, one row per ring from the pith outwards
+ * @param {Array<Object>} rings - tree.growthRings
+ * @returns {string} CSV text
+ */
+function growthRingsToCSV(rings) {
+  let csv = 'Ring,Year,Age,Width_mm,Earlywood_mm,Latewood_mm,Latewood_Share,Density_kg_m3,DBH_cm,Drought,Frost_Ring,Fire_Scar\n';
+  rings.forEach(r => {
+    csv += `${r.ring},${r.year},${r.age},${r.width.toFixed(3)},${r.earlywood.toFixed(3)},${r.latewood.toFixed(3)},` +
+      `${r.latewoodShare.toFixed(3)},${r.density.toFixed(0)},${r.dbh.toFixed(2)},` +
+      `${r.drought ? 1 : 0},${r.frost ? 1 : 0},${r.fireScar ? 1 : 0}\n`;
+  });
+  return csv;
+}
+
+if (typeof window !== 'undefined') {
+  window.RING_MARKERS = RING_MARKERS;
+  window.createGrowthRing = createGrowthRing;
+  window.markGrowthRing = markGrowthRing;
+  window.updateGrowthRings = updateGrowthRings;
+  window.growthRingsToCSV = growthRingsToCSV;
+}
@@ -6,15 +6,18 @@
 const simulationState = {
   running: true,
   paused: false,
-  time: 0,              // total days elapsed
+  time: 0,              // total simulated days
+  stepCount: 0,         // substeps simulated since reset
   lastFrameTime: 0,
   fps: 0,
   frameCount: 0,
   physicsAccumulator: 0,
   substepTime: 1 / 60,  // physics substep (60Hz)
+  lagDays: 0,           // requested time not simulated yet (days)
+  droppedDays: 0,       // time discarded by the 'drop' catch-up policy (days)
 };
 
-window.simulationState = simulationState;
+if (typeof window !== 'undefined') window.simulationState = simulationState;
 
 // ============================================================
 // OPTIONAL EXTERNAL CONFIG (variables.JSON)
@@ -41,36 +44,67 @@ function applyVariablesConfigFromObject(vars) {
   if (!vars || typeof vars !== 'object') return;
 
   // Keep a copy around for UI/debug.
-  window.variablesConfig = vars;
-  try {
-    window.variablesConfigSourceText = JSON.stringify(vars, null, 2);
-  } catch (e) {
-    // ignore
+  if (typeof window !== 'undefined') {
+    window.variablesConfig = vars;
+    try {
+      window.variablesConfigSourceText = JSON.stringify(vars, null, 2);
+    } catch (e) {
+      // ignore
+    }
   }
 
   // ---- UI defaults -> DOM sliders (if present)
   const uiDefaults = vars.ui_defaults || {};
   const maybeSetSlider = (id, value) => {
+    if (typeof document === 'undefined') return;
     const el = document.getElementById(id);
     if (!el) return;
     el.value = String(value);
   };
 
+  // Also written to the environment directly, for headless runs without sliders
+  const environmentDefaults = {};
   if (uiDefaults.light_intensity !== undefined) {
-    maybeSetSlider('sun', clampNumber(uiDefaults.light_intensity, 0, 1, 0.7) * 100);
+    environmentDefaults.sunlight = clampNumber(uiDefaults.light_intensity, 0, 1, 0.7) * 100;
+    maybeSetSlider('sun', environmentDefaults.sunlight);
   }
   if (uiDefaults.water_level !== undefined) {
-    maybeSetSlider('water', clampNumber(uiDefaults.water_level, 0, 1, 0.6) * 100);
+    environmentDefaults.water = clampNumber(uiDefaults.water_level, 0, 1, 0.6) * 100;
+    maybeSetSlider('water', environmentDefaults.water);
   }
   if (uiDefaults.temperature !== undefined) {
-    maybeSetSlider('temp', clampNumber(uiDefaults.temperature, -20, 50, 20));
+    environmentDefaults.temperature = clampNumber(uiDefaults.temperature, -20, 50, 20);
+    maybeSetSlider('temp', environmentDefaults.temperature);
   }
+  if (uiDefaults.co2_ppm !== undefined) {
+    environmentDefaults.co2 = clampNumber(uiDefaults.co2_ppm, 200, 1200, 420);
+    maybeSetSlider('co2', environmentDefaults.co2);
+  }
+  applyEnvironmentSettings(environmentDefaults);
 
   // ---- Config overrides
   const overrides = vars.config_overrides || {};
   if (overrides.simulation_speed !== undefined) {
     maybeSetSlider('speed', clampNumber(overrides.simulation_speed, 0, 10, 1));
   }
+  if (overrides.enable_reproduction !== undefined) {
+    CONFIG.REPRODUCTION_ENABLED = !!overrides.enable_reproduction;
+  }
+
+  // Any CONFIG constant can be overridden by name (e.g. "FIRE_IGNITION_RATE": 0.005),
+  // as long as the new value has the same type as the default.
+  Object.keys(overrides).forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(CONFIG, key)) return;
+    const value = overrides[key];
+    if (typeof CONFIG[key] === 'number' && Number.isFinite(Number(value)) && typeof value !== 'boolean') {
+      CONFIG[key] = Number(value);
+    } else if (typeof CONFIG[key] === typeof value) {
+      CONFIG[key] = value;
+    }
+  });
+
+  // ---- Soil profile
+  applySoilProfileSettings(vars.soil_profile);
 
   // ---- Mortality tuning
   const hdrParams = vars.hdr_parameters || {};
@@ -120,15 +154,17 @@ function applyVariablesConfigFromObject(vars) {
   if (typeof updateEnvironmentFromUI === 'function') updateEnvironmentFromUI();
 }
 
-window.applyVariablesConfigFromObject = applyVariablesConfigFromObject;
+if (typeof window !== 'undefined') {
+  window.applyVariablesConfigFromObject = applyVariablesConfigFromObject;
 
-window.reloadVariablesConfigFromFile = async function reloadVariablesConfigFromFile() {
-  const vars = await loadVariablesJSON();
-  if (vars) {
-    applyVariablesConfigFromObject(vars);
-  }
-  return vars;
-};
+  window.reloadVariablesConfigFromFile = async function reloadVariablesConfigFromFile() {
+    const vars = await loadVariablesJSON();
+    if (vars) {
+      applyVariablesConfigFromObject(vars);
+    }
+    return vars;
+  };
+}
 
 function applyMortalityModel(dtDays) {
   if (!tree || tree.health <= 0) return;
@@ -147,6 +183,15 @@ function applyMortalityModel(dtDays) {
   const dtYears = dtDays / CONFIG.DAYS_PER_YEAR;
   if (dtYears <= 0) return;
 
+  // Fire, storm breakage, lightning and windthrow: damage the tree survives,
+  // or death when the stem is killed (see js/disturbance.js)
+  const disturbanceCause = rollDisturbances(dtDays);
+  if (disturbanceCause) {
+    tree.health = 0;
+    tree.deathCause = disturbanceCause;
+    return;
+  }
+
   let hazardPerYear = Math.max(0, m.baseRatePerYear || 0);
 
   // Senescence: ramps up after senescenceStartAge.
@@ -161,52 +206,35 @@ function applyMortalityModel(dtDays) {
   hazardPerYear += 0.03 * (stress01 * stress01);
 
   // Drought / heat / disease / storm hazard components.
-  const water01 = clamp(environment.water / 100, 0, 1);
-  if (water01 < m.droughtThreshold) {
-    const droughtT = (m.droughtThreshold - water01) / Math.max(1e-6, m.droughtThreshold);
+  // Drought is judged in the root zone.
+  const rootZoneWater01 = clamp(environment.waterAvailability / 100, 0, 1);
+  if (rootZoneWater01 < m.droughtThreshold) {
+    const droughtT = (m.droughtThreshold - rootZoneWater01) / Math.max(1e-6, m.droughtThreshold);
     hazardPerYear += 0.04 * droughtT;
   }
   if (environment.temperature > m.heatStressTemp) {
     const heatT = (environment.temperature - m.heatStressTemp) / 20;
     hazardPerYear += 0.03 * clamp(heatT, 0, 2);
   }
-  if (environment.disease) {
-    const health01 = clamp(tree.health / 100, 0, 1);
-    hazardPerYear += (m.diseaseBaseRatePerYear || 0) * (1 - health01);
+  if (isTreeInfected()) {
+    hazardPerYear += (m.diseaseBaseRatePerYear || 0) * tree.pathogen.infected;
   }
   if (environment.storm) {
     const wind01 = clamp(environment.windSpeed / 100, 0, 1);
     hazardPerYear += (m.stormFrequency || 0) * 0.02 * wind01;
   }
 
-  // Fire hazard: probability based on drought duration and species resistance
-  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
-  const fireResistance = species.fireResistance || 0.5;
-  if (water01 < CONFIG.FIRE_DROUGHT_THRESHOLD && environment.temperature > CONFIG.FIRE_HEAT_THRESHOLD) {
-    const droughtSeverity = (CONFIG.FIRE_DROUGHT_THRESHOLD - water01) / CONFIG.FIRE_DROUGHT_THRESHOLD;
-    const heatSeverity = clamp((environment.temperature - CONFIG.FIRE_HEAT_THRESHOLD) / 20, 0, 1);
-    hazardPerYear += 0.05 * droughtSeverity * heatSeverity * (1 - fireResistance);
-  }
-
-  // Windthrow hazard: tall/large trees more vulnerable during storms
-  const windthrowResistance = species.windthrowResistance || 0.5;
-  if (environment.storm && environment.windSpeed > CONFIG.WINDTHROW_WIND_THRESHOLD) {
-    const windSeverity = clamp((environment.windSpeed - CONFIG.WINDTHROW_WIND_THRESHOLD) / CONFIG.WINDTHROW_WIND_RANGE, 0, 1);
-    const sizeFactor = clamp(tree.height / (species.maxHeight || 40), 0, 1);
-    hazardPerYear += 0.06 * windSeverity * sizeFactor * (1 - windthrowResistance);
-  }
-
   hazardPerYear = clamp(hazardPerYear, 0, 5);
   const pDie = 1 - Math.exp(-hazardPerYear * dtYears);
   if (random() < pDie) {
     tree.health = 0;
     // Determine most likely cause
-    if (environment.storm && environment.windSpeed > CONFIG.WINDTHROW_WIND_THRESHOLD) {
-      tree.deathCause = 'Windthrow';
-    } else if (water01 < CONFIG.FIRE_DROUGHT_THRESHOLD && environment.temperature > CONFIG.FIRE_HEAT_THRESHOLD) {
-      tree.deathCause = 'Fire';
-    } else if (environment.disease) {
-      tree.deathCause = 'Disease';
+    if (getPathogenDeathCause()) {
+      tree.deathCause = getPathogenDeathCause();
+    } else if (getPestDeathCause()) {
+      tree.deathCause = getPestDeathCause();
+    } else if (getDisturbanceDeathCause()) {
+      tree.deathCause = getDisturbanceDeathCause();
     } else if (Number.isFinite(m.senescenceStartAge) && age > m.senescenceStartAge) {
       tree.deathCause = 'Old age';
     } else {
@@ -218,36 +246,63 @@ function applyMortalityModel(dtDays) {
 // Health history for graph (declared in js/ui.js)
 
 /**
- * Calculate photosynthesis rate based on environmental conditions
+ * Calculate photosynthesis rate based on environmental conditions. Leaves
+ * saturate with light: LIGHT_SATURATION of absorbed PAR brings them to 63%
+ * of their maximum rate. This is the 'simple' CONFIG.PHOTOSYNTHESIS_MODEL;
+ * see getCanopyPhotosynthesis() for the Farquhar leaf model.
+ * @param {number} leafLight - PAR absorbed per m² of leaf (mol/day, see getCanopyLight())
+ * @param {number} water - Root-zone water availability (0-100)
+ * @param {number} nutrientLevel - Root-zone nutrient level (0-100, see updateSoil)
  */
-function calculatePhotosynthesis(sunlight, water, soilQuality) {
+function calculatePhotosynthesis(leafLight, water, nutrientLevel) {
   // Photosynthesis depends on light, water, and nutrients
-  const lightFactor = sunlight / 100;
+  const lightFactor = 1 - Math.exp(-leafLight / CONFIG.LIGHT_SATURATION);
   const waterFactor = Math.min(1, water / 50);
-  const nutrientFactor = soilQuality / 100;
+  const nutrientFactor = nutrientLevel / 100;
   
   // Base rate with optimal conditions
   const baseRate = 1.0;
   return baseRate * lightFactor * waterFactor * nutrientFactor;
 }
 
+/**
+ * Lowest temperature the tree tolerates right now. Leafed-out trees are
+ * hurt below STRESS_TEMP_FROST; while senescing or dormant, they
+ * are hardened down to a species limit between STRESS_TEMP_FROST and
+ * STRESS_TEMP_EXTREME_COLD set by frostTolerance.
+ * @returns {number} Temperature (°C)
+ */
+function getFrostLimit() {
+  const hardened = tree.dormant || tree.phenology.phase === 'senescence' || tree.phenology.phase === 'dormant';
+  if (!hardened) return CONFIG.STRESS_TEMP_FROST;
+  
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  const tolerance = species.frostTolerance !== undefined ? species.frostTolerance : 0.5;
+  return CONFIG.STRESS_TEMP_FROST + (CONFIG.STRESS_TEMP_EXTREME_COLD - CONFIG.STRESS_TEMP_FROST) * tolerance;
+}
+
 /**
  * Calculate total environmental stress on tree
  */
 function calculateTotalStress() {
   let stress = 0;
   
-  // Water stress
-  if (environment.water < 40) {
-    stress += (40 - environment.water) / 40 * 30;
+  // Water stress: drought in the root zone, waterlogging at the site
+  const droughtThreshold = CONFIG.STRESS_WATER_DROUGHT;
+  if (environment.waterAvailability < droughtThreshold) {
+    stress += (droughtThreshold - environment.waterAvailability) / droughtThreshold * 30;
   } else if (environment.water > 85) {
     stress += (environment.water - 85) / 15 * 20;
   }
   
-  // Temperature stress
-  if (environment.temperature < 5 || environment.temperature > 35) {
+  // Temperature stress. Trees are acclimated to the seasonal climate, so the
+  // bands apply to the departure from environment.seasonalTemperature (which is
+  // the reference temperature in manual mode, i.e. the plain slider value).
+  const acclimatedTemp = environment.temperature - environment.seasonalTemperature + CONFIG.CLIMATE_REFERENCE_TEMP;
+  if (acclimatedTemp < 5 || acclimatedTemp > 35 ||
+      environment.temperature < getFrostLimit() || environment.temperature > CONFIG.STRESS_TEMP_HEAT) {
     stress += 20;
-  } else if (environment.temperature < 12 || environment.temperature > 28) {
+  } else if (acclimatedTemp < 12 || acclimatedTemp > 28) {
     stress += 10;
   }
   
@@ -257,8 +312,9 @@ function calculateTotalStress() {
   }
   
   // Stressor impacts
-  if (environment.disease) stress += 25;
-  if (environment.pests) stress += 20;
+  stress += getPathogenStress();
+  stress += getPestStress();
+  stress += getDisturbanceStress();
   if (environment.storm) stress += 15;
   if (environment.pollution) stress += 10;
   
@@ -287,8 +343,13 @@ function updateBiology(dt) {
     return;
   }
   
-  // Update environment time
+  // Update environment time, seasonal climate, daily weather, the root zone
+  // and the surface fuel
   updateEnvironmentTime(dt);
+  updateClimate();
+  updateWeather(dt);
+  updateSoil(dt);
+  updateFuel(dt);
 
   // Optional mortality model (can end the tree early)
   applyMortalityModel(dt);
@@ -297,48 +358,75 @@ function updateBiology(dt) {
     return;
   }
   
-  // === PHOTOSYNTHESIS & CARBON ASSIMILATION ===
-  const photoRate = calculatePhotosynthesis(
-    environment.sunlight,
-    environment.water,
-    environment.soilQuality
-  );
+  // === PATHOGENS (exposure, infection, spread, dieback) ===
+  updatePathogens(dt);
+  
+  // === INSECT PESTS (life cycles, outbreaks, defoliation, girdling) ===
+  updatePests(dt);
   
-  // === RESPIRATION (carbon loss) ===
-  const tempFactor = Math.pow(2, (environment.temperature - 20) / 10);
-  const respirationRate = 0.02 * tempFactor * (tree.biomass.total / 100);
+  // === DISTURBANCE RECOVERY (refoliation, crown regrowth, bark healing, sprouts) ===
+  updateDisturbances(dt);
+  
+  // === PHOTOSYNTHESIS & CARBON ASSIMILATION ===
+  // Wilts, root rots and bark beetle galleries cut the water the tree can
+  // move to its leaves. The simple model uses the light absorbed per m² of
+  // leaf through the crown; the Farquhar model works out leaf biochemistry
+  // and stomata layer by layer.
+  const leafWater = environment.waterAvailability * getPathogenWaterFactor() * getPestWaterFactor();
+  const photoRate = CONFIG.PHOTOSYNTHESIS_MODEL === 'farquhar'
+    ? getCanopyPhotosynthesis(leafWater, tree.nutrientLevel).rate
+    : calculatePhotosynthesis(getCanopyLight().perLeaf, leafWater, tree.nutrientLevel);
   
   // === NET CARBON BALANCE ===
-  const netCarbon = photoRate - respirationRate;
+  // Respiration is paid from the reserve in updateCarbonBudget(); growth
+  // follows photosynthesis as long as the reserve can fund it
+  const netCarbon = photoRate * getCarbonSupply();
   
   // === ENVIRONMENTAL STRESS ===
   const stress = calculateTotalStress();
   environment.totalStress = stress;
-  environment.waterAvailability = environment.water;
   
   // === SEASONAL GROWTH MODIFIER ===
   const seasonGrowth = getSeasonalGrowthMultiplier(environment.season);
   
-  // === DORMANCY CHECK ===
+  // === PHENOLOGY & DORMANCY ===
+  updatePhenology(dt);
   const dormancySpecies = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
   const speciesIsEvergreen = dormancySpecies.evergreen || false;
-  const isDormant = (!speciesIsEvergreen && environment.season === SEASONS.WINTER) || 
-                    environment.temperature < (speciesIsEvergreen ? -10 : 5) ||
-                    (!speciesIsEvergreen && environment.season === SEASONS.AUTUMN && getSeasonProgress(environment.dayOfYear) > 0.7);
+  const isDormant = tree.phenology.phase === 'dormant' ||
+                    environment.temperature < (speciesIsEvergreen ? -10 : 5);
   
   tree.dormant = isDormant;
   
   // === NET GROWTH FACTOR ===
   const netGrowthFactor = isDormant ? 0 : Math.max(0, (netCarbon * 0.8 - stress * 0.3) * seasonGrowth);
   
+  // === REPRODUCTION (flowers and fruit take their share of the growth) ===
+  const reproductiveShare = updateReproduction(netGrowthFactor);
+  
+  // === CARBON BUDGET (kg C: assimilation, respiration, reserve, growth, litter) ===
+  updateCarbonBudget(dt, photoRate, netGrowthFactor * tree.health / 100, reproductiveShare);
+  
   // === HEALTH DYNAMICS ===
-  // Health is affected by net carbon, stress, and recovery potential
+  // Health is affected by net carbon, stress, carbon starvation and recovery potential
   const stressImpact = stress * 20;
+  const starvationImpact = tree.carbon.starvation * CONFIG.CARBON_STARVATION_DAMAGE;
   const recoveryRate = (photoRate * 0.5 + (100 - tree.stressLevel) * 0.1);
-  const healthDelta = (netGrowthFactor * 10 + recoveryRate * 0.5 - stressImpact);
+  const healthDelta = (netGrowthFactor * 10 + recoveryRate * 0.5 - stressImpact - starvationImpact);
   
   tree.health += healthDelta * dt + randomGaussian(0, 0.3) * dt;
   tree.health = clamp(tree.health, 0, 100);
+  if (tree.health <= 0 && !tree.deathCause) {
+    if (getPathogenDeathCause()) {
+      tree.deathCause = getPathogenDeathCause();
+    } else if (getPestDeathCause()) {
+      tree.deathCause = getPestDeathCause();
+    } else if (getDisturbanceDeathCause()) {
+      tree.deathCause = getDisturbanceDeathCause();
+    } else if (tree.carbon.starvation > 0) {
+      tree.deathCause = 'Carbon starvation';
+    }
+  }
   
   // === VIGOR (growth potential) ===
   tree.vigor = tree.vigor * 0.98 + (tree.health * netGrowthFactor) * 0.02;
@@ -348,13 +436,6 @@ function updateBiology(dt) {
   tree.stressLevel = tree.stressLevel * 0.95 + stress * 30 * dt;
   tree.stressLevel = clamp(tree.stressLevel, 0, 100);
   
-  // === DISEASE PROGRESSION ===
-  if (environment.disease) {
-    tree.diseaseLoad = Math.min(100, tree.diseaseLoad + dt * 2 * (100 - tree.health) / 100);
-  } else {
-    tree.diseaseLoad = Math.max(0, tree.diseaseLoad - dt * 0.5);
-  }
-  
   // === FOLIAGE RESPONSE ===
   updateFoliage(dt);
   
@@ -367,69 +448,56 @@ function updateBiology(dt) {
     const ageFactor = Math.max(0.1, 1 - tree.age / (species.maxAge * 0.4));
     const growthRate = netGrowthFactor * healthFactor * vigorFactor * ageFactor * speciesGrowthRate;
     
-    // Height growth (allometric: slows with size)
-    const heightLimit = species.maxHeight || CONFIG.TREE_MAX_HEIGHT;
-    const heightSaturation = Math.pow(1 - (tree.height / heightLimit), 2);
-    const heightGrowth = growthRate * CONFIG.HEIGHT_GROWTH_FACTOR * heightSaturation;
-    tree.height = Math.min(heightLimit, tree.height + heightGrowth * dt);
-    tree.growthThisYear += heightGrowth * dt;
-    
-    // DBH growth (follows allometric relationship)
-    const expectedDBH = Math.pow(tree.height, 0.8) * 0.05;
-    const dbhGrowth = (expectedDBH - tree.dbh) * growthRate * 0.1 + growthRate * CONFIG.DBH_GROWTH_FACTOR * 0.0005;
-    tree.dbh = Math.max(tree.dbh, tree.dbh + dbhGrowth * dt);
+    // Height and DBH follow the wood the carbon budget builds (updateBiomass())
     
-    // Crown dimensions
+    // Crown dimensions (deeper for the species' crown form)
     tree.crownRadius = tree.height * 0.4 * healthFactor;
-    tree.crownHeight = tree.height * 0.5 * healthFactor;
+    tree.crownHeight = tree.height * 0.5 * getCrownShape().depth * healthFactor;
     
-    // Root expansion
+    // Root expansion (the roots keep at least the seedling's proportions as the stem grows)
     const rootGrowth = growthRate * CONFIG.ROOT_GROWTH_FACTOR * (environment.soilQuality / 100) * 0.005;
-    tree.rootDepth = Math.min(tree.height * 0.8, tree.rootDepth + rootGrowth * dt);
-    tree.rootSpread = Math.min(tree.crownRadius * 1.5, tree.rootSpread + rootGrowth * 0.8 * dt);
+    tree.rootDepth = Math.min(tree.height * 0.8, Math.max(tree.height * 0.3, tree.rootDepth + rootGrowth * dt));
+    tree.rootSpread = Math.min(tree.crownRadius * 1.5, Math.max(tree.height * 0.5, tree.rootSpread + rootGrowth * 0.8 * dt));
     
     // Leaf metrics
     tree.leafArea = tree.crownRadius * tree.crownRadius * Math.PI * tree.foliageOpacity * healthFactor;
     tree.leafCount = Math.floor(tree.leafArea * 500);
   }
   
-  // === BIOMASS CALCULATIONS (detailed) ===
-  updateBiomass(dt, netGrowthFactor);
+  // === GROWTH RINGS (closed when the tree goes dormant) ===
+  updateGrowthRings(dt);
   
   // === GAS EXCHANGE ===
-  if (!isDormant) {
-    const effectiveLeafArea = tree.leafArea * tree.foliageOpacity;
-    const absorbedCO2 = photoRate * effectiveLeafArea * CONFIG.CO2_ABSORPTION_RATE * dt / 365;
-    const producedO2 = photoRate * effectiveLeafArea * CONFIG.O2_PRODUCTION_RATE * dt / 365;
-    tree.co2Absorbed += absorbedCO2;
-    tree.o2Produced += producedO2;
-    tree.carbonStored = tree.biomass.total * 0.5; // ~50% of dry biomass is carbon
-  }
+  // Gross uptake: 44/12 kg CO2 per kg C fixed, one O2 released per CO2
+  const fixedCarbon = tree.carbon.daily.gpp * dt;
+  tree.co2Absorbed += fixedCarbon * 44 / 12;
+  tree.o2Produced += fixedCarbon * 32 / 12;
+  tree.carbonStored = getTreeCarbon();
   
   // === WATER DYNAMICS ===
+  // Tissue water; what the tree transpires was withdrawn from the soil in updateSoil()
   const evapotranspiration = calculateEvapotranspiration();
-  const waterUptake = (environment.water / 100) * tree.rootDepth * tree.rootSpread * 0.5;
+  const waterUptake = (environment.waterAvailability / 100) * tree.rootDepth * tree.rootSpread * 0.5;
   tree.waterContent += (waterUptake - evapotranspiration) * dt;
   tree.waterContent = clamp(tree.waterContent, 0, 100);
-  tree.waterTranspired += evapotranspiration * dt;
+  tree.waterTranspired += environment.soil.balance.transpiration * getRootZoneArea() * dt;
   
   // === CHLOROPHYLL CONTENT ===
   const currentSpecies = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
   const currentIsEvergreen = currentSpecies.evergreen || false;
+  const phenologyPhase = tree.phenology.phase;
   if (currentIsEvergreen) {
-    // Evergreens maintain chlorophyll year-round with slight seasonal dip
-    if (environment.season === SEASONS.WINTER) {
+    // Evergreens maintain chlorophyll year-round with slight dip while dormant
+    if (phenologyPhase === 'dormant') {
       tree.chlorophyllContent = Math.max(50, tree.chlorophyllContent - dt * 0.5);
     } else {
       tree.chlorophyllContent = Math.min(100, tree.chlorophyllContent + dt * 2);
     }
-  } else if (environment.season === SEASONS.AUTUMN) {
-    const progress = getSeasonProgress(environment.dayOfYear);
-    tree.chlorophyllContent = Math.max(0, 100 * (1 - progress));
-  } else if (environment.season === SEASONS.SPRING) {
-    const progress = getSeasonProgress(environment.dayOfYear);
-    tree.chlorophyllContent = Math.min(100, progress * 100);
-  } else if (environment.season === SEASONS.WINTER) {
+  } else if (phenologyPhase === 'senescence') {
+    tree.chlorophyllContent = Math.max(0, 100 * (1 - tree.phenology.senescence));
+  } else if (phenologyPhase === 'budburst') {
+    tree.chlorophyllContent = Math.min(100, getLeafExpansion() * 100);
+  } else if (phenologyPhase === 'dormant') {
     tree.chlorophyllContent = 0;
   } else {
     tree.chlorophyllContent = Math.min(100, tree.chlorophyllContent + dt * 2);
@@ -441,14 +509,16 @@ function updateBiology(dt) {
   tree.daysSinceBirth += dt;
   const currentYear = Math.floor(tree.daysSinceBirth / CONFIG.DAYS_PER_YEAR);
   
-  // New year - add growth ring
+  // New year
   if (currentYear > prevYear) {
-    tree.ringsGrown++;
     tree.growthThisYear = 0;
     
-    // Regenerate visual structures periodically
-    if (tree.ringsGrown % 5 === 0) {
-      generateBranchArchitecture();
+    // A year's shoots on the branches, with the leaves moved onto them
+    growShoots(currentYear);
+    generateIndividualLeaves();
+    
+    // Regenerate the other visual structures periodically
+    if (currentYear % 5 === 0) {
       generateLeafClusters();
       generateRootMesh();
     }
@@ -465,33 +535,14 @@ function updateBiology(dt) {
 }
 
 /**
- * Update biomass components
+ * Add new wood and roots (dry kg, from updateCarbonBudget()) to the biomass
+ * pools, resize the stem to match and convert old sapwood to heartwood
+ * @param {number} dt - Delta time in days
+ * @param {number} dryMass - New structural biomass (dry kg)
  */
-function updateBiomass(dt, growthFactor) {
-  if (growthFactor <= 0) return;
-  
-  const healthFactor = tree.health / 100;
-  const allocation = growthFactor * healthFactor * dt;
-  
-  // Allocation priorities change with season
-  let trunkAlloc = 0.35;
-  let branchAlloc = 0.20;
-  let leafAlloc = 0.25;
-  let rootAlloc = 0.20;
-  
-  if (environment.season === SEASONS.SPRING) {
-    leafAlloc = 0.40;
-    trunkAlloc = 0.25;
-  } else if (environment.season === SEASONS.AUTUMN) {
-    rootAlloc = 0.35;
-    leafAlloc = 0.10;
-  }
-  
-  // Apply growth
-  tree.biomass.trunk += allocation * trunkAlloc * 10;
-  tree.biomass.branches += allocation * branchAlloc * 5;
-  tree.biomass.leaves += allocation * leafAlloc * 2 * tree.foliageOpacity;
-  tree.biomass.roots += allocation * rootAlloc * 3;
+function updateBiomass(dt, dryMass) {
+  // Allometric allocation: roots by root:shoot ratio, DBH from the wood (leaves are built by the carbon budget)
+  growAllometricBiomass(dryMass);
   
   // Heartwood formation (inner dead wood)
   if (tree.age > 10) {
@@ -499,7 +550,7 @@ function updateBiomass(dt, growthFactor) {
     tree.biomass.heartwood += heartwoodFormation;
     tree.biomass.sapwood = tree.biomass.trunk - tree.biomass.heartwood;
   } else {
-    tree.biomass.sapwood = tree.biomass.trunk;
+    tree.biomass.sapwood = tree.biomass.trunk - tree.biomass.heartwood;
   }
   
   // Total
@@ -508,12 +559,12 @@ function updateBiomass(dt, growthFactor) {
 }
 
 /**
- * Calculate autumn leaf drop rate based on season progress
- * @param {number} progress - Season progress from 0 to 1
+ * Calculate autumn leaf drop rate based on senescence progress
+ * @param {number} progress - Senescence progress from 0 to 1
  * @returns {number} Drop probability (0-1)
  */
 function getAutumnLeafDropRate(progress) {
-  // Exponential ramp-up: slow at start of autumn, rapid near end
+  // Exponential ramp-up: slow as leaves start to color, rapid near the end
   return Math.pow(progress, 2) * 0.8;
 }
 
@@ -521,11 +572,10 @@ function getAutumnLeafDropRate(progress) {
  * Handle seasonal and stress-related leaf drop
  */
 function handleLeafDrop(dt) {
-  const seasonProgress = getSeasonProgress(environment.dayOfYear);
   let dropProbability = 0;
   
-  if (environment.season === SEASONS.AUTUMN) {
-    dropProbability = getAutumnLeafDropRate(seasonProgress);
+  if (tree.phenology.phase === 'senescence') {
+    dropProbability = getAutumnLeafDropRate(tree.phenology.senescence);
   }
   
   // Stress-induced leaf drop
@@ -538,27 +588,68 @@ function handleLeafDrop(dt) {
     dropProbability += 0.4;
   }
   
-  // Create falling leaves
-  if (random() < dropProbability * dt * 0.15 && tree.foliageOpacity > 0.1) {
-    const centerX = renderer.width / 2;
-    const treeTop = 850 - tree.height * 100;
-    const canopyRadius = 60 + tree.height * 20;
+  // Create falling leaves (visual only; skipped when running headless)
+  if (visualRandom() < dropProbability * dt * 0.15 && tree.foliageOpacity > 0.1) {
+    if (typeof renderer === 'undefined') return;
     
-    const angle = random(0, Math.PI * 2);
-    const radius = random(0.3, 1) * canopyRadius;
-    const leafX = centerX + Math.cos(angle) * radius;
-    const leafY = treeTop + tree.crownHeight * 50 + random(-30, 30);
+    const envelope = getCrownEnvelope(renderer.width / 2, getGroundY() - tree.height * 100);
+    const leaf = envelope.pointAt(visualRandom(0, Math.PI * 2), visualRandom(0.3, 1));
     
-    createFallingLeaf(leafX, leafY, environment.season);
+    createFallingLeaf(leaf.x, leaf.y, environment.season);
   }
 }
 
+/**
+ * Advance the simulation by exactly one fixed substep.
+ * Every caller (animation loop, headless engine) goes through here, so
+ * N substeps always cover N * dt simulated days whatever the frame rate.
+ * @param {number} [dt] - Substep length in days (default: simulationState.substepTime)
+ */
+function stepSimulation(dt = simulationState.substepTime) {
+  updateEnvironmentFromUI();
+  updateBiology(dt);
+  simulationState.stepCount++;
+  simulationState.time += dt;
+}
+
+/**
+ * Reset the simulation clock, lag and drop counters
+ */
+function resetSimulationClock() {
+  simulationState.time = 0;
+  simulationState.stepCount = 0;
+  simulationState.physicsAccumulator = 0;
+  simulationState.lagDays = 0;
+  simulationState.droppedDays = 0;
+}
+
+/**
+ * Handle time the frame budget could not simulate.
+ * 'catch-up' keeps it in the accumulator and works it off on later frames;
+ * 'drop' discards anything beyond CONFIG.SIM_MAX_LAG_DAYS and counts it in
+ * simulationState.droppedDays. Either way the amount is reported, never lost silently.
+ */
+function applyCatchUpPolicy() {
+  if (CONFIG.SIM_CATCHUP_POLICY === 'drop' && simulationState.physicsAccumulator > CONFIG.SIM_MAX_LAG_DAYS) {
+    simulationState.droppedDays += simulationState.physicsAccumulator - CONFIG.SIM_MAX_LAG_DAYS;
+    simulationState.physicsAccumulator = CONFIG.SIM_MAX_LAG_DAYS;
+  }
+  
+  // Less than one substep left over is normal carry, not lag
+  simulationState.lagDays = simulationState.physicsAccumulator >= simulationState.substepTime
+    ? simulationState.physicsAccumulator
+    : 0;
+}
+
 /**
  * Record health for history graph
  */
 function recordHealth() {
-  // Sample periodically, not every frame
-  if (simulationState.frameCount % 5 !== 0) return;
+  // History buffers live in js/ui.js and are absent when running headless
+  if (typeof healthHistory === 'undefined') return;
+  
+  // Sample every few substeps so the record does not depend on frame rate
+  if (simulationState.stepCount % CONFIG.HEALTH_SAMPLE_SUBSTEPS !== 0) return;
   
   if (healthHistory.length >= CONFIG.MAX_HISTORY) {
     healthHistory.shift();
@@ -575,10 +666,10 @@ function updateFoliage(dt) {
   
   const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
   const isEvergreen = species.evergreen || false;
-  const seasonProgress = getSeasonProgress(environment.dayOfYear);
+  const phenology = tree.phenology;
   
-  switch (environment.season) {
-    case SEASONS.WINTER:
+  switch (phenology.phase) {
+    case 'dormant':
       if (isEvergreen) {
         targetOpacity *= 0.7;
         targetDensity *= 0.8;
@@ -588,34 +679,50 @@ function updateFoliage(dt) {
       }
       break;
       
-    case SEASONS.AUTUMN:
+    case 'senescence':
       if (isEvergreen) {
         targetOpacity *= 0.8;
         targetDensity *= 0.85;
       } else {
-        // Gradual leaf loss — species dropRate controls how late leaves are retained
-        // Lower autumnLeafDrop means earlier/faster shedding
-        const dropRate = species.autumnLeafDrop || 0.5;
-        const autumnFade = 1 - Math.pow(seasonProgress, 1.5) * (1 - dropRate * 0.3);
+        // Gradual leaf loss over senescence
+        const autumnFade = 1 - Math.pow(phenology.senescence, 1.5) * 0.95;
         targetOpacity *= autumnFade;
         targetDensity *= autumnFade;
       }
       break;
       
-    case SEASONS.SPRING:
-      // Leaf emergence — species leafOut controls timing
-      const leafOutRate = isEvergreen ? 0.8 : (species.springLeafOut || 0.3);
-      const springGrowth = Math.pow(seasonProgress, 0.7) * (1 - leafOutRate) + leafOutRate;
+    case 'budburst': {
+      // Leaf emergence from bud burst to full leaf (evergreens: new shoots)
+      const leafOutRate = isEvergreen ? 0.8 : 0.1;
+      const springGrowth = Math.pow(getLeafExpansion(), 0.7) * (1 - leafOutRate) + leafOutRate;
       targetOpacity *= springGrowth;
       targetDensity *= 0.4 + springGrowth * 0.6;
       break;
+    }
       
-    case SEASONS.SUMMER:
+    case 'leafed':
       // Full foliage, affected by health
       targetDensity = Math.min(1, targetDensity * 1.1);
       break;
   }
   
+  // Frost-damaged leaves are lost until they regrow
+  targetOpacity *= 1 - phenology.frostDamage;
+  targetDensity *= 1 - phenology.frostDamage * 0.5;
+  
+  // Crown killed by a pathogen
+  targetOpacity *= 1 - tree.pathogen.dieback;
+  targetDensity *= 1 - tree.pathogen.dieback;
+  
+  // Eaten by defoliators until it regrows
+  targetOpacity *= 1 - tree.pests.defoliation;
+  targetDensity *= 1 - tree.pests.defoliation;
+  
+  // Broken off, or scorched by fire, until it regrows
+  const disturbed = 1 - (1 - tree.disturbance.crownLoss) * (1 - tree.disturbance.scorch);
+  targetOpacity *= 1 - disturbed;
+  targetDensity *= 1 - disturbed;
+  
   // Stress reduces foliage
   if (tree.stressLevel > 40) {
     const stressFactor = 1 - (tree.stressLevel - 40) / 120;
@@ -639,9 +746,13 @@ function animationLoop(timestamp) {
     simulationState.lastFrameTime = timestamp;
   }
   
-  const deltaMs = Math.min(timestamp - simulationState.lastFrameTime, 100); // Cap at 100ms
+  const frameMs = timestamp - simulationState.lastFrameTime;
   simulationState.lastFrameTime = timestamp;
   
+  // Slow frames still advance the clock in full; only gaps longer than
+  // SIM_MAX_FRAME_GAP_MS (hidden tab, debugger) are treated as a pause
+  const deltaMs = frameMs > CONFIG.SIM_MAX_FRAME_GAP_MS ? 0 : frameMs;
+  
   // Time speed from UI
   const speedMultiplier = getTimeSpeed();
   const deltaTime = (deltaMs / 1000) * speedMultiplier;
@@ -650,17 +761,15 @@ function animationLoop(timestamp) {
   if (simulationState.running && !simulationState.paused) {
     simulationState.physicsAccumulator += deltaTime;
     
-    // Substep to prevent tunneling at high speeds
-    const maxSubsteps = 10;
-    let substeps = 0;
-    while (simulationState.physicsAccumulator >= simulationState.substepTime && substeps < maxSubsteps) {
-      updateEnvironmentFromUI();
-      updateBiology(simulationState.substepTime);
-      simulationState.physicsAccumulator -= simulationState.substepTime;
-      substeps++;
+    // Run whole substeps only, within the per-frame budget; the rest carries over
+    const stepsDue = Math.floor(simulationState.physicsAccumulator / simulationState.substepTime);
+    const steps = Math.min(stepsDue, CONFIG.SIM_MAX_SUBSTEPS_PER_FRAME);
+    for (let i = 0; i < steps; i++) {
+      stepSimulation();
     }
+    simulationState.physicsAccumulator -= steps * simulationState.substepTime;
     
-    simulationState.time += deltaTime;
+    applyCatchUpPolicy();
   }
   
   // Render (always, for smooth visuals)
@@ -671,11 +780,12 @@ function animationLoop(timestamp) {
   updateReadout();
   drawHealthGraph();
   drawBiomassGraph();
+  if (simulationState.frameCount % 30 === 0) drawRingSection();
   
   // FPS tracking
   simulationState.frameCount++;
   if (simulationState.frameCount % 30 === 0) {
-    simulationState.fps = Math.round(1000 / (deltaMs || 16.67));
+    simulationState.fps = Math.round(1000 / (frameMs || 16.67));
   }
   
   requestAnimationFrame(animationLoop);
@@ -703,6 +813,7 @@ async function startSimulation() {
   initializeTree();
   initRenderer();
   initUI();
+  initAnalysisUI();
   updateEnvironmentFromUI();
   
   // Initialize season (environment.season must be a SEASONS object, not string)
@@ -722,9 +833,11 @@ async function startSimulation() {
   console.log(`   Canvas: ${renderer.width}x${renderer.height}`);
 }
 
-// Start when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', startSimulation);
-} else {
-  startSimulation();
+// Start when DOM is ready (headless runs drive the engine via js/engine.js instead)
+if (typeof document !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', startSimulation);
+  } else {
+    startSimulation();
+  }
 }
@@ -0,0 +1,231 @@
+// ============================================================
+// SIMULATION SNAPSHOTS
+// Versioned save/restore of the complete simulation state
+// ============================================================
+
+/**
+ * Current snapshot format. Bump when the payload layout changes and add a
+ * step to migrateSnapshot() that upgrades the previous version.
+ */
+const SNAPSHOT_VERSION = '3.1';
+
+/**
+ * simulationState fields that affect the outcome of a run.
+ * Wall-clock bookkeeping (lastFrameTime, fps, lagDays) and run/pause state are not saved.
+ */
+const SNAPSHOT_CLOCK_KEYS = ['time', 'stepCount', 'frameCount', 'physicsAccumulator', 'substepTime', 'droppedDays'];
+
+/**
+ * Deep copy of plain simulation data
+ * @param {*} value - JSON-compatible value
+ * @returns {*} Independent copy
+ */
+function cloneSnapshotData(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Find the SEASONS key of a season object (seasons are compared by identity)
+ * @param {Object} season - Entry of SEASONS
+ * @returns {string|null} Key such as 'SPRING'
+ */
+function getSeasonKey(season) {
+  return Object.keys(SEASONS).find(key => SEASONS[key] === season) || null;
+}
+
+/**
+ * Capture everything needed to resume the simulation bit-exactly:
+ * tree, environment, biology-relevant CONFIG values, every PRNG stream
+ * position and the simulation clock.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.history] - UI history buffers to store alongside the state
+ * @returns {Object} JSON-serializable snapshot
+ */
+function createSnapshot(options = {}) {
+  const config = {};
+  Object.keys(CONFIG).forEach(key => {
+    // Canvas size and DPI describe the display, not the simulation
+    if (!key.startsWith('CANVAS_')) config[key] = CONFIG[key];
+  });
+
+  const clock = {};
+  SNAPSHOT_CLOCK_KEYS.forEach(key => {
+    clock[key] = simulationState[key];
+  });
+
+  const environmentData = cloneSnapshotData(Object.assign({}, environment, { season: null }));
+  environmentData.season = getSeasonKey(environment.season);
+
+  return {
+    version: SNAPSHOT_VERSION,
+    timestamp: Date.now(),
+    prng: {
+      seed: prngState.seed,
+      streams: Object.assign({}, prngState.streams)
+    },
+    simulationState: clock,
+    config,
+    tree: cloneSnapshotData(tree),
+    environment: environmentData,
+    history: cloneSnapshotData(options.history) || null
+  };
+}
+
+/**
+ * Upgrade an older snapshot payload to the current format.
+ *
+ * Version '2.0' (the original exportTreeData format) only stored the seed,
+ * a subset of tree fields, the calendar and the last 100 health samples.
+ * It is flagged `legacy` so restoreSnapshot() rebuilds the rest of the tree
+ * from the seed before applying the saved fields.
+ *
+ * Version '3.0' regenerated the branches every few years and saved them
+ * without their growth (see growShoots()); it is flagged `rebuildBranches`
+ * so restoreSnapshot() grows a new structure to the saved tree's size.
+ *
+ * @param {Object} data - Parsed snapshot
+ * @returns {Object} Snapshot in the current format
+ */
+function migrateSnapshot(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Snapshot is empty or not an object');
+  }
+
+  if (data.version === SNAPSHOT_VERSION) return data;
+
+  if (data.version === '3.0') {
+    return Object.assign({}, data, { version: SNAPSHOT_VERSION, rebuildBranches: true });
+  }
+
+  if (data.version === '2.0') {
+    const seed = Number.isFinite(data.seed) ? data.seed : 12345;
+    const savedTree = Object.assign({}, data.tree);
+    delete savedTree.growthRings;
+
+    return {
+      version: SNAPSHOT_VERSION,
+      timestamp: data.timestamp || Date.now(),
+      legacy: true,
+      prng: { seed, streams: null },
+      simulationState: {},
+      config: {},
+      tree: savedTree,
+      environment: Object.assign({}, data.environment),
+      history: { health: data.healthHistory || [] }
+    };
+  }
+
+  throw new Error(`Unsupported snapshot version: ${data.version}`);
+}
+
+/**
+ * Restore the simulation from a snapshot (any supported version).
+ * History buffers are returned to the caller rather than applied, since
+ * they live in the UI layer.
+ *
+ * @param {Object} data - Snapshot from createSnapshot() or an older export
+ * @returns {Object} The migrated snapshot
+ */
+function restoreSnapshot(data) {
+  const snapshot = migrateSnapshot(data);
+  const savedTree = snapshot.tree || {};
+
+  if (!TREE_SPECIES[savedTree.species]) {
+    throw new Error(`Unknown species in snapshot: ${savedTree.species}`);
+  }
+
+  Object.assign(CONFIG, snapshot.config);
+
+  if (snapshot.legacy) {
+    // Rebuild the tree from the seed, then overlay the saved fields
+    resetSimulationClock();
+    initPRNG(snapshot.prng.seed);
+    tree.species = savedTree.species;
+    initializeTree();
+    Object.assign(tree, cloneSnapshotData(savedTree));
+    generateBranchArchitecture();
+    generateLeafClusters();
+    generateIndividualLeaves();
+    generateRootMesh();
+  } else {
+    Object.assign(tree, cloneSnapshotData(savedTree));
+    prngState.seed = snapshot.prng.seed;
+    PRNG_STREAMS.forEach(name => {
+      const state = snapshot.prng.streams[name];
+      prngState.streams[name] = Number.isFinite(state) ? state : deriveStreamSeed(snapshot.prng.seed, name);
+    });
+    if (snapshot.rebuildBranches) {
+      generateBranchArchitecture();
+      generateIndividualLeaves();
+    }
+  }
+
+  const savedEnvironment = cloneSnapshotData(snapshot.environment) || {};
+  const seasonKey = savedEnvironment.season;
+  delete savedEnvironment.season;
+  if (!savedEnvironment.site) {
+    // Saves from before daily weather: the stored values are the site conditions
+    savedEnvironment.site = {};
+    Object.keys(environment.site).forEach(key => {
+      savedEnvironment.site[key] = Number.isFinite(savedEnvironment[key]) ? savedEnvironment[key] : environment.site[key];
+    });
+  }
+  // Saves from before the soil water balance: fresh profile, or add its state
+  savedEnvironment.soil = Object.assign(createSoilProfile(), savedEnvironment.soil || {});
+  // Saves from before the fire model: fresh fuel
+  savedEnvironment.fire = Object.assign(createFireState(), savedEnvironment.fire || {});
+  delete savedEnvironment.soilWaterAnomaly;
+  Object.assign(environment, savedEnvironment);
+  if (SEASONS[seasonKey]) {
+    environment.season = SEASONS[seasonKey];
+  } else {
+    updateEnvironmentTime(0);
+  }
+  
+  // Saves from before the phenology model: start from the calendar season
+  if (!savedTree.phenology) {
+    tree.phenology = getCalendarPhenology(tree.species);
+  }
+  if (!savedTree.reproduction) {
+    tree.reproduction = createReproductionState();
+  }
+  // Saves from before the ring record: no rings yet
+  if (!savedTree.growthRings) {
+    tree.growthRings = [];
+    tree.currentRing = createGrowthRing(tree.dbh);
+    tree.ringsGrown = 0;
+  }
+  // Saves from before the pathogen model: uninfected
+  if (!savedTree.pathogen) {
+    tree.pathogen = createPathogenState();
+    tree.diseaseLoad = 0;
+  }
+  // Saves from before the pest model: no insects
+  if (!savedTree.pests) {
+    tree.pests = createPestState();
+  }
+  // Saves from before the disturbance model: undamaged
+  if (!savedTree.disturbance) {
+    tree.disturbance = createDisturbanceState();
+  }
+  // Saves from before the carbon budget: biomass from the tree's size, reserve at its target
+  if (!savedTree.carbon) {
+    tree.biomass = createSizedBiomass(TREE_SPECIES[tree.species] || TREE_SPECIES.OAK);
+    tree.carbon = createCarbonState(tree.biomass);
+  }
+
+  SNAPSHOT_CLOCK_KEYS.forEach(key => {
+    if (Number.isFinite(snapshot.simulationState[key])) {
+      simulationState[key] = snapshot.simulationState[key];
+    }
+  });
+
+  return snapshot;
+}
+
+if (typeof window !== 'undefined') {
+  window.createSnapshot = createSnapshot;
+  window.restoreSnapshot = restoreSnapshot;
+  window.migrateSnapshot = migrateSnapshot;
+}
@@ -0,0 +1,467 @@
+// ============================================================
+// SOIL PROFILE
+// O/A/B/C horizons with moisture and nutrients, a daily water
+// balance, and the water and nutrients the roots can reach
+// ============================================================
+
+/** variables.JSON `soil_profile` keys and the horizon fields they set */
+const SOIL_SETTING_KEYS = {
+  top: 'top',
+  bottom: 'bottom',
+  depth_top: 'top',
+  depth_bottom: 'bottom',
+  texture: 'texture',
+  moisture: 'moisture',
+  nitrogen: 'nitrogen',
+  phosphorus: 'phosphorus',
+  potassium: 'potassium',
+  ph: 'pH',
+  pH: 'pH',
+  organic_matter: 'organicMatter',
+  organicMatter: 'organicMatter'
+};
+
+/**
+ * Water balance fluxes of the last update, all in mm/day
+ * @returns {Object} Fluxes set to zero
+ */
+function createWaterBalance() {
+  return {
+    pet: 0,            // potential evapotranspiration
+    rain: 0,           // liquid precipitation
+    snowmelt: 0,
+    infiltration: 0,
+    runoff: 0,
+    drainage: 0,       // percolation out of the bottom of the profile
+    evaporation: 0,    // from the bare soil surface
+    transpiration: 0   // withdrawn by the roots
+  };
+}
+
+/**
+ * Weather summed over the substeps since the last water balance step
+ * @returns {Object} Totals set to zero
+ */
+function createSoilForcing() {
+  return {
+    days: 0,
+    rain: 0,           // mm
+    snow: 0,           // mm water equivalent
+    meltDegreeDays: 0, // °C·days above freezing
+    pet: 0             // potential evapotranspiration (mm)
+  };
+}
+
+/**
+ * Fresh copy of the default profile (SOIL_PROFILE)
+ * @returns {{horizons: Array<Object>, snowpack: number, balance: Object, forcing: Object}} Soil profile
+ */
+function createSoilProfile() {
+  return {
+    horizons: SOIL_PROFILE.map(horizon => Object.assign({}, horizon)),
+    snowpack: 0,       // snow water equivalent (mm)
+    balance: createWaterBalance(),
+    forcing: createSoilForcing()
+  };
+}
+
+environment.soil = createSoilProfile();
+
+// Root weights and nutrient supply of the last getRootZone() call, which only
+// change with the rooting depth or the profile, and the water derived from
+// them, which changes with each water balance step (null: not worked out yet)
+const rootZoneCache = {
+  horizons: null,
+  rootDepth: null,
+  weights: null,
+  nutrients: 0,
+  topsoilWater: null,
+  availableWater: null
+};
+
+/**
+ * Texture properties of a horizon (unknown textures fall back to loam)
+ * @param {Object} horizon - Soil horizon
+ * @returns {Object} Entry of SOIL_TEXTURES
+ */
+function getSoilTexture(horizon) {
+  return SOIL_TEXTURES[horizon.texture] || SOIL_TEXTURES.loam;
+}
+
+/**
+ * Apply the `soil_profile` section of variables.JSON, e.g.
+ * `{ "horizons": { "A": { "texture": "clay", "nitrogen": 10, "ph": 5 } } }`.
+ * Horizons are matched by name; unknown horizons and keys are ignored.
+ * Moisture not given explicitly restarts at the site water level.
+ * @param {Object} settings - soil_profile section
+ */
+function applySoilProfileSettings(settings) {
+  if (!settings || typeof settings !== 'object') return;
+
+  const overrides = settings.horizons || {};
+  environment.soil.horizons.forEach(horizon => {
+    const values = overrides[horizon.name];
+    if (!values || typeof values !== 'object') return;
+
+    Object.keys(values).forEach(key => {
+      const field = SOIL_SETTING_KEYS[key];
+      if (!field) return;
+      if (field === 'texture') {
+        if (SOIL_TEXTURES[values[key]]) horizon.texture = values[key];
+      } else if (values[key] === null || Number.isFinite(Number(values[key]))) {
+        horizon[field] = values[key] === null ? null : Number(values[key]);
+      }
+    });
+  });
+
+  resetSoilMoisture();
+}
+
+/**
+ * Let every horizon restart at the site water level on the next update,
+ * without snow
+ */
+function resetSoilMoisture() {
+  environment.soil.horizons.forEach(horizon => {
+    horizon.moisture = null;
+  });
+  environment.soil.snowpack = 0;
+  environment.soil.balance = createWaterBalance();
+  environment.soil.forcing = createSoilForcing();
+  rootZoneCache.horizons = null;
+}
+
+/**
+ * Starting moisture of a horizon: the same fraction of its plant-available
+ * range (wilting point to field capacity) as the water slider is of 100
+ * @param {Object} horizon - Soil horizon
+ * @returns {number} Volumetric water content (m³/m³)
+ */
+function getInitialSoilMoisture(horizon) {
+  const texture = getSoilTexture(horizon);
+  const level = clamp(environment.site.water / 100, 0, 1);
+  return texture.wiltingPoint + (texture.fieldCapacity - texture.wiltingPoint) * level;
+}
+
+/**
+ * Horizon thickness expressed as the water depth of a full pore space
+ * @param {Object} horizon - Soil horizon
+ * @returns {number} Thickness (mm)
+ */
+function getHorizonThickness(horizon) {
+  return (horizon.bottom - horizon.top) * 1000;
+}
+
+/**
+ * Plant-available fraction of a horizon's water (0 at wilting point, 1 at field capacity)
+ * @param {Object} horizon - Soil horizon
+ * @returns {number} 0-1
+ */
+function getRelativeAvailableWater(horizon) {
+  const texture = getSoilTexture(horizon);
+  return clamp((horizon.moisture - texture.wiltingPoint) / (texture.fieldCapacity - texture.wiltingPoint), 0, 1);
+}
+
+/**
+ * Nutrient supply of a horizon: the scarcest of N, P and K relative to
+ * SOIL_NUTRIENT_OPTIMA (Liebig's law of the minimum), reduced outside the pH optimum
+ * @param {Object} horizon - Soil horizon
+ * @returns {number} 0-1
+ */
+function getHorizonNutrientIndex(horizon) {
+  const limiting = Math.min(
+    horizon.nitrogen / SOIL_NUTRIENT_OPTIMA.nitrogen,
+    horizon.phosphorus / SOIL_NUTRIENT_OPTIMA.phosphorus,
+    horizon.potassium / SOIL_NUTRIENT_OPTIMA.potassium,
+    1
+  );
+
+  const pHDistance = Math.max(0, CONFIG.SOIL_PH_OPTIMUM_MIN - horizon.pH, horizon.pH - CONFIG.SOIL_PH_OPTIMUM_MAX);
+  const pHFactor = clamp(1 - pHDistance / CONFIG.SOIL_PH_TOLERANCE, 0, 1);
+
+  return clamp(limiting, 0, 1) * pHFactor;
+}
+
+/**
+ * Share of the root system in each horizon. Root density falls off
+ * exponentially with depth (cumulative fraction 1 - SOIL_ROOT_BETA^cm),
+ * truncated at the rooting depth and the bottom of the profile.
+ * @param {number} rootDepth - Rooting depth (m)
+ * @returns {number[]} Weights per horizon (sum to 1)
+ */
+function getRootDistribution(rootDepth) {
+  const horizons = environment.soil.horizons;
+  const profileBottom = horizons.length ? horizons[horizons.length - 1].bottom : 0;
+  const depth = clamp(rootDepth, 0.01, profileBottom);
+  const cumulative = d => 1 - Math.pow(CONFIG.SOIL_ROOT_BETA, Math.min(d, depth) * 100);
+  const total = cumulative(depth);
+
+  return horizons.map(horizon => {
+    if (horizon.top >= depth) return 0;
+    return (cumulative(horizon.bottom) - cumulative(horizon.top)) / total;
+  });
+}
+
+/**
+ * Root distribution (getRootDistribution()) and root-weighted nutrient index
+ * of the tree, for the rooting depth to the centimeter (the depth resolution
+ * of SOIL_ROOT_BETA). Recomputed only when that depth or the soil profile
+ * has changed.
+ * @returns {Object} rootZoneCache: weights per horizon (sum to 1), nutrient index 0-1
+ */
+function getRootZone() {
+  const horizons = environment.soil.horizons;
+  const rootDepth = Math.round(tree.rootDepth * 100) / 100;
+  if (rootZoneCache.horizons !== horizons || rootZoneCache.rootDepth !== rootDepth) {
+    const weights = getRootDistribution(rootDepth);
+    rootZoneCache.horizons = horizons;
+    rootZoneCache.rootDepth = rootDepth;
+    rootZoneCache.weights = weights;
+    rootZoneCache.nutrients = horizons.reduce((sum, horizon, i) => sum + weights[i] * getHorizonNutrientIndex(horizon), 0);
+    rootZoneCache.availableWater = null;
+    rootZoneCache.topsoilWater = null;
+  }
+  return rootZoneCache;
+}
+
+// === WATER BALANCE ===
+
+/**
+ * Potential evapotranspiration from the current weather
+ * @returns {number} mm/day
+ */
+function getPotentialEvapotranspiration() {
+  return calculateEvapotranspiration() * CONFIG.SOIL_PET_SCALE;
+}
+
+/**
+ * Ground area the tree draws water from. Roots reach well beyond the drip
+ * line, so the radius is the larger of the root spread and
+ * SOIL_ROOT_ZONE_RADIUS crown radii.
+ * @returns {number} Area (m²)
+ */
+function getRootZoneArea() {
+  const radius = Math.max(tree.rootSpread, tree.crownRadius * CONFIG.SOIL_ROOT_ZONE_RADIUS, 0.1);
+  return Math.PI * radius * radius;
+}
+
+/**
+ * Plant-available water a horizon holds between wilting point and field capacity
+ * @param {Object} horizon - Soil horizon
+ * @returns {number} Water (mm)
+ */
+function getAvailableWaterCapacity(horizon) {
+  const texture = getSoilTexture(horizon);
+  return (texture.fieldCapacity - texture.wiltingPoint) * getHorizonThickness(horizon);
+}
+
+/**
+ * Remove water from a horizon, never below its wilting point
+ * @param {Object} horizon - Soil horizon
+ * @param {number} amount - Requested water (mm)
+ * @returns {number} Water actually removed (mm)
+ */
+function withdrawSoilWater(horizon, amount) {
+  const thickness = getHorizonThickness(horizon);
+  const available = Math.max(0, (horizon.moisture - getSoilTexture(horizon).wiltingPoint) * thickness);
+  const taken = Math.min(Math.max(0, amount), available);
+  horizon.moisture -= taken / thickness;
+  return taken;
+}
+
+/**
+ * Add a substep's weather to the totals the next water balance step uses.
+ * Precipitation (scaled by the water slider) falls as snow at or below
+ * WEATHER_SNOW_MAX_TEMP.
+ * @param {number} dt - Delta time in days
+ */
+function accumulateSoilForcing(dt) {
+  const forcing = environment.soil.forcing;
+  const precipitation = environment.precipitation * CONFIG.SOIL_RAIN_MM *
+    Math.max(0, environment.site.water) / CONFIG.SOIL_WATER_REFERENCE;
+  if (environment.temperature <= CONFIG.WEATHER_SNOW_MAX_TEMP) {
+    forcing.snow += precipitation * dt;
+  } else {
+    forcing.rain += precipitation * dt;
+  }
+  forcing.meltDegreeDays += Math.max(0, environment.temperature) * dt;
+  forcing.pet += getPotentialEvapotranspiration() * dt;
+  forcing.days += dt;
+}
+
+/**
+ * One step of the bucket model over the accumulated forcing. Snow melts by
+ * degree-days; rain and meltwater infiltrate the top horizon up to its
+ * infiltration capacity and free pore space, the rest runs off. Water above
+ * field capacity drains to the horizon below (out of the profile from the
+ * bottom). Bare soil evaporates from the top SOIL_EVAPORATION_DEPTH, slowing
+ * as it dries; the tree transpires from the horizons its roots reach.
+ * @param {number[]} rootWeights - getRootDistribution() of the tree
+ */
+function updateSoilWater(rootWeights) {
+  const soil = environment.soil;
+  const horizons = soil.horizons;
+  const balance = soil.balance;
+  const forcing = soil.forcing;
+  const dt = forcing.days;
+  
+  // Snowpack
+  soil.snowpack += forcing.snow;
+  const melt = Math.min(soil.snowpack, CONFIG.SOIL_SNOWMELT_RATE * forcing.meltDegreeDays);
+  soil.snowpack -= melt;
+  const rain = forcing.rain;
+  
+  // Infiltration vs. runoff
+  const top = horizons[0];
+  const topTexture = getSoilTexture(top);
+  const input = rain + melt;
+  const room = Math.max(0, (topTexture.saturation - top.moisture) * getHorizonThickness(top));
+  const infiltration = Math.min(input, topTexture.infiltration * dt, room);
+  top.moisture += infiltration / getHorizonThickness(top);
+  
+  // Percolation, top to bottom
+  let drainage = 0;
+  horizons.forEach((horizon, i) => {
+    const texture = getSoilTexture(horizon);
+    const thickness = getHorizonThickness(horizon);
+    const excess = (horizon.moisture - texture.fieldCapacity) * thickness;
+    if (excess <= 0) return;
+    
+    let flow = excess * Math.min(1, texture.drainage * dt);
+    const below = horizons[i + 1];
+    if (below) {
+      const belowThickness = getHorizonThickness(below);
+      flow = Math.min(flow, Math.max(0, (getSoilTexture(below).saturation - below.moisture) * belowThickness));
+      below.moisture += flow / belowThickness;
+    } else {
+      drainage += flow;
+    }
+    horizon.moisture -= flow / thickness;
+  });
+  
+  // Capillary rise: wetter horizons below resupply drier ones above
+  for (let i = horizons.length - 2; i >= 0; i--) {
+    const upper = horizons[i];
+    const lower = horizons[i + 1];
+    const gradient = getRelativeAvailableWater(lower) - getRelativeAvailableWater(upper);
+    if (gradient <= 0) continue;
+    const capacity = Math.min(getAvailableWaterCapacity(upper), getAvailableWaterCapacity(lower));
+    const rise = withdrawSoilWater(lower, CONFIG.SOIL_CAPILLARY_RATE * gradient * capacity * Math.min(1, dt));
+    upper.moisture += rise / getHorizonThickness(upper);
+  }
+  
+  // Evaporation from the bare part of the root zone, slowing as the surface dries
+  const area = getRootZoneArea();
+  const canopyCover = clamp(tree.leafArea / area, 0, 1);
+  const evaporationDemand = forcing.pet * (1 - canopyCover);
+  let evaporation = 0;
+  horizons.forEach(horizon => {
+    const overlap = Math.min(horizon.bottom, CONFIG.SOIL_EVAPORATION_DEPTH) - horizon.top;
+    if (overlap <= 0) return;
+    const dryness = Math.pow(getRelativeAvailableWater(horizon), 2);
+    evaporation += withdrawSoilWater(horizon, evaporationDemand * (overlap / CONFIG.SOIL_EVAPORATION_DEPTH) * dryness);
+  });
+  
+  // Transpiration: leaf demand, closing stomata as the root zone dries,
+  // taken preferentially from the wetter horizons
+  let transpiration = 0;
+  if (tree.health > 0) {
+    const rootZoneWater = getRootZoneWater(rootWeights);
+    const demand = tree.leafArea * forcing.pet * CONFIG.SOIL_TRANSPIRATION_COEFF * rootZoneWater / area;
+    const uptake = horizons.map((horizon, i) => rootWeights[i] * getRelativeAvailableWater(horizon));
+    const totalUptake = uptake.reduce((sum, u) => sum + u, 0);
+    if (totalUptake > 0) {
+      horizons.forEach((horizon, i) => {
+        transpiration += withdrawSoilWater(horizon, demand * uptake[i] / totalUptake);
+      });
+    }
+  }
+  
+  const perDay = dt > 0 ? 1 / dt : 0;
+  balance.pet = forcing.pet * perDay;
+  balance.rain = rain * perDay;
+  balance.snowmelt = melt * perDay;
+  balance.infiltration = infiltration * perDay;
+  balance.runoff = (input - infiltration) * perDay;
+  balance.drainage = drainage * perDay;
+  balance.evaporation = evaporation * perDay;
+  balance.transpiration = transpiration * perDay;
+}
+
+/**
+ * Root-weighted plant-available water
+ * @param {number[]} rootWeights - getRootDistribution() of the tree
+ * @returns {number} 0-1
+ */
+function getRootZoneWater(rootWeights) {
+  return environment.soil.horizons
+    .reduce((sum, horizon, i) => sum + rootWeights[i] * getRelativeAvailableWater(horizon), 0);
+}
+
+/**
+ * Wetness of a horizon on a texture-independent scale: 0 at wilting point,
+ * 50 at field capacity, 100 when saturated
+ * @param {Object} horizon - Soil horizon
+ * @returns {number} 0-100
+ */
+function getHorizonWetness(horizon) {
+  const texture = getSoilTexture(horizon);
+  if (horizon.moisture <= texture.fieldCapacity) return getRelativeAvailableWater(horizon) * 50;
+  return 50 + clamp((horizon.moisture - texture.fieldCapacity) / (texture.saturation - texture.fieldCapacity), 0, 1) * 50;
+}
+
+/**
+ * Wetness of the topsoil (upper SOIL_TOPSOIL_DEPTH), see getHorizonWetness()
+ * @returns {number} 0-100
+ */
+function getTopsoilWater() {
+  let sum = 0;
+  let depth = 0;
+  environment.soil.horizons.forEach(horizon => {
+    const overlap = Math.min(horizon.bottom, CONFIG.SOIL_TOPSOIL_DEPTH) - horizon.top;
+    if (overlap <= 0) return;
+    sum += overlap * getHorizonWetness(horizon);
+    depth += overlap;
+  });
+  return depth > 0 ? sum / depth : 0;
+}
+
+/**
+ * Advance the soil water balance and derive what the environment and the
+ * tree see: environment.water (topsoil wetness), environment.waterAvailability
+ * (root-weighted plant-available water) and tree.nutrientLevel (root-weighted
+ * nutrient index scaled by environment.soilQuality), all 0-100.
+ * The weather is summed every substep; the bucket model steps once
+ * CONFIG.SOIL_STEP_DAYS have passed (or once per substep when they are longer).
+ * @param {number} dt - Delta time in days
+ */
+function updateSoil(dt) {
+  const soil = environment.soil;
+  soil.horizons.forEach(horizon => {
+    if (!Number.isFinite(horizon.moisture)) horizon.moisture = getInitialSoilMoisture(horizon);
+  });
+  
+  const rootZone = getRootZone();
+  accumulateSoilForcing(dt);
+  if (soil.forcing.days >= CONFIG.SOIL_STEP_DAYS - 1e-9) {
+    updateSoilWater(rootZone.weights);
+    soil.forcing = createSoilForcing();
+    rootZone.availableWater = null;
+  }
+  if (rootZone.availableWater === null) {
+    rootZone.topsoilWater = getTopsoilWater();
+    rootZone.availableWater = getRootZoneWater(rootZone.weights) * 100;
+  }
+  
+  environment.water = rootZone.topsoilWater;
+  environment.waterAvailability = rootZone.availableWater;
+  tree.nutrientLevel = rootZone.nutrients * environment.soilQuality;
+}
+
+if (typeof window !== 'undefined') {
+  window.applySoilProfileSettings = applySoilProfileSettings;
+  window.resetSoilMoisture = resetSoilMoisture;
+  window.updateSoil = updateSoil;
+  window.getRootDistribution = getRootDistribution;
+  window.getRootZoneArea = getRootZoneArea;
+}
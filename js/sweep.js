@@ -0,0 +1,186 @@
+// ============================================================
+// PARAMETER SWEEPS
+// Vary one or two variables.JSON settings over a grid and measure
+// how lifespan, final height and lifetime CO2 respond
+// ============================================================
+
+/**
+ * Common sweep parameters, as paths into a variables.JSON object.
+ * Any other path accepted by applyVariablesConfigFromObject() works too,
+ * including `config_overrides.<CONFIG key>`.
+ */
+const SWEEP_PRESETS = [
+  { path: 'ui_defaults.water_level', label: 'Water level (0–1)', min: 0.2, max: 0.9 },
+  { path: 'ui_defaults.temperature', label: 'Temperature (°C)', min: 5, max: 35 },
+  { path: 'ui_defaults.light_intensity', label: 'Light intensity (0–1)', min: 0.2, max: 1 },
+  { path: 'ui_defaults.co2_ppm', label: 'Atmospheric CO₂ (ppm)', min: 280, max: 800 },
+  { path: 'stressors.drought_threshold', label: 'Mortality drought threshold', min: 0.1, max: 0.5 },
+  { path: 'stressors.heat_stress_temp', label: 'Mortality heat stress temp (°C)', min: 25, max: 40 },
+  { path: 'soil_profile.horizons.A.nitrogen', label: 'A horizon nitrogen (mg/kg)', min: 2, max: 30 },
+  { path: 'hdr_parameters.base_mortality_rate', label: 'Base mortality rate (/yr)', min: 0, max: 0.02 },
+  { path: 'config_overrides.FIRE_IGNITION_RATE', label: 'CONFIG.FIRE_IGNITION_RATE', min: 0, max: 0.01 },
+  { path: 'config_overrides.FIRE_FUEL_INPUT', label: 'CONFIG.FIRE_FUEL_INPUT', min: 0.1, max: 1 },
+  { path: 'config_overrides.WIND_ANCHORAGE_PER_MASS', label: 'CONFIG.WIND_ANCHORAGE_PER_MASS', min: 100, max: 600 },
+  { path: 'config_overrides.STRESS_WATER_DROUGHT', label: 'CONFIG.STRESS_WATER_DROUGHT', min: 20, max: 60 }
+];
+
+/** Outcome metrics reported for every cell */
+const SWEEP_METRICS = {
+  lifespan: { label: 'Years survived', unit: 'y' },
+  survival: { label: 'Survival at horizon', unit: '%' },
+  height: { label: 'Final height', unit: 'm' },
+  co2Absorbed: { label: 'Lifetime CO₂ absorbed', unit: 'kg' }
+};
+
+/**
+ * Evenly spaced grid values between min and max (inclusive)
+ * @param {number} min - First value
+ * @param {number} max - Last value
+ * @param {number} steps - Number of values (>= 1)
+ * @returns {number[]} Grid values
+ */
+function sweepRange(min, max, steps) {
+  const n = Math.max(1, Math.floor(steps));
+  if (n === 1) return [min];
+  const values = [];
+  for (let i = 0; i < n; i++) {
+    values.push(min + (max - min) * i / (n - 1));
+  }
+  return values;
+}
+
+/**
+ * Set a dotted path (e.g. 'stressors.drought_threshold') in a nested object
+ * @param {Object} target - Object to modify
+ * @param {string} path - Dotted path
+ * @param {*} value - Value to set
+ */
+function setVariablesPath(target, path, value) {
+  const keys = path.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Mean and sample standard deviation
+ * @param {number[]} values - Samples
+ * @returns {{mean: number, sd: number}}
+ */
+function meanAndSD(values) {
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const variance = n > 1 ? values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (n - 1) : 0;
+  return { mean, sd: Math.sqrt(variance) };
+}
+
+/**
+ * Run every grid cell with several seeds.
+ * Each cell's values are written into a variables.JSON-shaped object and
+ * applied through applyVariablesConfigFromObject() on top of the base settings.
+ *
+ * @param {Object} options
+ * @param {Array<{path: string, values: number[], label?: string}>} options.axes - One or two axes
+ * @param {string} [options.species='OAK'] - Key into TREE_SPECIES
+ * @param {number} [options.seeds=3] - Seeds per cell (baseSeed, baseSeed + 1, ...)
+ * @param {number} [options.baseSeed=1] - First seed
+ * @param {number} [options.years=50] - Horizon in years
+ * @param {number} [options.dt] - Substep in days (default: CONFIG.BATCH_DT_DAYS)
+ * @param {Object} [options.environment] - Base site conditions
+ * @param {Object} [options.mortality] - Base mortality overrides (mortality is always enabled)
+ * @param {Object} [options.config] - Base CONFIG overrides
+ * @param {Function} [options.onProgress] - Called with (completedRuns, totalRuns)
+ * @returns {{meta: Object, axes: Array, cells: Array}} Sweep result
+ */
+function runParameterSweep(options = {}) {
+  const axes = options.axes || [];
+  if (axes.length < 1 || axes.length > 2) {
+    throw new Error('A sweep needs one or two parameters');
+  }
+  axes.forEach(axis => {
+    if (!axis.path || !Array.isArray(axis.values) || axis.values.length === 0) {
+      throw new Error('Each sweep parameter needs a path and at least one value');
+    }
+  });
+
+  const species = options.species || 'OAK';
+  const seeds = Math.max(1, Math.floor(options.seeds || 3));
+  const baseSeed = options.baseSeed !== undefined ? options.baseSeed : 1;
+  const years = options.years !== undefined ? options.years : 50;
+  const dt = options.dt || CONFIG.BATCH_DT_DAYS;
+
+  const secondValues = axes[1] ? axes[1].values : [undefined];
+  const totalRuns = axes[0].values.length * secondValues.length * seeds;
+  let completed = 0;
+
+  const cells = [];
+  secondValues.forEach((secondValue, j) => {
+    axes[0].values.forEach((firstValue, i) => {
+      const variables = {};
+      setVariablesPath(variables, axes[0].path, firstValue);
+      if (axes[1]) setVariablesPath(variables, axes[1].path, secondValue);
+
+      const samples = { lifespan: [], survival: [], height: [], co2Absorbed: [] };
+      for (let s = 0; s < seeds; s++) {
+        const run = runHeadlessSimulation({
+          species,
+          seed: baseSeed + s,
+          years,
+          dt,
+          environment: options.environment,
+          config: options.config,
+          mortality: Object.assign({}, options.mortality, { enabled: true }),
+          variables,
+          stopOnDeath: true
+        });
+        const alive = run.tree.health > 0;
+        samples.lifespan.push(alive ? years : run.tree.age);
+        samples.survival.push(alive ? 100 : 0);
+        samples.height.push(run.tree.height);
+        samples.co2Absorbed.push(run.tree.co2Absorbed);
+
+        completed++;
+        if (options.onProgress) options.onProgress(completed, totalRuns);
+      }
+
+      const cell = { i, j, values: axes[1] ? [firstValue, secondValue] : [firstValue] };
+      Object.keys(samples).forEach(metric => {
+        cell[metric] = meanAndSD(samples[metric]);
+      });
+      cells.push(cell);
+    });
+  });
+
+  return {
+    meta: { species, seeds, baseSeed, years, dt },
+    axes: axes.map(axis => ({ path: axis.path, label: axis.label || axis.path, values: axis.values.slice() })),
+    cells
+  };
+}
+
+/**
+ * Sweep result as CSV (one row per cell, mean and SD of every metric)
+ * @param {Object} result - Result of runParameterSweep()
+ * @returns {string} CSV text
+ */
+function sweepToCSV(result) {
+  const metrics = Object.keys(SWEEP_METRICS);
+  const header = result.axes.map(axis => axis.path)
+    .concat(...metrics.map(metric => [`${metric}_mean`, `${metric}_sd`]));
+  let csv = header.join(',') + '\n';
+  result.cells.forEach(cell => {
+    const row = cell.values.map(v => Number(v.toPrecision(6)))
+      .concat(...metrics.map(metric => [cell[metric].mean.toFixed(4), cell[metric].sd.toFixed(4)]));
+    csv += row.join(',') + '\n';
+  });
+  return csv;
+}
+
+if (typeof window !== 'undefined') {
+  window.runParameterSweep = runParameterSweep;
+  window.sweepRange = sweepRange;
+  window.sweepToCSV = sweepToCSV;
+}
@@ -32,42 +32,51 @@ const tree = {
   waterContent: 100,         // % of capacity
   nutrientLevel: 100,        // % of optimal
   stressLevel: 0,            // accumulated stress 0-100
-  diseaseLoad: 0,            // infection severity 0-100
+  diseaseLoad: 0,            // infected share of the tissue 0-100 (mirrors pathogen.infected)
+  pathogen: createPathogenState(),  // infection stage, dieback and wounds, see js/pathogens.js
+  pests: createPestState(),  // insect populations, defoliation and girdling, see js/insects.js
+  disturbance: createDisturbanceState(),  // fire, storm and lightning damage, scars and sprouts, see js/disturbance.js
   
-  // === BIOMASS (kg) ===
+  // === BIOMASS (dry kg) ===
   biomass: {
-    total: 0.5,
-    trunk: 0.3,
-    branches: 0.1,
-    leaves: 0.05,
-    roots: 0.05,
+    total: 0.024,
+    trunk: 0.005,
+    branches: 0.002,
+    leaves: 0.014,
+    roots: 0.002,
     heartwood: 0,
-    sapwood: 0.3
+    sapwood: 0.005
   },
   
   // === CARBON CYCLE ===
   co2Absorbed: 0,            // lifetime kg CO2
   o2Produced: 0,             // lifetime kg O2
   waterTranspired: 0,        // lifetime liters
-  carbonStored: 0,           // kg C in biomass
+  carbonStored: 0,           // kg C in biomass, fruit and reserve
+  carbon: createCarbonState(),  // reserve and carbon flows, see js/carbon.js
   
   // === ANNUAL TRACKING ===
   growthThisYear: 0,
   ringsGrown: 0,
+  growthRings: [],           // closed rings from the pith outwards, see js/rings.js
+  currentRing: createGrowthRing(0.008),  // ring the cambium is laying down
   
   // === VISUAL STRUCTURES ===
-  branches: [],              // branch architecture
+  branches: [],              // shoot modules, see growShoots()
+  branchHeight: 0,           // tree height the branches have grown to
   leafClusters: [],          // foliage particle positions
   leaves: [],                // individual leaf particles
   rootMesh: [],              // root structure
   leafDrops: [],             // falling leaves
   barkSegments: [],          // bark texture data
   
-  // === PHENOLOGY ===
+  // === PHENOLOGY === (flags set by updatePhenology)
   dormant: false,
   budBurst: false,
   flowering: false,
   leafSenescence: false,
+  phenology: createPhenologyState(),  // thermal-time state, see js/phenology.js
+  reproduction: createReproductionState(),  // flowers, fruit and seed crops, see js/reproduction.js
   
   // === SPECIES ===
   species: 'OAK',
@@ -114,7 +123,7 @@ function initializeTree() {
   
   // Morphology
   tree.height = CONFIG.TREE_INIT_HEIGHT;
-  tree.dbh = CONFIG.TREE_INIT_DBH;
+  tree.dbh = getCurveDiameter(species, tree.height);
   tree.crownRadius = tree.height * 0.6;
   tree.crownHeight = tree.height * 0.4;
   tree.rootDepth = tree.height * 0.3;
@@ -137,17 +146,13 @@ function initializeTree() {
   tree.nutrientLevel = 100;
   tree.stressLevel = 0;
   tree.diseaseLoad = 0;
+  tree.pathogen = createPathogenState();
+  tree.pests = createPestState();
+  tree.disturbance = createDisturbanceState();
   
-  // Biomass
-  tree.biomass = {
-    total: 0.5,
-    trunk: 0.3,
-    branches: 0.1,
-    leaves: 0.05,
-    roots: 0.05,
-    heartwood: 0,
-    sapwood: 0.3
-  };
+  // Biomass (dry kg): wood and roots from the seedling's size, the leaves its crown needs
+  tree.biomass = createSizedBiomass(species);
+  tree.carbon = createCarbonState(tree.biomass);
   
   // Production
   tree.co2Absorbed = 0;
@@ -156,12 +161,16 @@ function initializeTree() {
   tree.carbonStored = 0;
   tree.growthThisYear = 0;
   tree.ringsGrown = 0;
+  tree.growthRings = [];
+  tree.currentRing = createGrowthRing(tree.dbh);
   
-  // Phenology
+  // Phenology: a seedling that has wintered, waiting for spring warmth
   tree.dormant = false;
   tree.budBurst = false;
   tree.flowering = false;
   tree.leafSenescence = false;
+  tree.phenology = createPhenologyState(speciesKey);
+  tree.reproduction = createReproductionState();
   
   // Visual structures
   tree.leafDrops = [];
@@ -178,95 +187,349 @@ function initializeTree() {
 }
 
 /**
- * Generate realistic fractal branch architecture
+ * Crown form of the tree's species
+ * @returns {Object} CROWN_SHAPES entry
+ */
+function getCrownShape() {
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  return CROWN_SHAPES[species.crownShape] || CROWN_SHAPES.rounded;
+}
+
+/**
+ * Width of the crown envelope at a height within the crown
+ * @param {number} t - 0 at the crown base to 1 at the top
+ * @param {Object} [shape] - CROWN_SHAPES entry (the tree's by default)
+ * @returns {number} Share of crownRadius (0-1)
+ */
+function getCrownWidthAt(t, shape = getCrownShape()) {
+  const h = clamp(t, 0, 1);
+  if (shape.profile === 'cone') return 1 - h;
+  if (shape.profile === 'dome') return Math.sqrt(1 - h * h);
+  return Math.sqrt(1 - (2 * h - 1) * (2 * h - 1));
+}
+
+/**
+ * Plant a new branch structure and grow it to the tree's present size, one
+ * year of growShoots() at a time with the height and crown scaled up
+ * linearly: a single year for a seedling or a sprout, the tree's age for a
+ * tree that comes without one (a legacy save). From then on growShoots()
+ * adds each new year's growth to it.
+ * @param {number} [years] - Years to grow it through (the tree's age by default)
  */
-function generateBranchArchitecture() {
+function generateBranchArchitecture(years = Math.ceil(tree.age)) {
   tree.branches = [];
+  tree.branchHeight = 0;
+  
+  const span = Math.max(1, years);
+  const firstYear = Math.floor(tree.age) - span;
+  for (let year = 1; year <= span; year++) {
+    const share = year / span;
+    growShoots(firstYear + year, {
+      height: tree.height * share,
+      crownRadius: tree.crownRadius * share,
+      crownHeight: tree.crownHeight * share
+    });
+  }
+}
+
+/**
+ * Append a shoot module to tree.branches: the shoot an apex grew in one
+ * year, or since its last node. Modules carry their branching order (0 on
+ * the leader), the year they were formed, and whether the bud at their tip
+ * is still growing (apex).
+ * @param {number} x - Base, meters from the stem
+ * @param {number} y - Base, meters below the top of the tree
+ * @param {number} angle - Radians, canvas orientation (up is -π/2)
+ * @param {number} length - m
+ * @param {number} order - Branching order
+ * @param {number} parentIndex - Module it grows from (-1 for the first)
+ * @param {number} year - Tree age when it was formed
+ * @returns {number} Its index in tree.branches
+ */
+function addShoot(x, y, angle, length, order, parentIndex, year) {
+  const depth = Math.max(1, CONFIG.BRANCH_RECURSION - order);
+  tree.branches.push({
+    x1: x, y1: y,
+    x2: x + Math.cos(angle) * length,
+    y2: y + Math.sin(angle) * length,
+    thickness: CONFIG.SHOOT_TIP_THICKNESS,
+    depth,
+    angle,
+    length,
+    parentIndex,
+    swayPhase: random(0, Math.PI * 2),
+    swayAmount: 0.02 / (depth + 1),
+    hasLeaves: true,
+    healthy: true,
+    order,
+    year,
+    apex: true,
+    light: 1,
+    shadedYears: 0,
+    diedYear: null
+  });
+  return tree.branches.length - 1;
+}
+
+/**
+ * Remove branches and everything they carry from tree.branches, renumbering
+ * parentIndex and the leaves' branchIndex. Leaves that grew on the removed
+ * wood are detached.
+ * @param {Set<number>} removed - Indices into tree.branches (extended with their descendants)
+ */
+function removeBranches(removed) {
+  const branches = tree.branches;
   
-  const baseAngle = Math.PI / 2; // Point upward
-  const baseLength = tree.height * 0.5;
-  const baseThickness = tree.dbh * 80;
+  // Children follow their parent in tree.branches
+  branches.forEach((branch, i) => {
+    if (removed.has(branch.parentIndex)) removed.add(i);
+  });
+  if (removed.size === 0) return;
   
-  function createBranch(x, y, angle, length, thickness, depth, parentIndex) {
-    if (depth <= 0 || length < 0.02 || thickness < 0.5) return;
-    
-    // Natural variation
-    const angleVariation = random(-CONFIG.BRANCH_ANGLE_VARIANCE, CONFIG.BRANCH_ANGLE_VARIANCE);
-    const lengthVariation = random(0.85, 1.15);
-    const twist = random(-CONFIG.BRANCH_TWIST, CONFIG.BRANCH_TWIST);
+  const newIndex = [];
+  let kept = 0;
+  branches.forEach((branch, i) => {
+    if (!removed.has(i)) newIndex[i] = kept++;
+  });
+  tree.branches = branches.filter((branch, i) => !removed.has(i));
+  tree.branches.forEach(branch => {
+    if (branch.parentIndex >= 0) branch.parentIndex = newIndex[branch.parentIndex];
+  });
+  tree.leaves.forEach(leaf => {
+    if (!branches[leaf.branchIndex] || removed.has(leaf.branchIndex)) {
+      leaf.attached = false;
+      leaf.branchIndex = -1;
+    } else {
+      leaf.branchIndex = newIndex[leaf.branchIndex];
+    }
+  });
+}
+
+/**
+ * Light reaching each apex through the shoots above it. Every apex higher
+ * up casts a shadow SHOOT_SHADOW_WIDTH of the crown radius wide that widens
+ * by SHOOT_SHADOW_SPREAD per meter further down; the light falls off by
+ * SHOOT_SHADOW_EXTINCTION with each shadow an apex is in.
+ * @param {number[]} apices - Indices into tree.branches
+ * @param {number} crownRadius - m
+ * @returns {number[]} Light (0-1) per apex
+ */
+function getShootLight(apices, crownRadius) {
+  const tips = apices.map(i => tree.branches[i]);
+  const width = CONFIG.SHOOT_SHADOW_WIDTH * crownRadius;
+  return tips.map(tip => {
+    let shadows = 0;
+    for (const other of tips) {
+      const below = tip.y2 - other.y2;
+      if (below > 0 && Math.abs(tip.x2 - other.x2) <= width + below * CONFIG.SHOOT_SHADOW_SPREAD) {
+        shadows++;
+      }
+    }
+    return Math.exp(-CONFIG.SHOOT_SHADOW_EXTINCTION * shadows);
+  });
+}
+
+/**
+ * Longest part of a shoot's growth that keeps its tip within the crown
+ * envelope (halving it up to four times, else none)
+ * @param {Object} shoot - Module the growth starts from (its tip)
+ * @param {number} angle - Direction of the growth
+ * @param {number} length - Growth (m)
+ * @param {Object} size - Height and crown to grow within
+ * @param {Object} shape - CROWN_SHAPES entry
+ * @returns {number} m
+ */
+function fitShootToCrown(shoot, angle, length, size, shape) {
+  for (let tries = 0; tries < 5; tries++) {
+    const x = shoot.x2 + Math.cos(angle) * length;
+    const y = shoot.y2 + Math.sin(angle) * length;
+    const width = size.crownRadius * getCrownWidthAt(1 - y / Math.max(size.crownHeight, 0.01), shape);
+    if (y >= 0 && Math.abs(x) <= width) return length;
+    length /= 2;
+  }
+  return 0;
+}
+
+/**
+ * A year of shoot growth on tree.branches (meters from the top of the
+ * tree, y growing downward), in the species' crown form (CROWN_SHAPES):
+ *
+ * 1. **Rise** — the structure moves down by the height the tree gained, so
+ *    old wood stays where it grew and the leader's apex grows that much.
+ *    Wood above a top that was lost goes, and the highest live shoot turns
+ *    up as the new leader.
+ * 2. **Light** — every live apex gets its share of light (getShootLight()).
+ *    Lateral apices grow SHOOT_LATERAL_GROWTH per meter the leader grew,
+ *    less with branching order (BRANCH_LENGTH_DECAY), shade and the form's
+ *    apicalDominance, and only as far as the crown envelope reaches. Their
+ *    new modules bend down by the form's droop.
+ * 3. **Nodes** — an apex goes on in a new module once its module is
+ *    SHOOT_NODE_LENGTH of the crown radius long or a bud breaks: on the
+ *    leader every year (a whorl of two on whorled forms, otherwise one on
+ *    alternate sides, at branchAngle), on a lateral with its light times
+ *    SHOOT_BRANCHING up to SHOOT_MAX_ORDER. Past SHOOT_MAX_COUNT modules
+ *    only the leader sets nodes and the other apices lengthen.
+ * 4. **Self-pruning** — an apex below SHOOT_PRUNE_LIGHT, or below the
+ *    crown base, for SHOOT_PRUNE_YEARS stops and drops its leaves; wood
+ *    without a live apex (shaded-out limbs, broken stubs) dies, and falls
+ *    after SHOOT_SHED_YEARS.
+ * 5. **Pipe model** — a module's cross-section is the sum of those of the
+ *    live apices it carries (SHOOT_TIP_THICKNESS each); wood never thins.
+ *
+ * @param {number} year - Tree age (years) of the growth
+ * @param {{height: number, crownRadius: number, crownHeight: number}} [size] - Size to grow
+ *   to (the tree's own by default)
+ */
+function growShoots(year, size = tree) {
+  const shape = getCrownShape();
+  const up = -Math.PI / 2;
+  const rise = size.height - (tree.branchHeight || 0);
+  tree.branchHeight = size.height;
+  
+  if (tree.branches.length === 0) {
+    addShoot(0, size.crownHeight, up, size.crownHeight, 0, -1, year);
+    return;
+  }
+  
+  // === RISE ===
+  tree.branches.forEach(branch => {
+    branch.y1 += rise;
+    branch.y2 += rise;
+  });
+  if (rise < 0) {
+    const lost = new Set();
+    tree.branches.forEach((branch, i) => {
+      if (branch.y1 < 0) lost.add(i);
+    });
+    removeBranches(lost);
+  }
+  const branches = tree.branches;
+  if (branches.length === 0) {
+    addShoot(0, size.crownHeight, up, size.crownHeight, 0, -1, year);
+    return;
+  }
+  if (!branches.some(branch => branch.apex && branch.order === 0)) {
+    const live = branches.filter(branch => branch.apex);
+    const from = (live.length ? live : branches).reduce((top, branch) => (branch.y2 < top.y2 ? branch : top));
+    from.apex = false;
+    addShoot(from.x2, from.y2, up, 0, 0, branches.indexOf(from), year);
+  }
+  
+  // === GROWTH ===
+  const apices = [];
+  branches.forEach((branch, i) => {
+    if (branch.apex) apices.push(i);
+  });
+  const light = getShootLight(apices, size.crownRadius);
+  const nodeLength = Math.max(0.1, size.crownRadius * CONFIG.SHOOT_NODE_LENGTH);
+  const lateralVigor = order => CONFIG.SHOOT_LATERAL_GROWTH * (1 - 0.5 * shape.apicalDominance) *
+    Math.pow(CONFIG.BRANCH_LENGTH_DECAY, order - 1);
+  
+  apices.forEach((i, k) => {
+    const shoot = branches[i];
+    const leader = shoot.order === 0;
+    shoot.light = light[k];
     
-    const actualAngle = angle + angleVariation + twist;
-    const actualLength = length * lengthVariation;
+    // Shaded, or left below the crown base (drooping tips hang a little lower)
+    const belowCrown = !leader && shoot.y2 > size.crownHeight * (1 + shape.droop * 0.3);
+    if (belowCrown || shoot.light < CONFIG.SHOOT_PRUNE_LIGHT) {
+      shoot.shadedYears++;
+      if (shoot.shadedYears >= CONFIG.SHOOT_PRUNE_YEARS) {
+        shoot.apex = false;
+        shoot.hasLeaves = false;
+      }
+      return;
+    }
+    shoot.shadedYears = 0;
+    if (rise <= 0) return;
     
-    const endX = x + Math.cos(actualAngle) * actualLength;
-    const endY = y + Math.sin(actualAngle) * actualLength;
+    let angle = up + random(-0.05, 0.05);
+    let growth = rise;
+    if (!leader) {
+      const varied = shoot.angle + random(-CONFIG.BRANCH_TWIST, CONFIG.BRANCH_TWIST);
+      angle = Math.atan2(Math.sin(varied) + shape.droop * 0.5, Math.cos(varied));
+      growth = fitShootToCrown(shoot, angle, rise * lateralVigor(shoot.order) * shoot.light, size, shape);
+    }
+    if (growth <= 0) return;
     
-    const branchIndex = tree.branches.length;
-    tree.branches.push({
-      x1: x, y1: y,
-      x2: endX, y2: endY,
-      thickness,
-      depth,
-      angle: actualAngle,
-      length: actualLength,
-      parentIndex,
-      swayPhase: random(0, Math.PI * 2),
-      swayAmount: 0.02 / (depth + 1),
-      hasLeaves: depth <= 2,
-      healthy: true
-    });
+    const room = branches.length < CONFIG.SHOOT_MAX_COUNT;
+    const budBreak = leader ||
+      (room && shoot.order < CONFIG.SHOOT_MAX_ORDER && random() < shoot.light * CONFIG.SHOOT_BRANCHING);
+    if (!budBreak && (shoot.length < nodeLength || !room)) {
+      // The module lengthens
+      shoot.length += growth;
+      shoot.x2 = shoot.x1 + Math.cos(shoot.angle) * shoot.length;
+      shoot.y2 = shoot.y1 + Math.sin(shoot.angle) * shoot.length;
+      return;
+    }
     
-    // Number of child branches varies with depth
-    const numChildren = depth > 3 ? randomInt(2, 4) : randomInt(1, 3);
+    // A node: the apex goes on in a new module, with the laterals of the buds that broke
+    shoot.apex = false;
+    addShoot(shoot.x2, shoot.y2, angle, growth, shoot.order, i, year);
+    if (!budBreak) return;
     
-    for (let i = 0; i < numChildren; i++) {
-      const spread = (i - (numChildren - 1) / 2) * (CONFIG.BRANCH_ANGLE_BASE + random(-0.1, 0.1));
-      const childAngle = actualAngle + spread;
-      const childLength = actualLength * CONFIG.BRANCH_LENGTH_DECAY;
-      const childThickness = thickness * CONFIG.BRANCH_THICKNESS_DECAY;
-      
-      createBranch(endX, endY, childAngle, childLength, childThickness, depth - 1, branchIndex);
+    const sides = !leader ? [random() < 0.5 ? -1 : 1] : shape.whorled ? [-1, 1] : [year % 2 === 0 ? -1 : 1];
+    for (const side of sides) {
+      const spread = leader ? shape.branchAngle :
+        CONFIG.BRANCH_ANGLE_BASE + random(-CONFIG.BRANCH_ANGLE_VARIANCE, CONFIG.BRANCH_ANGLE_VARIANCE);
+      // A bud with no room in the crown yet waits as a module of no length
+      const lateralAngle = angle + side * spread;
+      const length = fitShootToCrown(shoot, lateralAngle, rise * lateralVigor(shoot.order + 1) * shoot.light,
+        size, shape);
+      addShoot(shoot.x2, shoot.y2, lateralAngle, length, shoot.order + 1, i, year);
     }
-  }
+  });
   
-  // Create main trunk and primary branches
-  createBranch(0, 0, baseAngle, baseLength, baseThickness, CONFIG.BRANCH_RECURSION, -1);
+  // === SELF-PRUNING & PIPE MODEL ===
+  const live = branches.map(branch => branch.apex);
+  const pipe = branches.map(branch => (branch.apex ? CONFIG.SHOOT_TIP_THICKNESS * CONFIG.SHOOT_TIP_THICKNESS : 0));
+  const shed = new Set();
+  for (let i = branches.length - 1; i >= 0; i--) {
+    const branch = branches[i];
+    branch.thickness = Math.max(branch.thickness, Math.sqrt(pipe[i]));
+    if (!live[i] && branch.healthy) {
+      branch.healthy = false;
+      branch.hasLeaves = false;
+      branch.diedYear = year;
+    }
+    if (!branch.healthy && branch.order > 0 && year - branch.diedYear >= CONFIG.SHOOT_SHED_YEARS) shed.add(i);
+    if (branch.parentIndex >= 0) {
+      live[branch.parentIndex] = live[branch.parentIndex] || live[i];
+      pipe[branch.parentIndex] += pipe[i];
+    }
+  }
+  removeBranches(shed);
 }
 
 /**
- * Generate leaf cluster positions for canopy rendering
+ * Generate leaf cluster positions filling the crown envelope (meters, y up
+ * from the ground)
  */
 function generateLeafClusters() {
   tree.leafClusters = [];
   
+  const shape = getCrownShape();
   const clusterCount = Math.floor(CONFIG.LEAF_CLUSTER_COUNT + tree.height * 12);
-  const crownCenter = tree.height * 0.75;
+  const crownBase = tree.height - tree.crownHeight;
   
   for (let i = 0; i < clusterCount; i++) {
-    // Spherical distribution in crown
+    const t = random(0, 1);
     const phi = random(0, Math.PI * 2);
-    const theta = random(0, Math.PI * 0.6);
-    const r = tree.crownRadius * random(0.3, 1.0);
-    
-    const x = r * Math.sin(theta) * Math.cos(phi);
-    const y = crownCenter + r * Math.cos(theta) * 0.7 - tree.crownRadius * 0.3;
-    const z = r * Math.sin(theta) * Math.sin(phi);
+    const r = tree.crownRadius * getCrownWidthAt(t, shape) * Math.sqrt(random(0.1, 1));
     
-    // Only add if within reasonable canopy shape
-    const distFromCenter = Math.sqrt(x * x + z * z);
-    const expectedRadius = tree.crownRadius * (1 - Math.pow((y - crownCenter) / tree.crownHeight, 2) * 0.5);
+    const x = r * Math.cos(phi);
+    const y = crownBase + t * tree.crownHeight;
+    const z = r * Math.sin(phi);
     
-    if (distFromCenter <= expectedRadius * 1.2) {
-      tree.leafClusters.push({
-        x, y, z,
-        size: random(0.8, 1.5) * tree.leafSize,
-        density: random(0.6, 1.0) * tree.foliageDensity,
-        hueShift: random(-10, 10),
-        swayPhase: random(0, Math.PI * 2),
-        swayAmount: random(0.01, 0.03),
-        lightExposure: 0.5 + (y / tree.height) * 0.5
-      });
-    }
+    tree.leafClusters.push({
+      x, y, z,
+      size: random(0.8, 1.5) * tree.leafSize,
+      density: random(0.6, 1.0) * tree.foliageDensity,
+      hueShift: random(-10, 10),
+      swayPhase: random(0, Math.PI * 2),
+      swayAmount: random(0.01, 0.03),
+      lightExposure: 0.5 + (y / tree.height) * 0.5
+    });
   }
 }
 
@@ -281,12 +544,12 @@ function generateIndividualLeaves() {
   for (let i = 0; i < leafCount; i++) {
     // Distribute leaves on branch tips
     if (tree.branches.length > 0) {
-      const tipBranches = tree.branches.filter(b => b.depth <= 2);
+      const tipBranches = tree.branches.filter(b => b.hasLeaves);
       const branch = randomChoice(tipBranches.length ? tipBranches : tree.branches);
       
       const t = random(0.5, 1.0);
-      const x = lerp(branch.x1, branch.x2, t) + random(-0.5, 0.5);
-      const y = lerp(branch.y1, branch.y2, t) + random(-0.3, 0.3);
+      const x = lerp(branch.x1, branch.x2, t) + random(-0.15, 0.15) * tree.crownRadius;
+      const y = lerp(branch.y1, branch.y2, t) + random(-0.1, 0.1) * tree.crownRadius;
       
       tree.leaves.push({
         x, y,
@@ -429,18 +692,18 @@ function createFallingLeaf(x, y, season) {
   
   tree.leafDrops.push({
     x, y,
-    vx: random(-1.5, 1.5),
-    vy: random(0.3, 1.2),
+    vx: visualRandom(-1.5, 1.5),
+    vy: visualRandom(0.3, 1.2),
     ax: 0,
-    rotation: random(0, Math.PI * 2),
-    rotationSpeed: random(-0.15, 0.15),
-    size: random(CONFIG.LEAF_SIZE_MIN, CONFIG.LEAF_SIZE_MAX),
-    color: randomChoice(colors),
+    rotation: visualRandom(0, Math.PI * 2),
+    rotationSpeed: visualRandom(-0.15, 0.15),
+    size: visualRandom(CONFIG.LEAF_SIZE_MIN, CONFIG.LEAF_SIZE_MAX),
+    color: colors[Math.floor(visualRandom(colors.length))],
     opacity: 1,
-    lifetime: random(200, 400),
-    wobblePhase: random(0, Math.PI * 2),
-    wobbleSpeed: random(0.05, 0.15),
-    wobbleAmount: random(0.5, 2)
+    lifetime: visualRandom(200, 400),
+    wobblePhase: visualRandom(0, Math.PI * 2),
+    wobbleSpeed: visualRandom(0.05, 0.15),
+    wobbleAmount: visualRandom(0.5, 2)
   });
 }
 
@@ -482,19 +745,28 @@ function updateLeafDrops(dt, windSpeed) {
 }
 
 /**
- * Calculate crown volume (m³)
+ * Calculate crown volume (m³): the solid of revolution of the crown
+ * envelope (getCrownWidthAt()) over the crown depth
  */
 function calculateCrownVolume() {
-  // Approximate as ellipsoid
-  return (4 / 3) * Math.PI * tree.crownRadius * tree.crownRadius * tree.crownHeight * 0.5;
+  const shape = getCrownShape();
+  const slices = 20;
+  let area = 0;
+  for (let i = 0; i < slices; i++) {
+    const r = tree.crownRadius * getCrownWidthAt((i + 0.5) / slices, shape);
+    area += Math.PI * r * r;
+  }
+  return area / slices * tree.crownHeight;
 }
 
 /**
- * Calculate leaf area index (LAI)
+ * Leaf area index: the leaf area that photosynthesizes (getActiveLeafArea())
+ * per m² of crown projection
+ * @returns {number} m²/m²
  */
 function calculateLAI() {
   const crownProjectionArea = Math.PI * tree.crownRadius * tree.crownRadius;
-  return crownProjectionArea > 0 ? tree.leafArea / crownProjectionArea : 0;
+  return crownProjectionArea > 0 ? getActiveLeafArea() / crownProjectionArea : 0;
 }
 
 /**
@@ -504,12 +776,12 @@ function createLeafDrop(x, y, color) {
   tree.leafDrops.push({
     x: x,
     y: y,
-    vx: random(-1, 1),
-    vy: random(0.5, 2),
+    vx: visualRandom(-1, 1),
+    vy: visualRandom(0.5, 2),
     color: color || tree.season?.foliageColor || '#228B22',
-    rotation: random(0, Math.PI * 2),
-    rotationSpeed: random(-0.1, 0.1),
-    size: random(2, 8),
+    rotation: visualRandom(0, Math.PI * 2),
+    rotationSpeed: visualRandom(-0.1, 0.1),
+    size: visualRandom(2, 8),
     opacity: 1,
     lifetime: 30
   });
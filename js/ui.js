@@ -12,7 +12,10 @@ let biomassHistory = {
   trunk: [],
   branches: [],
   leaves: [],
-  roots: []
+  roots: [],
+  fruit: [],
+  seeds: [],
+  nsc: []
 };
 let uiAnimationFrame = 0;
 
@@ -21,7 +24,7 @@ let uiAnimationFrame = 0;
  */
 function initUI() {
   // Environment sliders with live preview
-  const sliders = ['sun', 'water', 'temp', 'soil', 'wind', 'humidity', 'speed'];
+  const sliders = ['sun', 'water', 'temp', 'soil', 'wind', 'humidity', 'co2', 'speed'];
   sliders.forEach(id => {
     const el = document.getElementById(id);
     if (el) {
@@ -59,6 +62,7 @@ function initUI() {
       }
       if (vars) {
         resetSimulation();
+        updateUIDisplay();
         showToast('✅ Reloaded variables.JSON');
       } else {
         showToast('ℹ️ variables.JSON not found');
@@ -80,6 +84,7 @@ function initUI() {
       if (typeof window.applyVariablesConfigFromObject === 'function') {
         window.applyVariablesConfigFromObject(obj);
         resetSimulation();
+        updateUIDisplay();
         showToast('✅ Config applied');
       } else {
         showToast('❌ Config apply not available');
@@ -87,6 +92,26 @@ function initUI() {
     });
   }
   
+  // Automatic climate: seasonal curves, sliders become offsets
+  const autoClimate = document.getElementById('autoClimate');
+  if (autoClimate) {
+    autoClimate.checked = CONFIG.CLIMATE_MODE === 'auto';
+    autoClimate.addEventListener('change', function() {
+      CONFIG.CLIMATE_MODE = this.checked ? 'auto' : 'manual';
+      updateUIDisplay();
+    });
+  }
+  
+  // Leaf biochemistry: Farquhar photosynthesis instead of the simple model
+  const leafBiochemistry = document.getElementById('leafBiochemistry');
+  if (leafBiochemistry) {
+    leafBiochemistry.checked = CONFIG.PHOTOSYNTHESIS_MODEL === 'farquhar';
+    leafBiochemistry.addEventListener('change', function() {
+      CONFIG.PHOTOSYNTHESIS_MODEL = this.checked ? 'farquhar' : 'simple';
+      updateUIDisplay();
+    });
+  }
+  
   // Stressor checkboxes with visual feedback
   const stressors = ['disease', 'pests', 'storm', 'pollution'];
   stressors.forEach(id => {
@@ -116,6 +141,23 @@ function initUI() {
   if (exportCSVBtn) {
     exportCSVBtn.addEventListener('click', exportSimulationCSV);
   }
+  const exportRingsBtn = document.getElementById('exportRings');
+  if (exportRingsBtn) {
+    exportRingsBtn.addEventListener('click', exportGrowthRingsCSV);
+  }
+
+  // Save / load simulation state
+  const saveBtn = document.getElementById('saveState');
+  const loadBtn = document.getElementById('loadState');
+  const loadInput = document.getElementById('loadStateFile');
+  if (saveBtn) saveBtn.addEventListener('click', saveSnapshotToFile);
+  if (loadBtn && loadInput) {
+    loadBtn.addEventListener('click', () => loadInput.click());
+    loadInput.addEventListener('change', async function() {
+      await loadSnapshotFromFile(this.files[0]);
+      this.value = '';
+    });
+  }
   
   // Keyboard shortcuts
   document.addEventListener('keydown', handleKeyboardShortcuts);
@@ -218,14 +260,31 @@ function updateUIDisplay() {
     'tempVal': { id: 'temp', suffix: '°C', icon: '🌡️' },
     'soilVal': { id: 'soil', suffix: '%', icon: '🪴' },
     'windVal': { id: 'wind', suffix: '%', icon: '💨' },
-    'humidityVal': { id: 'humidity', suffix: '%', icon: '💦' }
+    'humidityVal': { id: 'humidity', suffix: '%', icon: '💦' },
+    'co2Val': { id: 'co2', suffix: ' ppm', icon: '🏭' }
+  };
+  
+  // In automatic climate mode these sliders are offsets from the seasonal curve
+  const climateOffsets = {
+    'temp': CONFIG.CLIMATE_REFERENCE_TEMP,
+    'humidity': CONFIG.CLIMATE_REFERENCE_HUMIDITY
   };
+  const autoClimate = CONFIG.CLIMATE_MODE === 'auto';
+  const autoClimateBox = document.getElementById('autoClimate');
+  if (autoClimateBox) autoClimateBox.checked = autoClimate;
+  const leafBiochemistryBox = document.getElementById('leafBiochemistry');
+  if (leafBiochemistryBox) leafBiochemistryBox.checked = CONFIG.PHOTOSYNTHESIS_MODEL === 'farquhar';
   
   Object.entries(updates).forEach(([valId, config]) => {
     const valEl = document.getElementById(valId);
     const inputEl = document.getElementById(config.id);
     if (valEl && inputEl) {
-      valEl.textContent = inputEl.value + config.suffix;
+      if (autoClimate && climateOffsets[config.id] !== undefined) {
+        const offset = parseFloat(inputEl.value) - climateOffsets[config.id];
+        valEl.textContent = (offset >= 0 ? '+' : '') + offset + config.suffix;
+      } else {
+        valEl.textContent = inputEl.value + config.suffix;
+      }
     }
   });
   
@@ -250,8 +309,23 @@ function updateReadout() {
   setReadoutValue('rSpecies', species.name);
   setReadoutValue('rYear', environment.year.toFixed(0));
   setReadoutValue('rSeason', getSeasonDisplay());
+  const balance = environment.soil.balance;
+  const snow = environment.soil.snowpack >= 1 ? ` · ❄ ${Math.round(environment.soil.snowpack)} mm` : '';
+  setReadoutValue('rSoilWater', `${Math.round(environment.water)}% · ET ${(balance.evaporation + balance.transpiration).toFixed(1)} mm/d${snow}`);
+  setReadoutValue('rRootZone', `💧 ${Math.round(environment.waterAvailability)}% · 🧪 ${Math.round(tree.nutrientLevel)}%`);
+  setReadoutValue('rPhenology', getPhenologyDisplay());
+  setReadoutValue('rReproduction', getReproductionDisplay());
+  setReadoutValue('rCarbonBudget', getCarbonBudgetDisplay());
+  setReadoutValue('rClimate', `${environment.temperature.toFixed(1)}°C · ${Math.round(environment.humidity)}% · ${environment.dayLength.toFixed(1)} h`);
+  setReadoutValue('rLight', getLightDisplay());
+  setReadoutValue('rLeaf', getLeafGasExchangeDisplay());
   setReadoutValue('rAge', formatAge(tree.age));
   setReadoutValue('rHealth', Math.ceil(tree.health), healthClass);
+  setReadoutValue('rPathogen', getPathogenDisplay());
+  setReadoutValue('rPests', getPestDisplay());
+  setReadoutValue('rDisturbance', getDisturbanceDisplay());
+  setReadoutValue('rFire', getFireDisplay());
+  setReadoutValue('rWind', getWindLoadDisplay());
   setReadoutValue('rHeight', tree.height.toFixed(2) + ' m');
   setReadoutValue('rDBH', (tree.dbh * 100).toFixed(1) + ' cm');
   
@@ -259,7 +333,7 @@ function updateReadout() {
   if (typeof tree.biomass === 'object') {
     const totalBiomass = tree.biomass.trunk + tree.biomass.branches + 
                          tree.biomass.leaves + tree.biomass.roots;
-    setReadoutValue('rBiomass', totalBiomass.toFixed(1) + ' kg');
+    setReadoutValue('rBiomass', totalBiomass.toFixed(2) + ' kg');
   } else {
     setReadoutValue('rBiomass', tree.biomass.toFixed(1) + ' kg');
   }
@@ -277,11 +351,31 @@ function updateReadout() {
   
   // Advanced metrics if elements exist
   updateAdvancedMetrics();
+  updateLagIndicator();
   
   // Update environment history for graphs
   updateEnvironmentHistory();
 }
 
+/**
+ * Report simulated time the frame budget has not caught up with (or has dropped)
+ */
+function updateLagIndicator() {
+  const lagEl = document.getElementById('simLag');
+  if (!lagEl) return;
+  
+  const messages = [];
+  if (simulationState.lagDays > CONFIG.SIM_LAG_REPORT_DAYS) {
+    messages.push(`⏳ Simulation lagging ${simulationState.lagDays.toFixed(1)} days`);
+  }
+  if (simulationState.droppedDays > 0) {
+    messages.push(`⏭ ${simulationState.droppedDays.toFixed(1)} days skipped`);
+  }
+  
+  lagEl.textContent = messages.join(' · ');
+  lagEl.classList.toggle('hidden', messages.length === 0);
+}
+
 /**
  * Set readout value safely
  */
@@ -302,12 +396,12 @@ function getSeasonDisplay() {
   if (environment.weatherType) {
     const weatherIcons = {
       'CLEAR': '☀️',
+      'PARTLY_CLOUDY': '⛅',
       'CLOUDY': '☁️',
       'RAIN': '🌧️',
       'STORM': '⛈️',
       'SNOW': '❄️',
-      'FOGGY': '🌫️',
-      'DROUGHT': '🔥'
+      'FOG': '🌫️'
     };
     display += ' ' + (weatherIcons[environment.weatherType] || '');
   }
@@ -328,6 +422,186 @@ function formatAge(age) {
   }
 }
 
+/**
+ * Phenology readout: phase plus the thermal time that drives the next step
+ * @returns {string} e.g. "😴 Dormant · 820 h chill" or "🌱 Bud burst · 45 GDD"
+ */
+function getPhenologyDisplay() {
+  const p = tree.phenology;
+  const phase = PHENOLOGY_PHASES[p.phase];
+  const label = `${phase.emoji} ${phase.name}`;
+  switch (p.phase) {
+    case 'dormant':
+      return `${label} · ${Math.round(p.chillHours)} h chill · ${Math.round(p.forcing)} GDD`;
+    case 'budburst':
+      return `${label} · ${Math.round(p.leafGDD)} GDD`;
+    case 'leafed':
+      return p.frostDamage > 0.01 ? `${label} · ${Math.round(p.frostDamage * 100)}% frost loss` : `${label} since day ${p.events.fullLeaf}`;
+    default:
+      return `${label} · ${Math.round(p.senescence * 100)}%`;
+  }
+}
+
+/**
+ * Pathogen readout: stage, pathogen, infected share and crown dieback
+ * @returns {string} e.g. "🦠 Oak wilt · Spreading · 12% infected · 8% dieback"
+ */
+function getPathogenDisplay() {
+  const p = tree.pathogen;
+  const stage = PATHOGEN_STAGES[p.stage];
+  const pathogen = getPathogen();
+  if (p.stage === 'healthy') {
+    if (p.resistantDays > 0) return `${stage.emoji} ${stage.name} · resistant ${Math.ceil(p.resistantDays)} d`;
+    if (p.wounds >= 0.01) return `${stage.emoji} ${stage.name} · ${Math.round(p.wounds * 100)}% wounds`;
+    return `${stage.emoji} ${stage.name}`;
+  }
+  if (p.stage === 'exposed') return `${stage.emoji} ${stage.name} to ${pathogen.name} · ${Math.round(p.establishment * 100)}%`;
+  const dieback = p.dieback >= 0.01 ? ` · ${Math.round(p.dieback * 100)}% dieback` : '';
+  return `${stage.emoji} ${pathogen.name} · ${stage.name} · ${(p.infected * 100).toFixed(p.infected < 0.1 ? 1 : 0)}% infected${dieback}`;
+}
+
+/**
+ * Pest readout: the most abundant population's stage and density, and the
+ * damage to crown and stem
+ * @returns {string} e.g. "🐛 Spongy moth · Larvae feeding · 140% outbreak level · 35% defoliated"
+ */
+function getPestDisplay() {
+  const dominant = getDominantPest();
+  if (!dominant || dominant.pop.density < 0.005) return 'None';
+  const { pest, pop } = dominant;
+  const guild = PEST_GUILDS[pest.guild];
+  const stage = guild[pop.stage] || PEST_STAGES[pop.stage].name;
+  const emoji = pop.stage === 'active' ? guild.emoji : PEST_STAGES[pop.stage].emoji;
+  const p = tree.pests;
+  const damage = (p.defoliation >= 0.01 ? ` · ${Math.round(p.defoliation * 100)}% defoliated` : '') +
+    (p.girdled >= 0.01 ? ` · ${Math.round(p.girdled * 100)}% phloem killed` : '');
+  return `${emoji} ${pest.name} · ${stage} · ${Math.round(pop.density * 100)}% outbreak level${damage}`;
+}
+
+/**
+ * Disturbance readout: the last event and the damage the tree has not yet
+ * recovered from
+ * @returns {string} e.g. "🔥 Fire (year 12) · 20% crown lost · 35% scorched · 18% bark killed · sprouting"
+ */
+function getDisturbanceDisplay() {
+  const d = tree.disturbance;
+  const last = d.events[d.events.length - 1];
+  if (!last) return 'None';
+  const type = DISTURBANCE_TYPES[last.type];
+  const damage = (d.crownLoss >= 0.01 ? ` · ${Math.round(d.crownLoss * 100)}% crown lost` : '') +
+    (d.scorch >= 0.01 ? ` · ${Math.round(d.scorch * 100)}% scorched` : '') +
+    (d.barkDamage >= 0.01 ? ` · ${Math.round(d.barkDamage * 100)}% bark killed` : '') +
+    (d.sprouts >= 0.1 ? ' · sprouting' : '');
+  const outcome = last.outcome === 'resprouted' ? ' · resprouted' : '';
+  return `${type.emoji} ${type.name} (year ${last.year})${outcome}${damage}`;
+}
+
+/**
+ * Fire readout: a burning fire's intensity and flame length, otherwise the
+ * fire weather index, fuel load and moisture and the last fire
+ * @returns {string} Display text
+ */
+function getFireDisplay() {
+  const fire = environment.fire;
+  if (fire.burning) {
+    const ignition = FIRE_IGNITIONS[fire.burning.ignition];
+    return `🔥 Burning (${ignition.emoji} ${ignition.name}) · ${Math.round(fire.burning.intensity)} kW/m · ${fire.burning.flameLength.toFixed(1)} m flames`;
+  }
+  if (!Number.isFinite(fire.fuel)) return `FWI 0 · fuel ${CONFIG.FIRE_INITIAL_FUEL.toFixed(1)} kg/m²`;
+  const last = fire.history[fire.history.length - 1];
+  const lastFire = last ? ` · last ${Math.round(last.intensity)} kW/m (year ${last.year})` : '';
+  return `FWI ${Math.round(fire.weatherIndex)} · fuel ${fire.fuel.toFixed(1)} kg/m² · ${Math.round(fire.fuelMoisture)}%${lastFire}`;
+}
+
+/**
+ * Wind load readout: the gust at the crown and the load on the stem and the
+ * roots as shares of their strength, warning when one nears failure
+ * @returns {string} Display text
+ */
+function getWindLoadDisplay() {
+  const load = getWindLoad();
+  const worst = Math.max(load.stemLoad, load.rootLoad, load.branchLoad);
+  const warning = worst > CONFIG.WIND_FAILURE_ONSET ? '⚠ ' : '';
+  return `${warning}Gust ${load.gust.toFixed(1)} m/s · stem ${Math.round(load.stemLoad * 100)}% · roots ${Math.round(load.rootLoad * 100)}%`;
+}
+
+/**
+ * Canopy light readout: today's PAR above the crown, the share the leaves
+ * intercept and the leaf area index
+ * @returns {string} Display text
+ */
+function getLightDisplay() {
+  const light = getCanopyLight();
+  return `${light.incident.toFixed(0)} mol/m²/d · ${Math.round(light.interception * 100)}% caught · LAI ${light.lai.toFixed(1)}`;
+}
+
+/**
+ * Leaf gas exchange readout: atmospheric CO₂ and, with the Farquhar model,
+ * daytime assimilation, the leaf's share of the outside CO₂ and water-use
+ * efficiency
+ * @returns {string} Display text
+ */
+function getLeafGasExchangeDisplay() {
+  const co2 = `${Math.round(environment.co2)} ppm`;
+  if (CONFIG.PHOTOSYNTHESIS_MODEL !== 'farquhar') return `${co2} · simple model`;
+  const water = environment.waterAvailability * getPathogenWaterFactor() * getPestWaterFactor();
+  const leaf = getCanopyPhotosynthesis(water, tree.nutrientLevel);
+  const ratio = leaf.co2 > 0 ? leaf.ci / leaf.co2 : 0;
+  return `${co2} · A ${leaf.assimilation.toFixed(1)} µmol/m²/s · Ci/Ca ${ratio.toFixed(2)} · WUE ${leaf.wue.toFixed(1)}`;
+}
+
+/**
+ * Carbon reserve readout: NSC, its fill level and today's net primary production
+ * @returns {string} Display text
+ */
+function getCarbonBudgetDisplay() {
+  const c = tree.carbon;
+  const target = getReserveTarget(tree.biomass);
+  const fill = target > 0 ? Math.round(c.nsc / target * 100) : 0;
+  if (c.starvation > 0.01) return `⚠ Starving · ${Math.round(c.starvation * 100)}% unpaid respiration`;
+  const npp = (c.daily.gpp - c.daily.maintenance - c.daily.growthRespiration) * 1000;
+  return `${formatCarbonMass(c.nsc)} (${fill}%) · NPP ${npp.toFixed(1)} g C/d`;
+}
+
+/**
+ * Carbon mass in g below 1 kg, kg above
+ * @param {number} kg - kg C
+ * @returns {string} Formatted mass
+ */
+function formatCarbonMass(kg) {
+  return kg < 1 ? `${(kg * 1000).toFixed(0)} g C` : `${kg.toFixed(2)} kg C`;
+}
+
+/**
+ * Reproduction readout: off, juvenile, this year's crop, or the last seed release
+ * @returns {string} Display text
+ */
+function getReproductionDisplay() {
+  if (!CONFIG.REPRODUCTION_ENABLED) return 'Off';
+  const r = tree.reproduction;
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  if (!isReproductivelyMature()) return `Juvenile (seeds from ${species.reproductionAge} y)`;
+
+  const total = `${formatSeedCount(r.seedsTotal)} total`;
+  if (r.frostLost) return `❄ Flowers frozen · ${total}`;
+  if (r.cropSize > 0) {
+    const crop = r.mast ? '🌰 Mast year' : '🌰 Light crop';
+    return `${crop} · ${r.fruitBiomass.toFixed(1)} kg fruit · ${total}`;
+  }
+  return `${formatSeedCount(r.seedsThisYear)} seeds last crop · ${total}`;
+}
+
+/**
+ * Compact seed count (1.2k, 3.4M)
+ * @param {number} count - Number of seeds
+ * @returns {string} Formatted count
+ */
+function formatSeedCount(count) {
+  if (count >= 1e6) return (count / 1e6).toFixed(1) + 'M';
+  if (count >= 1e3) return (count / 1e3).toFixed(1) + 'k';
+  return String(count);
+}
+
 /**
  * Get detailed status emoji based on tree state
  */
@@ -338,13 +612,14 @@ function getDetailedStatusEmoji() {
   
   // Check phenology
   if (tree.dormant) return '😴 Dormant';
-  if (tree.budBurst) return '🌱 Budding';
   if (tree.flowering) return '🌸 Flowering';
+  if (tree.budBurst) return '🌱 Budding';
   if (tree.leafSenescence) return '🍂 Senescence';
   
   // Check stress
-  const totalStress = (environment.disease ? 1 : 0) +
-                      (environment.pests ? 1 : 0) +
+  const totalStress = (isTreeInfected() ? 1 : 0) +
+                      (tree.pests.defoliation > 0.1 || tree.pests.girdled > 0.1 ? 1 : 0) +
+                      (tree.disturbance.crownLoss > 0.1 || tree.disturbance.barkDamage > 0.1 ? 1 : 0) +
                       (environment.storm ? 1 : 0) +
                       (environment.pollution ? 1 : 0);
   
@@ -372,14 +647,9 @@ function updateAdvancedMetrics() {
     setReadoutValue('rCrown', (tree.crownRadius * 2).toFixed(1) + ' m');
   }
   
-  // Leaf area index
-  if (typeof tree.calculateLAI === 'function') {
-    setReadoutValue('rLAI', tree.calculateLAI().toFixed(2));
-  }
-  
   // Carbon stored
   if (tree.carbonStored !== undefined) {
-    setReadoutValue('rCarbon', tree.carbonStored.toFixed(1) + ' kg');
+    setReadoutValue('rCarbon', tree.carbonStored.toFixed(2) + ' kg');
   }
   
   // Growth rings
@@ -436,7 +706,7 @@ function getHealthClass(health) {
  */
 function initializeAdvancedGraphs() {
   // Set up canvases for high-DPI displays
-  const canvasIds = ['healthGraph', 'biomassGraph'];
+  const canvasIds = ['healthGraph', 'biomassGraph', 'ringSection', 'batchSurvivalGraph', 'sweepHeatmap'];
   canvasIds.forEach(id => {
     const canvas = document.getElementById(id);
     if (canvas) {
@@ -682,12 +952,15 @@ function resetSimulation() {
   initializeTree();
   updateEnvironmentFromUI();
   updateEnvironmentTime(0);
+  resetWeather();
+  resetSoilMoisture();
+  resetFireState();
   healthHistory = [];
   environmentHistory = { temperature: [], water: [], stress: [] };
-  biomassHistory = { trunk: [], branches: [], leaves: [], roots: [] };
+  biomassHistory = { trunk: [], branches: [], leaves: [], roots: [], fruit: [], seeds: [], nsc: [] };
   
   if (window.simulationState) {
-    window.simulationState.time = 0;
+    resetSimulationClock();
     window.simulationState.running = true;
   }
   
@@ -697,6 +970,7 @@ function resetSimulation() {
   updateReadout();
   drawHealthGraph();
   drawBiomassGraph();
+  drawRingSection();
   updateSpeciesDisplay();
   
   // Visual feedback
@@ -725,6 +999,24 @@ function applySeed() {
   showToast(`🌱 Seed ${seedValue} applied`);
 }
 
+/**
+ * Offer text content as a file download
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Show toast notification
  */
@@ -792,56 +1084,119 @@ function updateSpeciesDisplay() {
 }
 
 /**
- * Export tree data for saving
+ * Export the full simulation state (see js/snapshot.js), including the graph history
  */
 function exportTreeData() {
   if (!tree) return null;
   
-  return {
-    version: '2.0',
-    timestamp: Date.now(),
-    seed: (typeof getPRNGSeed === 'function') ? getPRNGSeed() : undefined,
-    tree: {
-      age: tree.age,
-      health: tree.health,
-      height: tree.height,
-      dbh: tree.dbh,
-      species: tree.species,
-      biomass: tree.biomass,
-      co2Absorbed: tree.co2Absorbed,
-      o2Produced: tree.o2Produced,
-      growthRings: tree.growthRings
-    },
-    environment: {
-      year: environment.year,
-      dayOfYear: environment.dayOfYear
-    },
-    healthHistory: healthHistory.slice(-100)
-  };
+  return createSnapshot({
+    history: {
+      health: healthHistory,
+      environment: environmentHistory,
+      biomass: biomassHistory
+    }
+  });
 }
 
 /**
- * Import tree data from save
+ * Import a snapshot (current or older version) and resume from it
  */
 function importTreeData(data) {
-  if (!data || data.version !== '2.0') {
-    showToast('❌ Invalid save data');
+  let snapshot;
+  try {
+    snapshot = restoreSnapshot(data);
+  } catch (e) {
+    console.error('Failed to load save:', e);
+    showToast('❌ ' + e.message);
     return false;
   }
   
+  const history = snapshot.history || {};
+  healthHistory = history.health || [];
+  environmentHistory = history.environment || { temperature: [], water: [], stress: [] };
+  biomassHistory = history.biomass || { trunk: [], branches: [], leaves: [], roots: [] };
+  // Saves from before reproduction and the carbon budget lack these series
+  biomassHistory.fruit = biomassHistory.fruit || [];
+  biomassHistory.seeds = biomassHistory.seeds || [];
+  biomassHistory.nsc = biomassHistory.nsc || [];
+  
+  syncControlsToState();
+  updateReadout();
+  drawHealthGraph();
+  drawBiomassGraph();
+  drawRingSection();
+  updateSpeciesDisplay();
+  showToast(snapshot.legacy ? '✅ Tree restored (older save, approximate)' : '✅ Tree restored!');
+  return true;
+}
+
+/**
+ * Move sliders, checkboxes, species and seed inputs to match the restored state.
+ * The loop re-reads the sliders every substep, so they must agree with the environment.
+ */
+function syncControlsToState() {
+  const sliderValues = {
+    sun: environment.site.sunlight,
+    water: environment.site.water,
+    temp: environment.site.temperature,
+    soil: environment.soilQuality,
+    wind: environment.site.windSpeed,
+    humidity: environment.site.humidity,
+    co2: environment.co2
+  };
+  Object.entries(sliderValues).forEach(([id, value]) => {
+    const el = document.getElementById(id);
+    if (el) {
+      el.value = value;
+      updateSliderVisualFeedback(id, value);
+    }
+  });
+  
+  ['disease', 'pests', 'storm', 'pollution'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.checked = !!environment[id];
+  });
+  
+  const speciesSelect = document.getElementById('species');
+  if (speciesSelect) speciesSelect.value = tree.species;
+  
+  const seedInput = document.getElementById('seed');
+  if (seedInput) seedInput.value = getPRNGSeed();
+  
+  updateUIDisplay();
+}
+
+/**
+ * Download the current state as a JSON save file
+ */
+function saveSnapshotToFile() {
+  const snapshot = exportTreeData();
+  if (!snapshot) return;
+  
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  downloadFile(
+    JSON.stringify(snapshot),
+    `tree_save_${species.name.replace(/\s+/g, '_')}_year${Math.floor(tree.age)}_${Date.now()}.json`,
+    'application/json'
+  );
+  showToast('💾 Simulation saved');
+}
+
+/**
+ * Load a JSON save file chosen by the user
+ * @param {File} file - File from the load input
+ */
+async function loadSnapshotFromFile(file) {
+  if (!file) return;
+  
+  let data;
   try {
-    initPRNG(data.seed);
-    Object.assign(tree, data.tree);
-    Object.assign(environment, data.environment);
-    healthHistory = data.healthHistory || [];
-    updateReadout();
-    drawHealthGraph();
-    showToast('✅ Tree restored!');
-    return true;
+    data = JSON.parse(await file.text());
   } catch (e) {
-    showToast('❌ Failed to load save');
-    return false;
+    showToast('❌ Save file is not valid JSON');
+    return;
   }
+  importTreeData(data);
 }
 
 /**
@@ -855,12 +1210,18 @@ function updateBiomassHistory() {
   biomassHistory.branches.push(tree.biomass.branches);
   biomassHistory.leaves.push(tree.biomass.leaves);
   biomassHistory.roots.push(tree.biomass.roots);
+  biomassHistory.fruit.push(tree.reproduction.fruitBiomass);
+  biomassHistory.seeds.push(tree.reproduction.seedsTotal);
+  biomassHistory.nsc.push(tree.carbon.nsc);
   
   if (biomassHistory.trunk.length > maxHistory) {
     biomassHistory.trunk.shift();
     biomassHistory.branches.shift();
     biomassHistory.leaves.shift();
     biomassHistory.roots.shift();
+    biomassHistory.fruit.shift();
+    biomassHistory.seeds.shift();
+    biomassHistory.nsc.shift();
   }
 }
 
@@ -967,6 +1328,158 @@ function drawBiomassGraph() {
   }
 }
 
+/**
+ * Draw the stem cross-section: the pith, one ring per growing season with
+ * pale earlywood and dark latewood, frost rings, fire scars, the ring that is
+ * forming and the bark
+ */
+function drawRingSection() {
+  const canvas = document.getElementById('ringSection');
+  if (!canvas || !tree || !tree.growthRings) return;
+  
+  const ctx = canvas.getContext('2d');
+  const rect = canvas.getBoundingClientRect();
+  const w = rect.width;
+  const h = rect.height;
+  
+  // Clear with gradient background
+  const bgGrad = ctx.createLinearGradient(0, 0, 0, h);
+  bgGrad.addColorStop(0, 'rgba(20, 24, 41, 0.8)');
+  bgGrad.addColorStop(1, 'rgba(10, 12, 20, 0.9)');
+  ctx.fillStyle = bgGrad;
+  ctx.fillRect(0, 0, w, h);
+  if (w < 20 || h < 20) return;
+  
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  const rings = tree.growthRings;
+  const forming = tree.currentRing;
+  const woodRadius = tree.dbh / 2;                 // m, under the bark
+  const bark = Math.max(woodRadius * 0.08, 0.001);
+  const cx = w / 2;
+  const cy = h / 2;
+  const scale = (Math.min(w, h) / 2 - 6) / (woodRadius + bark);
+  
+  // Slightly irregular outline, the same for every ring so they stay nested
+  const steps = 72;
+  const traceCircle = r => {
+    ctx.beginPath();
+    for (let i = 0; i <= steps; i++) {
+      const a = (i / steps) * Math.PI * 2;
+      const wobble = 1 + 0.035 * Math.sin(a * 3 + 0.7) + 0.02 * Math.sin(a * 7 + 1.9);
+      const x = cx + Math.cos(a) * r * scale * wobble;
+      const y = cy + Math.sin(a) * r * scale * wobble;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.closePath();
+  };
+  
+  // Bark, then the wood from the outside in
+  traceCircle(woodRadius + bark);
+  ctx.fillStyle = species.barkColor || '#4a3728';
+  ctx.fill();
+  traceCircle(woodRadius);
+  ctx.fillStyle = '#e9cf9f';
+  ctx.fill();
+  
+  // Where each closed ring starts and ends, from the pith outwards
+  const pithRadius = woodRadius - (forming.earlywood + forming.latewood) -
+    rings.reduce((sum, r) => sum + r.width / 1000, 0);
+  const woodDensity = species.woodDensity || CONFIG.BIOMASS_WOOD_DENSITY;
+  let inner = Math.max(0, pithRadius);
+  const bands = rings.map(ring => {
+    const band = { ring, inner, latewoodStart: inner + ring.earlywood / 1000, outer: inner + ring.width / 1000 };
+    inner = band.outer;
+    return band;
+  });
+  
+  // Latewood bands, darker for denser rings; filled from the outside in so
+  // each ring's earlywood covers the inside of its own latewood only
+  for (let i = bands.length - 1; i >= 0; i--) {
+    const band = bands[i];
+    if (band.ring.latewood <= 0) continue;
+    const darkness = clamp(0.35 + (band.ring.density / woodDensity - 1) * 0.8, 0.2, 0.8);
+    traceCircle(band.outer);
+    ctx.fillStyle = '#e9cf9f';
+    ctx.fill();
+    ctx.fillStyle = `rgba(120, 72, 30, ${darkness})`;
+    ctx.fill();
+    traceCircle(band.latewoodStart);
+    ctx.fillStyle = '#e9cf9f';
+    ctx.fill();
+  }
+  
+  bands.forEach(band => {
+    const ring = band.ring;
+    
+    // Frost ring: a dark line in the earlywood
+    if (ring.frost) {
+      traceCircle((band.inner + band.latewoodStart) / 2);
+      ctx.strokeStyle = 'rgba(60, 40, 40, 0.8)';
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+    
+    // Ring boundary, red-brown after a drought year
+    traceCircle(band.outer);
+    ctx.strokeStyle = ring.drought ? 'rgba(140, 40, 20, 0.9)' : 'rgba(90, 55, 25, 0.6)';
+    ctx.lineWidth = ring.drought ? 1.2 : 0.6;
+    ctx.stroke();
+  });
+  
+  // Fire scars: a charred wedge from the scarred ring outwards
+  bands.forEach(band => {
+    if (!band.ring.fireScar) return;
+    ctx.beginPath();
+    ctx.moveTo(cx + band.outer * scale * 0.9, cy);
+    ctx.arc(cx, cy, (woodRadius + bark) * scale, -0.25, 0.25);
+    ctx.closePath();
+    ctx.fillStyle = 'rgba(25, 18, 14, 0.85)';
+    ctx.fill();
+  });
+  
+  // Pith
+  traceCircle(Math.max(pithRadius, woodRadius * 0.02));
+  ctx.fillStyle = 'rgba(110, 70, 35, 0.9)';
+  ctx.fill();
+  
+  // Labels
+  const drought = rings.filter(r => r.drought).length;
+  const frost = rings.filter(r => r.frost).length;
+  const fire = rings.filter(r => r.fireScar).length;
+  ctx.font = 'bold 10px system-ui';
+  ctx.textAlign = 'left';
+  ctx.fillStyle = '#fff';
+  ctx.fillText(`${rings.length} rings`, 5, 12);
+  ctx.font = '8px system-ui';
+  ctx.fillStyle = 'rgba(156, 163, 175, 0.8)';
+  const last = rings[rings.length - 1];
+  if (last) ctx.fillText(`last ${last.width.toFixed(2)} mm`, 5, 23);
+  ctx.textAlign = 'right';
+  ctx.fillText(`${(tree.dbh * 100).toFixed(1)} cm`, w - 5, 12);
+  let ly = h - 5;
+  [[fire, RING_MARKERS.fireScar], [frost, RING_MARKERS.frost], [drought, RING_MARKERS.drought]].forEach(([count, marker]) => {
+    if (count > 0) {
+      ctx.fillText(`${marker.emoji} ${marker.name} ×${count}`, w - 5, ly);
+      ly -= 10;
+    }
+  });
+}
+
+/**
+ * Export the growth ring series as CSV
+ */
+function exportGrowthRingsCSV() {
+  if (!tree.growthRings || tree.growthRings.length < 1) {
+    showToast('ℹ️ No growth rings yet');
+    return;
+  }
+  
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  downloadFile(growthRingsToCSV(tree.growthRings), `tree_rings_${species.name.replace(/\s+/g, '_')}_${Date.now()}.csv`, 'text/csv');
+  showToast('📥 Ring series exported');
+}
+
 /**
  * Export simulation data as CSV
  */
@@ -977,7 +1490,7 @@ function exportSimulationCSV() {
   }
   
   const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
-  let csv = 'Sample,Health,Water,Stress,Biomass_Trunk,Biomass_Branches,Biomass_Leaves,Biomass_Roots\n';
+  let csv = 'Sample,Health,Water,Stress,Biomass_Trunk,Biomass_Branches,Biomass_Leaves,Biomass_Roots,Biomass_Fruit,Seeds_Total,NSC_kgC\n';
   
   const maxLen = Math.max(
     healthHistory.length,
@@ -990,22 +1503,17 @@ function exportSimulationCSV() {
     const health = i < healthHistory.length ? healthHistory[i] : '';
     const water = i < environmentHistory.water.length ? environmentHistory.water[i].toFixed(1) : '';
     const stress = i < environmentHistory.stress.length ? environmentHistory.stress[i].toFixed(1) : '';
-    const trunk = i < biomassHistory.trunk.length ? biomassHistory.trunk[i].toFixed(2) : '';
-    const branches = i < biomassHistory.branches.length ? biomassHistory.branches[i].toFixed(2) : '';
-    const leaves = i < biomassHistory.leaves.length ? biomassHistory.leaves[i].toFixed(2) : '';
-    const roots = i < biomassHistory.roots.length ? biomassHistory.roots[i].toFixed(2) : '';
-    csv += `${i},${health},${water},${stress},${trunk},${branches},${leaves},${roots}\n`;
+    const trunk = i < biomassHistory.trunk.length ? biomassHistory.trunk[i].toFixed(4) : '';
+    const branches = i < biomassHistory.branches.length ? biomassHistory.branches[i].toFixed(4) : '';
+    const leaves = i < biomassHistory.leaves.length ? biomassHistory.leaves[i].toFixed(4) : '';
+    const roots = i < biomassHistory.roots.length ? biomassHistory.roots[i].toFixed(4) : '';
+    const fruit = i < biomassHistory.fruit.length ? biomassHistory.fruit[i].toFixed(4) : '';
+    const seeds = i < biomassHistory.seeds.length ? biomassHistory.seeds[i] : '';
+    const nsc = i < biomassHistory.nsc.length ? biomassHistory.nsc[i].toFixed(4) : '';
+    csv += `${i},${health},${water},${stress},${trunk},${branches},${leaves},${roots},${fruit},${seeds},${nsc}\n`;
   }
   
-  const blob = new Blob([csv], { type: 'text/csv' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `tree_simulation_${species.name.replace(/\s+/g, '_')}_${Date.now()}.csv`;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
+  downloadFile(csv, `tree_simulation_${species.name.replace(/\s+/g, '_')}_${Date.now()}.csv`, 'text/csv');
   showToast('📥 CSV exported');
 }
 
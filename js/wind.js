@@ -0,0 +1,124 @@
+// ============================================================
+// WIND LOADING
+// Drag on the crown, the bending moment it puts on the stem,
+// and what resists it: the stem's strength and the root
+// plate's anchorage
+// ============================================================
+
+/**
+ * Whether today's wind comes with a damaging storm (the Storm stressor or
+ * STORM weather)
+ * @returns {boolean}
+ */
+function isStormy() {
+  return environment.storm || environment.weatherType === 'STORM';
+}
+
+/**
+ * Peak gust at a height above the ground: the mean wind
+ * (WIND_SPEED_SCALE m/s per % of wind speed, measured at
+ * WIND_REFERENCE_HEIGHT) times the gust factor, slower near the ground
+ * along a logarithmic profile over surface roughness WIND_ROUGHNESS
+ * @param {number} height - Height above the ground (m)
+ * @returns {number} m/s
+ */
+function getGustSpeed(height) {
+  const mean = environment.windSpeed * CONFIG.WIND_SPEED_SCALE;
+  const gust = mean * (isStormy() ? CONFIG.WIND_STORM_GUST_FACTOR : CONFIG.WIND_GUST_FACTOR);
+  const z0 = CONFIG.WIND_ROUGHNESS;
+  const z = Math.max(height, z0 * 1.5);
+  return gust * Math.log(z / z0) / Math.log(CONFIG.WIND_REFERENCE_HEIGHT / z0);
+}
+
+/**
+ * Bending strength of the stem at its base: the section modulus of the
+ * DBH times the modulus of rupture of green wood, WIND_MOR_PER_DENSITY per
+ * kg/m³ of the species' woodDensity
+ * @returns {number} Critical bending moment (N·m)
+ */
+function getStemStrength() {
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  const rupture = CONFIG.WIND_MOR_PER_DENSITY * (species.woodDensity || 600);
+  return Math.PI / 32 * rupture * Math.pow(tree.dbh, 3);
+}
+
+/**
+ * Anchorage of the root-soil plate against overturning: WIND_ANCHORAGE_PER_MASS
+ * per kg of trunk, as in winching studies, scaled by the species'
+ * windthrowResistance (rooting habit). Roots reaching less far than the
+ * crown anchor it less (square root of rootSpread / crownRadius); wet soil
+ * (topsoil wetter than field capacity) loses up to WIND_WET_ANCHORAGE_LOSS
+ * of it and root rot its anchorageLoss.
+ * @returns {number} Critical turning moment (N·m)
+ */
+function getAnchorage() {
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  const resistance = species.windthrowResistance !== undefined ? species.windthrowResistance : 0.5;
+  const rooting = Math.sqrt(clamp(tree.rootSpread / Math.max(tree.crownRadius, 0.01), 0, 1));
+  const wetness = clamp((environment.water - 50) / 50, 0, 1);
+  return CONFIG.WIND_ANCHORAGE_PER_MASS * tree.biomass.trunk * (0.5 + resistance) * rooting *
+    (1 - CONFIG.WIND_WET_ANCHORAGE_LOSS * wetness) * (1 - getPathogenAnchorageLoss());
+}
+
+/**
+ * Wind loading of the tree in the present wind.
+ *
+ * The crown (frontal area π × crownRadius × crownHeight / 2) catches the
+ * gust at its center with drag coefficient WIND_CROWN_DRAG in full leaf; a
+ * bare crown keeps WIND_LEAFLESS_DRAG of it, so the drag follows
+ * foliageOpacity. Above WIND_RECONFIGURATION_SPEED the crown streamlines, so
+ * the drag grows as gust^(2 + WIND_VOGEL_EXPONENT) rather than gust². The
+ * drag on that lever bends the stem base (moment). As a
+ * cantilever of green wood (stiffness WIND_MOE_PER_DENSITY per kg/m³) the
+ * stem deflects at the crown center under the gust and under the mean wind,
+ * and sways at its natural frequency. Loads are given as shares of the stem
+ * strength and of the anchorage; the branches fail as the gust at the crown
+ * nears WIND_BRANCH_BREAK_GUST, less when bare and more with dead wood.
+ *
+ * @returns {{gust: number, drag: number, moment: number, stemLoad: number, rootLoad: number,
+ *   branchLoad: number, deflection: number, meanDeflection: number, frequency: number}}
+ *   m/s, N, N·m, shares of strength, m, m, Hz
+ */
+function getWindLoad() {
+  const species = TREE_SPECIES[tree.species] || TREE_SPECIES.OAK;
+  const crownCenter = Math.max(0.05, tree.height - tree.crownHeight / 2);
+  const area = Math.PI * tree.crownRadius * tree.crownHeight / 2;
+  const leafDrag = CONFIG.WIND_LEAFLESS_DRAG + (1 - CONFIG.WIND_LEAFLESS_DRAG) * clamp(tree.foliageOpacity, 0, 1);
+
+  const gust = getGustSpeed(crownCenter);
+  const reconfiguration = Math.pow(Math.max(1, gust / CONFIG.WIND_RECONFIGURATION_SPEED), CONFIG.WIND_VOGEL_EXPONENT);
+  const drag = 0.5 * CONFIG.WIND_AIR_DENSITY * CONFIG.WIND_CROWN_DRAG * leafDrag * area * gust * gust * reconfiguration;
+  const moment = drag * crownCenter;
+
+  const stemLoad = moment / Math.max(1e-6, getStemStrength());
+  const rootLoad = moment / Math.max(1e-6, getAnchorage());
+  const branchLoad = Math.pow(gust / CONFIG.WIND_BRANCH_BREAK_GUST, 2) * leafDrag * (1 + tree.pathogen.dieback);
+
+  // Cantilever with a point load at the crown center
+  const elasticity = CONFIG.WIND_MOE_PER_DENSITY * (species.woodDensity || 600);
+  const stiffness = 3 * elasticity * Math.PI * Math.pow(Math.max(tree.dbh, 0.001), 4) / 64;
+  const deflection = drag * Math.pow(crownCenter, 3) / stiffness;
+  const gustFactor = isStormy() ? CONFIG.WIND_STORM_GUST_FACTOR : CONFIG.WIND_GUST_FACTOR;
+  const frequency = 0.14 * tree.dbh / (tree.height * tree.height) *
+    Math.sqrt(elasticity / ((species.woodDensity || 600) * CONFIG.WIND_GREEN_WOOD_FACTOR));
+
+  return {
+    gust,
+    drag,
+    moment,
+    stemLoad,
+    rootLoad,
+    branchLoad,
+    deflection,
+    meanDeflection: deflection / (gustFactor * gustFactor),
+    frequency
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.isStormy = isStormy;
+  window.getGustSpeed = getGustSpeed;
+  window.getStemStrength = getStemStrength;
+  window.getAnchorage = getAnchorage;
+  window.getWindLoad = getWindLoad;
+}
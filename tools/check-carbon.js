@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Carbon balance check for Node (npm test).
+ *
+ * Grows a fruiting tree, then sends a late frost over the ripening crop, and
+ * again kills its stem back to a root sprout. Fails when the carbon the tree
+ * holds (getTreeCarbon()) changes by anything other than the flows:
+ * assimilation less respiration and litter.
+ *
+ *   node tools/check-carbon.js [--species WILLOW]
+ */
+
+'use strict';
+
+const vm = require('vm');
+const { createEngineContext } = require('./headless');
+
+const SITE = { water: 60, sunlight: 80, temperature: 20 };
+const FROST_TEMPERATURE = -10;
+const TOLERANCE = 1e-9;  // kg C
+
+/**
+ * Carbon held and lifetime flows of the context's tree
+ * @param {Function} read - Evaluates an expression in the engine context
+ * @returns {{carbon: number, totals: Object}} kg C
+ */
+function readCarbon(read) {
+  return read('({ carbon: getTreeCarbon(), totals: Object.assign({}, tree.carbon.totals) })');
+}
+
+/**
+ * Carbon left unaccounted for by one substep
+ * @param {Object} before - readCarbon() before the substep
+ * @param {Object} after - readCarbon() after it
+ * @returns {number} kg C
+ */
+function getImbalance(before, after) {
+  const flow = key => after.totals[key] - before.totals[key];
+  const expected = flow('gpp') - flow('maintenance') - flow('growthRespiration') - flow('litter');
+  return after.carbon - before.carbon - expected;
+}
+
+/**
+ * Grow a tree of one species until it carries ripening fruit in full leaf.
+ * @param {string} species - Key into TREE_SPECIES
+ * @returns {{context: Object, read: Function, dt: number}|null} The engine
+ *   context, or null when no fruit ripened within five years of maturity
+ */
+function growFruitingTree(species) {
+  const context = createEngineContext();
+  const read = expression => vm.runInContext(expression, context);
+  const dt = read('CONFIG.BATCH_DT_DAYS');
+  context.runHeadlessSimulation({
+    species,
+    seed: 1,
+    years: read(`TREE_SPECIES.${species}.reproductionAge`),
+    dt,
+    environment: SITE,
+    config: { REPRODUCTION_ENABLED: true }
+  });
+
+  const maxSteps = Math.round(5 * read('CONFIG.DAYS_PER_YEAR') / dt);
+  let steps = 0;
+  while (!(read('tree.reproduction.fruitBiomass') > 0 && read("tree.phenology.phase === 'leafed'"))) {
+    if (steps++ >= maxSteps || read('tree.health') <= 0) return null;
+    context.stepSimulation(dt);
+  }
+  return { context, read, dt };
+}
+
+/**
+ * Frost a fruiting tree of one species and collect the problems found.
+ * @param {string} species - Key into TREE_SPECIES
+ * @returns {string[]} Failure messages (empty when the check passed)
+ */
+function checkFrostOnFruit(species) {
+  const grown = growFruitingTree(species);
+  if (!grown) return ['no fruit ripened within five years of maturity'];
+  const { context, read, dt } = grown;
+
+  const fruit = read('tree.reproduction.fruitBiomass');
+  read(`environment.site.temperature = ${FROST_TEMPERATURE}`);
+  const before = readCarbon(read);
+  context.stepSimulation(dt);
+  const after = readCarbon(read);
+
+  const failures = [];
+  if (!read('tree.reproduction.frostLost')) failures.push('the frost did not kill the crop');
+  const imbalance = getImbalance(before, after);
+  if (Math.abs(imbalance) > TOLERANCE) {
+    failures.push(`frost on ${fruit.toFixed(4)} kg of fruit left ${imbalance.toExponential(3)} kg C unaccounted for`);
+  }
+  console.log(`${species}: frost on ${fruit.toFixed(4)} kg of fruit, imbalance ${imbalance.toExponential(3)} kg C`);
+  return failures;
+}
+
+/**
+ * Kill the stem of a fruiting tree back to a root sprout and collect the
+ * problems found.
+ * @param {string} species - Key into TREE_SPECIES
+ * @returns {string[]} Failure messages (empty when the check passed)
+ */
+function checkResproutWithFruit(species) {
+  const grown = growFruitingTree(species);
+  if (!grown) return ['no fruit ripened within five years of maturity'];
+  const { context, read, dt } = grown;
+
+  const fruit = read('tree.reproduction.fruitBiomass');
+  const before = readCarbon(read);
+  read('resproutFromRoots()');
+  const after = readCarbon(read);
+
+  const failures = [];
+  if (read('tree.reproduction.fruitBiomass') > 0) failures.push('the dead stem\'s fruit stayed on the sprout');
+  const imbalance = getImbalance(before, after);
+  if (Math.abs(imbalance) > TOLERANCE) {
+    failures.push(`resprouting under ${fruit.toFixed(4)} kg of fruit left ${imbalance.toExponential(3)} kg C unaccounted for`);
+  }
+  context.stepSimulation(dt);
+  if (read('tree.reproduction.fruitBiomass') > 0) failures.push('the sprout went on ripening the dead stem\'s crop');
+  console.log(`${species}: resprout under ${fruit.toFixed(4)} kg of fruit, imbalance ${imbalance.toExponential(3)} kg C`);
+  return failures;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const i = args.indexOf('--species');
+  const species = String(i >= 0 && args[i + 1] !== undefined ? args[i + 1] : 'WILLOW').toUpperCase();
+
+  const failures = checkFrostOnFruit(species).concat(checkResproutWithFruit(species));
+  failures.forEach(message => console.error(`${species}: ${message}`));
+  process.exitCode = failures.length ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Growth check for Node (npm test).
+ *
+ * Grows each species for a few decades on a good site and fails when the
+ * tree dies, when height or DBH ever shrink, or when either of them stalls
+ * for a whole decade, i.e. when height and DBH stop growing together. At
+ * the end of each decade the size must also be plausible: height within
+ * CURVE_TOLERANCE of the species' height–diameter curve, woody biomass
+ * within the same share of what the AGB equation gives for that size, and
+ * height/DBH within SLENDERNESS.
+ *
+ *   node tools/check-growth.js [--years 40] [--species OAK,PINE]
+ */
+
+'use strict';
+
+const vm = require('vm');
+const { createEngineContext } = require('./headless');
+
+const SITE = { water: 60, sunlight: 80, temperature: 20 };
+const DECADE = 10;
+const CURVE_TOLERANCE = 0.05;                // share
+const SLENDERNESS = { min: 30, max: 120 };  // height / DBH of open-grown trees (m/m)
+
+/**
+ * Problems with the plausibility of the context's tree size
+ * @param {Function} read - Evaluates an expression in the engine context
+ * @returns {string[]} Failure messages
+ */
+function checkSize(read) {
+  const size = read(`(() => {
+    const species = TREE_SPECIES[tree.species];
+    return {
+      height: tree.height,
+      dbh: tree.dbh,
+      curveHeight: getCurveHeight(species, tree.dbh),
+      wood: tree.biomass.trunk + tree.biomass.branches,
+      allometricWood: getAbovegroundBiomass(species, tree.dbh, tree.height)
+    };
+  })()`);
+  const failures = [];
+  const off = (value, reference) => Math.abs(value / reference - 1) > CURVE_TOLERANCE;
+  if (off(size.height, size.curveHeight)) {
+    failures.push(`height ${size.height.toFixed(2)} m is off the height–diameter curve (${size.curveHeight.toFixed(2)} m at DBH ${(size.dbh * 100).toFixed(1)} cm)`);
+  }
+  if (off(size.wood, size.allometricWood)) {
+    failures.push(`woody biomass ${size.wood.toFixed(2)} kg does not fit the stem (${size.allometricWood.toFixed(2)} kg by the AGB equation)`);
+  }
+  const slenderness = size.height / size.dbh;
+  if (slenderness < SLENDERNESS.min || slenderness > SLENDERNESS.max) {
+    failures.push(`height/DBH ${slenderness.toFixed(0)} is outside ${SLENDERNESS.min}–${SLENDERNESS.max}`);
+  }
+  return failures;
+}
+
+/**
+ * Grow one species and collect the problems found.
+ * @param {string} species - Key into TREE_SPECIES
+ * @param {number} years - Duration in years
+ * @returns {string[]} Failure messages (empty when the check passed)
+ */
+function checkSpecies(species, years) {
+  const context = createEngineContext();
+  const read = expression => vm.runInContext(expression, context);
+  context.runHeadlessSimulation({ species, seed: 1, days: 0, environment: SITE });
+
+  const dt = read('CONFIG.BATCH_DT_DAYS');
+  const stepsPerYear = Math.round(read('CONFIG.DAYS_PER_YEAR') / dt);
+  const failures = [];
+  let last = read('({ height: tree.height, dbh: tree.dbh })');
+  let decadeStart = last;
+
+  for (let year = 1; year <= years; year++) {
+    for (let i = 0; i < stepsPerYear; i++) {
+      context.stepSimulation(dt);
+      const now = read('({ height: tree.height, dbh: tree.dbh, health: tree.health })');
+      if (now.health <= 0) {
+        failures.push(`died in year ${year}`);
+        return failures;
+      }
+      if (now.height < last.height || now.dbh < last.dbh) {
+        failures.push(`stem shrank in year ${year}: height ${last.height} → ${now.height} m, DBH ${last.dbh} → ${now.dbh} m`);
+        return failures;
+      }
+      last = now;
+    }
+
+    if (year % DECADE === 0) {
+      if (!(last.height > decadeStart.height)) failures.push(`height did not grow in years ${year - DECADE}–${year}`);
+      if (!(last.dbh > decadeStart.dbh)) failures.push(`DBH did not grow in years ${year - DECADE}–${year}`);
+      checkSize(read).forEach(message => failures.push(`year ${year}: ${message}`));
+      decadeStart = last;
+    }
+  }
+
+  console.log(`${species}: ${years} y, height ${last.height.toFixed(2)} m, DBH ${(last.dbh * 100).toFixed(1)} cm`);
+  return failures;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 && args[i + 1] !== undefined ? args[i + 1] : fallback;
+  };
+  const years = Number(option('years', 40));
+  const species = String(option('species', 'OAK,PINE')).toUpperCase().split(',');
+
+  let failed = false;
+  species.forEach(key => {
+    checkSpecies(key, years).forEach(message => {
+      console.error(`${key}: ${message}`);
+      failed = true;
+    });
+  });
+  process.exitCode = failed ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * Headless runner for Node.
+ *
+ * Loads the browser scripts that make up the simulation core into an
+ * isolated VM context (no `window`, no `document`) and exposes the engine
+ * defined in js/engine.js.
+ *
+ * Library use:
+ *   const { runHeadless } = require('./tools/headless');
+ *   const { tree } = runHeadless({ species: 'PINE', seed: 7, years: 50 });
+ *
+ * CLI use:
+ *   node tools/headless.js --species PINE --seed 7 --years 50 [--water 40] [--mortality] [--climate auto]
+ *     [--photosynthesis farquhar] [--co2 550] [--format json|rings-csv]
+ *
+ * Monte Carlo batch (seeds seed .. seed + runs - 1, mortality always on):
+ *   node tools/headless.js --species PINE --seed 1 --years 200 --runs 100 [--format json|csv|runs-csv]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Same order as index.html, minus rendering and UI.
+const CORE_SCRIPTS = [
+  'js/config.js',
+  'js/prng.js',
+  'js/environment.js',
+  'js/soil.js',
+  'js/phenology.js',
+  'js/reproduction.js',
+  'js/carbon.js',
+  'js/light.js',
+  'js/photosynthesis.js',
+  'js/allometry.js',
+  'js/rings.js',
+  'js/pathogens.js',
+  'js/insects.js',
+  'js/disturbance.js',
+  'js/fire.js',
+  'js/wind.js',
+  'js/tree.js',
+  'js/simulation.js',
+  'js/snapshot.js',
+  'js/engine.js',
+  'js/batch.js',
+  'js/sweep.js'
+];
+
+/**
+ * Create a fresh simulation context with the core scripts loaded.
+ * Each context has its own `tree`, `environment` and PRNG state.
+ * @returns {vm.Context} Context whose globals include runHeadlessSimulation()
+ */
+function createEngineContext() {
+  const context = vm.createContext({ console });
+  for (const file of CORE_SCRIPTS) {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  }
+  return context;
+}
+
+let sharedContext = null;
+
+/**
+ * Run one lifetime in a shared engine context.
+ * @param {Object} options - See runHeadlessSimulation() in js/engine.js
+ * @returns {{tree: Object, environment: Object, days: number, substeps: number}}
+ */
+function runHeadless(options) {
+  if (!sharedContext) sharedContext = createEngineContext();
+  return sharedContext.runHeadlessSimulation(options);
+}
+
+/**
+ * Run a Monte Carlo batch in a shared engine context.
+ * @param {Object} options - See runMonteCarloBatch() in js/batch.js
+ * @returns {Object} Batch summary
+ */
+function runBatch(options) {
+  if (!sharedContext) sharedContext = createEngineContext();
+  return sharedContext.runMonteCarloBatch(options);
+}
+
+/**
+ * Parse `--key value` / `--flag` CLI arguments.
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+    if (!token.startsWith('--')) continue;
+    const key = token.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const environmentKeys = ['sunlight', 'water', 'temperature', 'soilQuality', 'windSpeed', 'humidity', 'co2'];
+  const stressorKeys = ['disease', 'pests', 'storm', 'pollution'];
+
+  const environment = {};
+  environmentKeys.forEach(key => {
+    if (args[key] !== undefined) environment[key] = Number(args[key]);
+  });
+  stressorKeys.forEach(key => {
+    if (args[key] !== undefined) environment[key] = true;
+  });
+
+  const config = {};
+  if (args.climate !== undefined) config.CLIMATE_MODE = String(args.climate);
+  if (args.photosynthesis !== undefined) config.PHOTOSYNTHESIS_MODEL = String(args.photosynthesis);
+
+  const species = args.species ? String(args.species).toUpperCase() : 'OAK';
+  const seed = args.seed !== undefined ? Number(args.seed) : 12345;
+  const years = args.years !== undefined ? Number(args.years) : 10;
+
+  if (args.runs !== undefined) {
+    const summary = runBatch({
+      species,
+      baseSeed: seed,
+      years,
+      runs: Number(args.runs),
+      dt: args.dt !== undefined ? Number(args.dt) : undefined,
+      environment,
+      config,
+      onProgress: (done, total) => process.stderr.write(`\rrun ${done}/${total}`)
+    });
+    process.stderr.write('\n');
+
+    const format = args.format || 'json';
+    if (format === 'csv') {
+      process.stdout.write(sharedContext.batchSurvivalToCSV(summary));
+    } else if (format === 'runs-csv') {
+      process.stdout.write(sharedContext.batchRunsToCSV(summary));
+    } else {
+      process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+    }
+    return;
+  }
+
+  const result = runHeadless({
+    species,
+    seed,
+    years,
+    days: args.days !== undefined ? Number(args.days) : undefined,
+    environment,
+    config,
+    mortality: args.mortality ? { enabled: true } : undefined
+  });
+
+  const t = result.tree;
+  if (args.format === 'rings-csv') {
+    process.stdout.write(sharedContext.growthRingsToCSV(t.growthRings));
+    return;
+  }
+
+  const summary = {
+    species: t.species,
+    days: Number(result.days.toFixed(3)),
+    alive: t.health > 0,
+    deathCause: t.deathCause,
+    age: Number(t.age.toFixed(3)),
+    health: Number(t.health.toFixed(2)),
+    height: Number(t.height.toFixed(3)),
+    dbh: Number(t.dbh.toFixed(4)),
+    rings: t.growthRings.length,
+    pathogen: t.pathogen.stage,
+    infections: t.pathogen.infections,
+    pestOutbreaks: t.pests.outbreaks,
+    fires: result.environment.fire.fires,
+    biomass: Number(t.biomass.total.toFixed(2)),
+    co2Absorbed: Number(t.co2Absorbed.toFixed(3))
+  };
+  process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+}
+
+module.exports = { createEngineContext, runHeadless, runBatch, CORE_SCRIPTS };
+
+if (require.main === module) {
+  main();
+}